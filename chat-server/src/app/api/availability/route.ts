@@ -1,7 +1,6 @@
 import { NextResponse } from 'next/server';
-import { calendar_v3 } from '@googleapis/calendar';
-import { JWT } from 'google-auth-library';
-import { TimeSlot, ServiceAccount } from '@/types/calendar';
+import { TimeSlot } from '@/types/calendar';
+import { getCalendarProvider } from '@/lib/calendarProvider';
 
 // Define types for the request
 interface AvailabilityRequest {
@@ -10,36 +9,6 @@ interface AvailabilityRequest {
   [key: string]: any;
 }
 
-// Calendar service on the server side
-async function getCalendarService() {
-  try {
-    const serviceAccountJson = process.env.GOOGLE_SERVICE_ACCOUNT;
-    if (!serviceAccountJson) {
-      throw new Error('Google service account not configured');
-    }
-
-    const serviceAccount: ServiceAccount = JSON.parse(serviceAccountJson);
-    const calendarId = process.env.CALENDAR_ID;
-    
-    if (!calendarId) {
-      throw new Error('Calendar ID not configured');
-    }
-
-    const auth = new JWT({
-      email: serviceAccount.client_email,
-      key: serviceAccount.private_key,
-      scopes: ['https://www.googleapis.com/auth/calendar'],
-    });
-
-    const calendar = new calendar_v3.Calendar({ auth });
-    
-    return { calendar, calendarId };
-  } catch (error) {
-    console.error('Error initializing calendar service:', error);
-    throw error;
-  }
-}
-
 export async function POST(request: Request): Promise<Response> {
   console.log('📅 Availability API route called');
   
@@ -104,18 +73,8 @@ async function handleAvailabilityRequest(request: Request): Promise<Response> {
     console.log(`🔎 Checking calendar availability for ${dateToUse}`);
     
     try {
-      // Get calendar service
-      const { calendar, calendarId } = await getCalendarService();
-      
-      // Get calendar events for the day
-      const response = await calendar.events.list({
-        calendarId,
-        timeMin: startDate.toISOString(),
-        timeMax: endDate.toISOString(),
-        singleEvents: true,
-      });
-      
-      const events = response.data.items || [];
+      // Get calendar events for the day from the configured provider
+      const events = await getCalendarProvider().listBusy(startDate, endDate);
       console.log(`Found ${events.length} existing events for the day`);
       
       // Calculate duration based on first service in serviceIds if available
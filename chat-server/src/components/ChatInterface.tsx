@@ -8,6 +8,7 @@ export interface Message {
   id: string;
   role: 'user' | 'assistant';
   content: string;
+  isStreaming?: boolean;
 }
 
 export interface ChatInterfaceProps {
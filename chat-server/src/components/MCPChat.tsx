@@ -9,10 +9,12 @@ interface MCPChatProps {
 }
 
 const MCPChat: React.FC<MCPChatProps> = ({ isAdmin = false }) => {
-  const { messages, isTyping, isCustomerLoaded, connectionStatus } = useSocket();
+  const { messages, isTyping, statusMessage, isCustomerLoaded, connectionStatus } = useSocket();
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const searchParams = useSearchParams();
   const [isMounted, setIsMounted] = useState(false);
+  // The streaming bubble replaces the typing dots once tokens arrive
+  const isStreaming = messages.some((message) => message.isStreaming);
 
   // Set mounted state after hydration
   useEffect(() => {
@@ -68,12 +70,15 @@ const MCPChat: React.FC<MCPChatProps> = ({ isAdmin = false }) => {
               />
             ))}
             {/* Only show typing indicator after mounted to prevent hydration mismatch */}
-            {isMounted && isTyping && (
+            {isMounted && isTyping && !isStreaming && (
               <div className="max-w-3xl mr-auto bg-gray-100 text-gray-900 rounded-lg p-3 animate-pulse shadow">
-                <div className="flex space-x-2">
+                <div className="flex items-center space-x-2">
                   <div className="w-2 h-2 rounded-full bg-gray-400"></div>
                   <div className="w-2 h-2 rounded-full bg-gray-400"></div>
                   <div className="w-2 h-2 rounded-full bg-gray-400"></div>
+                  {statusMessage && (
+                    <span className="text-xs sm:text-sm text-gray-600 pl-1">{statusMessage}</span>
+                  )}
                 </div>
               </div>
             )}
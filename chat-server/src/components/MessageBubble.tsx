@@ -168,6 +168,9 @@ export const MessageBubble: React.FC<MessageBubbleProps> = ({
               >
                 {message.content}
               </ReactMarkdown>
+              {message.isStreaming && (
+                <span className="inline-block w-1.5 h-4 ml-0.5 align-middle bg-gray-400 animate-pulse" />
+              )}
             </div>
           )}
         </div>
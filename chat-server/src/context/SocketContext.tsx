@@ -8,6 +8,7 @@ interface SocketContextType {
   messages: Message[];
   isConnected: boolean;
   isTyping: boolean;
+  statusMessage: string | null;
   sessionId: string | null;
   sendMessage: (content: string, isAdmin?: boolean) => void;
   loadCustomer: (resourceName: string, isAdmin?: boolean) => void;
@@ -32,6 +33,7 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({
   const [messages, setMessages] = useState<Message[]>([]);
   const [isConnected, setIsConnected] = useState(false);
   const [isTyping, setIsTyping] = useState(false);
+  const [statusMessage, setStatusMessage] = useState<string | null>(null);
   const [sessionId, setSessionId] = useState<string | null>(null);
   const [connectionStatus, setConnectionStatus] = useState<ConnectionStatus>('disconnected');
   const [isCustomerLoaded, setIsCustomerLoaded] = useState(false);
@@ -98,6 +100,10 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({
       socketInstance.on('error', (err) => {
         console.error('🔌 Socket error:', err);
         setConnectionStatus('error');
+        // A reply that failed part way through is dropped rather than left half-streamed
+        if (err?.id) {
+          setMessages((prev) => prev.filter((m) => !(m.id === err.id && m.isStreaming)));
+        }
       });
 
       socketInstance.on('session', (data) => {
@@ -112,11 +118,46 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({
 
       socketInstance.on('message', (message) => {
         console.log('📩 Message received:', message);
-        setMessages((prev) => [...prev, message]);
+        setStatusMessage(null);
+        // Replace the streamed draft with the final text, or append if nothing was streamed
+        setMessages((prev) => {
+          const draftIndex = prev.findIndex((m) => m.id === message.id);
+          if (draftIndex === -1) {
+            return [...prev, message];
+          }
+          const next = [...prev];
+          next[draftIndex] = { ...message, isStreaming: false };
+          return next;
+        });
+      });
+
+      socketInstance.on('token', ({ token, id }: { token: string; id: string }) => {
+        setMessages((prev) => {
+          const draftIndex = prev.findIndex((m) => m.id === id);
+          if (draftIndex === -1) {
+            return [...prev, { role: 'assistant', content: token, id, isStreaming: true }];
+          }
+          const next = [...prev];
+          next[draftIndex] = { ...next[draftIndex], content: next[draftIndex].content + token };
+          return next;
+        });
+      });
+
+      socketInstance.on('status', ({ message, id }: { message: string; id: string }) => {
+        setStatusMessage(message);
+        // Text streamed before a tool call is only a preamble; the answer is streamed afresh
+        setMessages((prev) => prev.filter((m) => !(m.id === id && m.isStreaming)));
       });
 
       socketInstance.on('typing', (isTyping) => {
         setIsTyping(isTyping);
+        if (!isTyping) {
+          setStatusMessage(null);
+          // Nothing more is coming for this reply, so no draft is still streaming
+          setMessages((prev) =>
+            prev.some((m) => m.isStreaming) ? prev.map((m) => (m.isStreaming ? { ...m, isStreaming: false } : m)) : prev
+          );
+        }
       });
 
       // Store socket instance
@@ -227,6 +268,7 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({
     messages,
     isConnected,
     isTyping,
+    statusMessage,
     sessionId,
     sendMessage,
     loadCustomer,
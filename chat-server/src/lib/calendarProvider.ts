@@ -0,0 +1,183 @@
+import { randomUUID } from 'crypto';
+import { promises as fs, readFileSync } from 'fs';
+import path from 'path';
+import { calendar_v3 } from '@googleapis/calendar';
+import { JWT } from 'google-auth-library';
+import { CalendarEvent, CalendarEventTime, ServiceAccount } from '@/types/calendar';
+import { DEFAULT_TIMEZONE, parseIcs } from '@/lib/ics';
+
+/**
+ * Where busy time comes from: Google Calendar, a local JSON/ICS file or memory.
+ * Read-only: blocks and bookings are written by the MCP server, whose settings
+ * this reads (CALENDAR_PROVIDER, GOOGLE_SERVICE_ACCOUNT, CALENDAR_ID, CALENDAR_FILE).
+ */
+export interface CalendarProvider {
+  name: string;
+  listBusy(start: Date, end: Date): Promise<CalendarEvent[]>;
+}
+
+interface StoredEvent {
+  id?: string;
+  summary?: string;
+  start: string | Date | CalendarEventTime;
+  end: string | Date | CalendarEventTime;
+}
+
+function toCalendarEvent(event: StoredEvent): CalendarEvent {
+  const time = (value: StoredEvent['start']): CalendarEventTime =>
+    value && typeof value === 'object' && !(value instanceof Date)
+      ? value
+      : { dateTime: new Date(value).toISOString() };
+
+  return {
+    id: event.id || randomUUID(),
+    summary: event.summary || '',
+    start: time(event.start),
+    end: time(event.end),
+  };
+}
+
+function eventTime(value: CalendarEventTime): Date {
+  return new Date(value.dateTime || value.date || 0);
+}
+
+function busyBetween(events: CalendarEvent[], start: Date, end: Date): CalendarEvent[] {
+  return events
+    .filter(event => eventTime(event.start) < end && eventTime(event.end) > start)
+    .sort((a, b) => eventTime(a.start).getTime() - eventTime(b.start).getTime());
+}
+
+export class GoogleCalendarProvider implements CalendarProvider {
+  name = 'google';
+  private client: { calendar: calendar_v3.Calendar; calendarId: string } | null = null;
+
+  constructor(private serviceAccountJson?: string, private calendarId?: string) {}
+
+  private getClient() {
+    if (this.client) return this.client;
+
+    if (!this.serviceAccountJson) {
+      throw new Error('Google service account not configured');
+    }
+    if (!this.calendarId) {
+      throw new Error('Calendar ID not configured');
+    }
+
+    const serviceAccount: ServiceAccount = JSON.parse(this.serviceAccountJson);
+    const auth = new JWT({
+      email: serviceAccount.client_email,
+      key: serviceAccount.private_key,
+      scopes: ['https://www.googleapis.com/auth/calendar'],
+    });
+
+    this.client = { calendar: new calendar_v3.Calendar({ auth }), calendarId: this.calendarId };
+    return this.client;
+  }
+
+  async listBusy(start: Date, end: Date): Promise<CalendarEvent[]> {
+    const { calendar, calendarId } = this.getClient();
+    const events: CalendarEvent[] = [];
+    let pageToken: string | undefined;
+    do {
+      const response = await calendar.events.list({
+        calendarId,
+        timeMin: start.toISOString(),
+        timeMax: end.toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 2500,
+        pageToken,
+      });
+      events.push(...((response.data.items || []) as CalendarEvent[]));
+      pageToken = response.data.nextPageToken || undefined;
+    } while (pageToken);
+    return events;
+  }
+}
+
+export class MemoryCalendarProvider implements CalendarProvider {
+  name = 'memory';
+  private events: CalendarEvent[];
+
+  constructor(events: StoredEvent[] = []) {
+    this.events = events.map(toCalendarEvent);
+  }
+
+  async listBusy(start: Date, end: Date): Promise<CalendarEvent[]> {
+    return busyBetween(this.events, start, end);
+  }
+}
+
+/**
+ * Events from a local `.ics` file or JSON store ({ "events": [...] }),
+ * read on every call so edits show up straight away
+ */
+export class FileCalendarProvider implements CalendarProvider {
+  name = 'file';
+  private filePath: string;
+  private isIcs: boolean;
+
+  constructor(filePath?: string, private timeZone: string = DEFAULT_TIMEZONE) {
+    if (!filePath) {
+      throw new Error('CALENDAR_FILE is required for the file calendar provider');
+    }
+    this.filePath = path.resolve(filePath);
+    this.isIcs = path.extname(this.filePath).toLowerCase() === '.ics';
+  }
+
+  private async load(): Promise<CalendarEvent[]> {
+    let text = '';
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch {
+      return [];
+    }
+    if (this.isIcs) return parseIcs(text, this.timeZone);
+    if (!text.trim()) return [];
+    const data = JSON.parse(text);
+    return (Array.isArray(data) ? data : data.events || []).map(toCalendarEvent);
+  }
+
+  async listBusy(start: Date, end: Date): Promise<CalendarEvent[]> {
+    return busyBetween(await this.load(), start, end);
+  }
+}
+
+let sharedProvider: CalendarProvider | null = null;
+
+/**
+ * The salon's timezone: the one in the MCP server's BUSINESS_CALENDAR_FILE, if it sets one
+ */
+function getSalonTimeZone(): string {
+  const file = process.env.BUSINESS_CALENDAR_FILE;
+  if (!file) return DEFAULT_TIMEZONE;
+  try {
+    return JSON.parse(readFileSync(file, 'utf8')).timezone || DEFAULT_TIMEZONE;
+  } catch (error) {
+    console.error(`❌ Error reading the timezone from ${file}:`, error);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * Provider chosen by CALENDAR_PROVIDER (google, file or memory), created once
+ */
+export function getCalendarProvider(): CalendarProvider {
+  if (sharedProvider) return sharedProvider;
+
+  const name = (process.env.CALENDAR_PROVIDER || 'google').toLowerCase();
+  switch (name) {
+    case 'google':
+      sharedProvider = new GoogleCalendarProvider(process.env.GOOGLE_SERVICE_ACCOUNT, process.env.CALENDAR_ID);
+      break;
+    case 'file':
+      sharedProvider = new FileCalendarProvider(process.env.CALENDAR_FILE, getSalonTimeZone());
+      break;
+    case 'memory':
+      sharedProvider = new MemoryCalendarProvider();
+      break;
+    default:
+      throw new Error(`Unknown calendar provider: ${name}`);
+  }
+  return sharedProvider;
+}
@@ -0,0 +1,102 @@
+import { randomUUID } from 'crypto';
+import type { CalendarEvent, CalendarEventTime } from '@/types/calendar';
+
+/**
+ * ICS reading: enough of RFC 5545 for exported calendars (no recurrence rules).
+ * Times are read like the MCP server's calendar provider does, so both see the
+ * same busy time whatever the host's timezone: UTC times as they are, TZID times
+ * in that zone and floating times in the salon's timezone.
+ */
+export const DEFAULT_TIMEZONE = 'Asia/Singapore';
+
+function isTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// How far a timezone's wall clock is ahead of UTC at an instant, in milliseconds
+function zoneOffset(instant: number, timeZone: string): number {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(new Date(instant)).map(part => [part.type, part.value])
+  );
+  return Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) - instant;
+}
+
+function parseIcsTime(property: string, value: string, timeZone: string): CalendarEventTime {
+  const [, y, mo, d, h = '00', mi = '00', s = '00'] = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/) || [];
+  if (/VALUE=DATE(?!-)/.test(property) || /^\d{8}$/.test(value)) {
+    return { date: `${y}-${mo}-${d}` };
+  }
+
+  const wallClock = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  if (value.endsWith('Z')) {
+    return { dateTime: new Date(wallClock).toISOString() };
+  }
+
+  const tzid = property.match(/TZID=([^;:]+)/)?.[1];
+  const zone = tzid && isTimeZone(tzid) ? tzid : timeZone;
+  // The offset is looked up twice so times next to a DST change land on the right side
+  const guess = wallClock - zoneOffset(wallClock, zone);
+  return { dateTime: new Date(wallClock - zoneOffset(guess, zone)).toISOString() };
+}
+
+function unescapeIcs(value: string): string {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Events in an ICS file, without cancelled ones
+ * @param text - File contents
+ * @param timeZone - Salon timezone, used for floating times and unknown TZIDs
+ */
+export function parseIcs(text: string, timeZone: string = DEFAULT_TIMEZONE): CalendarEvent[] {
+  const events: CalendarEvent[] = [];
+  let current: { id?: string; summary?: string; status?: string; start?: CalendarEventTime; end?: CalendarEventTime } | null = null;
+
+  for (const line of text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current?.start && current.status !== 'CANCELLED') {
+        events.push({
+          id: current.id || randomUUID(),
+          summary: current.summary || '',
+          start: current.start,
+          end: current.end || current.start,
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+    const property = line.slice(0, separator);
+    const value = line.slice(separator + 1);
+    const name = property.split(';')[0].toUpperCase();
+
+    if (name === 'UID') current.id = value;
+    if (name === 'SUMMARY') current.summary = unescapeIcs(value);
+    if (name === 'STATUS') current.status = value.toUpperCase();
+    if (name === 'DTSTART') current.start = parseIcsTime(property, value, timeZone);
+    if (name === 'DTEND') current.end = parseIcsTime(property, value, timeZone);
+  }
+
+  return events;
+}
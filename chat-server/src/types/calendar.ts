@@ -21,4 +21,22 @@ export interface ServiceAccount {
   auth_provider_x509_cert_url: string;
   client_x509_cert_url: string;
   universe_domain?: string;
-} 
\ No newline at end of file
+} 
+/**
+ * Start or end of a calendar event (timed or all-day)
+ */
+export interface CalendarEventTime {
+  dateTime?: string | null;
+  date?: string | null;
+  timeZone?: string | null;
+}
+
+/**
+ * Calendar event in the Google Calendar shape, as returned by every calendar provider
+ */
+export interface CalendarEvent {
+  id?: string | null;
+  summary?: string | null;
+  start: CalendarEventTime;
+  end: CalendarEventTime;
+}
@@ -2,6 +2,7 @@ export interface Message {
   role: 'user' | 'assistant';
   content: string;
   id: string;
+  isStreaming?: boolean;
 }
 
 export interface UserContext {
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+/**
+ * Run the fake SOHO API locally
+ *
+ *   FAKE_SOHO_PORT=4010 node scripts/fake-soho-server.js
+ *
+ * Then start the server against it:
+ *   SOHO_API_URL=http://127.0.0.1:4010/graphql SOHO_AUTH_TOKEN=fake-token npm start
+ *
+ * FAKE_SOHO_FIXTURES points at your own fixtures file; FAKE_SOHO_TOKEN sets the
+ * token it accepts (any token when not set).
+ */
+const { FakeSohoServer } = require('../src/lib/fake-soho');
+
+const port = Number(process.env.FAKE_SOHO_PORT) || 4010;
+const host = process.env.FAKE_SOHO_HOST || '127.0.0.1';
+
+const fake = new FakeSohoServer({
+  fixturesPath: process.env.FAKE_SOHO_FIXTURES,
+  authToken: process.env.FAKE_SOHO_TOKEN
+});
+
+fake.start(port, host).then(url => {
+  console.log(`📋 Seeded ${fake.services.length} services, ${fake.contacts.length} contacts, ${fake.appointments.length} appointments`);
+  console.log(`🎛️ Control API: ${url.replace(/\/graphql$/, '/__control/state')}`);
+}).catch(error => {
+  console.error('❌ Could not start the fake SOHO API:', error.message);
+  process.exit(1);
+});
+
+process.on('SIGINT', () => fake.stop().then(() => process.exit(0)));
+process.on('SIGTERM', () => fake.stop().then(() => process.exit(0)));
@@ -9,7 +9,9 @@ const jwt = require('jsonwebtoken');
 const path = require('path');
 const { transcribeAudio } = require('./src/services/audioTranscription');
 const memoryService = require('./src/services/memoryService');
+const holidayService = require('./src/services/holidayService');
 const ChatService = require('./src/services/chatService');
+const { ROLES, TOOL_POLICY, isToolAllowed } = require('./src/tools/permissions');
 
 // Load environment variables from .env file
 console.log(`🔧 Loading environment from .env`);
@@ -101,9 +103,8 @@ async function createNewMCPContext(sessionId, isAdmin = false) {
       highlightedServices: [], // Services mentioned by the user in conversation
       assistantMentionedServices: [] // Services mentioned by the assistant
     },
-    tools: isAdmin
-      ? ["lookupUser", "createContact", "listServices", "getServiceInfo", "getAvailableSlots", "bookAppointment", "storeUser", "selectServices", "searchCustomers"] 
-      : ["lookupUser", "listServices", "getServiceInfo", "getAvailableSlots", "bookAppointment", "storeUser", "selectServices", "searchCustomers"],
+    // Informational only; the permission policy is what's enforced
+    tools: Object.keys(TOOL_POLICY).filter(name => isToolAllowed(name, isAdmin ? ROLES.ADMIN : ROLES.CUSTOMER)),
     history: [],
     detectedServiceIds: [] // Store service IDs detected in the conversation
   };
@@ -228,28 +229,15 @@ io.on('connection', (socket) => {
     mcpContexts.set(sessionId, context);
     
     // Generate welcome message dynamically based on context
+    await holidayService.ensureReady();
     let welcomeMessage;
     if (isAdmin) {
       const { getAdminWelcomeMessage } = require('./src/prompts/systemPrompt-admin');
-      const dateInfo = {
-        formattedDate: new Date().toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long', 
-          day: 'numeric'
-        }),
-        todayStatus: new Date().getDay() === 0 ? "Today is Sunday and we are CLOSED." : "We are OPEN today."
-      };
+      const dateInfo = chatService.getDateInfo();
       welcomeMessage = getAdminWelcomeMessage(context, dateInfo);
     } else {
       const { getCustomerWelcomeMessage } = require('./src/prompts/systemPrompt-customer');
-      const dateInfo = {
-        formattedDate: new Date().toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long', 
-          day: 'numeric'
-        }),
-        todayStatus: new Date().getDay() === 0 ? "Today is Sunday and we are CLOSED." : "We are OPEN today."
-      };
+      const dateInfo = chatService.getDateInfo();
       welcomeMessage = getCustomerWelcomeMessage(context, dateInfo);
     }
     
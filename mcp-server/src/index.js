@@ -4,6 +4,7 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const ChatService = require('./services/chatService');
 const AIClient = require('./services/aiClient');
+const holidayService = require('./services/holidayService');
 const MCPContext = require('./models/MCPContext');
 const crypto = require('crypto');
 const dotenv = require('dotenv');
@@ -36,9 +37,12 @@ app.use(express.json());
 // In a production app, this would be Redis or another persistent store
 const sessionContexts = new Map();
 
+// Persona each session was created with; tool permissions follow this, never the client's isAdmin flag
+const sessionPersonas = new Map();
+
 // Initialize services
 const aiClient = new AIClient();
-const chatService = new ChatService(aiClient);
+const chatService = new ChatService({ llmConfig: aiClient.config });
 
 // Load environment variables from .env file
 console.log(`🔧 Loading environment from .env`);
@@ -53,33 +57,45 @@ function generateMessageId() {
 }
 
 // Helper function to get context by session ID
+// isAdmin only applies when the session is created; an existing session keeps its persona.
+// The flag comes from the client and is not authenticated (see src/tools/permissions.js)
 function getContextBySessionId(sessionId, isAdmin = false) {
   if (!sessionContexts.has(sessionId)) {
     // Create new context if it doesn't exist
     const newContext = new MCPContext({ memory: { admin_mode: isAdmin } });
     sessionContexts.set(sessionId, newContext);
+    sessionPersonas.set(sessionId, isAdmin ? 'admin' : 'customer');
     console.log(`🆕 Created new context for session ${sessionId}, admin: ${isAdmin}`);
     return newContext;
   }
   
-  // Return existing context but ensure admin mode is set correctly
   const context = sessionContexts.get(sessionId);
   
-  // Ensure admin mode is set correctly
+  // Keep admin mode in line with the session's persona
+  context.memory.admin_mode = isAdminSession(sessionId);
   if (isAdmin && !context.memory.admin_mode) {
-    context.memory.admin_mode = true;
-    console.log(`🔑 Updated admin_mode to true for existing context ${sessionId}`);
+    console.warn(`⚠️ Ignoring admin request for customer session ${sessionId}`);
   }
   
   console.log(`🔄 Retrieved existing context for session ${sessionId}, history length: ${context.history?.length || 0}`);
   return context;
 }
 
+// Whether a session was created as an admin session
+function isAdminSession(sessionId) {
+  return sessionPersonas.get(sessionId) === 'admin';
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy' });
 });
 
+// Tool call validation failures per tool, to spot tools the model keeps misusing
+app.get('/metrics/tool-validation', (req, res) => {
+  res.json({ failures: chatService.getToolValidationFailures() });
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`Socket connected: ${socket.id}`);
@@ -120,39 +136,21 @@ io.on('connection', (socket) => {
   
   // Handle welcome message
   socket.on('welcome', safeSocketHandler(async (data) => {
-    const { isAdmin = false } = data || {};
-    console.log(`Received welcome from ${socket.id}, isAdmin: ${isAdmin}`);
-    
-    const context = getContextBySessionId(currentSessionId, isAdmin);
+    const requestedAdmin = data?.isAdmin === true;
+    console.log(`Received welcome from ${socket.id}, isAdmin: ${requestedAdmin}`);
     
-    // Ensure admin mode is correctly set in memory
-    if (isAdmin) {
-      console.log('🔑 Setting admin_mode to true in context memory');
-      context.memory.admin_mode = true;
-    }
+    const context = getContextBySessionId(currentSessionId, requestedAdmin);
+    const isAdmin = isAdminSession(currentSessionId);
     
+    await holidayService.ensureReady();
     let welcomeMsg = "Hello! How can I help you today?";
     if (isAdmin) {
       const { getAdminWelcomeMessage } = require('./prompts/systemPrompt-admin');
-      const dateInfo = {
-        formattedDate: new Date().toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long', 
-          day: 'numeric'
-        }),
-        todayStatus: new Date().getDay() === 0 ? "Today is Sunday and we are CLOSED." : "We are OPEN today."
-      };
+      const dateInfo = chatService.getDateInfo();
       welcomeMsg = getAdminWelcomeMessage(context, dateInfo);
     } else {
       const { getCustomerWelcomeMessage } = require('./prompts/systemPrompt-customer');
-      const dateInfo = {
-        formattedDate: new Date().toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long', 
-          day: 'numeric'
-        }),
-        todayStatus: new Date().getDay() === 0 ? "Today is Sunday and we are CLOSED." : "We are OPEN today."
-      };
+      const dateInfo = chatService.getDateInfo();
       welcomeMsg = getCustomerWelcomeMessage(context, dateInfo);
     }
     
@@ -190,17 +188,11 @@ io.on('connection', (socket) => {
       return;
     }
     
-    const isAdmin = data.isAdmin === true;
     console.log(`📨 Received message (chat): "${messageContent}"`);
 
     // Get context from session instead of expecting it from client
-    const context = getContextBySessionId(currentSessionId, isAdmin);
-    
-    // Ensure admin mode is correctly set in memory
-    if (isAdmin && !context.memory.admin_mode) {
-      console.log('🔑 Setting admin_mode to true in context memory');
-      context.memory.admin_mode = true;
-    }
+    const context = getContextBySessionId(currentSessionId, data.isAdmin === true);
+    const isAdmin = isAdminSession(currentSessionId);
 
     // Process message through all extensions
     extensionRegistry.processMessage(messageContent, context.memory);
@@ -208,6 +200,9 @@ io.on('connection', (socket) => {
     // Show typing indicator
     socket.emit('typing', true);
 
+    // Shared by the streamed tokens and the final message so the client can reconcile them
+    const responseMessageId = generateMessageId();
+
     try {
       // Get response from chat service with streaming
       const response = await chatService.processMessage(
@@ -218,7 +213,11 @@ io.on('connection', (socket) => {
         isAdmin,
         (token) => {
           // Emit each token as it arrives
-          socket.emit('token', { token });
+          socket.emit('token', { token, id: responseMessageId });
+        },
+        (status) => {
+          // Let the client show what is happening while tools run
+          socket.emit('status', { ...status, id: responseMessageId });
         }
       );
       console.log(`💬 Chat response complete (chat)`);
@@ -239,7 +238,7 @@ io.on('connection', (socket) => {
         role: 'assistant',
         content: response.response.content,
         timestamp: new Date().toISOString(),
-        id: generateMessageId()
+        id: responseMessageId
       });
       console.log(`✅ Emitted 'message' event`);
       
@@ -251,8 +250,10 @@ io.on('connection', (socket) => {
       console.log(`✅ Emitted 'chat' event`);
     } catch (error) {
       console.error('Error processing chat message (chat):', error);
+      // The id lets the client drop a draft that was streamed before the failure
       socket.emit('error', { 
         message: 'Failed to process message',
+        id: responseMessageId,
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     } finally {
@@ -264,14 +265,16 @@ io.on('connection', (socket) => {
   // Handle tool calls with safe wrapper
   socket.on('useTool', safeSocketHandler(async (data) => {
     console.log(`Received tool call from ${socket.id}:`, data);
-    const { tool, args, isAdmin = false } = data || {};
+    const { tool, args } = data || {};
     
     if (!tool) {
       socket.emit('error', { message: 'No tool specified' });
       return;
     }
     
-    const context = getContextBySessionId(currentSessionId, isAdmin);
+    // The role comes from the session, not from the event
+    const context = getContextBySessionId(currentSessionId);
+    const isAdmin = isAdminSession(currentSessionId);
     
     socket.emit('typing', true);
     
@@ -283,7 +286,8 @@ io.on('connection', (socket) => {
     const { toolResults, updatedContext } = await chatService.handleToolCalls(
       currentSessionId,
       context,
-      [toolCall]
+      [toolCall],
+      isAdmin
     );
     
     sessionContexts.set(currentSessionId, updatedContext);
@@ -344,9 +348,13 @@ io.on('connection', (socket) => {
   });
 });
 
-// Start the server
-const PORT = process.env.PORT || 3003;
-server.listen(PORT, () => {
-  console.log(`MCP Server running on port ${PORT}`);
-  console.log(`Socket.IO server listening for connections`);
-}); 
\ No newline at end of file
+// Start the server when run directly; tests start it themselves
+if (require.main === module) {
+  const PORT = process.env.PORT || 3003;
+  server.listen(PORT, () => {
+    console.log(`MCP Server running on port ${PORT}`);
+    console.log(`Socket.IO server listening for connections`);
+  });
+}
+
+module.exports = { app, server, io }; 
\ No newline at end of file
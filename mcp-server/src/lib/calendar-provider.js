@@ -0,0 +1,430 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const businessCalendar = require('../services/businessCalendar');
+
+/**
+ * Calendar provider factory
+ * Availability, holds and booking checks read busy time through a provider, so
+ * they don't depend on Google Calendar directly.
+ *
+ * Every provider implements:
+ *   listBusy(start, end)      - events overlapping the range, in the Google Calendar
+ *                               event shape the scheduling code reads
+ *                               ({ id, summary, start: { dateTime }, end: { dateTime }, extendedProperties })
+ *   createBlock(options)      - block out time ({ start, end, summary, staffId, roomId, seriesId }); returns the event
+ *   deleteBlock(id)           - remove a block; returns true when one was removed. Only
+ *                               block events are removed, never bookings or other events
+ *
+ * Providers:
+ *   google - Google Calendar via a service account (default)
+ *   file   - Local JSON store or ICS file (CALENDAR_FILE)
+ *   memory - Events kept in the process, for tests
+ */
+
+/**
+ * Read calendar settings from the environment, with optional overrides
+ * @param {Object} overrides Values that take precedence over the environment
+ * @returns {Object} Provider configuration
+ */
+function getCalendarConfig(overrides = {}) {
+  const config = {
+    provider: (process.env.CALENDAR_PROVIDER || 'google').toLowerCase(),
+    serviceAccountJson: process.env.GOOGLE_SERVICE_ACCOUNT,
+    calendarId: process.env.CALENDAR_ID,
+    filePath: process.env.CALENDAR_FILE
+  };
+
+  // Ignore undefined overrides so they don't mask the environment
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) {
+      config[key] = value;
+    }
+  });
+
+  config.provider = String(config.provider).toLowerCase();
+  return config;
+}
+
+/**
+ * Convert a stored or compact event into the Google Calendar event shape
+ * Accepts { start: '2030-06-10T14:00:00+08:00' } as well as { start: { dateTime } } / { start: { date } }.
+ */
+function toCalendarEvent(event) {
+  const time = value => (value && typeof value === 'object' && !(value instanceof Date))
+    ? value
+    : { dateTime: new Date(value).toISOString() };
+  const privateProperties = {
+    ...(event.extendedProperties?.private || {}),
+    ...(event.staffId ? { staffId: event.staffId } : {}),
+    ...(event.roomId ? { roomId: event.roomId } : {}),
+    ...(event.block ? { block: 'true' } : {}),
+    ...(event.seriesId ? { seriesId: event.seriesId } : {})
+  };
+
+  return {
+    id: event.id || crypto.randomUUID(),
+    summary: event.summary || '',
+    ...(event.location ? { location: event.location } : {}),
+    start: time(event.start),
+    end: time(event.end),
+    ...(Object.keys(privateProperties).length > 0 ? { extendedProperties: { private: privateProperties } } : {})
+  };
+}
+
+function eventTime(value) {
+  return new Date(value.dateTime || value.date);
+}
+
+function overlaps(event, start, end) {
+  return eventTime(event.start) < new Date(end) && eventTime(event.end) > new Date(start);
+}
+
+function isBlock(event) {
+  return event.extendedProperties?.private?.block === 'true';
+}
+
+function makeBlock({ start, end, summary = 'Blocked', staffId = null, roomId = null, seriesId = null }) {
+  return toCalendarEvent({ id: `block-${crypto.randomUUID()}`, summary, start, end, staffId, roomId, seriesId, block: true });
+}
+
+class GoogleCalendarProvider {
+  constructor(config = {}) {
+    this.name = 'google';
+    this.config = config;
+    this.client = null;
+  }
+
+  getClient() {
+    if (this.client) return this.client;
+
+    if (!this.config.serviceAccountJson) {
+      throw new Error('Google service account not configured');
+    }
+    if (!this.config.calendarId) {
+      throw new Error('Calendar ID not configured');
+    }
+
+    // Loaded here so the other providers work without the Google packages
+    const { calendar_v3 } = require('@googleapis/calendar');
+    const { JWT } = require('google-auth-library');
+    const serviceAccount = JSON.parse(this.config.serviceAccountJson);
+    const auth = new JWT({
+      email: serviceAccount.client_email,
+      key: serviceAccount.private_key,
+      scopes: ['https://www.googleapis.com/auth/calendar'],
+    });
+
+    this.client = { calendar: new calendar_v3.Calendar({ auth }), calendarId: this.config.calendarId };
+    return this.client;
+  }
+
+  async listBusy(start, end) {
+    const { calendar, calendarId } = this.getClient();
+    // Long ranges (multi-day searches, block series) can span several pages
+    const events = [];
+    let pageToken;
+    do {
+      const response = await calendar.events.list({
+        calendarId,
+        timeMin: new Date(start).toISOString(),
+        timeMax: new Date(end).toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 2500,
+        pageToken
+      });
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return events;
+  }
+
+  async createBlock(options) {
+    const { calendar, calendarId } = this.getClient();
+    const { id, ...requestBody } = makeBlock(options);
+    const response = await calendar.events.insert({ calendarId, requestBody });
+    return response.data;
+  }
+
+  async deleteBlock(id) {
+    const { calendar, calendarId } = this.getClient();
+    try {
+      const { data: event } = await calendar.events.get({ calendarId, eventId: id });
+      if (event.status === 'cancelled' || !isBlock(event)) return false;
+      await calendar.events.delete({ calendarId, eventId: id });
+      return true;
+    } catch (error) {
+      const status = error.code || error.response?.status;
+      if (status === 404 || status === 410) return false;
+      throw error;
+    }
+  }
+}
+
+class MemoryCalendarProvider {
+  constructor(config = {}) {
+    this.name = 'memory';
+    this.events = (config.events || []).map(toCalendarEvent);
+  }
+
+  async listBusy(start, end) {
+    return this.events
+      .filter(event => overlaps(event, start, end))
+      .sort((a, b) => eventTime(a.start) - eventTime(b.start));
+  }
+
+  /**
+   * Add any event (a booking, a personal appointment), e.g. from a test
+   * @param {Object} event Compact or Google-shaped event
+   * @returns {Object} The stored event
+   */
+  addEvent(event) {
+    const stored = toCalendarEvent(event);
+    this.events.push(stored);
+    return stored;
+  }
+
+  async createBlock(options) {
+    return this.addEvent(makeBlock(options));
+  }
+
+  async deleteBlock(id) {
+    const before = this.events.length;
+    this.events = this.events.filter(event => event.id !== id || !isBlock(event));
+    return this.events.length < before;
+  }
+
+  clear() {
+    this.events = [];
+  }
+}
+
+// ICS helpers: enough of RFC 5545 for exported calendars (no recurrence rules)
+
+function unfoldIcs(text) {
+  return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+function parseIcsTime(property, value) {
+  const tzid = property.match(/TZID=([^;:]+)/)?.[1];
+  if (/VALUE=DATE(?!-)/.test(property) || /^\d{8}$/.test(value)) {
+    return { date: moment(value, 'YYYYMMDD').format('YYYY-MM-DD') };
+  }
+  const format = 'YYYYMMDD[T]HHmmss';
+  const time = value.endsWith('Z')
+    ? moment.utc(value.slice(0, -1), format)
+    // Floating times and unknown TZIDs are in the salon's timezone
+    : moment.tz(value, format, tzid && moment.tz.zone(tzid) ? tzid : businessCalendar.getConfig().timezone);
+  return { dateTime: time.toISOString() };
+}
+
+function unescapeIcs(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function parseIcs(text) {
+  const events = [];
+  let current = null;
+
+  for (const line of unfoldIcs(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      current = { extendedProperties: { private: {} } };
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current?.start && current.status !== 'CANCELLED') {
+        current.end = current.end || current.start;
+        delete current.status;
+        events.push(toCalendarEvent(current));
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+    const property = line.slice(0, separator);
+    const value = line.slice(separator + 1);
+    const name = property.split(';')[0].toUpperCase();
+
+    if (name === 'UID') current.id = value;
+    if (name === 'SUMMARY') current.summary = unescapeIcs(value);
+    if (name === 'LOCATION') current.location = unescapeIcs(value);
+    if (name === 'STATUS') current.status = value.toUpperCase();
+    if (name === 'DTSTART') current.start = parseIcsTime(property, value);
+    if (name === 'DTEND') current.end = parseIcsTime(property, value);
+    if (name === 'X-STAFF-ID') current.staffId = value;
+    if (name === 'X-ROOM-ID') current.roomId = value;
+    if (name === 'X-BLOCK') current.block = value === 'true';
+    if (name === 'X-SERIES-ID') current.seriesId = value;
+  }
+
+  return events;
+}
+
+function formatIcsTime(value) {
+  return moment.utc(value.dateTime).format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+function escapeIcs(value) {
+  return String(value).replace(/([,;\\])/g, '\\$1').replace(/\n/g, '\\n');
+}
+
+function toIcsEvent(event) {
+  const properties = event.extendedProperties?.private || {};
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.id}`,
+    `DTSTAMP:${moment.utc().format('YYYYMMDD[T]HHmmss[Z]')}`,
+    `DTSTART:${formatIcsTime(event.start)}`,
+    `DTEND:${formatIcsTime(event.end)}`,
+    `SUMMARY:${escapeIcs(event.summary)}`,
+    ...(properties.staffId ? [`X-STAFF-ID:${properties.staffId}`] : []),
+    ...(properties.roomId ? [`X-ROOM-ID:${properties.roomId}`] : []),
+    ...(properties.block ? ['X-BLOCK:true'] : []),
+    ...(properties.seriesId ? [`X-SERIES-ID:${properties.seriesId}`] : []),
+    'END:VEVENT'
+  ].join('\r\n');
+}
+
+/**
+ * Events from a local file, read on every call so edits show up straight away
+ * `.ics` files are read as iCalendar (blocks are added as VEVENTs); anything else
+ * is a JSON store: { "events": [{ id, summary, start, end, staffId, roomId }] }.
+ */
+class FileCalendarProvider {
+  constructor(config = {}) {
+    this.name = 'file';
+    if (!config.filePath) {
+      throw new Error('CALENDAR_FILE is required for the file calendar provider');
+    }
+    this.filePath = path.resolve(config.filePath);
+    this.isIcs = path.extname(this.filePath).toLowerCase() === '.ics';
+  }
+
+  readText() {
+    return fs.existsSync(this.filePath) ? fs.readFileSync(this.filePath, 'utf8') : '';
+  }
+
+  load() {
+    const text = this.readText();
+    if (this.isIcs) return parseIcs(text);
+    if (!text.trim()) return [];
+    const data = JSON.parse(text);
+    return (Array.isArray(data) ? data : data.events || []).map(toCalendarEvent);
+  }
+
+  save(events) {
+    fs.writeFileSync(this.filePath, JSON.stringify({ events }, null, 2));
+  }
+
+  async listBusy(start, end) {
+    return this.load()
+      .filter(event => overlaps(event, start, end))
+      .sort((a, b) => eventTime(a.start) - eventTime(b.start));
+  }
+
+  async createBlock(options) {
+    const block = makeBlock(options);
+
+    if (this.isIcs) {
+      // Insert the VEVENT as-is so the rest of the file is left untouched
+      const text = this.readText() || 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//Rare Beauty//MCP Server//EN\r\nEND:VCALENDAR\r\n';
+      const position = text.lastIndexOf('END:VCALENDAR');
+      fs.writeFileSync(this.filePath, `${text.slice(0, position)}${toIcsEvent(block)}\r\n${text.slice(position)}`);
+    } else {
+      this.save([...this.load(), block]);
+    }
+    return block;
+  }
+
+  async deleteBlock(id) {
+    if (this.isIcs) {
+      const text = this.readText();
+      const pattern = /BEGIN:VEVENT\r?\n[\s\S]*?END:VEVENT\r?\n?/g;
+      const updated = text.replace(pattern, block => {
+        const [event] = parseIcs(block);
+        return event?.id === id && isBlock(event) ? '' : block;
+      });
+      if (updated === text) return false;
+      fs.writeFileSync(this.filePath, updated);
+      return true;
+    }
+
+    const events = this.load();
+    const remaining = events.filter(event => event.id !== id || !isBlock(event));
+    if (remaining.length === events.length) return false;
+    this.save(remaining);
+    return true;
+  }
+}
+
+const providers = {
+  google: (config) => new GoogleCalendarProvider(config),
+  file: (config) => new FileCalendarProvider(config),
+  memory: (config) => new MemoryCalendarProvider(config)
+};
+
+/**
+ * Register an additional provider
+ * @param {string} name Provider name used in CALENDAR_PROVIDER
+ * @param {Function} factory Function receiving the config and returning a provider
+ */
+function registerCalendarProvider(name, factory) {
+  providers[name.toLowerCase()] = factory;
+}
+
+/**
+ * Create a calendar provider from config
+ * @param {Object} overrides Config overrides (see getCalendarConfig)
+ * @returns {Object} Provider with listBusy(), createBlock() and deleteBlock()
+ */
+function createCalendarProvider(overrides = {}) {
+  const config = getCalendarConfig(overrides);
+  const factory = providers[config.provider];
+
+  if (!factory) {
+    throw new Error(`Unknown calendar provider "${config.provider}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+
+  console.log(`📅 Creating calendar provider: ${config.provider}`);
+  return factory(config);
+}
+
+// Provider shared by the tools, created on first use
+let activeProvider = null;
+
+/**
+ * Get the provider the tools use
+ * @returns {Object} Calendar provider
+ */
+function getCalendarProvider() {
+  if (!activeProvider) {
+    activeProvider = createCalendarProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the shared provider (pass null to go back to the configured one)
+ * @param {Object|null} provider Calendar provider
+ */
+function setCalendarProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  getCalendarConfig,
+  createCalendarProvider,
+  registerCalendarProvider,
+  getCalendarProvider,
+  setCalendarProvider,
+  GoogleCalendarProvider,
+  FileCalendarProvider,
+  MemoryCalendarProvider,
+  isBlock,
+  parseIcs
+};
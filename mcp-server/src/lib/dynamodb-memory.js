@@ -97,9 +97,10 @@ class DynamoDBMemory {
   /**
    * Get context memory using resourceName
    * @param {string} resourceName The resource name to use
+   * @param {Object} options - { throwOnError: throw when the read fails instead of returning {} }
    * @returns {Promise<Object>} The context memory or empty object if not found
    */
-  async getMemory(resourceName) {
+  async getMemory(resourceName, { throwOnError = false } = {}) {
     try {
       const response = await this.docClient.get({
         TableName: this.tableName,
@@ -110,6 +111,7 @@ class DynamoDBMemory {
       return response.Item?.data || {};
     } catch (error) {
       console.error(`❌ Error getting memory for resourceName ${resourceName}:`, error);
+      if (throwOnError) throw error;
       return {};
     }
   }
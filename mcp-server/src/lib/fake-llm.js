@@ -0,0 +1,115 @@
+const fs = require('fs');
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+
+/**
+ * Deterministic chat model that replays a script of canned responses
+ * Mirrors the parts of the LangChain chat model API the agent loop uses
+ * (bind, invoke, stream) so the booking flow can run offline.
+ *
+ * Each script entry is either a plain string (final answer) or an object:
+ *   { content: 'optional text', tool_calls: [{ name: 'getAvailableSlots', args: { date: 'today' } }] }
+ */
+class FakeChatModel {
+  /**
+   * @param {Object} options Configuration options
+   * @param {Array} options.responses Scripted responses, consumed in order
+   * @param {string} options.scriptPath Path to a JSON file holding the responses array
+   * @param {string} options.defaultResponse Answer returned once the script runs out
+   */
+  constructor(options = {}) {
+    this.responses = options.responses
+      || (options.scriptPath ? JSON.parse(fs.readFileSync(options.scriptPath, 'utf8')) : []);
+    this.defaultResponse = options.defaultResponse || 'OK';
+    this.boundTools = [];
+    // Every invocation is recorded so tests can inspect what the model was sent
+    this.calls = [];
+    this.position = 0;
+    this.toolCallCounter = 0;
+  }
+
+  /**
+   * Get the next scripted response as a normalized object
+   * @returns {Object} { content, tool_calls }
+   */
+  _nextResponse() {
+    const entry = this.position < this.responses.length
+      ? this.responses[this.position++]
+      : this.defaultResponse;
+
+    if (typeof entry === 'string') {
+      return { content: entry, tool_calls: [] };
+    }
+
+    return {
+      content: entry.content || '',
+      tool_calls: (entry.tool_calls || []).map(tc => ({
+        id: tc.id || `fake_call_${++this.toolCallCounter}`,
+        name: tc.name,
+        args: tc.args || {},
+        type: 'tool_call'
+      }))
+    };
+  }
+
+  /**
+   * Bind tools (recorded for inspection; the script decides what gets called)
+   * @param {Object} kwargs Bind options such as { tools, tool_choice }
+   * @returns {Object} Runnable with invoke() and stream()
+   */
+  bind(kwargs = {}) {
+    this.boundTools = kwargs.tools || [];
+    return {
+      invoke: (messages) => this.invoke(messages),
+      stream: (messages) => this.stream(messages)
+    };
+  }
+
+  /**
+   * Return the next scripted response
+   * @param {Array} messages Messages sent to the model
+   * @returns {Promise<AIMessage>}
+   */
+  async invoke(messages) {
+    this.calls.push(messages);
+    const { content, tool_calls } = this._nextResponse();
+    return new AIMessage({ content, tool_calls });
+  }
+
+  /**
+   * Stream the next scripted response word by word
+   * @param {Array} messages Messages sent to the model
+   * @returns {Promise<AsyncGenerator<AIMessageChunk>>}
+   */
+  async stream(messages) {
+    this.calls.push(messages);
+    const { content, tool_calls } = this._nextResponse();
+    const words = content.match(/\S+\s*/g) || [];
+
+    return (async function* () {
+      for (const word of words) {
+        yield new AIMessageChunk({ content: word });
+      }
+      if (tool_calls.length > 0) {
+        yield new AIMessageChunk({
+          content: '',
+          tool_call_chunks: tool_calls.map((tc, index) => ({
+            id: tc.id,
+            name: tc.name,
+            args: JSON.stringify(tc.args),
+            index
+          }))
+        });
+      }
+    })();
+  }
+
+  /**
+   * Rewind the script so it can be replayed
+   */
+  reset() {
+    this.position = 0;
+    this.calls = [];
+  }
+}
+
+module.exports = { FakeChatModel };
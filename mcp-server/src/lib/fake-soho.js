@@ -0,0 +1,473 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const moment = require('moment-timezone');
+const businessCalendar = require('../services/businessCalendar');
+const { getOperationName } = require('./soho-client');
+const { normalizePhone } = require('./phone');
+
+/**
+ * Local stand-in for the SOHO GraphQL API
+ * Serves the operations the tools use (services, contacts, person, appointment,
+ * createContact, updateContact, createAppointment, updateAppointment,
+ * cancelAppointment) from
+ * in-memory fixtures, so the booking flow can run offline and in CI.
+ *
+ * Requests are matched on the root field and read their values from the GraphQL
+ * variables; selection sets are not applied, every field is returned. Bookings
+ * follow the real conflict rules: an overlapping appointment is rejected unless
+ * `force` is set (appointments for different staff members may overlap).
+ *
+ * Control API (plain JSON over HTTP, next to POST /graphql):
+ *   GET  /__control/state  - current services, contacts, appointments, requests and queued failures
+ *   POST /__control/seed   - replace the data with the posted fixtures ({} restores the defaults)
+ *   POST /__control/fail   - queue a failure: { operation, status, code, message, delayMs, drop, times }
+ *   POST /__control/reset  - default fixtures, no failures, empty request log
+ */
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '../data/fake-soho-fixtures.json');
+
+class FakeSohoError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// E.164, the same way lookupUser compares numbers (digits only when it can't be parsed)
+function normalizeMobile(mobile) {
+  return normalizePhone(mobile) || String(mobile || '').replace(/\D/g, '');
+}
+
+class FakeSohoServer {
+  /**
+   * @param {Object} options Configuration options
+   * @param {Object} options.fixtures Initial data ({ services, contacts, appointments })
+   * @param {string} options.fixturesPath JSON file with the initial data (default: bundled fixtures)
+   * @param {string} options.authToken Token the Authorization header must carry (any token when not set)
+   */
+  constructor(options = {}) {
+    this.fixturesPath = options.fixturesPath || DEFAULT_FIXTURES_PATH;
+    this.authToken = options.authToken || null;
+    this.server = null;
+    this.failures = [];
+    // Every GraphQL request is recorded so tests can inspect what the tools sent
+    this.requests = [];
+    this.seed(options.fixtures);
+  }
+
+  get timezone() {
+    return businessCalendar.getConfig().timezone;
+  }
+
+  /**
+   * Replace all data
+   * @param {Object} fixtures { services, contacts, appointments }; the defaults when not given
+   */
+  seed(fixtures = null) {
+    const data = fixtures || JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+    this.counter = 0;
+    this.services = (data.services || []).map(service => ({ ...service }));
+    this.contacts = (data.contacts || []).map(contact => ({ cancelCount: 0, ...contact }));
+    this.appointments = [];
+    (data.appointments || []).forEach(appointment => this.addAppointment(appointment));
+  }
+
+  /**
+   * Reset to the default fixtures with no failures queued
+   */
+  reset() {
+    this.seed();
+    this.failures = [];
+    this.requests = [];
+  }
+
+  /**
+   * Make the next matching request(s) fail
+   * @param {string} operation Root field to fail, or '*' for any
+   * @param {Object} failure { status, code, message, delayMs, drop, times }
+   *   status  - HTTP status to answer with (e.g. 503)
+   *   code    - GraphQL error code (e.g. 'CONFLICT'), answered with HTTP 200
+   *   delayMs - wait before answering (use with a short client timeout)
+   *   drop    - close the connection without answering
+   *   times   - how many requests to fail (default: 1)
+   */
+  failNext(operation = '*', failure = {}) {
+    this.failures.push({ operation, times: 1, ...failure });
+  }
+
+  clearFailures() {
+    this.failures = [];
+  }
+
+  takeFailure(operation) {
+    const failure = this.failures.find(item => item.operation === '*' || item.operation === operation);
+    if (!failure) return null;
+    failure.times--;
+    if (failure.times <= 0) {
+      this.failures.splice(this.failures.indexOf(failure), 1);
+    }
+    return failure;
+  }
+
+  nextId(prefix) {
+    this.counter++;
+    return `${prefix}-${Date.now().toString(36)}${this.counter}`;
+  }
+
+  parseStart(start) {
+    const value = /^\d{8}T\d{4}$/.test(start)
+      ? moment.tz(start, 'YYYYMMDD[T]HHmm', this.timezone)
+      : moment.tz(start, moment.ISO_8601, this.timezone);
+    if (!value.isValid()) {
+      throw new FakeSohoError(`Invalid start time: ${start}`, 'BAD_USER_INPUT');
+    }
+    return value;
+  }
+
+  findContact({ resourceName, mobile }) {
+    return this.contacts.find(contact => resourceName && contact.resourceName === resourceName)
+      || this.contacts.find(contact => mobile && normalizeMobile(contact.mobile) === normalizeMobile(mobile))
+      || null;
+  }
+
+  findAppointment(id) {
+    const appointment = this.appointments.find(item => item.id === id);
+    if (!appointment) {
+      throw new FakeSohoError(`Appointment ${id} not found`, 'NOT_FOUND');
+    }
+    return appointment;
+  }
+
+  buildItems(serviceIds) {
+    return serviceIds.map(serviceId => {
+      const service = this.services.find(item => item.id === serviceId);
+      if (!service) {
+        throw new FakeSohoError(`Unknown service: ${serviceId}`, 'BAD_USER_INPUT');
+      }
+      return { id: this.nextId('item'), type: 'service', name: service.service, price: service.price || 0 };
+    });
+  }
+
+  buildTransaction(items, amounts = {}, existing = {}) {
+    const service = items.reduce((sum, item) => sum + item.price, 0);
+    return {
+      id: existing.id || this.nextId('txn'),
+      items,
+      totalAmount: Number(amounts.totalAmount) || service,
+      service,
+      product: 0,
+      discount: Number(amounts.discount) || 0,
+      additional: Number(amounts.additional) || 0,
+      deposit: Number(amounts.deposit) || 0
+    };
+  }
+
+  /**
+   * Throw a CONFLICT error when the time overlaps another active appointment
+   * Appointments for different staff members don't clash.
+   */
+  checkConflict(start, end, staffId, ignoreId = null) {
+    const clash = this.appointments.find(appointment => {
+      const event = appointment.event;
+      if (appointment.id === ignoreId || event.status === 'cancelled') return false;
+      if (staffId && event.staffId && staffId !== event.staffId) return false;
+      return new Date(event.start) < end && new Date(event.end) > start;
+    });
+    if (clash) {
+      const time = moment.tz(clash.event.start, this.timezone).format('D MMM h:mm A');
+      throw new FakeSohoError(`Appointment overlaps an existing booking at ${time}`, 'CONFLICT');
+    }
+  }
+
+  /**
+   * Add an appointment from a compact fixture
+   * @param {Object} fixture { id, resourceName, start, duration, serviceIds, status, staffId, roomId }
+   */
+  addAppointment(fixture) {
+    const contact = this.findContact(fixture) || {};
+    const start = this.parseStart(fixture.start);
+    const end = start.clone().add(Number(fixture.duration) || 60, 'minutes');
+    const id = fixture.id || this.nextId('appt');
+    const appointment = {
+      id,
+      event: {
+        id,
+        name: fixture.name || contact.name || '',
+        mobile: fixture.mobile || contact.mobile || '',
+        start: start.format(),
+        end: end.format(),
+        serviceIds: fixture.serviceIds || [],
+        resourceName: fixture.resourceName || contact.resourceName || null,
+        status: fixture.status || 'confirmed',
+        informed: Boolean(fixture.toBeInformed),
+        staffId: fixture.staffId || null,
+        roomId: fixture.roomId || null,
+        shortURL: `https://soho.example/a/${id}`
+      },
+      transaction: this.buildTransaction(this.buildItems(fixture.serviceIds || []), fixture)
+    };
+    this.appointments.push(appointment);
+    return appointment;
+  }
+
+  requireFields(variables, fields) {
+    const missing = fields.filter(field => variables[field] === undefined || variables[field] === null || variables[field] === '');
+    if (missing.length > 0) {
+      throw new FakeSohoError(`Missing required argument(s): ${missing.join(', ')}`, 'BAD_USER_INPUT');
+    }
+  }
+
+  get resolvers() {
+    return {
+      services: () => this.services,
+
+      contacts: () => this.contacts.map(contact => ({ ...contact, display: contact.name })),
+
+      person: ({ id }) => {
+        const contact = this.contacts.find(item => item.resourceName === id);
+        if (!contact) return null;
+        const appointments = this.appointments
+          .filter(appointment => appointment.event.resourceName === id)
+          .sort((a, b) => new Date(b.event.start) - new Date(a.event.start));
+        return { id, name: contact.name, mobile: contact.mobile, cancelCount: contact.cancelCount || 0, appointments };
+      },
+
+      appointment: ({ id }) => this.appointments.find(appointment => appointment.id === id) || null,
+
+      createContact: (variables) => {
+        this.requireFields(variables, ['first', 'mobile']);
+        if (this.findContact({ mobile: variables.mobile })) {
+          throw new FakeSohoError(`Contact with mobile ${variables.mobile} already exists`, 'CONFLICT');
+        }
+        const contact = {
+          resourceName: `people/${this.nextId('c')}`,
+          name: [variables.first, variables.last].filter(Boolean).join(' '),
+          mobile: variables.mobile,
+          cancelCount: 0
+        };
+        this.contacts.push(contact);
+        return contact;
+      },
+
+      updateContact: (variables) => {
+        this.requireFields(variables, ['resourceName']);
+        const contact = this.contacts.find(item => item.resourceName === variables.resourceName);
+        if (!contact) {
+          throw new FakeSohoError(`Contact ${variables.resourceName} not found`, 'NOT_FOUND');
+        }
+        if (variables.mobile) {
+          const owner = this.findContact({ mobile: variables.mobile });
+          if (owner && owner !== contact) {
+            throw new FakeSohoError(`Contact with mobile ${variables.mobile} already exists`, 'CONFLICT');
+          }
+          contact.mobile = variables.mobile;
+        }
+        if (variables.first) {
+          contact.name = [variables.first, variables.last].filter(Boolean).join(' ');
+        }
+        return contact;
+      },
+
+      createAppointment: (variables) => {
+        this.requireFields(variables, ['name', 'mobile', 'start', 'duration']);
+        if (!Array.isArray(variables.serviceIds) || variables.serviceIds.length === 0) {
+          throw new FakeSohoError('At least one service is required', 'BAD_USER_INPUT');
+        }
+        const start = this.parseStart(variables.start);
+        const end = start.clone().add(Number(variables.duration), 'minutes');
+        if (!variables.force) {
+          this.checkConflict(start.toDate(), end.toDate(), variables.staffId);
+        }
+
+        let contact = this.findContact(variables);
+        const createdNewContact = !contact;
+        if (!contact) {
+          contact = { resourceName: `people/${this.nextId('c')}`, name: variables.name, mobile: variables.mobile, cancelCount: 0 };
+          this.contacts.push(contact);
+        }
+
+        const appointment = this.addAppointment({ ...variables, resourceName: contact.resourceName });
+        return { id: appointment.id, createdNewContact };
+      },
+
+      updateAppointment: (variables) => {
+        this.requireFields(variables, ['id', 'start', 'duration']);
+        const appointment = this.findAppointment(variables.id);
+        if (appointment.event.status === 'cancelled') {
+          throw new FakeSohoError(`Appointment ${variables.id} is cancelled and can't be changed`, 'BAD_USER_INPUT');
+        }
+        const start = this.parseStart(variables.start);
+        const end = start.clone().add(Number(variables.duration), 'minutes');
+        this.checkConflict(start.toDate(), end.toDate(), appointment.event.staffId, appointment.id);
+
+        const serviceIds = variables.serviceIds?.length ? variables.serviceIds : appointment.event.serviceIds;
+        Object.assign(appointment.event, {
+          name: variables.name || appointment.event.name,
+          mobile: variables.mobile || appointment.event.mobile,
+          resourceName: variables.resourceName || appointment.event.resourceName,
+          start: start.format(),
+          end: end.format(),
+          serviceIds,
+          informed: Boolean(variables.toBeInformed)
+        });
+        appointment.transaction = this.buildTransaction(this.buildItems(serviceIds), variables, appointment.transaction);
+        return appointment;
+      },
+
+      cancelAppointment: ({ id, reason, lateCancel }) => {
+        const appointment = this.findAppointment(id);
+        if (appointment.event.status === 'cancelled') {
+          throw new FakeSohoError(`Appointment ${id} is already cancelled`, 'CONFLICT');
+        }
+        appointment.event.status = 'cancelled';
+        appointment.event.cancelReason = reason || null;
+        if (lateCancel) {
+          const contact = this.findContact({ resourceName: appointment.event.resourceName });
+          if (contact) contact.cancelCount = (contact.cancelCount || 0) + 1;
+        }
+        return appointment;
+      }
+    };
+  }
+
+  /**
+   * Answer one GraphQL request
+   * @param {Object} body { query, variables }
+   * @param {Object} headers Request headers
+   * @returns {Object} { status, body, delayMs, drop }
+   */
+  handle(body = {}, headers = {}) {
+    const operation = getOperationName(body.query || '');
+    const variables = body.variables || {};
+    this.requests.push({ operation, variables, at: new Date().toISOString() });
+
+    if (this.authToken && headers.authorization !== this.authToken) {
+      return { status: 401, body: { errors: [{ message: 'Unauthorized', extensions: { code: 'UNAUTHENTICATED' } }] } };
+    }
+
+    const failure = this.takeFailure(operation);
+    const delayMs = failure?.delayMs || 0;
+    if (failure?.drop) {
+      return { drop: true, delayMs };
+    }
+    if (failure?.status) {
+      return { status: failure.status, body: { errors: [{ message: failure.message || `Injected ${failure.status} failure` }] }, delayMs };
+    }
+    if (failure?.code || failure?.message) {
+      return { status: 200, body: { errors: [{ message: failure.message || `Injected ${failure.code} error`, extensions: { code: failure.code || 'INTERNAL_SERVER_ERROR' } }] }, delayMs };
+    }
+
+    const resolver = this.resolvers[operation];
+    if (!resolver) {
+      return { status: 400, body: { errors: [{ message: `Cannot query field "${operation}"`, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } }] }, delayMs };
+    }
+
+    try {
+      return { status: 200, body: { data: { [operation]: resolver(variables) } }, delayMs };
+    } catch (error) {
+      if (!(error instanceof FakeSohoError)) throw error;
+      return { status: 200, body: { errors: [{ message: error.message, extensions: { code: error.code } }] }, delayMs };
+    }
+  }
+
+  handleControl(method, route, body) {
+    if (method === 'GET' && route === 'state') {
+      return {
+        services: this.services,
+        contacts: this.contacts,
+        appointments: this.appointments,
+        requests: this.requests,
+        failures: this.failures
+      };
+    }
+    if (method === 'POST' && route === 'seed') {
+      this.seed(Object.keys(body).length > 0 ? body : null);
+      return { success: true };
+    }
+    if (method === 'POST' && route === 'fail') {
+      const { operation = '*', ...failure } = body;
+      this.failNext(operation, failure);
+      return { success: true, failures: this.failures };
+    }
+    if (method === 'POST' && route === 'reset') {
+      this.reset();
+      return { success: true };
+    }
+    return null;
+  }
+
+  onRequest(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const send = (status, payload) => {
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(payload));
+      };
+
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        send(400, { errors: [{ message: 'Request body is not valid JSON' }] });
+        return;
+      }
+
+      const control = req.url.match(/^\/__control\/(\w+)/);
+      if (control) {
+        const result = this.handleControl(req.method, control[1], body);
+        send(result ? 200 : 404, result || { error: `Unknown control route ${req.method} ${req.url}` });
+        return;
+      }
+
+      if (req.method !== 'POST') {
+        send(405, { errors: [{ message: 'Only POST is supported' }] });
+        return;
+      }
+
+      const reply = this.handle(body, req.headers);
+      setTimeout(() => {
+        if (reply.drop) {
+          req.socket.destroy();
+          return;
+        }
+        send(reply.status, reply.body);
+      }, reply.delayMs || 0);
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port Port (0 picks a free one)
+   * @param {string} host Host to bind
+   * @returns {Promise<string>} GraphQL endpoint URL
+   */
+  start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.onRequest(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const url = `http://${host}:${this.server.address().port}/graphql`;
+        console.log(`🧪 Fake SOHO API listening on ${url}`);
+        resolve(url);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+}
+
+module.exports = {
+  FakeSohoServer,
+  DEFAULT_FIXTURES_PATH
+};
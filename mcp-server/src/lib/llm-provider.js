@@ -0,0 +1,110 @@
+const { ChatOpenAI, AzureChatOpenAI } = require('@langchain/openai');
+const { FakeChatModel } = require('./fake-llm');
+
+/**
+ * LLM provider factory
+ * Selects the chat model implementation from config so services don't hard-code one.
+ *
+ * Providers:
+ *   openai - OpenAI API (default)
+ *   azure  - Azure OpenAI (reads the AZURE_OPENAI_* variables)
+ *   local  - Any OpenAI-compatible endpoint, e.g. Ollama, vLLM or LM Studio
+ *   fake   - Scripted responses for offline runs and tests
+ */
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Read LLM settings from the environment, with optional overrides
+ * @param {Object} overrides Values that take precedence over the environment
+ * @returns {Object} Provider configuration
+ */
+function getLLMConfig(overrides = {}) {
+  const config = {
+    provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+    model: process.env.AI_MODEL || DEFAULT_MODEL,
+    // ChatOpenAI falls back to OPENAI_API_KEY when this is not set
+    apiKey: process.env.AI_API_KEY,
+    baseURL: process.env.AI_BASE_URL,
+    temperature: 0,
+    streaming: false,
+    fakeScriptPath: process.env.LLM_FAKE_SCRIPT
+  };
+
+  // Ignore undefined overrides so they don't mask the environment
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) {
+      config[key] = value;
+    }
+  });
+
+  config.provider = String(config.provider).toLowerCase();
+  return config;
+}
+
+const providers = {
+  openai: (config) => new ChatOpenAI({
+    model: config.model,
+    temperature: config.temperature,
+    streaming: config.streaming,
+    ...(config.apiKey ? { apiKey: config.apiKey } : {}),
+    ...(config.baseURL ? { configuration: { baseURL: config.baseURL } } : {})
+  }),
+
+  azure: (config) => new AzureChatOpenAI({
+    model: config.model,
+    temperature: config.temperature,
+    streaming: config.streaming,
+    ...(config.apiKey ? { azureOpenAIApiKey: config.apiKey } : {}),
+    ...(config.baseURL ? { azureOpenAIEndpoint: config.baseURL } : {})
+  }),
+
+  local: (config) => new ChatOpenAI({
+    model: config.model,
+    temperature: config.temperature,
+    streaming: config.streaming,
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: config.apiKey || 'local',
+    configuration: { baseURL: config.baseURL || DEFAULT_LOCAL_BASE_URL }
+  }),
+
+  fake: (config) => new FakeChatModel({
+    responses: config.responses,
+    scriptPath: config.fakeScriptPath,
+    defaultResponse: config.defaultResponse
+  })
+};
+
+/**
+ * Register an additional provider
+ * @param {string} name Provider name used in LLM_PROVIDER
+ * @param {Function} factory Function receiving the config and returning a chat model
+ */
+function registerProvider(name, factory) {
+  providers[name.toLowerCase()] = factory;
+}
+
+/**
+ * Create a chat model for the configured provider
+ * @param {Object} overrides Config overrides (see getLLMConfig)
+ * @returns {Object} Chat model supporting bind(), invoke() and stream()
+ */
+function createLLM(overrides = {}) {
+  const config = getLLMConfig(overrides);
+  const factory = providers[config.provider];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+
+  console.log(`🤖 Creating LLM: provider=${config.provider}, model=${config.model}`);
+  return factory(config);
+}
+
+module.exports = {
+  createLLM,
+  getLLMConfig,
+  registerProvider,
+  DEFAULT_MODEL
+};
@@ -0,0 +1,124 @@
+/**
+ * Phone number parsing
+ * Turns what customers and admins type into E.164 (+6591234567), so numbers are
+ * compared the same way in lookups, contact creation and bookings.
+ *
+ * Numbers are checked against the full numbering plans from libphonenumber-js.
+ * Numbers without a country code are read in the default region
+ * (DEFAULT_PHONE_REGION, Singapore unless set).
+ */
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+
+const DEFAULT_REGION = 'SG';
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Region used for numbers typed without a country code
+ * @returns {string} Region code, e.g. 'SG'
+ */
+function getDefaultRegion() {
+  const region = String(process.env.DEFAULT_PHONE_REGION || DEFAULT_REGION).toUpperCase();
+  if (!isSupportedCountry(region)) {
+    console.warn(`⚠️ Unknown DEFAULT_PHONE_REGION "${region}", using ${DEFAULT_REGION}`);
+    return DEFAULT_REGION;
+  }
+  return region;
+}
+
+function regionName(region) {
+  return regionNames.of(region) || region;
+}
+
+function invalid(error) {
+  return { valid: false, e164: null, region: null, countryCode: null, nationalNumber: null, error };
+}
+
+// Parse with libphonenumber-js; null unless it is a valid number
+function parseValid(text, region) {
+  const parsed = parsePhoneNumberFromString(text, region);
+  return parsed && parsed.isValid() ? parsed : null;
+}
+
+/**
+ * Parse a phone number
+ * A leading 00 is read as +, and digits that aren't a local number are tried
+ * as an international number without the + (6591234567).
+ * @param {string} input - As typed, e.g. '9123 4567', '+60 12-345 6789', '0060123456789'
+ * @param {Object} options - { region: default region for numbers without a country code }
+ * @returns {Object} { valid, e164, region, countryCode, nationalNumber, error }
+ */
+function parsePhone(input, { region = getDefaultRegion() } = {}) {
+  const raw = String(input || '').trim();
+  if (!raw) return invalid('No phone number given');
+  if (/[^\d\s+().\-/]/.test(raw)) return invalid(`"${raw}" is not a phone number`);
+
+  const digits = raw.replace(/\D/g, '');
+  const international = raw.startsWith('+') || digits.startsWith('00');
+  const text = international ? `+${digits.replace(/^00/, '')}` : raw;
+
+  const parsed = parseValid(text, international ? undefined : region)
+    || (!international && parseValid(`+${digits}`));
+  if (parsed) {
+    return {
+      valid: true,
+      e164: parsed.number,
+      region: parsed.country || null,
+      countryCode: parsed.countryCallingCode,
+      nationalNumber: parsed.nationalNumber,
+      error: null
+    };
+  }
+
+  if (international) {
+    const possible = parsePhoneNumberFromString(text);
+    return invalid(possible?.country
+      ? `${text} is not a valid number for ${regionName(possible.country)}`
+      : `${text} is not a valid international number`);
+  }
+  return invalid(`${raw} is not a valid ${regionName(region)} number; numbers from elsewhere need their country code (e.g. +60 12-345 6789)`);
+}
+
+/**
+ * A phone number in E.164
+ * @param {string} input
+ * @param {Object} options - See parsePhone
+ * @returns {string|null} e.g. '+6591234567', or null when it isn't a valid number
+ */
+function normalizePhone(input, options) {
+  return parsePhone(input, options).e164;
+}
+
+/**
+ * Whether two numbers are the same phone
+ * Numbers that can't be parsed are compared digit for digit.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function samePhone(a, b, options) {
+  const left = normalizePhone(a, options);
+  const right = normalizePhone(b, options);
+  if (left && right) return left === right;
+
+  const digitsA = String(a || '').replace(/\D/g, '');
+  return digitsA.length > 0 && digitsA === String(b || '').replace(/\D/g, '');
+}
+
+/**
+ * The last digits of a number, for matching contacts saved in other formats
+ * @param {string} input
+ * @param {number} count
+ * @returns {string}
+ */
+function trailingDigits(input, count = 8) {
+  return String(input || '').replace(/\D/g, '').slice(-count);
+}
+
+module.exports = {
+  getDefaultRegion,
+  parsePhone,
+  normalizePhone,
+  samePhone,
+  trailingDigits
+};
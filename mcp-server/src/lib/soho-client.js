@@ -0,0 +1,306 @@
+const axios = require('axios');
+
+/**
+ * SOHO GraphQL client
+ * Every call to the SOHO API goes through request(), so auth headers, timeouts,
+ * retries and error handling are the same for all tools.
+ *
+ * - Queries are always sent with variables; never build values into the query text.
+ * - Transient failures (network errors, timeouts, 429 and 5xx) are retried with
+ *   exponential backoff. Mutations are only retried when the request never reached
+ *   SOHO, so a booking is never sent twice.
+ * - After repeated transient failures the circuit opens and calls fail fast with
+ *   SohoUnavailableError until the cooldown has passed.
+ * - Failures are thrown as typed errors (see below) instead of raw axios errors.
+ * - Request logs mask names, phone numbers and other personal details.
+ */
+
+const DEFAULT_API_URL = 'https://api.soho.sg/graphql';
+
+// Network errors where the request never reached SOHO, so even a mutation can be resent
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// Variable names whose values are masked in logs, including search terms (names and phone fragments)
+const PII_KEYS = new Set([
+  'name', 'first', 'last', 'mobile', 'phone', 'phoneNumber', 'email', 'display', 'notes', 'reason', 'address',
+  'resourceName', 'query', 'search', 'term'
+]);
+const EMAIL_PATTERN = /[^\s@"]+@[^\s@"]+\.[^\s@"]+/g;
+// Contact resource names, which also turn up under generic keys such as `id`
+const RESOURCE_NAME_PATTERN = /people\/[\w-]+/g;
+
+class SohoError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options - { code, status, operation, retryable, graphQLErrors, notSent }
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'SOHO_ERROR';
+    this.status = options.status || null;
+    this.operation = options.operation || null;
+    this.retryable = Boolean(options.retryable);
+    this.graphQLErrors = options.graphQLErrors || [];
+    this.notSent = Boolean(options.notSent);
+  }
+}
+
+// Missing or rejected credentials
+class SohoAuthError extends SohoError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'AUTH' });
+  }
+}
+
+// The appointment, contact or other record does not exist
+class SohoNotFoundError extends SohoError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'NOT_FOUND' });
+  }
+}
+
+// The change clashes with existing data, e.g. an overlapping booking
+class SohoConflictError extends SohoError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'CONFLICT' });
+  }
+}
+
+// SOHO rejected the input
+class SohoValidationError extends SohoError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'VALIDATION' });
+  }
+}
+
+// SOHO could not be reached, timed out, or the circuit is open
+class SohoUnavailableError extends SohoError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'UNAVAILABLE', retryable: true });
+  }
+}
+
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Read SOHO settings from the environment (read on every call so tests and
+ * hot config changes take effect)
+ * @returns {Object} Client configuration
+ */
+function getSohoConfig() {
+  return {
+    apiUrl: process.env.SOHO_API_URL || DEFAULT_API_URL,
+    authToken: process.env.SOHO_AUTH_TOKEN || '',
+    apiKey: process.env.SOHO_API_KEY || '',
+    timeoutMs: readNumber(process.env.SOHO_TIMEOUT_MS, 10000),
+    maxRetries: readNumber(process.env.SOHO_MAX_RETRIES, 2),
+    retryDelayMs: readNumber(process.env.SOHO_RETRY_DELAY_MS, 300),
+    breakerThreshold: readNumber(process.env.SOHO_BREAKER_THRESHOLD, 5),
+    breakerCooldownMs: readNumber(process.env.SOHO_BREAKER_COOLDOWN_MS, 30000)
+  };
+}
+
+// Circuit breaker state, shared by every tool in the process
+const circuit = {
+  failures: 0,
+  openUntil: 0
+};
+
+function getCircuitState(now = Date.now()) {
+  return {
+    open: circuit.openUntil > now,
+    failures: circuit.failures,
+    openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null
+  };
+}
+
+function resetCircuit() {
+  circuit.failures = 0;
+  circuit.openUntil = 0;
+}
+
+function recordFailure(config, operation) {
+  circuit.failures++;
+  if (circuit.failures >= config.breakerThreshold) {
+    circuit.openUntil = Date.now() + config.breakerCooldownMs;
+    console.error(`🚫 SOHO API circuit open for ${Math.round(config.breakerCooldownMs / 1000)}s after ${circuit.failures} failed calls (last: ${operation})`);
+  }
+}
+
+/**
+ * Mask personal details in GraphQL variables before logging them
+ * @param {*} value - Variables (or any nested value)
+ * @param {string} key - Name of the variable holding the value
+ * @returns {*} A copy that is safe to log
+ */
+function redact(value, key = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+  }
+  if (typeof value === 'string') {
+    if (key && PII_KEYS.has(key)) {
+      return value.length > 4 ? `***${value.slice(-2)}` : '***';
+    }
+    return value.replace(EMAIL_PATTERN, '***@***').replace(RESOURCE_NAME_PATTERN, 'people/***');
+  }
+  return value;
+}
+
+/**
+ * Name of the first field in a query, used for logs and errors
+ * @param {string} query - GraphQL query or mutation
+ * @returns {string}
+ */
+function getOperationName(query) {
+  const match = String(query).match(/^\s*(?:query|mutation)?[^{]*\{\s*(\w+)/);
+  return match ? match[1] : 'query';
+}
+
+function errorForStatus(status, operation, body) {
+  const detail = typeof body === 'string' ? body.slice(0, 200) : body?.errors?.[0]?.message || '';
+  const message = `SOHO API error: ${status}${detail ? ` - ${detail}` : ''}`;
+  const options = { status, operation, graphQLErrors: body?.errors || [] };
+
+  if (status === 401 || status === 403) return new SohoAuthError(message, options);
+  if (status === 404) return new SohoNotFoundError(message, options);
+  if (status === 409) return new SohoConflictError(message, options);
+  // 429 means SOHO turned the request away without processing it
+  if (status === 429) return new SohoUnavailableError(message, { ...options, notSent: true });
+  if (status >= 500) return new SohoUnavailableError(message, options);
+  if (status === 400 || status === 422) return new SohoValidationError(message, options);
+  return new SohoError(message, options);
+}
+
+function errorForGraphQL(errors, operation) {
+  const codes = errors.map(error => String(error.extensions?.code || '').toUpperCase());
+  const message = errors.map(error => error.message).filter(Boolean).join('; ') || 'Unknown GraphQL error';
+  const options = { operation, graphQLErrors: errors };
+
+  if (codes.some(code => code === 'UNAUTHENTICATED' || code === 'FORBIDDEN') || /unauthori[sz]ed|forbidden|invalid token|not authenticated/i.test(message)) {
+    return new SohoAuthError(message, options);
+  }
+  if (codes.includes('NOT_FOUND') || /not found|does not exist|no such/i.test(message)) {
+    return new SohoNotFoundError(message, options);
+  }
+  if (codes.includes('CONFLICT') || /conflict|already exists|already booked|overlap|clash/i.test(message)) {
+    return new SohoConflictError(message, options);
+  }
+  if (codes.some(code => ['BAD_USER_INPUT', 'GRAPHQL_VALIDATION_FAILED', 'GRAPHQL_PARSE_FAILED'].includes(code)) || /invalid|required|must be/i.test(message)) {
+    return new SohoValidationError(message, options);
+  }
+  return new SohoError(message, options);
+}
+
+async function send(config, query, variables, operation, timeoutMs) {
+  let response;
+  try {
+    response = await axios.post(config.apiUrl, { query, variables }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': config.authToken,
+        ...(config.apiKey ? { 'X-Api-Key': config.apiKey } : {})
+      },
+      timeout: timeoutMs,
+      // Status codes are classified below rather than thrown by axios
+      validateStatus: () => true
+    });
+  } catch (error) {
+    const reason = error.code === 'ECONNABORTED' ? `timed out after ${timeoutMs}ms` : error.code || error.message;
+    throw new SohoUnavailableError(`SOHO API unreachable: ${reason}`, {
+      operation,
+      notSent: NOT_SENT_CODES.has(error.code)
+    });
+  }
+
+  if (response.status !== 200) {
+    throw errorForStatus(response.status, operation, response.data);
+  }
+
+  const body = response.data;
+  if (Array.isArray(body?.errors) && body.errors.length > 0) {
+    throw errorForGraphQL(body.errors, operation);
+  }
+  if (!body || typeof body !== 'object' || !body.data) {
+    throw new SohoError('Invalid response format from SOHO API', { code: 'INVALID_RESPONSE', operation });
+  }
+  return body.data;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send a GraphQL query or mutation to SOHO
+ * @param {string} query - GraphQL document; pass every value through variables
+ * @param {Object} variables - GraphQL variables
+ * @param {Object} options - { operation, timeoutMs, retries }
+ * @returns {Promise<Object>} The response's `data` object
+ * @throws {SohoError} One of the typed errors above
+ */
+async function request(query, variables = {}, options = {}) {
+  const config = getSohoConfig();
+  const operation = options.operation || getOperationName(query);
+  const isMutation = /^\s*mutation\b/.test(query);
+  const maxRetries = options.retries ?? config.maxRetries;
+  const timeoutMs = options.timeoutMs ?? config.timeoutMs;
+
+  if (!config.authToken) {
+    console.error('❌ Missing SOHO_AUTH_TOKEN environment variable');
+    throw new SohoAuthError('Missing SOHO_AUTH_TOKEN environment variable', { operation });
+  }
+
+  if (circuit.openUntil > Date.now()) {
+    throw new SohoUnavailableError(`SOHO API is temporarily unavailable (circuit open until ${new Date(circuit.openUntil).toISOString()})`, {
+      operation,
+      notSent: true
+    });
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    console.log(`🔗 SOHO ${operation}${attempt > 0 ? ` (retry ${attempt})` : ''} variables: ${JSON.stringify(redact(variables))}`);
+    try {
+      const data = await send(config, query, variables, operation, timeoutMs);
+      resetCircuit();
+      return data;
+    } catch (error) {
+      if (!(error instanceof SohoUnavailableError)) {
+        // SOHO answered, so it is up even though the call failed
+        resetCircuit();
+        console.error(`❌ SOHO ${operation} failed: ${error.name}: ${error.message}`);
+        throw error;
+      }
+
+      const canRetry = attempt < maxRetries && (!isMutation || error.notSent);
+      if (!canRetry) {
+        recordFailure(config, operation);
+        console.error(`❌ SOHO ${operation} failed: ${error.message}`);
+        throw error;
+      }
+
+      const delay = config.retryDelayMs * 2 ** attempt;
+      console.warn(`🔁 SOHO ${operation} failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  request,
+  getSohoConfig,
+  getCircuitState,
+  resetCircuit,
+  redact,
+  getOperationName,
+  SohoError,
+  SohoAuthError,
+  SohoNotFoundError,
+  SohoConflictError,
+  SohoValidationError,
+  SohoUnavailableError
+};
@@ -2,6 +2,8 @@
  * Cancel appointment prompt for admin mode - used when canceling an existing appointment
  */
 
+const businessCalendar = require('../../services/businessCalendar');
+
 function createCancelPrompt(context = {}, dateInfo) {
   const { formattedDate, todayStatus } = dateInfo;
   const servicesContext = context.servicesContext || '';
@@ -57,7 +59,8 @@ ${appointmentDetailsDisplay}
 - Ask for explicit confirmation before proceeding
 
 ## 3. EXECUTE CANCELLATION
-- Use \`cancelAppointment({ appointmentId })\` to cancel the appointment
+- Use \`cancelAppointment({ appointmentId, reason })\` to cancel the appointment
+- Cancellations within 24 hours of the start are recorded as late unless you pass \`lateCancel: false\`
 - Provide confirmation of successful cancellation
 - Offer to create a new appointment if needed
 
@@ -82,7 +85,7 @@ ${appointmentDetailsDisplay}
 
 📋 **BUSINESS INFORMATION**
 - Address: 649B Jurong West Street 61 #03-302 S(642649)
-- Hours: Mon–Fri: 10:00–19:00, Sat: 10:00–17:00, Sun/Public Holidays: CLOSED
+- Hours: ${businessCalendar.describeHoursForPrompt()}
 - Phone: +65 87887000
 
 ${servicesContext}
@@ -2,6 +2,8 @@
  * Update appointment prompt for admin mode - used when updating an existing appointment
  */
 
+const businessCalendar = require('../../services/businessCalendar');
+
 function createUpdatePrompt(context = {}, dateInfo) {
   const { formattedDate, todayStatus } = dateInfo;
   const servicesContext = context.servicesContext || '';
@@ -92,7 +94,7 @@ ${appointmentDetailsDisplay}
 
 📋 **BUSINESS INFORMATION**
 - Address: 649B Jurong West Street 61 #03-302 S(642649)
-- Hours: Mon–Fri: 10:00–19:00, Sat: 10:00–17:00, Sun/Public Holidays: CLOSED
+- Hours: ${businessCalendar.describeHoursForPrompt()}
 - Phone: +65 87887000
 
 ${servicesContext}
@@ -2,6 +2,8 @@
  * Welcome prompt for admin mode - used when no customer is identified
  */
 
+const businessCalendar = require('../../services/businessCalendar');
+
 function createWelcomePrompt(context = {}, dateInfo) {
   const { formattedDate, todayStatus } = dateInfo;
   const servicesContext = context.servicesContext || '';
@@ -34,12 +36,30 @@ You are the **Admin Assistant** for Rare Beauty Professional salon.
 - **createAppointment**: Create new appointments
 - **getAppointment**: Retrieve appointment details
 - **updateAppointment**: Update existing appointments
+- **manageHolidays**: List public holidays, add extra closure days or open on a public holiday
+- **getStaffAvailability**: See which staff and rooms are free at a time ("who's free at 3pm?")
+- **holdSlot**: Hold an accepted time while the booking is confirmed
+- **manageSlotHolds**: See slots customers are holding, or release a hold
+- **blockTime**: Block out time for breaks, leave or private events (once or recurring, salon-wide or per staff member)
+- **manageBlocks**: List blocked-out time, or remove a block or recurring series
+- **bookSeries**: Propose and book follow-up or recurring appointments as a linked series (e.g. lash touch-up, facial course)
+- **manageSeries**: List, reschedule or cancel a linked series or one appointment in it
+- **getQuote**: Itemised price for a booking (bundle/off-peak/follow-up discounts, promo codes, add-ons, deposit); book with its quoteId
+- **applyPromoCode**: Check a promo code or gift voucher, or add it to a quote
+- **issueVoucher**: Issue a gift voucher with a balance
+- **managePromotions**: Create or deactivate promo codes (validity, eligible services, usage limits, combinable or not), list codes and vouchers, see redemptions
+- **manageDeposits**: A customer's no-show risk and deposit policy, deposits still to be paid, mark deposits paid or waived
+- **getCustomerProfile**: A customer's allergies, sensitive skin, lash preferences, preferred therapist and staff notes
+- **updateCustomerProfile**: Record allergies, sensitive skin, lash curl/length, preferred therapist, or add/remove a staff note
+- **updateContact**: Correct a customer's name or change their mobile number
+- **findDuplicateContacts**: Find contacts that are probably the same person (same mobile or similar name)
+- **mergeContacts**: Merge a duplicate contact into the one to keep (preview first, then confirm), or list past merges
 
 ---
 
 📋 **BUSINESS INFORMATION**
 - Address: 649B Jurong West Street 61 #03-302 S(642649)
-- Hours: Mon–Fri: 10:00–19:00, Sat: 10:00–17:00, Sun/Public Holidays: CLOSED
+- Hours: ${businessCalendar.describeHoursForPrompt()}
 - Phone: +65 87887000
 
 ${servicesContext}
@@ -0,0 +1,391 @@
+/**
+ * Tool parameter schemas
+ * Converts Zod schemas (and plain JSON-schema `parameters`) into the JSON Schema
+ * used in LLM function definitions.
+ */
+
+/**
+ * Parameters schema for tools that take no arguments
+ * @returns {Object}
+ */
+function emptyParameters() {
+  return { type: 'object', properties: {}, required: [] };
+}
+
+/**
+ * Check whether a value is a Zod schema
+ * @param {*} schema
+ * @returns {boolean}
+ */
+function isZodSchema(schema) {
+  return !!(schema && schema._def && typeof schema._def.typeName === 'string');
+}
+
+/**
+ * Check whether a Zod field may be omitted by the caller
+ * @param {Object} schema - Zod schema
+ * @returns {boolean}
+ */
+function isOptionalField(schema) {
+  const typeName = schema._def.typeName;
+  if (typeName === 'ZodOptional' || typeName === 'ZodDefault') return true;
+  if (typeName === 'ZodEffects') return isOptionalField(schema._def.schema);
+  return false;
+}
+
+/**
+ * Convert a Zod schema to JSON Schema
+ * @param {Object} schema - Zod schema
+ * @returns {Object} JSON Schema
+ */
+function zodToJsonSchema(schema) {
+  const def = schema._def;
+  let result;
+
+  switch (def.typeName) {
+    case 'ZodString': {
+      result = { type: 'string' };
+      (def.checks || []).forEach(check => {
+        if (check.kind === 'min') result.minLength = check.value;
+        if (check.kind === 'max') result.maxLength = check.value;
+        if (check.kind === 'email') result.format = 'email';
+        if (check.kind === 'datetime') result.format = 'date-time';
+        if (check.kind === 'regex') result.pattern = check.regex.source;
+      });
+      break;
+    }
+
+    case 'ZodNumber': {
+      const isInt = (def.checks || []).some(check => check.kind === 'int');
+      result = { type: isInt ? 'integer' : 'number' };
+      (def.checks || []).forEach(check => {
+        if (check.kind === 'min') result[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+        if (check.kind === 'max') result[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+      });
+      break;
+    }
+
+    case 'ZodBoolean':
+      result = { type: 'boolean' };
+      break;
+
+    case 'ZodDate':
+      result = { type: 'string', format: 'date-time' };
+      break;
+
+    case 'ZodLiteral':
+      result = { type: typeof def.value, enum: [def.value] };
+      break;
+
+    case 'ZodEnum':
+      result = { type: 'string', enum: [...def.values] };
+      break;
+
+    case 'ZodNativeEnum': {
+      const values = Object.values(def.values).filter(value => typeof def.values[value] !== 'number');
+      result = { enum: values };
+      break;
+    }
+
+    case 'ZodArray':
+      result = { type: 'array', items: zodToJsonSchema(def.type) };
+      if (def.minLength) result.minItems = def.minLength.value;
+      if (def.maxLength) result.maxItems = def.maxLength.value;
+      break;
+
+    case 'ZodObject': {
+      const shape = typeof def.shape === 'function' ? def.shape() : def.shape;
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(shape)) {
+        properties[key] = zodToJsonSchema(value);
+        if (!isOptionalField(value)) {
+          required.push(key);
+        }
+      }
+      result = { type: 'object', properties, required };
+      break;
+    }
+
+    case 'ZodRecord':
+      result = { type: 'object', additionalProperties: zodToJsonSchema(def.valueType) };
+      break;
+
+    case 'ZodUnion':
+    case 'ZodDiscriminatedUnion': {
+      const options = Array.isArray(def.options) ? def.options : [...def.options.values()];
+      const converted = options.map(option => zodToJsonSchema(option));
+      // A union of literals reads better to the model as a single enum
+      const allLiterals = converted.every(option => Array.isArray(option.enum) && option.type === converted[0].type);
+      result = allLiterals
+        ? { type: converted[0].type, enum: converted.flatMap(option => option.enum) }
+        : { anyOf: converted };
+      break;
+    }
+
+    case 'ZodOptional':
+      result = zodToJsonSchema(def.innerType);
+      break;
+
+    case 'ZodNullable': {
+      const inner = zodToJsonSchema(def.innerType);
+      result = { anyOf: [inner, { type: 'null' }] };
+      break;
+    }
+
+    case 'ZodDefault': {
+      result = zodToJsonSchema(def.innerType);
+      const defaultValue = def.defaultValue();
+      if (defaultValue !== undefined) result.default = defaultValue;
+      break;
+    }
+
+    case 'ZodEffects':
+      result = zodToJsonSchema(def.schema);
+      break;
+
+    case 'ZodAny':
+    case 'ZodUnknown':
+    default:
+      result = {};
+  }
+
+  // Descriptions set on a wrapper (e.g. .optional().describe()) win over inner ones
+  if (schema.description) {
+    result.description = schema.description;
+  }
+
+  return result;
+}
+
+/**
+ * Normalize a plain JSON-schema parameters object
+ * @param {Object} parameters - JSON schema supplied by the tool
+ * @returns {Object} Object schema with properties and required arrays
+ */
+function normalizeJsonSchema(parameters) {
+  return {
+    ...parameters,
+    type: parameters.type || 'object',
+    properties: parameters.properties || {},
+    required: Array.isArray(parameters.required) ? parameters.required : []
+  };
+}
+
+/**
+ * Get the JSON Schema for a tool's parameters
+ * Supports getParametersSchema(), Zod `schema`, plain JSON-schema `schema` and plain `parameters`
+ * @param {Object} tool - Tool instance
+ * @returns {Object} JSON Schema for the tool's parameters
+ */
+function getToolParametersSchema(tool) {
+  if (typeof tool.getParametersSchema === 'function') {
+    return tool.getParametersSchema();
+  }
+
+  if (isZodSchema(tool.schema)) {
+    const converted = zodToJsonSchema(tool.schema);
+    // Tools always take an object of named arguments
+    return converted.type === 'object' ? converted : emptyParameters();
+  }
+
+  if (tool.schema && typeof tool.schema === 'object') {
+    return normalizeJsonSchema(tool.schema);
+  }
+
+  if (tool.parameters && typeof tool.parameters === 'object') {
+    return normalizeJsonSchema(tool.parameters);
+  }
+
+  return emptyParameters();
+}
+
+/**
+ * Build the function definition sent to the LLM for a tool
+ * @param {Object} tool - Tool instance
+ * @returns {Object} { type: 'function', function: { name, description, parameters } }
+ */
+function toolToFunctionDefinition(tool) {
+  return {
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description || `Tool: ${tool.name}`,
+      parameters: getToolParametersSchema(tool)
+    }
+  };
+}
+
+/**
+ * Coerce a value towards a JSON Schema where the intent is unambiguous
+ * ("5" -> 5, "true" -> true, 5 -> "5", "x" -> ["x"], "a, b" -> ["a", "b"] for string lists);
+ * anything else is left alone
+ * @param {*} value - Value from the model
+ * @param {Object} schema - JSON Schema for the value
+ * @returns {*} Coerced value
+ */
+function coerceValue(value, schema = {}) {
+  if (value === undefined || value === null) return value;
+
+  if (Array.isArray(schema.anyOf)) {
+    // Leave the value alone if any option already accepts its type
+    if (schema.anyOf.some(option => matchesType(value, option.type))) return value;
+    for (const option of schema.anyOf) {
+      const coerced = coerceValue(value, option);
+      if (matchesType(coerced, option.type)) return coerced;
+    }
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        return Number(value.trim());
+      }
+      return value;
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return value;
+    case 'array': {
+      // Models often send a list of IDs as one comma-separated string
+      const items = Array.isArray(value)
+        ? value
+        : typeof value === 'string' && schema.items?.type === 'string'
+          ? value.split(',').map(item => item.trim()).filter(Boolean)
+          : [value];
+      return items.map(item => coerceValue(item, schema.items));
+    }
+    case 'object':
+      if (value && typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+        const required = schema.required || [];
+        const result = { ...value };
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+          // null for an optional field means "not provided"
+          if (result[key] === null && !required.includes(key)) {
+            delete result[key];
+          } else if (key in result) {
+            result[key] = coerceValue(result[key], propertySchema);
+          }
+        }
+        return result;
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value
+ * @param {string|Array<string>} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (!type) return true;
+  if (Array.isArray(type)) return type.some(t => matchesType(value, t));
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+/**
+ * Validate a value against a (plain) JSON Schema
+ * Covers the subset tools use: type, enum, required, properties, items and anyOf
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Dotted path used in issue messages
+ * @returns {Array<Object>} Issues as { field, message }
+ */
+function checkJsonSchema(value, schema = {}, path = '') {
+  const field = path || '(arguments)';
+
+  if (Array.isArray(schema.anyOf)) {
+    const matches = schema.anyOf.some(option => checkJsonSchema(value, option, path).length === 0);
+    return matches ? [] : [{ field, message: 'Value does not match any allowed type' }];
+  }
+
+  if (!matchesType(value, schema.type)) {
+    return [{ field, message: `Expected ${schema.type}, received ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}` }];
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    return [{ field, message: `Must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const issues = [];
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      issues.push(...checkJsonSchema(item, schema.items, path ? `${path}.${index}` : String(index)));
+    });
+  }
+
+  if (schema.type === 'object' && value && typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        issues.push({ field: path ? `${path}.${key}` : key, message: 'Required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        issues.push(...checkJsonSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Validate (and safely coerce) tool arguments against the tool's schema
+ * @param {Object} tool - Tool instance
+ * @param {Object} args - Parsed arguments from the model
+ * @returns {Object} { valid, args, issues } where args are the coerced (and for Zod, parsed) arguments
+ */
+function validateToolArguments(tool, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return { valid: false, args, issues: [{ field: '(arguments)', message: 'Arguments must be a JSON object' }] };
+  }
+
+  const parameters = getToolParametersSchema(tool);
+  const coerced = coerceValue(args, parameters);
+
+  if (isZodSchema(tool.schema)) {
+    const result = tool.schema.safeParse(coerced);
+    if (result.success) {
+      return { valid: true, args: result.data, issues: [] };
+    }
+    return {
+      valid: false,
+      args: coerced,
+      issues: result.error.issues.map(issue => ({
+        field: issue.path.join('.') || '(arguments)',
+        message: issue.message
+      }))
+    };
+  }
+
+  const issues = checkJsonSchema(coerced, parameters);
+  return { valid: issues.length === 0, args: coerced, issues };
+}
+
+module.exports = {
+  isZodSchema,
+  zodToJsonSchema,
+  getToolParametersSchema,
+  toolToFunctionDefinition,
+  coerceValue,
+  validateToolArguments
+};
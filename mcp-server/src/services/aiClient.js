@@ -3,17 +3,15 @@
  * This is a thin wrapper around ChatService
  */
 const ChatService = require('./chatService');
+const { getLLMConfig } = require('../lib/llm-provider');
 
 class AIClient {
   constructor(config = {}) {
-    this.config = {
-      apiKey: process.env.AI_API_KEY,
-      model: process.env.AI_MODEL || 'gpt-4o',
-      ...config
-    };
+    // Provider, model and key come from LLM_PROVIDER / AI_MODEL / AI_API_KEY unless overridden
+    this.config = getLLMConfig(config);
     
     // Create a ChatService instance
-    this.chatService = new ChatService();
+    this.chatService = new ChatService({ llmConfig: this.config });
   }
 
   /**
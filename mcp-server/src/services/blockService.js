@@ -0,0 +1,210 @@
+/**
+ * Block Service - Time blocked out on the availability calendar
+ * Breaks, leave and private events are written as block events through the
+ * calendar provider, so availability and booking checks treat them as busy
+ * time. A block covers the whole salon, or one staff member when it has a
+ * staffId.
+ *
+ * Recurring blocks are stored as one event per occurrence sharing a seriesId,
+ * so a single day can be removed without touching the rest of the series.
+ */
+const crypto = require('crypto');
+const { getCalendarProvider, isBlock } = require('../lib/calendar-provider');
+const businessCalendar = require('./businessCalendar');
+const resourceService = require('./resourceService');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_OCCURRENCES = 100;
+// How far ahead series are looked up and recurrences may run
+const MAX_RANGE_DAYS = 366;
+
+function rangesOverlap(a, b) {
+  return a.start < b.end && a.end > b.start;
+}
+
+function eventRange(event) {
+  return {
+    start: new Date(event.start.dateTime || event.start.date),
+    end: new Date(event.end.dateTime || event.end.date)
+  };
+}
+
+class BlockService {
+  /**
+   * Dates a block falls on
+   * @param {string} date - First day, YYYY-MM-DD
+   * @param {Object|null} recurrence - { frequency: 'daily'|'weekly', interval, days, until, count }
+   * @returns {Array<string>} Dates (YYYY-MM-DD); recurring blocks skip days the salon is closed
+   */
+  expandDates(date, recurrence = null) {
+    if (!recurrence) return [date];
+
+    const { frequency, interval = 1, until, count } = recurrence;
+    if (!until && !count) {
+      throw new Error('A recurring block needs an end date (until) or a number of occurrences (count)');
+    }
+
+    const first = businessCalendar.toMoment(date);
+    const last = until ? businessCalendar.toMoment(until) : first.clone().add(MAX_RANGE_DAYS, 'days');
+    if (last.isBefore(first, 'day')) {
+      throw new Error('The recurrence ends before it starts');
+    }
+    if (last.diff(first, 'days') > MAX_RANGE_DAYS) {
+      throw new Error(`Recurring blocks can run for at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    const days = (recurrence.days && recurrence.days.length > 0)
+      ? recurrence.days.map(day => day.toLowerCase())
+      : [WEEKDAYS[first.day()]];
+    const dates = [];
+
+    for (const day = first.clone(); !day.isAfter(last, 'day'); day.add(1, 'day')) {
+      const matches = frequency === 'daily'
+        ? day.diff(first, 'days') % interval === 0
+        : days.includes(WEEKDAYS[day.day()]) && day.clone().startOf('isoWeek').diff(first.clone().startOf('isoWeek'), 'weeks') % interval === 0;
+
+      if (!matches || !businessCalendar.getDay(day.format('YYYY-MM-DD')).isOpen) continue;
+
+      dates.push(day.format('YYYY-MM-DD'));
+      if (count && dates.length >= count) break;
+      if (dates.length > MAX_OCCURRENCES) {
+        throw new Error(`A recurring block can have at most ${MAX_OCCURRENCES} occurrences`);
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Start and end of a block on a date; no times blocks the whole day
+   * @returns {Object} { start: Date, end: Date, allDay }
+   */
+  getRange(date, startTime = null, endTime = null) {
+    if (!startTime && !endTime) {
+      const start = businessCalendar.atTime(date, '00:00');
+      return { start, end: businessCalendar.toMoment(start).add(1, 'day').toDate(), allDay: true };
+    }
+    if (!startTime || !endTime) {
+      throw new Error('Give both a start and an end time, or neither to block the whole day');
+    }
+
+    const start = businessCalendar.atTime(date, startTime);
+    const end = businessCalendar.atTime(date, endTime);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      throw new Error('The end time must be after the start time (HH:mm)');
+    }
+    return { start, end, allDay: false };
+  }
+
+  /**
+   * Existing bookings that overlap the given ranges
+   * Staff blocks only conflict with that staff member's bookings.
+   * @param {Array<Object>} ranges - [{ start, end }]
+   * @param {string|null} staffId
+   * @returns {Promise<Array<Object>>} Calendar events
+   */
+  async findConflicts(ranges, staffId = null) {
+    if (ranges.length === 0) return [];
+
+    const events = await getCalendarProvider().listBusy(ranges[0].start, ranges[ranges.length - 1].end);
+    return events.filter(event => {
+      if (isBlock(event)) return false;
+      if (staffId && resourceService.getEventResources(event).staffId !== staffId) return false;
+      const range = eventRange(event);
+      return ranges.some(block => rangesOverlap(block, range));
+    });
+  }
+
+  /**
+   * Block out time, once or on a recurrence
+   * @param {Object} options - { date, startTime, endTime, reason, staffId, recurrence }
+   * @returns {Promise<Object>} { seriesId, blocks, conflicts }
+   */
+  async createBlocks({ date, startTime = null, endTime = null, reason = 'Blocked', staffId = null, recurrence = null }) {
+    const ranges = this.expandDates(date, recurrence).map(day => this.getRange(day, startTime, endTime));
+    if (ranges.length === 0) {
+      throw new Error('The recurrence has no days the salon is open');
+    }
+
+    const conflicts = await this.findConflicts(ranges, staffId);
+    const seriesId = ranges.length > 1 ? `series-${crypto.randomUUID()}` : null;
+    const provider = getCalendarProvider();
+    const blocks = [];
+
+    for (const range of ranges) {
+      blocks.push(await provider.createBlock({ start: range.start, end: range.end, summary: reason, staffId, seriesId }));
+    }
+
+    console.log(`🚫 Blocked ${blocks.length} time range(s)${staffId ? ` for ${staffId}` : ''}: ${reason}`);
+    return { seriesId, blocks, conflicts };
+  }
+
+  /**
+   * Blocks in a date range, soonest first
+   * @param {Object} options - { from: Date, to: Date, staffId } - staffId keeps that staff member's and salon-wide blocks
+   * @returns {Promise<Array<Object>>} Calendar events
+   */
+  async listBlocks({ from, to, staffId = null }) {
+    const events = await getCalendarProvider().listBusy(from, to);
+    return events.filter(event => {
+      if (!isBlock(event)) return false;
+      const blockStaff = event.extendedProperties.private.staffId;
+      return !staffId || !blockStaff || blockStaff === staffId;
+    });
+  }
+
+  /**
+   * Remove one block
+   * @param {string} id - Block event ID
+   * @returns {Promise<boolean>} Whether it was found; false for events that aren't blocks, e.g. bookings
+   */
+  async removeBlock(id) {
+    return getCalendarProvider().deleteBlock(id);
+  }
+
+  /**
+   * Remove the blocks of a series from a date on
+   * @param {string} seriesId
+   * @param {string} [fromDate] - YYYY-MM-DD (default today); earlier blocks are kept
+   * @returns {Promise<number>} Blocks removed
+   */
+  async removeSeries(seriesId, fromDate = businessCalendar.formatDate(new Date())) {
+    const from = businessCalendar.atTime(fromDate, '00:00');
+    const to = businessCalendar.toMoment(from).add(MAX_RANGE_DAYS + 1, 'days').toDate();
+    const blocks = (await this.listBlocks({ from, to }))
+      .filter(event => event.extendedProperties.private.seriesId === seriesId);
+
+    let removed = 0;
+    for (const block of blocks) {
+      if (await this.removeBlock(block.id)) removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Summary of a block for tool results
+   * @param {Object} event - Block event
+   * @returns {Object}
+   */
+  describe(event) {
+    const { start, end } = eventRange(event);
+    const tagged = event.extendedProperties?.private || {};
+    const allDay = Boolean(event.start.date) || (end - start >= 24 * 60 * 60000 && businessCalendar.formatTime(start) === '00:00');
+
+    return {
+      id: event.id,
+      seriesId: tagged.seriesId || null,
+      date: businessCalendar.formatDate(start),
+      start: allDay ? null : businessCalendar.toMoment(start).format('h:mm A'),
+      end: allDay ? null : businessCalendar.toMoment(end).format('h:mm A'),
+      allDay,
+      reason: event.summary || 'Blocked',
+      staff: tagged.staffId ? resourceService.findStaff(tagged.staffId)?.name || tagged.staffId : null
+    };
+  }
+}
+
+// Export a singleton instance
+const blockService = new BlockService();
+
+module.exports = blockService;
@@ -0,0 +1,96 @@
+/**
+ * Booking Ledger - Idempotency for createAppointment
+ * A retried tool call (LLM retry, double-sent message, history-fix re-run) has the
+ * same idempotency key as the original, so it gets the original result back
+ * instead of submitting the booking again. Calls that arrive while the first is
+ * still running wait for it. Completed bookings are remembered for a short time.
+ */
+const crypto = require('crypto');
+
+// How long a completed booking is remembered
+const RECORD_TTL_MINUTES = 30;
+
+class BookingLedger {
+  constructor() {
+    // key -> { status: 'pending' | 'completed', promise, result, expiresAt }
+    this.records = new Map();
+  }
+
+  /**
+   * Build an idempotency key from session + customer + services + start time
+   * @param {Object} options - { sessionId, resourceName, serviceIds, start }
+   * @returns {string}
+   */
+  makeKey({ sessionId, resourceName, serviceIds = [], start }) {
+    const parts = [
+      sessionId || '',
+      resourceName || '',
+      [...serviceIds].map(String).sort().join(','),
+      new Date(start).toISOString()
+    ];
+    return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+  }
+
+  purgeExpired(now = Date.now()) {
+    for (const [key, record] of this.records) {
+      if (record.status === 'completed' && record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Run a booking once per key
+   * Only successful results are remembered, so a failed booking can be retried.
+   * @param {string} key - From makeKey()
+   * @param {Function} book - async () => tool result JSON
+   * @returns {Promise<Object>} { result, replayed }
+   */
+  async run(key, book) {
+    this.purgeExpired();
+    const existing = this.records.get(key);
+
+    if (existing?.status === 'completed') {
+      console.log(`♻️ Booking ${key.slice(0, 12)} already completed, returning the recorded result`);
+      return { result: existing.result, replayed: true };
+    }
+
+    if (existing?.status === 'pending') {
+      console.log(`♻️ Booking ${key.slice(0, 12)} is already in progress, waiting for it`);
+      return { result: await existing.promise, replayed: true };
+    }
+
+    const promise = Promise.resolve().then(book);
+    this.records.set(key, { status: 'pending', promise });
+
+    try {
+      const result = await promise;
+      if (isSuccessful(result)) {
+        this.records.set(key, { status: 'completed', result, expiresAt: Date.now() + RECORD_TTL_MINUTES * 60000 });
+      } else {
+        this.records.delete(key);
+      }
+      return { result, replayed: false };
+    } catch (error) {
+      this.records.delete(key);
+      throw error;
+    }
+  }
+
+  clear() {
+    this.records.clear();
+  }
+}
+
+function isSuccessful(result) {
+  try {
+    return JSON.parse(result).success === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Export a singleton instance
+const bookingLedger = new BookingLedger();
+
+module.exports = bookingLedger;
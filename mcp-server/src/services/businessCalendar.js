@@ -0,0 +1,478 @@
+/**
+ * Business Calendar - Single source of truth for opening hours
+ * Weekly hours, special-hours dates, ad-hoc closures, lunch breaks and the
+ * minimum booking lead time. Used by slot generation, booking validation,
+ * the "today" status text and the prompts.
+ *
+ * Defaults can be overridden with a JSON file (BUSINESS_CALENDAR_FILE) or at
+ * runtime through configure().
+ */
+const fs = require('fs');
+const moment = require('moment-timezone');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Monday-first order used when describing the week
+const DISPLAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const DEFAULT_CONFIG = {
+  timezone: 'Asia/Singapore',
+  // Bookings must start at least this many minutes from now
+  minLeadMinutes: 60,
+  // null means closed all day
+  weeklyHours: {
+    monday: { open: '10:00', close: '19:00' },
+    tuesday: { open: '10:00', close: '19:00' },
+    wednesday: { open: '10:00', close: '19:00' },
+    thursday: { open: '10:00', close: '19:00' },
+    friday: { open: '10:00', close: '19:00' },
+    saturday: { open: '10:00', close: '17:00' },
+    sunday: null
+  },
+  // [{ start: '13:00', end: '14:00', days: ['monday', ...] }] - omit days to apply every open day
+  breaks: [],
+  // { 'YYYY-MM-DD': { open, close, reason } }
+  specialHours: {},
+  // { 'YYYY-MM-DD': 'reason' }
+  closures: {},
+  // Cleanup/buffer minutes added after each service: per service ID, then per category, then the default
+  serviceBuffers: {
+    default: 0,
+    services: {},
+    categories: {}
+  }
+};
+
+/**
+ * Convert "HH:mm" to minutes after midnight
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Convert minutes after midnight to "HH:mm"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function fromMinutes(minutes) {
+  return `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+}
+
+class BusinessCalendar {
+  /**
+   * @param {Object|null} config - Overrides; when omitted the config is loaded on first use,
+   * after dotenv has had a chance to set BUSINESS_CALENDAR_FILE
+   */
+  constructor(config = null) {
+    this._config = config ? this.mergeConfig(DEFAULT_CONFIG, config) : null;
+  }
+
+  get config() {
+    if (!this._config) {
+      this._config = this.mergeConfig(DEFAULT_CONFIG, loadConfigFile());
+    }
+    return this._config;
+  }
+
+  set config(value) {
+    this._config = value;
+  }
+
+  /**
+   * Merge overrides into a base config (maps are merged, everything else replaced)
+   * @param {Object} base
+   * @param {Object} overrides
+   * @returns {Object}
+   */
+  mergeConfig(base, overrides = {}) {
+    return {
+      ...base,
+      ...overrides,
+      weeklyHours: { ...base.weeklyHours, ...(overrides.weeklyHours || {}) },
+      specialHours: { ...base.specialHours, ...(overrides.specialHours || {}) },
+      closures: { ...base.closures, ...(overrides.closures || {}) },
+      serviceBuffers: {
+        ...base.serviceBuffers,
+        ...(overrides.serviceBuffers || {}),
+        services: { ...base.serviceBuffers?.services, ...(overrides.serviceBuffers?.services || {}) },
+        categories: { ...base.serviceBuffers?.categories, ...(overrides.serviceBuffers?.categories || {}) }
+      },
+      breaks: overrides.breaks || base.breaks
+    };
+  }
+
+  /**
+   * Apply config overrides
+   * @param {Object} overrides - Partial config
+   * @returns {Object} The resulting config
+   */
+  configure(overrides = {}) {
+    this.config = this.mergeConfig(this.config, overrides);
+    return this.config;
+  }
+
+  /**
+   * Restore the defaults (plus BUSINESS_CALENDAR_FILE, if set)
+   */
+  reset() {
+    this._config = null;
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Interpret a date, Date or moment in the business timezone
+   * @param {string|Date|Object} value - 'YYYY-MM-DD', ISO string, Date or moment
+   * @returns {Object} moment in the business timezone
+   */
+  toMoment(value = new Date()) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return moment.tz(value, 'YYYY-MM-DD', this.config.timezone);
+    }
+    return moment.tz(value, this.config.timezone);
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD in the business timezone
+   */
+  formatDate(value) {
+    return this.toMoment(value).format('YYYY-MM-DD');
+  }
+
+  /**
+   * Format a time as HH:mm in the business timezone
+   */
+  formatTime(value) {
+    return this.toMoment(value).format('HH:mm');
+  }
+
+  /**
+   * Get the opening hours for a date
+   * @param {string|Date|Object} date
+   * @returns {Object} { date, weekday, isOpen, open, close, breaks, reason, isSpecial, isWeeklyClosure }
+   */
+  getDay(date) {
+    const day = this.toMoment(date);
+    const dateStr = day.format('YYYY-MM-DD');
+    const weekday = WEEKDAYS[day.day()];
+    const base = { date: dateStr, weekday, isOpen: false, open: null, close: null, breaks: [], reason: null, isSpecial: false, isWeeklyClosure: false };
+
+    if (this.config.closures[dateStr] !== undefined) {
+      return { ...base, reason: this.config.closures[dateStr] || 'Closed' };
+    }
+
+    const special = this.config.specialHours[dateStr];
+    const hours = special || this.config.weeklyHours[weekday];
+    if (!hours) {
+      return { ...base, isWeeklyClosure: true };
+    }
+
+    const breaks = (this.config.breaks || [])
+      .filter(b => !b.days || b.days.includes(weekday))
+      .filter(b => toMinutes(b.start) < toMinutes(hours.close) && toMinutes(b.end) > toMinutes(hours.open))
+      .map(b => ({ start: b.start, end: b.end }));
+
+    return {
+      ...base,
+      isOpen: true,
+      open: hours.open,
+      close: hours.close,
+      breaks,
+      reason: special?.reason || null,
+      isSpecial: Boolean(special)
+    };
+  }
+
+  /**
+   * Turn an "HH:mm" on a date into a Date
+   */
+  atTime(dateStr, time) {
+    return moment.tz(`${dateStr} ${time}`, 'YYYY-MM-DD HH:mm', this.config.timezone).toDate();
+  }
+
+  /**
+   * Get the opening and closing time for a date
+   * @returns {Object|null} { start: Date, end: Date }, or null when closed
+   */
+  getOpeningWindow(date) {
+    const day = this.getDay(date);
+    if (!day.isOpen) return null;
+    return { start: this.atTime(day.date, day.open), end: this.atTime(day.date, day.close) };
+  }
+
+  /**
+   * Buffer/cleanup minutes to add after a service
+   * @param {Object} service - { id, category }
+   * @returns {number}
+   */
+  getServiceBuffer(service = {}) {
+    const buffers = this.config.serviceBuffers || {};
+    if (service.id && buffers.services?.[service.id] !== undefined) {
+      return buffers.services[service.id];
+    }
+    if (service.category && buffers.categories?.[service.category] !== undefined) {
+      return buffers.categories[service.category];
+    }
+    return buffers.default || 0;
+  }
+
+  /**
+   * Earliest time a booking may start
+   * @param {Date} now
+   * @returns {Date}
+   */
+  getEarliestBookingTime(now = new Date()) {
+    return new Date(now.getTime() + (this.config.minLeadMinutes || 0) * 60000);
+  }
+
+  /**
+   * Ranges inside the opening window that cannot be booked: breaks and the lead time
+   * @param {string|Date} date
+   * @param {Date} now
+   * @returns {Array<Object>} [{ start: Date, end: Date, reason }]
+   */
+  getBlockedRanges(date, now = new Date()) {
+    const day = this.getDay(date);
+    if (!day.isOpen) return [];
+
+    const ranges = day.breaks.map(b => ({
+      start: this.atTime(day.date, b.start),
+      end: this.atTime(day.date, b.end),
+      reason: 'break'
+    }));
+
+    const open = this.atTime(day.date, day.open);
+    const earliest = this.getEarliestBookingTime(now);
+    if (earliest > open) {
+      ranges.push({ start: open, end: earliest, reason: 'lead_time' });
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Customer-facing message for a closed day
+   * @param {Object} day - Result of getDay()
+   * @returns {string}
+   */
+  getClosedMessage(day) {
+    if (day.isWeeklyClosure) {
+      const weekday = day.weekday.charAt(0).toUpperCase() + day.weekday.slice(1);
+      return `I'm sorry, we're closed on ${weekday}s. Please choose another day.`;
+    }
+    const label = this.toMoment(day.date).format('dddd, D MMMM');
+    return `I'm sorry, we're closed on ${label} (${day.reason}). Please choose another day.`;
+  }
+
+  /**
+   * Check that a booking fits the business calendar
+   * @param {string|Date|Object} start - Booking start
+   * @param {number} durationMinutes - Total duration
+   * @param {Object} options - { now, ignoreHours } where ignoreHours skips everything except closed days
+   * @returns {Object} { valid, error, message }
+   */
+  checkBooking(start, durationMinutes = 0, options = {}) {
+    const { now = new Date(), ignoreHours = false } = options;
+    const startMoment = this.toMoment(start);
+    const day = this.getDay(startMoment);
+
+    if (!day.isOpen) {
+      return {
+        valid: false,
+        error: day.isWeeklyClosure ? `Cannot book on ${day.weekday.charAt(0).toUpperCase() + day.weekday.slice(1)}` : 'Cannot book on closed day',
+        message: this.getClosedMessage(day)
+      };
+    }
+
+    if (ignoreHours) {
+      return { valid: true };
+    }
+
+    const startMinutes = startMoment.hours() * 60 + startMoment.minutes();
+    const endMinutes = startMinutes + durationMinutes;
+
+    if (startMinutes < toMinutes(day.open) || endMinutes > toMinutes(day.close)) {
+      const latestStart = toMinutes(day.close) - durationMinutes;
+      const hoursText = `We're open ${day.open}–${day.close} on ${startMoment.format('dddd')}${day.isSpecial ? ' (special hours)' : ''}`;
+      return {
+        valid: false,
+        error: 'Outside business hours',
+        message: latestStart >= toMinutes(day.open)
+          ? `${hoursText}, so a ${durationMinutes}-minute appointment has to start between ${day.open} and ${fromMinutes(latestStart)}.`
+          : `${hoursText}, which is too short for a ${durationMinutes}-minute appointment. Please choose another day.`
+      };
+    }
+
+    const clash = day.breaks.find(b => startMinutes < toMinutes(b.end) && endMinutes > toMinutes(b.start));
+    if (clash) {
+      return {
+        valid: false,
+        error: 'Overlaps break',
+        message: `That time overlaps our break from ${clash.start} to ${clash.end}. Please choose another time.`
+      };
+    }
+
+    const earliest = this.getEarliestBookingTime(now);
+    if (startMoment.toDate() < earliest) {
+      return {
+        valid: false,
+        error: 'Insufficient notice',
+        message: `Bookings need at least ${this.config.minLeadMinutes} minutes' notice. The earliest possible start is ${this.toMoment(earliest).format('h:mm A')}.`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Status line for today used in prompts
+   * @param {Date} now
+   * @returns {string}
+   */
+  getTodayStatus(now = new Date()) {
+    const day = this.getDay(now);
+    if (!day.isOpen) {
+      return `The salon is CLOSED today${day.reason ? ` (${day.reason})` : ''}.`;
+    }
+
+    const breaks = day.breaks.length > 0
+      ? `, break ${day.breaks.map(b => `${b.start}–${b.end}`).join(', ')}`
+      : '';
+    const special = day.isSpecial ? ` (special hours${day.reason ? `: ${day.reason}` : ''})` : '';
+    return `The salon is open today ${day.open}–${day.close}${breaks}${special}.`;
+  }
+
+  /**
+   * Date details passed to the prompt builders
+   * @param {Date} now
+   * @returns {Object} { formattedDate, isSunday, isOpenToday, isPublicHoliday, holidayName, todayStatus }
+   */
+  getDateInfo(now = new Date()) {
+    const today = this.toMoment(now);
+    return {
+      formattedDate: today.format('dddd, MMMM D, YYYY'),
+      isSunday: today.day() === 0,
+      isOpenToday: this.getDay(today).isOpen,
+      isPublicHoliday: false,
+      holidayName: '',
+      todayStatus: this.getTodayStatus(now)
+    };
+  }
+
+  /**
+   * Compact description of the weekly hours, e.g. "Mon–Fri: 10:00–19:00, Sat: 10:00–17:00, Sun: CLOSED"
+   * @returns {string}
+   */
+  describeWeeklyHours() {
+    const label = index => moment().day(index).format('ddd');
+    const hoursText = index => {
+      const hours = this.config.weeklyHours[WEEKDAYS[index]];
+      return hours ? `${hours.open}–${hours.close}` : 'CLOSED';
+    };
+
+    // Group consecutive days that share the same hours
+    const groups = [];
+    DISPLAY_ORDER.forEach(index => {
+      const last = groups[groups.length - 1];
+      if (last && last.text === hoursText(index)) {
+        last.to = index;
+      } else {
+        groups.push({ from: index, to: index, text: hoursText(index) });
+      }
+    });
+
+    return groups
+      .map(g => `${g.from === g.to ? label(g.from) : `${label(g.from)}–${label(g.to)}`}: ${g.text}`)
+      .join(', ');
+  }
+
+  /**
+   * One line per weekday, e.g. "  - Monday: 10:00 - 19:00", followed by any breaks
+   * @returns {string}
+   */
+  describeWeeklyHoursList() {
+    const lines = DISPLAY_ORDER.map(index => {
+      const weekday = WEEKDAYS[index];
+      const hours = this.config.weeklyHours[weekday];
+      const name = weekday.charAt(0).toUpperCase() + weekday.slice(1);
+      return `  - ${name}: ${hours ? `${hours.open} - ${hours.close}` : 'CLOSED'}`;
+    });
+
+    (this.config.breaks || []).forEach(b => {
+      lines.push(`  - Break: ${b.start} - ${b.end}${b.days ? ` (${b.days.map(d => d.charAt(0).toUpperCase() + d.slice(1)).join(', ')})` : ''}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Hours text for the prompts, with breaks, minimum notice and upcoming special hours or closures
+   * @param {Date} now
+   * @returns {string}
+   */
+  describeHoursForPrompt(now = new Date()) {
+    const lines = [`${this.describeWeeklyHours()}, Public Holidays: CLOSED`];
+    const breaks = (this.config.breaks || []).map(b => `${b.start}–${b.end}${b.days ? ` (${b.days.map(d => d.slice(0, 3)).join('/')})` : ''}`);
+    if (breaks.length > 0) {
+      lines.push(`- Break: ${breaks.join(', ')} (not bookable)`);
+    }
+    if (this.config.minLeadMinutes) {
+      lines.push(`- Minimum notice for bookings: ${this.config.minLeadMinutes} minutes`);
+    }
+    const exceptions = this.describeUpcomingExceptions(now);
+    if (exceptions.length > 0) {
+      lines.push(`- Upcoming special hours/closures: ${exceptions.join('; ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Special hours and closures in the coming days
+   * @param {Date} now
+   * @param {number} days - How far ahead to look
+   * @returns {Array<string>} e.g. ["Wed 24 Dec: 10:00–15:00 (Christmas Eve)", "Fri 1 Aug: CLOSED (Staff training)"]
+   */
+  describeUpcomingExceptions(now = new Date(), days = 30) {
+    const from = this.formatDate(now);
+    const to = this.toMoment(now).add(days, 'days').format('YYYY-MM-DD');
+    const dates = [...Object.keys(this.config.specialHours), ...Object.keys(this.config.closures)]
+      .filter(date => date >= from && date <= to)
+      .sort();
+
+    return [...new Set(dates)].map(date => {
+      const day = this.getDay(date);
+      const label = this.toMoment(date).format('ddd D MMM');
+      return day.isOpen
+        ? `${label}: ${day.open}–${day.close}${day.reason ? ` (${day.reason})` : ''}`
+        : `${label}: CLOSED (${day.reason})`;
+    });
+  }
+}
+
+/**
+ * Read overrides from BUSINESS_CALENDAR_FILE, if configured
+ * @returns {Object}
+ */
+function loadConfigFile() {
+  const filePath = process.env.BUSINESS_CALENDAR_FILE;
+  if (!filePath) return {};
+
+  try {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`📅 Loaded business calendar from ${filePath}`);
+    return config;
+  } catch (error) {
+    console.error(`❌ Error loading business calendar from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+// Export a singleton instance
+const businessCalendar = new BusinessCalendar();
+
+module.exports = businessCalendar;
@@ -1,14 +1,68 @@
 const { createAdminSystemPrompt, createCustomerSystemPrompt } = require('../prompts');
-const { ChatOpenAI } = require('@langchain/openai');
+const { createLLM } = require('../lib/llm-provider');
 const MCPContext = require('../models/MCPContext');
 const { createTools } = require('../tools');
 const { wrapToolCall, wrapToolResult, validateToolCall, validateToolResult } = require('../schemas/stido');
+const { toolToFunctionDefinition, validateToolArguments } = require('../schemas/toolSchema');
+const { getRole, isToolAllowed, checkToolPermission } = require('../tools/permissions');
+const businessCalendar = require('./businessCalendar');
+const holidayService = require('./holidayService');
+const profileService = require('./profileService');
+
+// Friendly status lines shown to the user while a tool runs
+const TOOL_STATUS_MESSAGES = {
+  lookupAndHistory: 'Looking up customer details…',
+  lookupUser: 'Looking up customer details…',
+  searchCustomers: 'Searching customers…',
+  createContact: 'Creating contact…',
+  listServices: 'Loading services…',
+  getServiceInfo: 'Loading service details…',
+  selectServices: 'Selecting services…',
+  getAvailableSlots: 'Checking availability…',
+  createAppointment: 'Booking appointment…',
+  updateAppointment: 'Updating appointment…',
+  cancelAppointment: 'Cancelling appointment…',
+  getAppointment: 'Fetching appointment…',
+  manageHolidays: 'Updating holiday calendar…',
+  getStaffAvailability: 'Checking who is free…',
+  holdSlot: 'Holding your slot…',
+  manageSlotHolds: 'Checking held slots…',
+  blockTime: 'Blocking out time…',
+  manageBlocks: 'Checking blocked time…',
+  bookSeries: 'Planning follow-up appointments…',
+  manageSeries: 'Updating appointment series…',
+  getQuote: 'Working out the price…',
+  applyPromoCode: 'Checking your code…',
+  issueVoucher: 'Issuing a gift voucher…',
+  managePromotions: 'Updating promotions…',
+  manageDeposits: 'Checking deposits…',
+  getCustomerProfile: 'Checking the customer profile…',
+  updateCustomerProfile: 'Updating the customer profile…',
+  updateContact: 'Updating the contact…',
+  findDuplicateContacts: 'Looking for duplicate contacts…',
+  mergeContacts: 'Merging contacts…'
+};
 
 /**
  * Service to handle chat interactions with the LLM
  */
 class ChatService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Optional settings
+   * @param {number} [options.maxAgentSteps] - Max LLM round trips per user message
+   * @param {number} [options.maxRepeatedToolCalls] - How often the same tool call may repeat in one turn
+   * @param {Object} [options.llmConfig] - Provider settings passed to createLLM (provider, model, apiKey, ...)
+   * @param {Object} [options.llm] - Ready-made chat model to use for every session (e.g. a FakeChatModel)
+   */
+  constructor(options = {}) {
+    // LLM provider settings; the environment fills in anything not given here
+    this.llmConfig = options.llmConfig || {};
+    this.llm = options.llm || null;
+    
+    // Agent loop limits (fall back to env, then defaults)
+    this.maxAgentSteps = parseInt(options.maxAgentSteps || process.env.AGENT_MAX_STEPS, 10) || 8;
+    this.maxRepeatedToolCalls = parseInt(options.maxRepeatedToolCalls || process.env.AGENT_MAX_REPEATED_CALLS, 10) || 2;
+    
     // Store executors in memory keyed by session ID
     this.executors = new Map();
     this.adminExecutors = new Map();
@@ -16,33 +70,25 @@ class ChatService {
     this.contexts = new Map();
     // Flag to track if history was fixed during processing
     this.historyWasFixed = false;
+    // Count of rejected tool calls per tool name
+    this.toolValidationFailures = new Map();
   }
 
   /**
    * Get current date information for prompts
    */
   getDateInfo() {
-    const now = new Date();
-    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-    const formattedDate = now.toLocaleDateString('en-US', options);
-    
-    // Sunday is 0, Saturday is 6
-    const isSunday = now.getDay() === 0;
-    const isPublicHoliday = false; // Placeholder for holiday check
-    const holidayName = "";
-    
-    let todayStatus = "The salon is open today.";
-    if (isSunday || isPublicHoliday) {
-      todayStatus = `The salon is CLOSED today${isPublicHoliday ? ` (${holidayName})` : ''}.`;
+    const dateInfo = businessCalendar.getDateInfo();
+    const holiday = holidayService.lookup(new Date());
+
+    if (holiday.isHoliday) {
+      dateInfo.isPublicHoliday = true;
+      dateInfo.holidayName = holiday.holiday;
+      dateInfo.isOpenToday = false;
+      dateInfo.todayStatus = `The salon is CLOSED today (${holiday.holiday}).`;
     }
-    
-    return {
-      formattedDate,
-      isSunday,
-      isPublicHoliday,
-      holidayName,
-      todayStatus
-    };
+
+    return dateInfo;
   }
 
   /**
@@ -51,42 +97,7 @@ class ChatService {
    * @returns {Object} Tool in LLM function format
    */
   convertToolToFunction(tool) {
-    // Default empty parameters structure
-    let parameters = { type: 'object', properties: {}, required: [] };
-    
-    // Check if the tool has its own parameter conversion method
-    if (tool.getParametersSchema) {
-      parameters = tool.getParametersSchema();
-    }
-    // Use schema if available (for Zod schemas)
-    else if (tool.schema && tool.schema.shape) {
-      try {
-        // Convert schema.shape to JSON Schema properties
-        for (const [key, value] of Object.entries(tool.schema.shape)) {
-          parameters.properties[key] = {
-            type: value._def.typeName === 'ZodNumber' ? 'number' : 
-                  value._def.typeName === 'ZodBoolean' ? 'boolean' : 'string',
-            description: value.description || `Parameter ${key}`
-          };
-          
-          // Add to required list if not optional
-          if (!value.isOptional()) {
-            parameters.required.push(key);
-          }
-        }
-      } catch (e) {
-        console.warn(`Error converting schema for ${tool.name}:`, e.message);
-      }
-    }
-    
-    return {
-      type: 'function',
-      function: {
-        name: tool.name,
-        description: tool.description || `Tool: ${tool.name}`,
-        parameters
-      }
-    };
+    return toolToFunctionDefinition(tool);
   }
 
   /**
@@ -110,6 +121,90 @@ class ChatService {
     }
   }
 
+  /**
+   * Parse and validate tool arguments before the tool runs
+   * @param {Object} tool - Tool that will be called
+   * @param {string|Object} rawArgs - Arguments from the LLM or the client
+   * @returns {Object} { valid: true, args } or { valid: false, error } where error is returned to the caller
+   */
+  prepareToolArguments(tool, rawArgs) {
+    let args = rawArgs;
+    
+    if (typeof rawArgs === 'string') {
+      try {
+        args = rawArgs.trim() ? JSON.parse(rawArgs) : {};
+      } catch (error) {
+        return this.buildValidationError(tool.name, [
+          { field: '(arguments)', message: `Arguments are not valid JSON: ${error.message}` }
+        ]);
+      }
+    }
+    
+    const result = validateToolArguments(tool, args || {});
+    if (!result.valid) {
+      return this.buildValidationError(tool.name, result.issues);
+    }
+    
+    return { valid: true, args: result.args };
+  }
+
+  /**
+   * Check the permission policy for a tool call
+   * @param {string} toolName - Name of the tool
+   * @param {Object} args - Validated arguments
+   * @param {MCPContext} context - The context for this session
+   * @param {boolean} isAdmin - Whether the caller claims admin mode
+   * @returns {Object|null} Error returned in place of the tool result, or null when allowed
+   */
+  authorizeToolCall(toolName, args, context, isAdmin = false) {
+    const role = getRole(context, isAdmin);
+    const { allowed, reason } = checkToolPermission(toolName, args, context, role);
+    
+    if (allowed) return null;
+    
+    console.warn(`🚫 Denied ${toolName} for ${role} session: ${reason}`);
+    return {
+      success: false,
+      error: 'PERMISSION_DENIED',
+      tool: toolName,
+      message: reason
+    };
+  }
+
+  /**
+   * Record a validation failure and build the error returned in place of the tool result
+   * @param {string} toolName - Name of the tool
+   * @param {Array<Object>} issues - Issues as { field, message }
+   * @returns {Object} { valid: false, error }
+   */
+  buildValidationError(toolName, issues) {
+    const count = (this.toolValidationFailures.get(toolName) || 0) + 1;
+    this.toolValidationFailures.set(toolName, count);
+    
+    const summary = issues.map(issue => `${issue.field}: ${issue.message}`).join('; ');
+    console.warn(`⚠️ Rejected ${toolName} call (${count} validation failure(s) so far): ${summary}`);
+    
+    return {
+      valid: false,
+      error: {
+        success: false,
+        error: 'INVALID_ARGUMENTS',
+        tool: toolName,
+        message: `Invalid arguments for ${toolName}: ${summary}`,
+        issues,
+        hint: 'Fix the listed fields and call the tool again.'
+      }
+    };
+  }
+
+  /**
+   * Get validation failure counts per tool
+   * @returns {Object} Map of tool name to failure count
+   */
+  getToolValidationFailures() {
+    return Object.fromEntries(this.toolValidationFailures);
+  }
+
   /**
    * Normalize tool call format
    * @param {Object} toolCall - Tool call from LLM
@@ -146,6 +241,270 @@ class ChatService {
     return null;
   }
 
+  /**
+   * Build a stable signature for a tool call so repeated calls can be detected
+   * @param {Object} toolCall - Normalized tool call
+   * @returns {string} Tool name plus arguments with sorted keys
+   */
+  getToolCallSignature(toolCall) {
+    const args = this.parseToolArguments(toolCall.function.arguments);
+    const sortKeys = (value) => {
+      if (Array.isArray(value)) return value.map(sortKeys);
+      if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, key) => {
+          acc[key] = sortKeys(value[key]);
+          return acc;
+        }, {});
+      }
+      return value;
+    };
+    return `${toolCall.function.name}:${JSON.stringify(sortKeys(args))}`;
+  }
+
+  /**
+   * Convert internal messages to the format LangChain expects
+   * @param {Array} messages - Messages with role/content/tool_calls
+   * @returns {Array} Messages ready for llm.invoke
+   */
+  toLangChainMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'assistant' && msg.tool_calls) {
+        return {
+          role: 'assistant',
+          content: msg.content || '',
+          tool_calls: msg.tool_calls.map(tc => ({
+            id: tc.id,
+            type: 'function',
+            function: {
+              name: tc.function.name,
+              arguments: tc.function.arguments
+            }
+          }))
+        };
+      } else if (msg.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_call_id: msg.tool_call_id,
+          name: msg.name,
+          content: msg.content || ''
+        };
+      }
+      
+      // User or system messages
+      return {
+        role: msg.role,
+        content: msg.content || ''
+      };
+    });
+  }
+
+  /**
+   * Execute a single tool call and record the tool response in the context
+   * @param {Array} tools - Available tools
+   * @param {Object} toolCall - Normalized tool call
+   * @param {MCPContext} context - The context for this session
+   * @returns {Promise<Object>} Tool response message
+   */
+  async executeToolCall(tools, toolCall, context) {
+    const toolName = toolCall.function.name;
+    const tool = tools.find(t => t.name === toolName);
+    let toolContent;
+    
+    if (!tool) {
+      console.warn(`Tool ${toolName} not found`);
+      toolContent = JSON.stringify({ error: `Tool ${toolName} not found` });
+    } else {
+      const prepared = this.prepareToolArguments(tool, toolCall.function.arguments);
+      const denied = prepared.valid ? this.authorizeToolCall(toolName, prepared.args, context) : null;
+      
+      if (!prepared.valid) {
+        // Send the validation error back so the model can correct the call
+        toolContent = JSON.stringify(prepared.error);
+      } else if (denied) {
+        toolContent = JSON.stringify(denied);
+      } else {
+        console.log(`Calling tool ${toolName} with args:`, prepared.args);
+        
+        try {
+          const toolResult = await tool._call(prepared.args);
+          
+          // Update context if the tool returned context updates
+          if (toolResult && toolResult.contextUpdates) {
+            context.update(toolResult.contextUpdates);
+            delete toolResult.contextUpdates; // Remove from response
+          }
+          
+          toolContent = typeof toolResult === 'string' ? toolResult : JSON.stringify(toolResult);
+        } catch (error) {
+          console.error(`Error executing tool ${toolName}:`, error);
+          toolContent = JSON.stringify({ error: error.message || 'Unknown error' });
+        }
+      }
+    }
+    
+    const toolResponse = {
+      tool_call_id: toolCall.id,
+      role: "tool",
+      name: toolName,
+      content: toolContent
+    };
+    
+    try {
+      context.addMessage(toolResponse);
+    } catch (error) {
+      console.error(`Error adding tool response to context: ${error.message}`);
+    }
+    
+    return toolResponse;
+  }
+
+  /**
+   * Invoke a model, streaming content tokens to onToken when possible
+   * @param {Object} runnable - Model (or bound model) with invoke() and optionally stream()
+   * @param {Array} messages - Messages to send
+   * @param {Function} [onToken] - Called with each content token
+   * @returns {Promise<Object>} The complete response message (content and tool_calls)
+   */
+  async invokeWithStreaming(runnable, messages, onToken) {
+    if (typeof onToken !== 'function' || typeof runnable.stream !== 'function') {
+      return runnable.invoke(messages);
+    }
+    
+    let aggregate = null;
+    const stream = await runnable.stream(messages);
+    for await (const chunk of stream) {
+      if (typeof chunk.content === 'string' && chunk.content.length > 0) {
+        onToken(chunk.content);
+      }
+      // Chunks concat into a full message, including parsed tool_calls
+      aggregate = aggregate ? aggregate.concat(chunk) : chunk;
+    }
+    
+    return aggregate || { content: '' };
+  }
+
+  /**
+   * Get the status line shown while a tool runs
+   * @param {string} toolName - Name of the tool
+   * @returns {string} Status message
+   */
+  getToolStatusMessage(toolName) {
+    return TOOL_STATUS_MESSAGES[toolName] || `Running ${toolName}…`;
+  }
+
+  /**
+   * Build the reply used when the agent stops before reaching an answer
+   * @param {string} reason - 'max_steps' or 'loop'
+   * @param {Array<string>} completedTools - Names of tools that ran this turn
+   * @returns {string} Message for the user
+   */
+  buildGaveUpResponse(reason, completedTools) {
+    const uniqueTools = [...new Set(completedTools)];
+    const progress = uniqueTools.length > 0
+      ? ` So far I ran: ${uniqueTools.join(', ')}.`
+      : '';
+    const why = reason === 'loop'
+      ? 'I kept repeating the same step without making progress'
+      : `I reached the limit of ${this.maxAgentSteps} steps for a single message`;
+    
+    return `I wasn't able to finish this request: ${why}.${progress} Please check the details above and tell me how you'd like to continue.`;
+  }
+
+  /**
+   * Run the model in a loop, executing tool calls until it produces a final answer
+   * @param {Object} params
+   * @param {Object} params.llm - Chat model supporting bind() and invoke()
+   * @param {Array} params.tools - Tools available to the model
+   * @param {Array} params.messages - Initial messages (system, history, user input)
+   * @param {MCPContext} params.context - The context for this session
+   * @param {string} params.sessionId - Session ID (for logging)
+   * @param {Function} [params.buildSystemContent] - Rebuilds the system message after tools change memory
+   * @param {Function} [params.onToken] - Receives answer tokens as they stream in
+   * @param {Function} [params.onStatus] - Receives { tool, message } before each tool runs
+   * @returns {Promise<Object>} { output, steps, stopReason }
+   */
+  async runAgentLoop({ llm, tools, messages, context, sessionId, buildSystemContent, onToken, onStatus }) {
+    const conversation = [...messages];
+    const toolFunctions = tools.map(tool => this.convertToolToFunction(tool));
+    const callCounts = new Map();
+    const completedTools = [];
+    let stopReason = 'max_steps';
+    let steps = 0;
+    
+    for (let step = 1; step <= this.maxAgentSteps; step++) {
+      steps = step;
+      
+      // Tools may have changed memory, so refresh the system message each step
+      if (buildSystemContent && conversation[0]?.role === 'system') {
+        conversation[0] = { role: 'system', content: buildSystemContent() };
+      }
+      
+      // Bind tools on every step so the model can chain calls within one turn
+      const llmWithTools = llm.bind({
+        tools: toolFunctions,
+        tool_choice: "auto"
+      });
+      
+      console.log(`🔁 Agent step ${step}/${this.maxAgentSteps} for session ${sessionId}`);
+      const llmResponse = await this.invokeWithStreaming(
+        llmWithTools,
+        this.toLangChainMessages(conversation),
+        onToken
+      );
+      
+      const toolCalls = (llmResponse.tool_calls || [])
+        .map(tc => this.normalizeToolCall(tc))
+        .filter(tc => tc !== null);
+      
+      // No tool calls means the model is done
+      if (toolCalls.length === 0) {
+        const output = llmResponse.content || "I am processing your request...";
+        context.addMessage({ role: "assistant", content: output });
+        console.log(`✅ Agent finished after ${step} step(s): "${output.substring(0, 50)}${output.length > 50 ? '...' : ''}"`);
+        return { output, steps: step, stopReason: 'completed' };
+      }
+      
+      // Stop if the model keeps asking for the exact same call
+      const repeatedCall = toolCalls.find(tc =>
+        (callCounts.get(this.getToolCallSignature(tc)) || 0) >= this.maxRepeatedToolCalls
+      );
+      if (repeatedCall) {
+        console.warn(`⚠️ Loop detected: ${repeatedCall.function.name} called repeatedly with the same arguments`);
+        stopReason = 'loop';
+        break;
+      }
+      
+      toolCalls.forEach((tc, index) => {
+        if (!tc.id) tc.id = `call_${step}_${index}`;
+        const signature = this.getToolCallSignature(tc);
+        callCounts.set(signature, (callCounts.get(signature) || 0) + 1);
+      });
+      
+      // Record the assistant message so the tool responses have a parent in history
+      const assistantMessage = {
+        role: "assistant",
+        content: llmResponse.content || '',
+        tool_calls: toolCalls
+      };
+      conversation.push(assistantMessage);
+      context.addMessage(assistantMessage);
+      
+      for (const toolCall of toolCalls) {
+        if (typeof onStatus === 'function') {
+          onStatus({ tool: toolCall.function.name, message: this.getToolStatusMessage(toolCall.function.name) });
+        }
+        const toolResponse = await this.executeToolCall(tools, toolCall, context);
+        conversation.push(toolResponse);
+        completedTools.push(toolCall.function.name);
+      }
+    }
+    
+    const output = this.buildGaveUpResponse(stopReason, completedTools);
+    console.warn(`⚠️ Agent gave up for session ${sessionId} (${stopReason})`);
+    context.addMessage({ role: "assistant", content: output });
+    return { output, steps, stopReason };
+  }
+
   /**
    * Get or create an executor for a session
    * @param {string} sessionId - Session ID
@@ -176,7 +535,8 @@ class ChatService {
     // Store the context for future reference
     this.contexts.set(sessionId, context);
     
-    // Get date info for prompt generation
+    // Get date info for prompt generation (holiday overrides must be loaded first)
+    await holidayService.ensureReady();
     const dateInfo = this.getDateInfo();
     
     // Create the system prompt using the appropriate function - now handling async
@@ -192,19 +552,23 @@ class ChatService {
     const tools = createTools(context.toJSON(), sessionId, isContextAdmin);
     console.log(`Creating agent for session ${sessionId} with ${tools.length} tools`);
     
-    // Create the LLM with streaming disabled
-    const llm = new ChatOpenAI({
-      modelName: "gpt-4o-mini",
-      temperature: 0,
-      streaming: false
-    });
+    // Create the LLM with streaming enabled so answer tokens can be forwarded
+    const llm = this.llm || createLLM({ ...this.llmConfig, streaming: true });
     
     // Store reference to this ChatService instance
     const chatService = this;
     
     // Create a simplified executor
     const executor = {
-      async invoke({ input }) {
+      async invoke({ input, onToken, onStatus }) {
+        // Built outside the try so the fallback path can reuse it. An admin session
+        // shows the loaded customer's profile as text rather than in the memory dump.
+        const buildSystemContent = () => {
+          const { customer_profile: customerProfile, ...memory } = context.memory || {};
+          const profileSection = isContextAdmin ? profileService.formatForPrompt(customerProfile, memory.user_info?.name) : '';
+          return systemMessage + (profileSection ? "\n\n" + profileSection : '') + "\n\nContext Memory: " + JSON.stringify(memory, null, 2);
+        };
+        
         try {
           console.log(`Executing agent for session ${sessionId} with input: "${input.substring(0, 50)}${input.length > 50 ? '...' : ''}"`);
           console.log(`Context admin_mode: ${context.memory.admin_mode === true ? 'true' : 'false'}`);
@@ -216,7 +580,7 @@ class ChatService {
           const messages = [
             {
               role: "system",
-              content: systemMessage + "\n\nContext Memory: " + JSON.stringify(context.memory || {}, null, 2)
+              content: buildSystemContent()
             }
           ];
           
@@ -241,327 +605,61 @@ class ChatService {
           // Debug available tools
           console.log(`🔧 Available tools for LLM: ${tools.map(t => t.name).join(', ')}`);
           
-          // Bind tools to the LLM
-          const llmWithTools = llm.bind({
-            tools: tools.map(tool => chatService.convertToolToFunction(tool)),
-            tool_choice: "auto"
+          const result = await chatService.runAgentLoop({
+            llm,
+            tools,
+            messages,
+            context,
+            sessionId,
+            buildSystemContent,
+            onToken,
+            onStatus
           });
           
-          // Get response from LLM
-          console.log('Making LLM call with tools');
-          const llmResponse = await llmWithTools.invoke(messages);
-          console.log(`Received LLM response (${llmResponse.content ? llmResponse.content.length : 0} chars)`);
+          // Debug print the complete conversation history after all responses are added
+          console.log('Final conversation history:', JSON.stringify(context.history?.slice(-7) || [], null, 2));
           
-          // Get content from response (with fallback)
-          let responseContent = llmResponse.content || "I am processing your request...";
+          return { output: result.output };
+        } catch (error) {
+          console.error(`Error in executor for session ${sessionId}:`, error);
           
-          // Check for tool calls
-          if (llmResponse.tool_calls && llmResponse.tool_calls.length > 0) {
-            console.log(`Raw tool calls from LLM:`, JSON.stringify(llmResponse.tool_calls));
-            
-            // Normalize tool calls to ensure they're in the correct format
-            const normalizedToolCalls = llmResponse.tool_calls
-              .map(tc => chatService.normalizeToolCall(tc))
-              .filter(tc => tc !== null);
-            
-            if (normalizedToolCalls.length === 0) {
-              console.log('⚠️ No valid tool calls after normalization');
-              return { output: responseContent };
-            }
-            
-            // Log normalized tool calls
-            console.log(`Normalized tool calls:`, JSON.stringify(normalizedToolCalls));
-            
-            // Instead of creating simplified messages, restore the original approach
-            // with better validation
-            const finalMessages = [...messages];
+          // If the error is related to message sequence, retry once with a clean history
+          if (error.message && (
+              error.message.includes('tool_calls') ||
+              error.message.includes('tool must be a response')
+          )) {
+            console.log('Detected tool sequence issue, retrying with clean history...');
+            chatService.historyWasFixed = true;
             
-            // Add assistant message with tool calls
-            if (normalizedToolCalls.length > 0) {
-              // Add the assistant message with tool calls to history
-              const assistantMessageWithTools = {
-                role: "assistant",
-                content: responseContent,
-                tool_calls: normalizedToolCalls.map(tc => ({
-                  id: tc.id,
-                  function: {
-                    name: tc.function.name,
-                    arguments: typeof tc.function.arguments === 'string' 
-                      ? tc.function.arguments 
-                      : JSON.stringify(tc.function.arguments || {})
-                  }
-                }))
-              };
-              
-              // Validation check before adding to messages
-              const toolCallsValid = assistantMessageWithTools.tool_calls.every(tc => 
-                tc && tc.id && tc.function && tc.function.name && tc.function.arguments
-              );
-              
-              if (toolCallsValid) {
-                finalMessages.push(assistantMessageWithTools);
-                
-                // Add tool responses
-                const toolResponses = [];
-                for (const toolCall of normalizedToolCalls) {
-                  const toolName = toolCall.function.name;
-                  const tool = tools.find(t => t.name === toolName);
-                  
-                  if (!tool) {
-                    console.warn(`Tool ${toolName} not found`);
-                    const toolResponse = {
-                      tool_call_id: toolCall.id,
-                      role: "tool",
-                      name: toolName,
-                      content: JSON.stringify({ error: `Tool ${toolName} not found` })
-                    };
-                    toolResponses.push(toolResponse);
-                    
-                    // Add tool response to context
-                    try {
-                      context.addMessage(toolResponse);
-                    } catch (error) {
-                      console.error(`Error adding tool response to context: ${error.message}`);
-                    }
-                    
-                    continue;
-                  }
-                  
-                  // Parse tool arguments
-                  const args = chatService.parseToolArguments(toolCall.function.arguments);
-                  console.log(`Calling tool ${toolName} with args:`, args);
-                  
-                  // Call the tool
-                  try {
-                    const toolResult = await tool._call(args);
-                    
-                    // Update context if the tool returned context updates
-                    if (toolResult && toolResult.contextUpdates) {
-                      context.update(toolResult.contextUpdates);
-                      delete toolResult.contextUpdates; // Remove from response
-                    }
-                    
-                    const toolContent = typeof toolResult === 'string' ? toolResult : JSON.stringify(toolResult);
-                    const toolResponse = {
-                      tool_call_id: toolCall.id,
-                      role: "tool",
-                      name: toolName,
-                      content: toolContent
-                    };
-                    
-                    toolResponses.push(toolResponse);
-                    
-                    // Add tool response to context
-                    try {
-                      context.addMessage(toolResponse);
-                    } catch (error) {
-                      console.error(`Error adding tool response to context: ${error.message}`);
-                    }
-                  } catch (error) {
-                    console.error(`Error executing tool ${toolName}:`, error);
-                    const toolResponse = {
-                      tool_call_id: toolCall.id,
-                      role: "tool",
-                      name: toolName,
-                      content: JSON.stringify({ error: error.message || 'Unknown error' })
-                    };
-                    
-                    toolResponses.push(toolResponse);
-                    
-                    // Add tool response to context
-                    try {
-                      context.addMessage(toolResponse);
-                    } catch (error) {
-                      console.error(`Error adding tool response to context: ${error.message}`);
-                    }
-                  }
-                }
-                
-                // Add tool responses
-                toolResponses.forEach(response => {
-                  if (response.tool_call_id && response.name) {
-                    finalMessages.push(response);
-                  }
-                });
-              } else {
-                console.error("❌ Invalid tool calls format detected - using simplified approach");
-                // Clean up the history but preserve the latest user input
-                const cleanedMessages = [
-                  // Always keep the system message
-                  {
-                    role: "system",
-                    content: systemMessage + "\n\nContext Memory: " + JSON.stringify(context.memory || {}, null, 2)
-                  },
-                  // Add the latest user input
-                  {
-                    role: "user",
-                    content: input
-                  }
-                ];
-                
-                console.log(`Created clean history with ${cleanedMessages.length} messages`);
-                
-                try {
-                  // Try with a clean slate
-                  const cleanResponse = await llm.invoke(cleanedMessages);
-                  
-                  // Add the assistant response to context
-                  try {
-                    context.addMessage({
-                      role: "assistant",
-                      content: cleanResponse.content || responseContent
-                    });
-                  } catch (error) {
-                    console.error(`Error adding final assistant response to context: ${error.message}`);
-                  }
-                  
-                  return { output: cleanResponse.content || responseContent };
-                } catch (cleanError) {
-                  console.error('Error even with clean history:', cleanError);
-                  return { output: "I'm sorry, I encountered an issue while processing your request. Please try again." };
-                }
+            const cleanedMessages = [
+              // Always keep the system message
+              {
+                role: "system",
+                content: buildSystemContent()
+              },
+              // Add the latest user input
+              {
+                role: "user",
+                content: input
               }
-            }
-            
-            // Debug print the messages - moved this to after final response is added
-            // console.log('Final messages:', JSON.stringify(finalMessages.slice(-5), null, 2));
-            
-            // Get final response using normal LLM
-            console.log('Getting final response after tool calls');
+            ];
             
             try {
-              // Use LangChain properly to avoid tool format issues
-              const langChainMessages = finalMessages.map(msg => {
-                // Convert each message to LangChain format
-                if (msg.role === 'assistant' && msg.tool_calls) {
-                  // Make sure tool_calls are in the correct format
-                  const formattedToolCalls = msg.tool_calls.map(tc => {
-                    return {
-                      id: tc.id,
-                      type: 'function',
-                      function: {
-                        name: tc.function.name,
-                        arguments: tc.function.arguments
-                      }
-                    };
-                  });
-                  
-                  return {
-                    role: 'assistant',
-                    content: msg.content || '',
-                    tool_calls: formattedToolCalls
-                  };
-                } else if (msg.role === 'tool') {
-                  // Make sure tool messages have the right format
-                  return {
-                    role: 'tool',
-                    tool_call_id: msg.tool_call_id,
-                    name: msg.name,
-                    content: msg.content || ''
-                  };
-                } else {
-                  // User or system messages
-                  return {
-                    role: msg.role,
-                    content: msg.content || ''
-                  };
-                }
-              });
-              
-              const finalResponse = await llm.invoke(langChainMessages);
-              responseContent = finalResponse.content || responseContent;
-              
-              // Ensure we add the final assistant response to the context
-              context.addMessage({
-                role: "assistant",
-                content: responseContent
-              });
-              console.log(`Added final assistant response to context: "${responseContent.substring(0, 50)}${responseContent.length > 50 ? '...' : ''}"`);
-              
-              // Debug print the complete conversation history after all responses are added
-              console.log('Final conversation history:', JSON.stringify(context.history?.slice(-7) || [], null, 2));
-            } catch (error) {
-              console.error('Error getting final response:', error);
+              const cleanResponse = await chatService.invokeWithStreaming(llm, cleanedMessages, onToken);
+              const responseContent = cleanResponse.content || "I'm sorry, I encountered an issue while processing your request. Please try again.";
               
-              // If the error is related to message sequence, try to fix the history
-              if (error.message && (
-                  error.message.includes('tool_calls') ||
-                  error.message.includes('tool must be a response')
-              )) {
-                console.log('Detected tool sequence issue, fixing history...');
-                // Clean up the conversation history
-                const cleanedMessages = [
-                  // Always keep the system message
-                  finalMessages[0]
-                ];
-                
-                // Add only user messages to preserve the conversation flow
-                const userMessages = finalMessages.filter(m => m.role === 'user');
-                cleanedMessages.push(...userMessages);
-                
-                console.log(`Cleaned history to ${cleanedMessages.length} messages`);
-                
-                try {
-                  // Try again with the cleaned history
-                  const cleanResponse = await llm.invoke(cleanedMessages);
-                  responseContent = cleanResponse.content || responseContent;
-                  console.log('Successfully got response with cleaned history');
-                  
-                  // Add the clean response to context
-                  context.addMessage({
-                    role: "assistant",
-                    content: responseContent
-                  });
-                  console.log(`Added cleaned assistant response to context: "${responseContent.substring(0, 50)}${responseContent.length > 50 ? '...' : ''}"`);
-                  
-                  // Debug print the complete conversation history after cleaned response
-                  console.log('Final conversation history (cleaned):', JSON.stringify(context.history?.slice(-7) || [], null, 2));
-                } catch (cleanError) {
-                  console.error('Error even with cleaned history:', cleanError);
-                  responseContent = "I'm sorry, I encountered an issue while processing your request. Please try again.";
-                  
-                  // Add error response to context
-                  context.addMessage({
-                    role: "assistant",
-                    content: responseContent
-                  });
-                  
-                  // Debug print the complete conversation history after error response
-                  console.log('Final conversation history (error):', JSON.stringify(context.history?.slice(-7) || [], null, 2));
-                }
-              } else {
-                // For other errors, use a default response
-                responseContent = "I'm sorry, I encountered an issue while processing your request. Please try again.";
-                
-                // Add error response to context
-                context.addMessage({
-                  role: "assistant",
-                  content: responseContent
-                });
-                
-                // Debug print the complete conversation history after error response
-                console.log('Final conversation history (general error):', JSON.stringify(context.history?.slice(-7) || [], null, 2));
-              }
-            }
-          } else {
-            // No tool calls, just add the assistant response to context
-            try {
               context.addMessage({
                 role: "assistant",
                 content: responseContent
               });
-              console.log(`Added assistant response to context (no tools): "${responseContent.substring(0, 50)}${responseContent.length > 50 ? '...' : ''}"`);
               
-              // Debug print the complete conversation history for no-tool responses
-              console.log('Final conversation history (no tools):', JSON.stringify(context.history?.slice(-7) || [], null, 2));
-            } catch (error) {
-              console.error(`Error adding assistant response to context: ${error.message}`);
+              return { output: responseContent };
+            } catch (cleanError) {
+              console.error('Error even with clean history:', cleanError);
+              return { output: "I'm sorry, I encountered an issue while processing your request. Please try again." };
             }
           }
           
-          return { output: responseContent };
-        } catch (error) {
-          console.error(`Error in executor for session ${sessionId}:`, error);
           return { output: `I'm sorry, there was an error processing your request. ${error.message}` };
         }
       }
@@ -578,9 +676,11 @@ class ChatService {
    * @param {MCPContext} mcpContext - The context for this session
    * @param {Object} message - The message to process
    * @param {boolean} isAdmin - Whether this is an admin session
+   * @param {Function} [onToken] - Receives answer tokens as they stream in
+   * @param {Function} [onStatus] - Receives { tool, message } while tools run
    * @returns {Promise<Object>} The response and updated context
    */
-  async processMessage(sessionId, mcpContext, message, isAdmin = false) {    
+  async processMessage(sessionId, mcpContext, message, isAdmin = false, onToken = null, onStatus = null) {
     // Ensure we have a valid context
     const context = mcpContext || new MCPContext();
     
@@ -616,7 +716,9 @@ class ChatService {
     let response;
     try {
       response = await executor.invoke({
-        input: messageContent
+        input: messageContent,
+        onToken,
+        onStatus
       });
     } catch (error) {
       console.error(`Error invoking executor for session ${sessionId}:`, error);
@@ -703,17 +805,18 @@ class ChatService {
    * @param {string} sessionId - The unique session ID
    * @param {Object|MCPContext} mcpContext - The current MCP context
    * @param {Array} toolCalls - The tool calls
+   * @param {boolean} isAdmin - Whether this is an admin session
    * @returns {Promise<Object>} - Results of the tool calls and updated context
    */
-  async handleToolCalls(sessionId, mcpContext, toolCalls) {
+  async handleToolCalls(sessionId, mcpContext, toolCalls, isAdmin = false) {
     try {
       // Ensure we have an MCPContext instance
       const context = mcpContext instanceof MCPContext 
         ? mcpContext 
         : new MCPContext(mcpContext);
       
-      // Create tool instances
-      const tools = createTools(context.toJSON(), sessionId);
+      // Create tool instances (only those this persona may use)
+      const tools = createTools(context.toJSON(), sessionId, isAdmin);
       
       const results = [];
 
@@ -727,6 +830,16 @@ class ChatService {
         
         // Find the tool
         const tool = tools.find(t => t.name === name);
+        
+        // Report policy denials rather than "not found" for tools hidden from this persona
+        if (!tool && !isToolAllowed(name, getRole(context, isAdmin))) {
+          results.push(wrapToolResult({
+            name,
+            content: this.authorizeToolCall(name, {}, context, isAdmin)
+          }, wrappedToolCall.id));
+          continue;
+        }
+        
         if (!tool) {
           const errorResult = wrapToolResult({
             name,
@@ -736,9 +849,25 @@ class ChatService {
           continue;
         }
         
+        // Reject malformed arguments before they reach the tool
+        const prepared = this.prepareToolArguments(tool, args);
+        if (!prepared.valid) {
+          results.push(wrapToolResult({
+            name,
+            content: prepared.error
+          }, wrappedToolCall.id));
+          continue;
+        }
+        
+        const denied = this.authorizeToolCall(name, prepared.args, context, isAdmin);
+        if (denied) {
+          results.push(wrapToolResult({ name, content: denied }, wrappedToolCall.id));
+          continue;
+        }
+        
         try {
           // Call the tool directly
-          const result = await tool._call(args);
+          const result = await tool._call(prepared.args);
           
           // Update context if the tool returned context updates
           if (result && result.contextUpdates) {
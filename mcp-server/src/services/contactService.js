@@ -0,0 +1,233 @@
+/**
+ * Contact Service - Duplicate contacts and merges
+ * Finds contacts that are probably the same person (same mobile number or a
+ * similar name) and keeps the audit trail of merges.
+ *
+ * SOHO can't delete a contact, so a merged duplicate stays in SOHO and is
+ * recorded under system:contact_merges through the memory service. Lookups
+ * resolve it to the contact it was merged into.
+ */
+const crypto = require('crypto');
+const memoryService = require('./memoryService');
+const profileService = require('./profileService');
+const phone = require('../lib/phone');
+
+const MERGES_KEY = 'system:contact_merges';
+
+// Names at least this similar (0-1) are reported as possible duplicates
+const DEFAULT_NAME_THRESHOLD = 0.85;
+
+// Session memory that describes the duplicate contact itself and is never copied to the survivor
+const IDENTITY_KEYS = ['identity', 'user_info', 'resourceName', 'lastSessionId', 'updatedAt'];
+
+/**
+ * Normalize a mobile number for comparison: E.164, or its digits when it can't be parsed
+ * @param {string} mobile
+ * @returns {string}
+ */
+function normalizeMobile(mobile) {
+  return phone.normalizePhone(mobile) || String(mobile || '').replace(/\D/g, '');
+}
+
+/**
+ * Normalize a name for comparison: lowercase, no accents or punctuation
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How similar two names are, from 0 to 1
+ * Word order doesn't matter ("Tan Alice" is "Alice Tan").
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const ratio = (x, y) => 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+  const sorted = value => value.split(' ').sort().join(' ');
+  return Math.round(Math.max(ratio(left, right), ratio(sorted(left), sorted(right))) * 100) / 100;
+}
+
+class ContactService {
+  normalizeMobile(mobile) {
+    return normalizeMobile(mobile);
+  }
+
+  nameSimilarity(a, b) {
+    return nameSimilarity(a, b);
+  }
+
+  /**
+   * Pairs of contacts that are probably the same person
+   * Contacts are only compared by name within the same bucket (a word's first
+   * two letters), so large contact lists stay quick.
+   * @param {Array<Object>} contacts - { resourceName, name, mobile }
+   * @param {Object} options - { resourceName: only pairs with this contact, threshold }
+   * @returns {Promise<Array<Object>>} [{ contacts: [a, b], sameMobile, nameScore, reasons }], strongest first
+   */
+  async findDuplicates(contacts, { resourceName = null, threshold = DEFAULT_NAME_THRESHOLD } = {}) {
+    const merged = await this.mergedResourceNames();
+    const active = contacts.filter(contact => contact?.resourceName && !merged.has(contact.resourceName));
+
+    const candidates = new Map();
+    const addCandidate = (a, b) => {
+      if (a.resourceName === b.resourceName) return;
+      if (resourceName && a.resourceName !== resourceName && b.resourceName !== resourceName) return;
+      const key = [a.resourceName, b.resourceName].sort().join('|');
+      if (!candidates.has(key)) candidates.set(key, [a, b]);
+    };
+
+    const buckets = new Map();
+    const addToBucket = (key, contact) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(contact);
+    };
+    active.forEach(contact => {
+      const mobile = normalizeMobile(contact.mobile);
+      if (mobile) addToBucket(`mobile:${mobile}`, contact);
+      new Set(normalizeName(contact.name).split(' ').filter(Boolean).map(word => word.slice(0, 2)))
+        .forEach(prefix => addToBucket(`name:${prefix}`, contact));
+    });
+    buckets.forEach(group => {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) addCandidate(group[i], group[j]);
+      }
+    });
+
+    const pairs = [];
+    candidates.forEach(([a, b]) => {
+      const sameMobile = Boolean(normalizeMobile(a.mobile)) && normalizeMobile(a.mobile) === normalizeMobile(b.mobile);
+      const nameScore = nameSimilarity(a.name, b.name);
+      if (!sameMobile && nameScore < threshold) return;
+
+      const reasons = [
+        ...(sameMobile ? ['same mobile number'] : []),
+        ...(nameScore === 1 ? ['same name'] : nameScore >= threshold ? [`similar name (${Math.round(nameScore * 100)}%)`] : [])
+      ];
+      pairs.push({ contacts: [a, b], sameMobile, nameScore, reasons });
+    });
+
+    return pairs.sort((x, y) => (y.sameMobile - x.sameMobile) || (y.nameScore - x.nameScore));
+  }
+
+  async getMerges() {
+    const stored = await memoryService.getMemoryByResourceName(MERGES_KEY);
+    return Array.isArray(stored?.merges) ? stored.merges : [];
+  }
+
+  async saveMerges(merges) {
+    await memoryService.saveMemoryByResourceName(null, MERGES_KEY, { merges, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Contacts that have been merged into another one
+   * @returns {Promise<Set<string>>}
+   */
+  async mergedResourceNames() {
+    return new Set((await this.getMerges()).map(merge => merge.duplicate.resourceName));
+  }
+
+  /**
+   * The contact a resourceName now stands for, following merges
+   * @param {string} resourceName
+   * @returns {Promise<string>} The survivor's resourceName, or resourceName itself when not merged
+   */
+  async resolve(resourceName) {
+    const merges = await this.getMerges();
+    const seen = new Set();
+    let current = resourceName;
+    while (current && !seen.has(current)) {
+      seen.add(current);
+      const merge = merges.find(item => item.duplicate.resourceName === current);
+      if (!merge) break;
+      current = merge.survivor.resourceName;
+    }
+    return current;
+  }
+
+  /**
+   * Add a merge to the audit trail
+   * @param {Object} merge - { survivor, duplicate, appointmentsMoved, appointmentsLeft, memoryMoved, by }
+   * @returns {Promise<Object>} The stored record
+   */
+  async recordMerge(merge) {
+    const record = { id: `merge-${crypto.randomUUID()}`, ...merge, mergedAt: new Date().toISOString() };
+    const merges = await this.getMerges();
+    merges.push(record);
+    await this.saveMerges(merges);
+    console.log(`🔀 Merged ${merge.duplicate.resourceName} into ${merge.survivor.resourceName}`);
+    return record;
+  }
+
+  /**
+   * Move the duplicate's stored memory and profile to the survivor
+   * The survivor's own values win; the duplicate's are only used where the survivor has none.
+   * @param {string} survivor - resourceName kept
+   * @param {string} duplicate - resourceName merged away
+   * @returns {Promise<Object>} { memoryKeys: [moved keys], profile: whether a profile was merged, sessions: [remapped session IDs] }
+   */
+  async moveMemory(survivor, duplicate) {
+    const duplicateMemory = await memoryService.getMemoryByResourceName(duplicate) || {};
+    const survivorMemory = await memoryService.getMemoryByResourceName(survivor) || {};
+    const memoryKeys = Object.keys(duplicateMemory)
+      .filter(key => !IDENTITY_KEYS.includes(key) && survivorMemory[key] === undefined);
+    if (memoryKeys.length > 0) {
+      memoryKeys.forEach(key => { survivorMemory[key] = duplicateMemory[key]; });
+      await memoryService.saveMemoryByResourceName(null, survivor, survivorMemory);
+    }
+
+    // Sessions that were talking to the duplicate carry on as the survivor
+    const sessions = Object.entries(memoryService.listResourceNameMappings())
+      .filter(([, resourceName]) => resourceName === duplicate)
+      .map(([sessionId]) => sessionId);
+    if (Object.keys(duplicateMemory).length > 0) {
+      await memoryService.deleteMemory(duplicate);
+    }
+    sessions.forEach(sessionId => memoryService.setSessionToResourceMapping(sessionId, survivor));
+
+    const profile = await profileService.mergeProfiles(survivor, duplicate);
+    return { memoryKeys, profile, sessions };
+  }
+
+  /**
+   * Remove every merge record (tests)
+   */
+  async clear() {
+    await this.saveMerges([]);
+  }
+}
+
+// Export a singleton instance
+const contactService = new ContactService();
+
+module.exports = contactService;
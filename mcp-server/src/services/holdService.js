@@ -0,0 +1,182 @@
+/**
+ * Hold Service - Tentative slot holds during a conversation
+ * When a customer accepts an offered time the slot is held for their session
+ * for a few minutes (SLOT_HOLD_MINUTES, default 10). Other sessions see held
+ * slots as busy, and createAppointment claims the hold before re-checking the
+ * calendar, so two conversations can't book the same time.
+ *
+ * Holds live in this process and are checked synchronously, which is what
+ * makes claiming atomic; run a single server instance when relying on them.
+ * Expired holds are dropped whenever holds are read.
+ */
+const crypto = require('crypto');
+const resourceService = require('./resourceService');
+
+const DEFAULT_HOLD_MINUTES = 10;
+// A claim covers the calendar re-check and the SOHO booking call
+const CLAIM_MINUTES = 2;
+
+class HoldService {
+  constructor() {
+    // sessionId -> hold
+    this.holds = new Map();
+  }
+
+  getHoldMinutes() {
+    return Number(process.env.SLOT_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES;
+  }
+
+  /**
+   * Drop expired holds
+   * @param {Date} now
+   */
+  purgeExpired(now = new Date()) {
+    for (const [sessionId, hold] of this.holds) {
+      if (new Date(hold.expiresAt) <= now) {
+        console.log(`⌛ Slot hold ${hold.id} for session ${sessionId} expired`);
+        this.holds.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * All active holds, soonest first
+   * @returns {Array<Object>}
+   */
+  listHolds(now = new Date()) {
+    this.purgeExpired(now);
+    return [...this.holds.values()].sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  /**
+   * The session's active hold, if any
+   * @param {string} sessionId
+   * @returns {Object|null}
+   */
+  getHold(sessionId, now = new Date()) {
+    this.purgeExpired(now);
+    return this.holds.get(sessionId) || null;
+  }
+
+  /**
+   * Other sessions' holds as calendar-shaped events, so slot checks treat them as bookings
+   * @param {Object} options - { excludeSessionId }
+   * @returns {Array<Object>}
+   */
+  getHoldEvents({ excludeSessionId = null, now = new Date() } = {}) {
+    return this.listHolds(now)
+      .filter(hold => hold.sessionId !== excludeSessionId)
+      .map(hold => ({
+        id: hold.id,
+        summary: 'Slot hold',
+        start: { dateTime: hold.start },
+        end: { dateTime: hold.end },
+        extendedProperties: {
+          private: {
+            holdId: hold.id,
+            ...(hold.staffId ? { staffId: hold.staffId } : {}),
+            ...(hold.roomId ? { roomId: hold.roomId } : {})
+          }
+        }
+      }));
+  }
+
+  /**
+   * Hold a slot for a session, replacing any hold it already has
+   * Checks other sessions' holds synchronously, so the check and the hold can't interleave.
+   * @param {Object} options - { sessionId, start, end, serviceIds, categories, staffId, customer, status, minutes }
+   * @returns {Object} { success, hold, reason }
+   */
+  placeHold({ sessionId, start, end, serviceIds = [], categories = [], staffId = null, customer = null, status = 'held', minutes = null, now = new Date() }) {
+    const assignment = resourceService.findAssignment({
+      start,
+      end,
+      events: this.getHoldEvents({ excludeSessionId: sessionId, now }),
+      categories,
+      staffId
+    });
+
+    if (!assignment.available) {
+      return { success: false, hold: null, reason: 'Held by another customer' };
+    }
+
+    const hold = {
+      id: `hold:${crypto.randomUUID()}`,
+      sessionId,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      serviceIds,
+      staffId: assignment.staff?.id || staffId || null,
+      roomId: assignment.room?.id || null,
+      customer,
+      status,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + (minutes || this.getHoldMinutes()) * 60000).toISOString()
+    };
+
+    this.holds.set(sessionId, hold);
+    console.log(`📌 ${status === 'booking' ? 'Claimed' : 'Held'} ${hold.start}–${hold.end} for session ${sessionId} until ${hold.expiresAt}`);
+    return { success: true, hold, reason: null };
+  }
+
+  /**
+   * Claim a slot for booking: turn the session's hold into a short booking claim,
+   * or take a new claim when the session holds nothing that matches
+   * @param {Object} options - Same as placeHold
+   * @returns {Object} { success, hold, reason, previous } - previous is the hold it replaced
+   */
+  claim(options) {
+    const previous = this.getHold(options.sessionId, options.now);
+    const result = this.placeHold({ ...options, status: 'booking', minutes: CLAIM_MINUTES });
+    return { ...result, previous };
+  }
+
+  /**
+   * Give the session back a hold after a failed booking, unless it has expired
+   * @param {string} sessionId
+   * @param {Object|null} hold - From claim().previous
+   */
+  restore(sessionId, hold) {
+    if (hold && new Date(hold.expiresAt) > new Date()) {
+      this.holds.set(sessionId, hold);
+    } else {
+      this.holds.delete(sessionId);
+    }
+  }
+
+  /**
+   * Remove the session's hold (the booking went through, or the customer changed their mind)
+   * @param {string} sessionId
+   * @returns {boolean} Whether a hold existed
+   */
+  release(sessionId) {
+    const existed = this.holds.delete(sessionId);
+    if (existed) console.log(`📌 Released slot hold for session ${sessionId}`);
+    return existed;
+  }
+
+  /**
+   * Remove a hold by ID (admin)
+   * @param {string} holdId
+   * @returns {Object|null} The removed hold
+   */
+  releaseById(holdId) {
+    for (const [sessionId, hold] of this.holds) {
+      if (hold.id === holdId) {
+        this.holds.delete(sessionId);
+        console.log(`📌 Released slot hold ${holdId} (session ${sessionId})`);
+        return hold;
+      }
+    }
+    return null;
+  }
+
+  clear() {
+    this.holds.clear();
+  }
+}
+
+// Export a singleton instance
+const holdService = new HoldService();
+
+module.exports = holdService;
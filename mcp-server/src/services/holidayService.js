@@ -0,0 +1,246 @@
+/**
+ * Holiday Service - Singapore public holidays for booking checks
+ * Starts from the bundled dataset (src/data/sg-public-holidays.json), can refresh
+ * from data.gov.sg, and applies admin overrides persisted through the memory service.
+ * In strict mode bookings are refused for dates the holiday data doesn't cover.
+ */
+const axios = require('axios');
+const memoryService = require('./memoryService');
+const businessCalendar = require('./businessCalendar');
+const bundledHolidays = require('../data/sg-public-holidays.json');
+
+// Reserved memory key for the overrides (not a customer resourceName)
+const OVERRIDES_KEY = 'system:holiday-overrides';
+const DEFAULT_REMOTE_URL = 'https://data.gov.sg/api/action/datastore_search?resource_id=d_3751791452397f1b1c80c451447e40b7';
+const REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const REMOTE_TIMEOUT = 5000;
+
+class HolidayService {
+  /**
+   * @param {Object} options - { strictMode, remoteRefresh, remoteUrl, dataset }; unset options fall back to the environment
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.loadDataset(options.dataset || bundledHolidays);
+    this.overrides = { closures: {}, openDays: {} };
+    this.overridesLoaded = false;
+    this.lastRefresh = 0;
+    this.lastRefreshError = null;
+  }
+
+  /**
+   * Replace the holiday data with a dataset
+   * @param {Object} dataset - { version, years, holidays: [{ date, holiday }] }
+   */
+  loadDataset(dataset) {
+    this.version = dataset.version;
+    this.holidays = new Map();
+    this.coveredYears = new Set(dataset.years || []);
+    (dataset.holidays || []).forEach(entry => {
+      this.holidays.set(entry.date, { date: entry.date, holiday: entry.holiday, source: 'bundled' });
+    });
+  }
+
+  isStrictMode() {
+    return this.options.strictMode ?? process.env.HOLIDAY_STRICT_MODE === 'true';
+  }
+
+  isRemoteRefreshEnabled() {
+    return this.options.remoteRefresh ?? process.env.HOLIDAY_REMOTE_REFRESH === 'true';
+  }
+
+  /**
+   * Load the overrides and, if enabled, refresh from the remote source when stale
+   */
+  async ensureReady() {
+    if (!this.overridesLoaded) {
+      await this.loadOverrides();
+    }
+
+    if (this.isRemoteRefreshEnabled() && Date.now() - this.lastRefresh > REFRESH_INTERVAL) {
+      await this.refresh();
+    }
+  }
+
+  async loadOverrides() {
+    try {
+      const stored = await memoryService.getMemoryByResourceName(OVERRIDES_KEY);
+      this.overrides = {
+        closures: stored.closures || {},
+        openDays: stored.openDays || {}
+      };
+      console.log(`📅 Loaded holiday overrides (${Object.keys(this.overrides.closures).length} closures, ${Object.keys(this.overrides.openDays).length} open days)`);
+    } catch (error) {
+      console.error('❌ Error loading holiday overrides:', error);
+    }
+    this.overridesLoaded = true;
+  }
+
+  async saveOverrides() {
+    return memoryService.saveMemoryByResourceName(null, OVERRIDES_KEY, {
+      ...this.overrides,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Refresh holidays from the remote source. Failures keep the current data.
+   * @returns {Promise<Object>} { success, count, error }
+   */
+  async refresh() {
+    const url = this.options.remoteUrl || process.env.HOLIDAY_REMOTE_URL || DEFAULT_REMOTE_URL;
+    // Count the attempt so a failing source isn't retried on every request
+    this.lastRefresh = Date.now();
+
+    try {
+      console.log('📅 Refreshing Singapore public holidays from remote source');
+      const response = await axios.get(url, { timeout: REMOTE_TIMEOUT });
+      const records = response.data?.result?.records;
+
+      if (!response.data?.success || !Array.isArray(records)) {
+        throw new Error('Invalid response format from holiday source');
+      }
+
+      records.forEach(record => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date)) return;
+        this.holidays.set(record.date, { date: record.date, holiday: record.holiday, source: 'remote' });
+        this.coveredYears.add(Number(record.date.slice(0, 4)));
+      });
+
+      this.lastRefreshError = null;
+      console.log(`📅 Refreshed ${records.length} public holidays`);
+      return { success: true, count: records.length };
+    } catch (error) {
+      this.lastRefreshError = error.message;
+      console.error('❌ Error refreshing public holidays, keeping bundled data:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Look up a date using the data already loaded (call ensureReady() first for overrides)
+   * @param {string|Date|Object} date
+   * @returns {Object} { date, known, isHoliday, holiday, source, openOverride }
+   */
+  lookup(date) {
+    const dateStr = businessCalendar.formatDate(date);
+    const year = Number(dateStr.slice(0, 4));
+    const entry = this.holidays.get(dateStr);
+
+    if (this.overrides.openDays[dateStr] !== undefined) {
+      return { date: dateStr, known: true, isHoliday: false, holiday: entry?.holiday || null, source: 'override', openOverride: this.overrides.openDays[dateStr] || true };
+    }
+
+    if (this.overrides.closures[dateStr] !== undefined) {
+      return { date: dateStr, known: true, isHoliday: true, holiday: this.overrides.closures[dateStr] || 'Closed', source: 'override' };
+    }
+
+    if (entry) {
+      return { date: dateStr, known: true, isHoliday: true, holiday: entry.holiday, source: entry.source };
+    }
+
+    return { date: dateStr, known: this.coveredYears.has(year), isHoliday: false, holiday: null, source: null };
+  }
+
+  /**
+   * Check a date for holidays and overrides
+   * @param {string|Date|Object} date
+   * @returns {Promise<Object>} Same shape as lookup(), plus { blockBooking, message }
+   */
+  async checkDate(date) {
+    await this.ensureReady();
+    const result = this.lookup(date);
+
+    if (result.isHoliday) {
+      return { ...result, blockBooking: true, message: `I'm sorry, we're closed on ${result.holiday}. Please choose another day.` };
+    }
+
+    if (!result.known && this.isStrictMode()) {
+      return {
+        ...result,
+        blockBooking: true,
+        message: `I can't confirm bookings for ${result.date} yet because the public holiday calendar for ${result.date.slice(0, 4)} isn't available. Please contact the salon directly or choose an earlier date.`
+      };
+    }
+
+    return { ...result, blockBooking: false, message: null };
+  }
+
+  /**
+   * Close the salon on a date (extra closure day)
+   */
+  async addClosure(date, reason = 'Closed') {
+    await this.ensureReady();
+    const dateStr = businessCalendar.formatDate(date);
+    delete this.overrides.openDays[dateStr];
+    this.overrides.closures[dateStr] = reason;
+    await this.saveOverrides();
+    console.log(`📅 Added closure on ${dateStr}: ${reason}`);
+    return this.lookup(dateStr);
+  }
+
+  /**
+   * Open the salon on a date that would otherwise be a holiday
+   */
+  async markOpen(date, note = 'Open') {
+    await this.ensureReady();
+    const dateStr = businessCalendar.formatDate(date);
+    delete this.overrides.closures[dateStr];
+    this.overrides.openDays[dateStr] = note;
+    await this.saveOverrides();
+    console.log(`📅 Marked ${dateStr} as open: ${note}`);
+    return this.lookup(dateStr);
+  }
+
+  /**
+   * Remove any override for a date
+   * @returns {Promise<boolean>} Whether an override existed
+   */
+  async removeOverride(date) {
+    await this.ensureReady();
+    const dateStr = businessCalendar.formatDate(date);
+    const existed = dateStr in this.overrides.closures || dateStr in this.overrides.openDays;
+    delete this.overrides.closures[dateStr];
+    delete this.overrides.openDays[dateStr];
+    if (existed) {
+      await this.saveOverrides();
+      console.log(`📅 Removed holiday override for ${dateStr}`);
+    }
+    return existed;
+  }
+
+  /**
+   * Holidays and overrides in a date range
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {Array<Object>} lookup() results for every holiday or override in range
+   */
+  listBetween(from, to) {
+    const dates = new Set([
+      ...this.holidays.keys(),
+      ...Object.keys(this.overrides.closures),
+      ...Object.keys(this.overrides.openDays)
+    ]);
+    return [...dates]
+      .filter(date => date >= from && date <= to)
+      .sort()
+      .map(date => this.lookup(date));
+  }
+
+  getStatus() {
+    return {
+      version: this.version,
+      coveredYears: [...this.coveredYears].sort(),
+      strictMode: this.isStrictMode(),
+      remoteRefresh: this.isRemoteRefreshEnabled(),
+      lastRefresh: this.lastRefresh ? new Date(this.lastRefresh).toISOString() : null,
+      lastRefreshError: this.lastRefreshError,
+      overrides: this.overrides
+    };
+  }
+}
+
+// Export a singleton instance
+const holidayService = new HolidayService();
+
+module.exports = holidayService;
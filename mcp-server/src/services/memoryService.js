@@ -137,16 +137,17 @@ class MemoryService {
   /**
    * Get memory by resourceName (customer identifier)
    * @param {string} resourceName 
+   * @param {Object} options - { throwOnError: throw when the read fails instead of returning {} }
    * @returns {Promise<Object>} The memory object
    */
-  async getMemoryByResourceName(resourceName) {
+  async getMemoryByResourceName(resourceName, options = {}) {
     if (!resourceName) {
       console.warn('⚠️ No resourceName provided to getMemoryByResourceName');
       return {};
     }
     
     if (this.isUsingDynamo && this.dynamoAdapter) {
-      return await this.dynamoAdapter.getMemory(resourceName);
+      return await this.dynamoAdapter.getMemory(resourceName, options);
     } else {
       return inMemoryStorage.get(resourceName) || {};
     }
@@ -0,0 +1,366 @@
+/**
+ * Pricing Service - Quotes for bookings
+ * Works out what a booking costs from the service prices and the pricing
+ * rules: bundle discounts, off-peak pricing, follow-up pricing, promo codes,
+ * gift vouchers, add-ons and deposits. Quotes are itemised, so the customer sees how the
+ * price was reached, and are kept for a while so createAppointment and
+ * updateAppointment can book with exactly the quoted amounts.
+ *
+ * Rules are empty by default (list prices, no deposit). Set them with a JSON
+ * file (PRICING_RULES_FILE) or configure().
+ *
+ * Quotes live in this process, like slot holds.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const businessCalendar = require('./businessCalendar');
+
+// How long a quote can be booked with
+const QUOTE_TTL_MINUTES = 60;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_RULES = {
+  // [{ name, categories: ['Lashes', 'Threading'], minServices, percent }] - the best matching bundle applies
+  bundles: [],
+  // [{ name, days: ['monday', ...], start: 'HH:mm', end: 'HH:mm', percent, categories }] - by the appointment start
+  offPeak: [],
+  // A service's follow-up (its followUp service) booked within withinDays of the main service
+  followUp: { withinDays: 0, percent: 0 },
+  // { CODE: { percent | amount, description, categories, serviceIds, minTotal, validFrom, validUntil, maxUses,
+  //   maxUsesPerCustomer, stackable } } - checked and counted by promotionService like admin-created codes
+  promoCodes: {},
+  // [{ id: 'addon:lash-bath', name, price, categories }] - extras offered with services of those categories
+  addOns: [],
+  // Fixed amounts per category (the largest applies) and/or a percentage of bookings from minTotal up
+  deposit: { categories: {}, percent: 0, minTotal: 0 }
+};
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function sum(lines) {
+  return round(lines.reduce((total, line) => total + line.amount, 0));
+}
+
+function matchesCategories(service, categories) {
+  return !categories || categories.length === 0 || categories.includes(service.category);
+}
+
+class PricingService {
+  constructor() {
+    this._rules = null;
+    // quoteId -> quote
+    this.quotes = new Map();
+  }
+
+  get rules() {
+    if (!this._rules) {
+      this._rules = { ...DEFAULT_RULES, ...loadRulesFile() };
+    }
+    return this._rules;
+  }
+
+  /**
+   * Override pricing rules
+   * @param {Object} overrides - Any of bundles, offPeak, followUp, promoCodes, addOns, deposit
+   * @returns {Object} The resulting rules
+   */
+  configure(overrides = {}) {
+    this._rules = { ...this.rules, ...overrides };
+    return this._rules;
+  }
+
+  /**
+   * Restore the default rules (plus PRICING_RULES_FILE, if set) and forget quotes
+   */
+  reset() {
+    this._rules = null;
+    this.quotes.clear();
+  }
+
+  /**
+   * Whether quotes need the customer's recent appointments (for follow-up pricing)
+   * @returns {boolean}
+   */
+  usesHistory() {
+    const { withinDays, percent } = this.rules.followUp || {};
+    return withinDays > 0 && percent > 0;
+  }
+
+  /**
+   * Add-ons offered with these services
+   * @param {Array<Object>} services - Formatted services
+   * @returns {Array<Object>}
+   */
+  getAddOns(services = []) {
+    return this.rules.addOns.filter(addOn => services.some(service => matchesCategories(service, addOn.categories)));
+  }
+
+  /**
+   * Price a booking
+   * @param {Object} options
+   * @param {Array<Object>} options.services - Formatted services ({ id, name, category, price })
+   * @param {Date} options.start - Appointment start
+   * @param {Array<Object>} options.promotions - Codes already checked by promotionService.resolveCodes()
+   * @param {Array<Object>} options.rejectedCodes - Codes promotionService turned down ({ code, reason })
+   * @param {Array<string>} options.addOnIds
+   * @param {Array<Object>} options.history - Customer's earlier appointments ({ start, serviceIds })
+   * @param {Array<Object>} options.allServices - Every service, to find which ones are follow-ups
+   * @returns {Object} Quote (not stored): { lines, subtotal, additional, discount, total, deposit, depositReason, promoCodes, rejectedCodes, rejectedAddOns }
+   */
+  calculate({ services, start, promotions = [], rejectedCodes = [], addOnIds = [], history = [], allServices = [] }) {
+    const serviceLines = services.map(service => ({ type: 'service', id: service.id, name: service.name, category: service.category || null, amount: round(Number(service.price) || 0) }));
+    const subtotal = sum(serviceLines);
+    const automatic = [];
+
+    // Follow-up pricing: the customer had the main service recently
+    if (this.usesHistory()) {
+      const { withinDays, percent } = this.rules.followUp;
+      serviceLines.forEach(line => {
+        const mainServiceIds = allServices.filter(service => service.followUp === line.id).map(service => service.id);
+        const earlier = history.find(appointment => {
+          const daysBefore = (start - new Date(appointment.start)) / 86400000;
+          return daysBefore > 0 && daysBefore <= withinDays && (appointment.serviceIds || []).some(id => mainServiceIds.includes(id));
+        });
+        if (earlier) {
+          automatic.push({ type: 'discount', rule: 'followUp', name: `Follow-up pricing: ${line.name} (${percent}% off)`, amount: -round(line.amount * percent / 100) });
+        }
+      });
+    }
+
+    // Bundles: the best one that matches
+    const bundle = this.rules.bundles
+      .filter(item => (!item.categories || item.categories.every(category => services.some(service => service.category === category)))
+        && (!item.minServices || services.length >= item.minServices))
+      .map(item => ({ item, base: sum(serviceLines.filter(line => matchesCategories(line, item.categories))) }))
+      .sort((a, b) => b.base * b.item.percent - a.base * a.item.percent)[0];
+    if (bundle) {
+      automatic.push({ type: 'discount', rule: 'bundle', name: `${bundle.item.name} (${bundle.item.percent}% off)`, amount: -round(bundle.base * bundle.item.percent / 100) });
+    }
+
+    // Off-peak: by the appointment's day and start time
+    const when = businessCalendar.toMoment(start);
+    const time = when.format('HH:mm');
+    const offPeak = this.rules.offPeak.find(item => (!item.days || item.days.includes(WEEKDAYS[when.day()]))
+      && (!item.start || time >= item.start) && (!item.end || time < item.end));
+    if (offPeak) {
+      const base = sum(serviceLines.filter(line => matchesCategories(line, offPeak.categories)));
+      if (base > 0) {
+        automatic.push({ type: 'discount', rule: 'offPeak', name: `${offPeak.name} (${offPeak.percent}% off)`, amount: -round(base * offPeak.percent / 100) });
+      }
+    }
+
+    // Promo codes
+    const rejected = [...rejectedCodes];
+    const promoLines = [];
+    promotions.filter(promotion => promotion.kind !== 'voucher').forEach(promotion => {
+      const result = this.applyPromotion(promotion, { serviceLines, subtotal });
+      if (result.error) {
+        rejected.push({ code: promotion.code, reason: result.error });
+      } else {
+        promoLines.push({ ...result.line, stackable: promotion.stackable !== false });
+      }
+    });
+
+    // A code that can't be combined replaces every other discount, when that is the better deal
+    const stacked = [...automatic, ...promoLines.filter(line => line.stackable)];
+    const exclusive = promoLines.filter(line => !line.stackable).sort((a, b) => a.amount - b.amount)[0];
+    const discounts = exclusive && -exclusive.amount > -sum(stacked) ? [exclusive] : stacked;
+    promoLines.filter(line => !discounts.includes(line)).forEach(line => {
+      rejected.push({ code: line.code, reason: line.stackable ? `Can't be combined with ${exclusive.code}` : 'Can\'t be combined with other offers' });
+    });
+    discounts.forEach(line => delete line.stackable);
+
+    // Add-ons
+    const offered = this.getAddOns(services);
+    const rejectedAddOns = addOnIds.filter(id => !offered.some(addOn => addOn.id === id));
+    const addOnLines = offered
+      .filter(addOn => addOnIds.includes(addOn.id))
+      .map(addOn => ({ type: 'addOn', id: addOn.id, name: addOn.name, amount: round(Number(addOn.price) || 0) }));
+
+    // Discounts never take the services below zero
+    const additional = sum(addOnLines);
+    const offers = round(Math.min(-sum(discounts), subtotal));
+    let due = round(subtotal + additional - offers);
+
+    // Gift vouchers pay towards what is left, in the order they were given
+    const voucherLines = [];
+    promotions.filter(promotion => promotion.kind === 'voucher').forEach(voucher => {
+      const amount = round(Math.min(voucher.balance, due));
+      if (amount <= 0) {
+        rejected.push({ code: voucher.code, reason: 'Nothing left to pay' });
+        return;
+      }
+      due = round(due - amount);
+      voucherLines.push({ type: 'voucher', rule: 'voucher', code: voucher.code, name: `Gift voucher ${voucher.code}`, amount: -amount });
+    });
+
+    const { deposit, depositReason } = this.calculateDeposit(services, due);
+
+    return {
+      lines: [...serviceLines, ...addOnLines, ...discounts, ...voucherLines],
+      subtotal,
+      additional,
+      discount: round(offers - sum(voucherLines)),
+      voucherAmount: -sum(voucherLines),
+      total: due,
+      deposit,
+      depositReason,
+      promoCodes: [...discounts, ...voucherLines].filter(line => line.code).map(line => line.code),
+      rejectedCodes: rejected,
+      rejectedAddOns
+    };
+  }
+
+  /**
+   * Work out a promo code's discount line for these services
+   * Validity, customer and usage limits are checked by promotionService first.
+   * @returns {Object} { line } or { error }
+   */
+  applyPromotion(promotion, { serviceLines, subtotal }) {
+    if (promotion.minTotal && subtotal < promotion.minTotal) return { error: `Needs a booking of at least $${promotion.minTotal}` };
+
+    const eligible = serviceLines.filter(line => matchesCategories(line, promotion.categories)
+      && (!promotion.serviceIds || promotion.serviceIds.length === 0 || promotion.serviceIds.includes(line.id)));
+    const base = sum(eligible);
+    if (base === 0) return { error: 'Not valid for these services' };
+
+    const amount = promotion.percent ? base * promotion.percent / 100 : Math.min(Number(promotion.amount) || 0, base);
+    return {
+      line: { type: 'discount', rule: 'promo', code: promotion.code, name: `${promotion.code}${promotion.description ? `: ${promotion.description}` : ''}`, amount: -round(amount) }
+    };
+  }
+
+  /**
+   * Deposit required for a booking
+   * @returns {Object} { deposit, depositReason }
+   */
+  calculateDeposit(services, total) {
+    const { categories = {}, percent = 0, minTotal = 0 } = this.rules.deposit || {};
+    const options = [];
+
+    services.forEach(service => {
+      if (categories[service.category]) {
+        options.push({ amount: Number(categories[service.category]), reason: `${service.category} bookings need a $${categories[service.category]} deposit` });
+      }
+    });
+    if (percent > 0 && total >= minTotal) {
+      options.push({ amount: total * percent / 100, reason: minTotal > 0 ? `${percent}% deposit for bookings of $${minTotal} or more` : `${percent}% deposit` });
+    }
+
+    const largest = options.sort((a, b) => b.amount - a.amount)[0];
+    return largest
+      ? { deposit: round(Math.min(largest.amount, total)), depositReason: largest.reason }
+      : { deposit: 0, depositReason: null };
+  }
+
+  /**
+   * Keep a quote so it can be booked with
+   * The quote can only be used in the session that asked for it.
+   * @param {Object} quote - From calculate()
+   * @param {Object} details - { serviceIds, start, resourceName, sessionId }
+   * @returns {Object} The stored quote with id and expiresAt
+   */
+  saveQuote(quote, { serviceIds, start, resourceName = null, sessionId = null }) {
+    this.purgeExpired();
+    const stored = {
+      id: `quote-${crypto.randomUUID()}`,
+      ...quote,
+      serviceIds: [...serviceIds],
+      start: new Date(start).toISOString(),
+      resourceName,
+      sessionId,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60000).toISOString()
+    };
+    this.quotes.set(stored.id, stored);
+    return stored;
+  }
+
+  /**
+   * A stored quote, if it hasn't expired
+   * @param {string} quoteId
+   * @returns {Object|null}
+   */
+  getQuote(quoteId) {
+    this.purgeExpired();
+    return this.quotes.get(quoteId) || null;
+  }
+
+  /**
+   * Whether a quote was made in this session
+   * Quotes made before the customer is identified carry no customer, so the
+   * session is what stops a quote id being used by someone else.
+   * @param {Object} quote
+   * @param {string} sessionId
+   * @returns {boolean}
+   */
+  isQuoteForSession(quote, sessionId) {
+    return Boolean(quote.sessionId) && quote.sessionId === sessionId;
+  }
+
+  /**
+   * Why a quote can't be used for a booking, or null when it can
+   * @param {Object} quote
+   * @param {Object} booking - { serviceIds, start, resourceName, sessionId }
+   * @returns {string|null}
+   */
+  checkQuoteMatches(quote, { serviceIds, start, resourceName, sessionId = null }) {
+    if (!this.isQuoteForSession(quote, sessionId)) {
+      return 'The quote was made in another conversation';
+    }
+    if ([...quote.serviceIds].sort().join() !== [...serviceIds].sort().join()) {
+      return 'The quote is for different services';
+    }
+    if (new Date(quote.start).getTime() !== new Date(start).getTime()) {
+      return 'The quote is for a different time';
+    }
+    if (quote.resourceName && resourceName && quote.resourceName !== resourceName) {
+      return 'The quote is for a different customer';
+    }
+    return null;
+  }
+
+  /**
+   * Amounts to send to SOHO for a quote
+   * @param {Object} quote
+   * @returns {Object} { totalAmount, additional, discount, deposit }
+   */
+  toBookingAmounts(quote) {
+    return {
+      totalAmount: quote.subtotal,
+      additional: quote.additional,
+      discount: quote.discount,
+      deposit: quote.deposit
+    };
+  }
+
+  purgeExpired(now = new Date()) {
+    for (const [quoteId, quote] of this.quotes) {
+      if (new Date(quote.expiresAt) <= now) {
+        this.quotes.delete(quoteId);
+      }
+    }
+  }
+}
+
+function loadRulesFile() {
+  const filePath = process.env.PRICING_RULES_FILE;
+  if (!filePath) return {};
+
+  try {
+    const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`💲 Loaded pricing rules from ${filePath}`);
+    return rules;
+  } catch (error) {
+    console.error(`❌ Error loading pricing rules from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+// Export a singleton instance
+const pricingService = new PricingService();
+
+module.exports = pricingService;
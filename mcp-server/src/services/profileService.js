@@ -0,0 +1,205 @@
+/**
+ * Profile Service - Customer profiles
+ * What the salon should remember about a customer between visits: allergies,
+ * lash curl and length, preferred therapist, sensitive skin and free-form staff
+ * notes. Every field and note keeps who wrote it and when.
+ *
+ * Profiles are stored through the memory service under profile:<resourceName>,
+ * apart from the customer's session memory, which only holds booking state.
+ */
+const crypto = require('crypto');
+const memoryService = require('./memoryService');
+const resourceService = require('./resourceService');
+
+const PROFILE_PREFIX = 'profile:';
+
+// Profile fields and how they are shown
+const PROFILE_FIELDS = {
+  allergies: 'Allergies',
+  sensitiveSkin: 'Sensitive skin',
+  lashCurl: 'Lash curl',
+  lashLength: 'Lash length',
+  preferredTherapist: 'Preferred therapist'
+};
+
+// Staff notes shown in the admin prompt, newest first
+const PROMPT_NOTE_LIMIT = 10;
+
+function emptyProfile(resourceName) {
+  return { resourceName, fields: {}, notes: [] };
+}
+
+function formatValue(key, value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (key === 'preferredTherapist') return value.name || value.id;
+  return String(value);
+}
+
+class ProfileService {
+  /**
+   * A customer's profile (empty when nothing has been recorded)
+   * @param {string} resourceName
+   * @returns {Promise<Object>} { resourceName, fields: { key: { value, author, updatedAt } }, notes: [{ id, text, author, createdAt, appointmentId }] }
+   */
+  async getProfile(resourceName) {
+    const stored = await memoryService.getMemoryByResourceName(`${PROFILE_PREFIX}${resourceName}`);
+    return stored && stored.resourceName ? stored : emptyProfile(resourceName);
+  }
+
+  async saveProfile(profile) {
+    profile.updatedAt = new Date().toISOString();
+    await memoryService.saveMemoryByResourceName(null, `${PROFILE_PREFIX}${profile.resourceName}`, profile);
+    return profile;
+  }
+
+  /**
+   * Set or clear profile fields
+   * @param {string} resourceName
+   * @param {Object} changes - Any of allergies (list), sensitiveSkin, lashCurl, lashLength, preferredTherapist; null clears a field
+   * @param {string} author - Who made the change
+   * @returns {Promise<Object>} { profile, changed: [field] }
+   */
+  async updateFields(resourceName, changes, author) {
+    const profile = await this.getProfile(resourceName);
+    const now = new Date().toISOString();
+    const changed = [];
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!PROFILE_FIELDS[key] || value === undefined) return;
+      if (value === null) {
+        delete profile.fields[key];
+      } else {
+        profile.fields[key] = { value: this.normalizeField(key, value), author, updatedAt: now };
+      }
+      changed.push(key);
+    });
+
+    if (changed.length > 0) {
+      await this.saveProfile(profile);
+      console.log(`📇 Updated ${changed.join(', ')} on the profile of ${resourceName}`);
+    }
+    return { profile, changed };
+  }
+
+  normalizeField(key, value) {
+    if (key === 'allergies') {
+      return [...new Set((Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean))];
+    }
+    if (key === 'preferredTherapist') {
+      // Staff from the resources config are stored by ID, anyone else by name
+      const staff = resourceService.findStaff(value);
+      return staff ? { id: staff.id, name: staff.name } : { id: null, name: String(value).trim() };
+    }
+    if (key === 'sensitiveSkin') return Boolean(value);
+    return String(value).trim();
+  }
+
+  /**
+   * Add a staff note
+   * @param {string} resourceName
+   * @param {string} text
+   * @param {string} author
+   * @param {Object} options - { appointmentId }
+   * @returns {Promise<Object>} The note
+   */
+  async addNote(resourceName, text, author, { appointmentId = null } = {}) {
+    const profile = await this.getProfile(resourceName);
+    const note = {
+      id: `note-${crypto.randomUUID()}`,
+      text: String(text).trim(),
+      author,
+      appointmentId,
+      createdAt: new Date().toISOString()
+    };
+    profile.notes.push(note);
+    await this.saveProfile(profile);
+    console.log(`📇 Added a note to the profile of ${resourceName}`);
+    return note;
+  }
+
+  /**
+   * Remove a staff note
+   * @param {string} resourceName
+   * @param {string} noteId
+   * @returns {Promise<Object|null>} The removed note, or null when there is none
+   */
+  async removeNote(resourceName, noteId) {
+    const profile = await this.getProfile(resourceName);
+    const note = profile.notes.find(item => item.id === noteId);
+    if (!note) return null;
+    profile.notes = profile.notes.filter(item => item.id !== noteId);
+    await this.saveProfile(profile);
+    return note;
+  }
+
+  /**
+   * Merge a duplicate contact's profile into the survivor's
+   * The survivor's fields win, allergies are combined and all notes are kept.
+   * @param {string} survivor - resourceName kept
+   * @param {string} duplicate - resourceName merged away
+   * @returns {Promise<boolean>} Whether the duplicate had a profile to merge
+   */
+  async mergeProfiles(survivor, duplicate) {
+    const from = await this.getProfile(duplicate);
+    if (this.isEmpty(from)) return false;
+
+    const into = await this.getProfile(survivor);
+    Object.entries(from.fields).forEach(([key, field]) => {
+      if (!into.fields[key]) {
+        into.fields[key] = field;
+      } else if (key === 'allergies') {
+        into.fields[key] = { ...into.fields[key], value: this.normalizeField(key, [...into.fields[key].value, ...field.value]) };
+      }
+    });
+    into.notes = [...into.notes, ...from.notes].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    await this.saveProfile(into);
+    await memoryService.deleteMemory(`${PROFILE_PREFIX}${duplicate}`);
+    console.log(`📇 Merged the profile of ${duplicate} into ${survivor}`);
+    return true;
+  }
+
+  /**
+   * Whether anything has been recorded
+   * @param {Object} profile
+   * @returns {boolean}
+   */
+  isEmpty(profile) {
+    return !profile || (Object.keys(profile.fields || {}).length === 0 && (profile.notes || []).length === 0);
+  }
+
+  /**
+   * Profile as text for the admin prompt
+   * @param {Object} profile
+   * @param {string} customerName
+   * @returns {string} Empty when nothing has been recorded
+   */
+  formatForPrompt(profile, customerName = null) {
+    if (this.isEmpty(profile)) return '';
+
+    const day = timestamp => String(timestamp).slice(0, 10);
+    const lines = Object.entries(PROFILE_FIELDS)
+      .filter(([key]) => profile.fields[key])
+      .map(([key, label]) => {
+        const field = profile.fields[key];
+        return `- ${label}: ${formatValue(key, field.value)} (${field.author}, ${day(field.updatedAt)})`;
+      });
+
+    const notes = [...profile.notes].reverse().slice(0, PROMPT_NOTE_LIMIT);
+    if (notes.length > 0) {
+      lines.push('- Staff notes:');
+      notes.forEach(note => lines.push(`  - ${day(note.createdAt)} ${note.author}: ${note.text}`));
+    }
+
+    return `### CUSTOMER PROFILE${customerName ? ` (${customerName})` : ''}:
+Check allergies and sensitive skin before booking, and use the preferences when suggesting services and staff.
+${lines.join('\n')}
+`;
+  }
+}
+
+// Export a singleton instance
+const profileService = new ProfileService();
+
+module.exports = profileService;
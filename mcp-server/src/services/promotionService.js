@@ -0,0 +1,421 @@
+/**
+ * Promotion Service - Promo codes, gift vouchers and their redemptions
+ * Promo codes take a percentage or an amount off eligible services; gift
+ * vouchers carry a balance that is spent across bookings. Both are checked
+ * here (validity window, eligible customer, usage limits, balance) and every
+ * use is written to a redemption ledger, so a code can't be used more often
+ * than allowed.
+ *
+ * Admin-created promotions, vouchers and the ledger are stored through the
+ * memory service under system:promotions. Codes listed under promoCodes in
+ * PRICING_RULES_FILE work too and share the same ledger.
+ *
+ * A booking claims its redemptions before the SOHO call (synchronously, so two
+ * sessions can't both spend the last use) and confirms or releases the claim
+ * once the call is done.
+ */
+const crypto = require('crypto');
+const memoryService = require('./memoryService');
+const pricingService = require('./pricingService');
+const businessCalendar = require('./businessCalendar');
+
+const PROMOTIONS_KEY = 'system:promotions';
+// Each customer can use a promo code once unless the promotion says otherwise
+const DEFAULT_USES_PER_CUSTOMER = 1;
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class PromotionService {
+  constructor() {
+    this.data = null;
+  }
+
+  // A failed read is not cached: saving an empty ledger in its place would
+  // erase every stored promotion, voucher balance and redemption
+  async load() {
+    if (!this.data) {
+      let stored;
+      try {
+        stored = await memoryService.getMemoryByResourceName(PROMOTIONS_KEY, { throwOnError: true });
+      } catch (error) {
+        console.error('❌ Error loading promotions:', error);
+        throw new Error('Promo codes and vouchers are unavailable right now');
+      }
+      this.data = {
+        promotions: stored.promotions || {},
+        redemptions: stored.redemptions || []
+      };
+    }
+    return this.data;
+  }
+
+  async save() {
+    if (!this.data) throw new Error('Promotions have not been loaded');
+    return memoryService.saveMemoryByResourceName(null, PROMOTIONS_KEY, {
+      ...this.data,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * A promotion or voucher by code (stored ones first, then PRICING_RULES_FILE)
+   * @param {string} code
+   * @returns {Promise<Object|null>}
+   */
+  async getPromotion(code) {
+    await this.load();
+    const key = normalizeCode(code);
+    if (this.data.promotions[key]) return this.data.promotions[key];
+
+    const configured = Object.entries(pricingService.rules.promoCodes || {}).find(([name]) => normalizeCode(name) === key);
+    return configured ? { kind: 'promo', ...configured[1], code: key, source: 'config', active: true } : null;
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} promotion - { code, percent | amount, description, categories, serviceIds, validFrom, validUntil,
+   *   minTotal, maxUses, maxUsesPerCustomer, resourceName, stackable, createdBy }
+   * @returns {Promise<Object>} The stored promotion
+   */
+  async createPromotion(promotion) {
+    await this.load();
+    const code = normalizeCode(promotion.code);
+    if (!code) throw new Error('A promo code is needed');
+    if (await this.getPromotion(code)) throw new Error(`The code ${code} already exists`);
+    if (!promotion.percent && !promotion.amount) throw new Error('Give a percent or an amount off');
+    if (promotion.percent && (promotion.percent <= 0 || promotion.percent > 100)) throw new Error('percent must be between 1 and 100');
+
+    const stored = {
+      kind: 'promo',
+      code,
+      percent: promotion.percent || null,
+      amount: promotion.percent ? null : promotion.amount,
+      description: promotion.description || null,
+      categories: promotion.categories || [],
+      serviceIds: promotion.serviceIds || [],
+      validFrom: promotion.validFrom || null,
+      validUntil: promotion.validUntil || null,
+      minTotal: promotion.minTotal || 0,
+      maxUses: promotion.maxUses || null,
+      maxUsesPerCustomer: promotion.maxUsesPerCustomer || DEFAULT_USES_PER_CUSTOMER,
+      resourceName: promotion.resourceName || null,
+      stackable: promotion.stackable !== false,
+      active: true,
+      createdBy: promotion.createdBy || null,
+      createdAt: new Date().toISOString()
+    };
+    this.data.promotions[code] = stored;
+    await this.save();
+    console.log(`🎟️ Created promo code ${code}`);
+    return stored;
+  }
+
+  /**
+   * Issue a gift voucher
+   * @param {Object} voucher - { amount, code, resourceName, recipient, validUntil, note, createdBy }
+   * @returns {Promise<Object>} The stored voucher
+   */
+  async issueVoucher({ amount, code = null, resourceName = null, recipient = null, validUntil = null, note = null, createdBy = null }) {
+    await this.load();
+    if (!(amount > 0)) throw new Error('The voucher amount must be more than 0');
+
+    const voucherCode = normalizeCode(code) || generateVoucherCode();
+    if (await this.getPromotion(voucherCode)) throw new Error(`The code ${voucherCode} already exists`);
+
+    const stored = {
+      kind: 'voucher',
+      code: voucherCode,
+      initialBalance: round(amount),
+      balance: round(amount),
+      resourceName,
+      recipient,
+      validUntil,
+      note,
+      active: true,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    this.data.promotions[voucherCode] = stored;
+    await this.save();
+    console.log(`🎁 Issued voucher ${voucherCode} for $${stored.balance}`);
+    return stored;
+  }
+
+  /**
+   * Stop a code from being used
+   * @param {string} code
+   * @returns {Promise<Object|null>} The promotion, or null when there is no stored code
+   */
+  async deactivate(code) {
+    await this.load();
+    const promotion = this.data.promotions[normalizeCode(code)];
+    if (!promotion) return null;
+    promotion.active = false;
+    promotion.deactivatedAt = new Date().toISOString();
+    await this.save();
+    return promotion;
+  }
+
+  /**
+   * Stored promotions and vouchers
+   * @param {Object} options - { kind, includeInactive }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPromotions({ kind = null, includeInactive = false } = {}) {
+    await this.load();
+    return Object.values(this.data.promotions)
+      .filter(promotion => (!kind || promotion.kind === kind) && (includeInactive || promotion.active))
+      .map(promotion => ({ ...promotion, uses: this.activeRedemptions({ code: promotion.code }).length }));
+  }
+
+  /**
+   * Redemptions, newest first
+   * @param {Object} filter - { code, resourceName, appointmentId }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRedemptions(filter = {}) {
+    await this.load();
+    return this.data.redemptions
+      .filter(item => (!filter.code || item.code === normalizeCode(filter.code))
+        && (!filter.resourceName || item.resourceName === filter.resourceName)
+        && (!filter.appointmentId || item.appointmentId === filter.appointmentId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Redemptions that count against limits and balances
+  activeRedemptions({ code, resourceName = null, ignoreAppointmentId = null }) {
+    return this.data.redemptions.filter(item => item.code === code
+      && (item.status === 'redeemed' || item.status === 'pending')
+      && (!resourceName || item.resourceName === resourceName)
+      && (!ignoreAppointmentId || item.appointmentId !== ignoreAppointmentId));
+  }
+
+  // Voucher balance, adding back what the appointment being changed already spent
+  availableBalance(voucher, ignoreAppointmentId = null) {
+    const returned = ignoreAppointmentId
+      ? this.data.redemptions
+        .filter(item => item.code === voucher.code && item.status === 'redeemed' && item.appointmentId === ignoreAppointmentId)
+        .reduce((total, item) => total + item.amount, 0)
+      : 0;
+    return round(voucher.balance + returned);
+  }
+
+  /**
+   * Why a code can't be used by this customer on this date, or null
+   * @param {Object} promotion
+   * @param {Object} options - { resourceName, start, ignoreAppointmentId }
+   * @returns {string|null}
+   */
+  checkEligibility(promotion, { resourceName = null, start = new Date(), ignoreAppointmentId = null }) {
+    if (!promotion.active) return 'This code is no longer active';
+
+    const day = businessCalendar.formatDate(start);
+    if (promotion.validFrom && day < promotion.validFrom) return `Valid from ${promotion.validFrom}`;
+    if (promotion.validUntil && day > promotion.validUntil) return `Expired on ${promotion.validUntil}`;
+    if (promotion.resourceName && resourceName && promotion.resourceName !== resourceName) return 'This code belongs to another customer';
+    if (promotion.resourceName && !resourceName) return 'This code is for a specific customer; identify the customer first';
+
+    if (promotion.kind === 'voucher') {
+      return this.availableBalance(promotion, ignoreAppointmentId) > 0 ? null : 'This voucher has no balance left';
+    }
+
+    if (promotion.maxUses && this.activeRedemptions({ code: promotion.code, ignoreAppointmentId }).length >= promotion.maxUses) {
+      return 'This code has been fully used';
+    }
+    const perCustomer = promotion.maxUsesPerCustomer || DEFAULT_USES_PER_CUSTOMER;
+    if (resourceName && this.activeRedemptions({ code: promotion.code, resourceName, ignoreAppointmentId }).length >= perCustomer) {
+      return perCustomer === 1 ? 'The customer has already used this code' : `The customer has already used this code ${perCustomer} times`;
+    }
+    return null;
+  }
+
+  /**
+   * Look up codes for a quote
+   * @param {Array<string>} codes
+   * @param {Object} options - { resourceName, start, ignoreAppointmentId }
+   * @returns {Promise<Object>} { promotions: [{ ...promotion, available }], rejected: [{ code, reason }] }
+   */
+  async resolveCodes(codes = [], options = {}) {
+    const promotions = [];
+    const rejected = [];
+
+    for (const code of [...new Set(codes.map(normalizeCode).filter(Boolean))]) {
+      const promotion = await this.getPromotion(code);
+      if (!promotion) {
+        rejected.push({ code, reason: 'Unknown promo code' });
+        continue;
+      }
+      const reason = this.checkEligibility(promotion, options);
+      if (reason) {
+        rejected.push({ code, reason });
+        continue;
+      }
+      promotions.push({
+        ...promotion,
+        ...(promotion.kind === 'voucher' ? { balance: this.availableBalance(promotion, options.ignoreAppointmentId) } : {})
+      });
+    }
+
+    return { promotions, rejected };
+  }
+
+  /**
+   * Claim the codes a quote uses for a booking
+   * Limits and balances are re-checked and the redemptions recorded as pending
+   * without awaiting in between, so concurrent bookings can't overspend a code.
+   * When an appointment is being changed, its earlier redemptions are set aside
+   * until the claim is confirmed.
+   * @param {Object} quote - Quote with redemption lines
+   * @param {Object} options - { start, resourceName, sessionId, appointmentId }
+   * @returns {Promise<Object>} { claimId, error }
+   */
+  async claim(quote, { start, resourceName = null, sessionId = null, appointmentId = null }) {
+    const lines = quote.lines.filter(line => line.code);
+    if (lines.length === 0 && !appointmentId) return { claimId: null, error: null };
+
+    await this.load();
+    const previous = appointmentId
+      ? this.data.redemptions.filter(item => item.appointmentId === appointmentId && item.status === 'redeemed')
+      : [];
+    if (lines.length === 0 && previous.length === 0) return { claimId: null, error: null };
+
+    const promotions = [];
+    for (const line of lines) {
+      promotions.push(await this.getPromotion(line.code));
+    }
+
+    // Synchronous from here: check everything, then record
+    for (const [i, line] of lines.entries()) {
+      const promotion = promotions[i];
+      const reason = promotion
+        ? this.checkEligibility(promotion, { resourceName, start, ignoreAppointmentId: appointmentId })
+        : 'Unknown promo code';
+      if (reason) return { claimId: null, error: `${line.code}: ${reason}` };
+      if (promotion.kind === 'voucher' && this.availableBalance(promotion, appointmentId) < -line.amount) {
+        return { claimId: null, error: `${line.code}: Only $${this.availableBalance(promotion, appointmentId).toFixed(2)} left on this voucher` };
+      }
+    }
+
+    const claimId = `claim-${crypto.randomUUID()}`;
+    previous.forEach(item => {
+      item.status = 'replacing';
+      item.claimId = claimId;
+      this.adjustVoucher(item.code, item.amount);
+    });
+    lines.forEach(line => {
+      this.data.redemptions.push({
+        id: `redemption-${crypto.randomUUID()}`,
+        claimId,
+        code: line.code,
+        kind: line.type === 'voucher' ? 'voucher' : 'promo',
+        amount: -line.amount,
+        resourceName,
+        sessionId,
+        appointmentId: null,
+        status: 'pending',
+        createdAt: new Date().toISOString()
+      });
+      if (line.type === 'voucher') this.adjustVoucher(line.code, line.amount);
+    });
+
+    await this.save();
+    return { claimId, error: null };
+  }
+
+  /**
+   * The booking went through: record the appointment against the claim
+   * @param {string|null} claimId
+   * @param {string} appointmentId
+   */
+  async confirm(claimId, appointmentId) {
+    if (!claimId) return;
+    await this.load();
+    this.data.redemptions.forEach(item => {
+      if (item.claimId !== claimId) return;
+      if (item.status === 'pending') {
+        item.status = 'redeemed';
+        item.appointmentId = appointmentId;
+        item.redeemedAt = new Date().toISOString();
+        console.log(`🎟️ Redeemed ${item.code} ($${item.amount}) for appointment ${appointmentId}`);
+      } else if (item.status === 'replacing') {
+        item.status = 'reversed';
+        item.reversedAt = new Date().toISOString();
+      }
+    });
+    await this.save();
+  }
+
+  /**
+   * The booking failed: undo the claim
+   * @param {string|null} claimId
+   */
+  async release(claimId) {
+    if (!claimId) return;
+    await this.load();
+    this.data.redemptions = this.data.redemptions.filter(item => {
+      if (item.claimId !== claimId) return true;
+      if (item.status === 'pending') {
+        if (item.kind === 'voucher') this.adjustVoucher(item.code, item.amount);
+        return false;
+      }
+      if (item.status === 'replacing') {
+        item.status = 'redeemed';
+        this.adjustVoucher(item.code, -item.amount);
+      }
+      return true;
+    });
+    await this.save();
+  }
+
+  /**
+   * Give back what a cancelled appointment used (voucher balance and code uses)
+   * @param {string} appointmentId
+   * @returns {Promise<Array<Object>>} Reversed redemptions
+   */
+  async reverseForAppointment(appointmentId) {
+    await this.load();
+    const reversed = this.data.redemptions.filter(item => item.appointmentId === appointmentId && item.status === 'redeemed');
+    if (reversed.length === 0) return [];
+
+    reversed.forEach(item => {
+      item.status = 'reversed';
+      item.reversedAt = new Date().toISOString();
+      this.adjustVoucher(item.code, item.amount);
+    });
+    await this.save();
+    console.log(`🎟️ Reversed ${reversed.length} redemption(s) for cancelled appointment ${appointmentId}`);
+    return reversed;
+  }
+
+  // Change a stored voucher's balance (positive gives money back)
+  adjustVoucher(code, amount) {
+    const voucher = this.data.promotions[code];
+    if (voucher?.kind === 'voucher') {
+      voucher.balance = round(voucher.balance + amount);
+    }
+  }
+
+  /**
+   * Forget all promotions and redemptions (tests)
+   */
+  async clear() {
+    this.data = { promotions: {}, redemptions: [] };
+    await this.save();
+  }
+}
+
+function generateVoucherCode() {
+  const part = () => crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `GV-${part()}-${part()}`;
+}
+
+// Export a singleton instance
+const promotionService = new PromotionService();
+
+module.exports = promotionService;
@@ -0,0 +1,277 @@
+/**
+ * Resource Service - Staff and rooms for scheduling
+ * Staff have skills per service category (and optionally working days); rooms/beds
+ * can be limited to categories. A slot is free when a qualified staff member and a
+ * suitable room are both free, rather than when the whole salon is empty.
+ *
+ * With no staff or rooms configured the salon is treated as a single resource,
+ * which is the original behaviour (any calendar event blocks the slot).
+ *
+ * Resources are loaded from a JSON file (RESOURCES_FILE) or set at runtime
+ * through configure().
+ */
+const fs = require('fs');
+const businessCalendar = require('./businessCalendar');
+
+const DEFAULT_CONFIG = {
+  // [{ id: 'staff:jenny', name: 'Jenny', skills: ['Lashes', 'Facial'], days: ['monday', ...], active: true }]
+  // skills ['*'] covers every category; omit days to work every open day
+  staff: [],
+  // [{ id: 'room:bed-1', name: 'Bed 1', categories: ['Facial'] }] - omit categories to allow any service
+  rooms: []
+};
+
+class ResourceService {
+  /**
+   * @param {Object|null} config - Resources; when omitted they are loaded on first use,
+   * after dotenv has had a chance to set RESOURCES_FILE
+   */
+  constructor(config = null) {
+    this._config = config ? { ...DEFAULT_CONFIG, ...config } : null;
+  }
+
+  get config() {
+    if (!this._config) {
+      this._config = { ...DEFAULT_CONFIG, ...loadConfigFile() };
+    }
+    return this._config;
+  }
+
+  set config(value) {
+    this._config = value;
+  }
+
+  /**
+   * Replace the staff and/or rooms
+   * @param {Object} overrides - { staff, rooms }
+   * @returns {Object} The resulting config
+   */
+  configure(overrides = {}) {
+    this.config = { ...this.config, ...overrides };
+    return this.config;
+  }
+
+  /**
+   * Restore the defaults (plus RESOURCES_FILE, if set)
+   */
+  reset() {
+    this._config = null;
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Whether any staff or rooms are configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.getActiveStaff().length > 0 || this.config.rooms.length > 0;
+  }
+
+  getActiveStaff() {
+    return this.config.staff.filter(member => member.active !== false);
+  }
+
+  /**
+   * Find a staff member by ID or name ("Jenny", "jenny", "staff:jenny")
+   * @param {string} nameOrId
+   * @returns {Object|null}
+   */
+  findStaff(nameOrId) {
+    if (!nameOrId) return null;
+    const query = String(nameOrId).toLowerCase().trim();
+    const staff = this.getActiveStaff();
+
+    return staff.find(member => member.id.toLowerCase() === query)
+      || staff.find(member => member.name.toLowerCase() === query)
+      || staff.find(member => member.name.toLowerCase().split(/\s+/)[0] === query.split(/\s+/)[0])
+      || null;
+  }
+
+  /**
+   * Whether a staff member can do every category and works that weekday
+   * @param {Object} member
+   * @param {Array<string>} categories - Service categories for the appointment
+   * @param {string} weekday - Lowercase weekday name
+   * @returns {string|null} Reason they can't, or null if they can
+   */
+  getStaffRestriction(member, categories, weekday) {
+    if (member.days && !member.days.includes(weekday)) {
+      return `${member.name} doesn't work on ${weekday}s`;
+    }
+
+    const skills = (member.skills || []).map(skill => skill.toLowerCase());
+    if (!skills.includes('*')) {
+      const missing = categories.filter(category => !skills.includes(category.toLowerCase()));
+      if (missing.length > 0) {
+        return `${member.name} doesn't do ${missing.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  roomAllows(room, categories) {
+    if (!room.categories || room.categories.length === 0) return true;
+    const allowed = room.categories.map(category => category.toLowerCase());
+    return categories.every(category => allowed.includes(category.toLowerCase()));
+  }
+
+  /**
+   * Work out which staff member and room a calendar event uses
+   * Reads extendedProperties.private.staffId/roomId, falling back to a staff
+   * or room name in the event title or location.
+   * @param {Object} event - Google Calendar event
+   * @returns {Object} { staffId, roomId } (null when unknown)
+   */
+  getEventResources(event) {
+    const tagged = event.extendedProperties?.private || {};
+    const text = `${event.summary || ''} ${event.location || ''}`.toLowerCase();
+    const mentions = name => new RegExp(`\\b${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text);
+
+    const staffId = tagged.staffId
+      || this.getActiveStaff().find(member => mentions(member.name))?.id
+      || null;
+    const roomId = tagged.roomId
+      || this.config.rooms.find(room => mentions(room.name))?.id
+      || null;
+
+    return { staffId, roomId };
+  }
+
+  /**
+   * Free staff and rooms for a time range
+   * Events with no known staff (or room) could be using any of them, so each
+   * one is counted against the free pool. Blocks (blockTime) take only the
+   * staff member or room they name, and close everything when they name neither.
+   * @param {Object} options - { start, end, events, categories }
+   * @returns {Object} { staff, rooms, unassignedStaff, unassignedRooms, restrictions }
+   */
+  getFreeResources({ start, end, events = [], categories = [] }) {
+    const weekday = businessCalendar.toMoment(start).format('dddd').toLowerCase();
+    const overlapping = events.filter(event => {
+      const eventStart = new Date(event.start.dateTime || event.start.date);
+      const eventEnd = new Date(event.end.dateTime || event.end.date);
+      return eventStart < end && eventEnd > start;
+    });
+
+    const busyStaff = new Set();
+    const busyRooms = new Set();
+    const blockedStaff = new Set();
+    let closed = false;
+    let unassignedStaff = 0;
+    let unassignedRooms = 0;
+
+    overlapping.forEach(event => {
+      const tagged = event.extendedProperties?.private || {};
+      if (tagged.block === 'true') {
+        if (tagged.staffId) blockedStaff.add(tagged.staffId);
+        if (tagged.roomId) busyRooms.add(tagged.roomId);
+        if (!tagged.staffId && !tagged.roomId) closed = true;
+        return;
+      }
+
+      const { staffId, roomId } = this.getEventResources(event);
+      if (staffId) busyStaff.add(staffId); else unassignedStaff++;
+      if (roomId) busyRooms.add(roomId); else unassignedRooms++;
+    });
+
+    const restrictions = {};
+    const staff = this.getActiveStaff().filter(member => {
+      const restriction = this.getStaffRestriction(member, categories, weekday);
+      if (restriction) {
+        restrictions[member.id] = restriction;
+        return false;
+      }
+      if (closed || blockedStaff.has(member.id)) {
+        restrictions[member.id] = `${member.name} is blocked out`;
+        return false;
+      }
+      if (busyStaff.has(member.id)) {
+        restrictions[member.id] = `${member.name} is already booked`;
+        return false;
+      }
+      return true;
+    });
+
+    const rooms = closed ? [] : this.config.rooms.filter(room => this.roomAllows(room, categories) && !busyRooms.has(room.id));
+
+    return { staff, rooms, unassignedStaff, unassignedRooms, restrictions };
+  }
+
+  /**
+   * Pick a staff member and room for an appointment
+   * @param {Object} options - { start, end, events, categories, staffId }
+   * @returns {Object} { available, staff, room, reason }
+   */
+  findAssignment({ start, end, events = [], categories = [], staffId = null }) {
+    // Single-resource mode: any overlapping event blocks the slot
+    if (!this.isEnabled()) {
+      const busy = events.some(event => {
+        const eventStart = new Date(event.start.dateTime || event.start.date);
+        const eventEnd = new Date(event.end.dateTime || event.end.date);
+        return eventStart < end && eventEnd > start;
+      });
+      return { available: !busy, staff: null, room: null, reason: busy ? 'Time slot is booked' : null };
+    }
+
+    const free = this.getFreeResources({ start, end, events, categories });
+    let staff = null;
+    let room = null;
+
+    if (this.getActiveStaff().length > 0) {
+      if (free.staff.length <= free.unassignedStaff) {
+        const requested = staffId ? this.findStaff(staffId) : null;
+        return {
+          available: false,
+          staff: null,
+          room: null,
+          reason: (requested && free.restrictions[requested.id]) || 'No qualified staff free'
+        };
+      }
+
+      if (staffId) {
+        const requested = this.findStaff(staffId);
+        if (!requested) {
+          return { available: false, staff: null, room: null, reason: `Unknown staff member: ${staffId}` };
+        }
+        staff = free.staff.find(member => member.id === requested.id) || null;
+        if (!staff) {
+          return { available: false, staff: null, room: null, reason: free.restrictions[requested.id] || `${requested.name} isn't free` };
+        }
+      } else {
+        staff = free.staff[0];
+      }
+    }
+
+    if (this.config.rooms.length > 0) {
+      if (free.rooms.length <= free.unassignedRooms) {
+        return { available: false, staff: null, room: null, reason: 'No suitable room free' };
+      }
+      room = free.rooms[0];
+    }
+
+    return { available: true, staff, room, reason: null };
+  }
+}
+
+function loadConfigFile() {
+  const filePath = process.env.RESOURCES_FILE;
+  if (!filePath) return {};
+
+  try {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`👥 Loaded ${config.staff?.length || 0} staff and ${config.rooms?.length || 0} rooms from ${filePath}`);
+    return config;
+  } catch (error) {
+    console.error(`❌ Error loading resources from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+// Export a singleton instance
+const resourceService = new ResourceService();
+
+module.exports = resourceService;
@@ -0,0 +1,289 @@
+/**
+ * Risk Service - No-show risk and deposit policy
+ * Scores how likely a customer is to miss a booking from their late
+ * cancellations (SOHO's cancelCount), past no-shows (appointment status) and
+ * how short the notice is. A high enough score suggests a deposit to the admin;
+ * a higher one requires it, and the deposit goes on the booking.
+ *
+ * The deposit status of each booking (required, suggested, paid, waived) is
+ * kept here and stored through the memory service under system:deposits, as
+ * SOHO only holds the amount.
+ *
+ * Rules can be overridden with a JSON file (RISK_RULES_FILE) or configure().
+ */
+const fs = require('fs');
+const memoryService = require('./memoryService');
+
+const DEPOSITS_KEY = 'system:deposits';
+
+// What customers are told; the reasons behind a required deposit are for admins
+const CUSTOMER_REASON = 'A deposit is needed to secure this booking';
+
+const DEFAULT_RULES = {
+  enabled: true,
+  // Points per late cancellation (cancelCount), per no-show, and for booking at short notice
+  weights: { lateCancel: 1, noShow: 3, shortNotice: 1 },
+  shortNoticeHours: 24,
+  // No-shows older than this don't count
+  lookbackDays: 365,
+  // Appointment statuses that mean the customer didn't turn up (compared without case or punctuation)
+  noShowStatuses: ['noshow', 'missed'],
+  // Score from which a deposit is suggested to the admin, and from which it is required
+  suggestAt: 2,
+  requireAt: 4,
+  // Deposit as a percentage of the booking total, at least minimum (never more than the total)
+  deposit: {
+    suggest: { percent: 25, minimum: 10 },
+    require: { percent: 50, minimum: 20 }
+  }
+};
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function normalizeStatus(status) {
+  return String(status || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+class RiskService {
+  constructor() {
+    this._rules = null;
+    this.deposits = null;
+  }
+
+  get rules() {
+    if (!this._rules) {
+      this._rules = mergeRules(DEFAULT_RULES, loadRulesFile());
+    }
+    return this._rules;
+  }
+
+  /**
+   * Override the risk rules
+   * @param {Object} overrides - Any of enabled, weights, shortNoticeHours, lookbackDays, noShowStatuses, suggestAt, requireAt, deposit
+   * @returns {Object} The resulting rules
+   */
+  configure(overrides = {}) {
+    this._rules = mergeRules(this.rules, overrides);
+    return this._rules;
+  }
+
+  /**
+   * Restore the default rules (plus RISK_RULES_FILE, if set) and forget loaded deposit records
+   */
+  reset() {
+    this._rules = null;
+    this.deposits = null;
+  }
+
+  /**
+   * Score a customer's no-show risk for a booking
+   * @param {Object} options
+   * @param {number} options.cancelCount - Late cancellations from SOHO
+   * @param {Array<Object>} options.appointments - The customer's SOHO appointments ({ id, event: { start, status } })
+   * @param {Date} options.start - Start of the booking being made (for the notice given)
+   * @param {Date} options.now
+   * @returns {Object} { level: 'none' | 'suggest' | 'require', score, cancelCount, noShows, shortNotice, reasons }
+   */
+  assess({ cancelCount = 0, appointments = [], start = null, now = new Date() }) {
+    const rules = this.rules;
+    if (!rules.enabled) {
+      return { level: 'none', score: 0, cancelCount, noShows: 0, shortNotice: false, reasons: [] };
+    }
+
+    const noShowStatuses = rules.noShowStatuses.map(normalizeStatus);
+    const since = now.getTime() - rules.lookbackDays * 86400000;
+    const noShows = appointments.filter(appointment => {
+      const event = appointment.event || {};
+      const time = new Date(event.start).getTime();
+      return noShowStatuses.includes(normalizeStatus(event.status)) && time >= since && time <= now.getTime();
+    }).length;
+    const shortNotice = Boolean(start) && (new Date(start) - now) / 3600000 < rules.shortNoticeHours;
+
+    const score = cancelCount * rules.weights.lateCancel
+      + noShows * rules.weights.noShow
+      + (shortNotice ? rules.weights.shortNotice : 0);
+
+    const reasons = [];
+    if (cancelCount > 0) reasons.push(plural(cancelCount, 'late cancellation'));
+    if (noShows > 0) reasons.push(`${plural(noShows, 'no-show')} in the last ${rules.lookbackDays} days`);
+    if (shortNotice) reasons.push(`booked less than ${rules.shortNoticeHours} hours ahead`);
+
+    const level = score >= rules.requireAt ? 'require' : score >= rules.suggestAt ? 'suggest' : 'none';
+    return { level, score, cancelCount, noShows, shortNotice, reasons };
+  }
+
+  /**
+   * Deposit the policy asks for on a booking of this total
+   * @param {Object} risk - From assess()
+   * @param {number} total - Amount due for the booking
+   * @returns {number} 0 when the risk level doesn't call for one
+   */
+  depositFor(risk, total) {
+    const policy = this.rules.deposit[risk.level];
+    if (!policy || !(total > 0)) return 0;
+    return round(Math.min(Math.max(total * policy.percent / 100, policy.minimum), total));
+  }
+
+  /**
+   * Add the risk policy to a quote
+   * A required deposit raises the quote's deposit; a suggested one is only noted
+   * for the admin unless they include it. The reasons stay on quote.risk, which
+   * isn't shown to customers.
+   * @param {Object} quote - From pricingService.calculate()
+   * @param {Object} risk - From assess()
+   * @param {Object} options - { includeSuggestedDeposit }
+   * @returns {Object} The quote with risk: { level, score, reasons, deposit }
+   */
+  applyToQuote(quote, risk, { includeSuggestedDeposit = false } = {}) {
+    const deposit = this.depositFor(risk, quote.total);
+    const result = { ...quote, risk: { level: risk.level, score: risk.score, reasons: risk.reasons, deposit } };
+    const applies = risk.level === 'require' || (risk.level === 'suggest' && includeSuggestedDeposit);
+    if (applies && deposit > quote.deposit) {
+      result.deposit = deposit;
+      result.depositReason = CUSTOMER_REASON;
+    }
+    return result;
+  }
+
+  /**
+   * One line for the admin on what the policy asks for and why
+   * @param {Object} risk - quote.risk
+   * @returns {string|null} null when there is nothing to say
+   */
+  describe(risk) {
+    if (!risk || risk.level === 'none') return null;
+    const because = risk.reasons.join(', ');
+    return risk.level === 'require'
+      ? `No-show risk: deposit of $${risk.deposit.toFixed(2)} required (${because}).`
+      : `No-show risk: a deposit of $${risk.deposit.toFixed(2)} is suggested (${because}).`;
+  }
+
+  // A failed read is not cached, so it can't be saved over the stored records
+  async loadDeposits() {
+    if (!this.deposits) {
+      let stored;
+      try {
+        stored = await memoryService.getMemoryByResourceName(DEPOSITS_KEY, { throwOnError: true });
+      } catch (error) {
+        console.error('❌ Error loading deposit records:', error);
+        throw new Error('Deposit records are unavailable right now');
+      }
+      this.deposits = stored.deposits || {};
+    }
+    return this.deposits;
+  }
+
+  async saveDeposits() {
+    if (!this.deposits) throw new Error('Deposit records have not been loaded');
+    return memoryService.saveMemoryByResourceName(null, DEPOSITS_KEY, {
+      deposits: this.deposits,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record the deposit status of a new booking
+   * @param {string} appointmentId
+   * @param {Object} record - { resourceName, amount, status: 'required' | 'suggested', reason, risk }
+   * @returns {Promise<Object>} The stored record
+   */
+  async recordDeposit(appointmentId, { resourceName = null, amount, status, reason = null, risk = null }) {
+    await this.loadDeposits();
+    const record = {
+      appointmentId,
+      resourceName,
+      amount: round(amount),
+      status,
+      reason,
+      risk: risk ? { level: risk.level, score: risk.score, reasons: risk.reasons } : null,
+      createdAt: new Date().toISOString()
+    };
+    this.deposits[appointmentId] = record;
+    await this.saveDeposits();
+    console.log(`💰 Deposit ${status} for appointment ${appointmentId}: $${record.amount}`);
+    return record;
+  }
+
+  /**
+   * Deposit record of an appointment
+   * @param {string} appointmentId
+   * @returns {Promise<Object|null>}
+   */
+  async getDeposit(appointmentId) {
+    await this.loadDeposits();
+    return this.deposits[appointmentId] || null;
+  }
+
+  /**
+   * Change a deposit's status (paid or waived)
+   * @param {string} appointmentId
+   * @param {string} status - 'paid' | 'waived'
+   * @param {Object} details - { note, by }
+   * @returns {Promise<Object|null>} The updated record, or null when there is none
+   */
+  async setDepositStatus(appointmentId, status, { note = null, by = null } = {}) {
+    await this.loadDeposits();
+    const record = this.deposits[appointmentId];
+    if (!record) return null;
+    record.status = status;
+    record.note = note;
+    record.updatedBy = by;
+    record.updatedAt = new Date().toISOString();
+    await this.saveDeposits();
+    return record;
+  }
+
+  /**
+   * Deposit records, newest first
+   * @param {Object} filter - { status, resourceName }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDeposits({ status = null, resourceName = null } = {}) {
+    await this.loadDeposits();
+    return Object.values(this.deposits)
+      .filter(record => (!status || record.status === status) && (!resourceName || record.resourceName === resourceName))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Forget all deposit records (tests)
+   */
+  async clearDeposits() {
+    this.deposits = {};
+    await this.saveDeposits();
+  }
+}
+
+function mergeRules(base, overrides) {
+  return {
+    ...base,
+    ...overrides,
+    weights: { ...base.weights, ...(overrides.weights || {}) },
+    deposit: { ...base.deposit, ...(overrides.deposit || {}) }
+  };
+}
+
+function loadRulesFile() {
+  const filePath = process.env.RISK_RULES_FILE;
+  if (!filePath) return {};
+
+  try {
+    const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`💰 Loaded risk rules from ${filePath}`);
+    return rules;
+  } catch (error) {
+    console.error(`❌ Error loading risk rules from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+// Export a singleton instance
+const riskService = new RiskService();
+
+module.exports = riskService;
@@ -0,0 +1,207 @@
+/**
+ * Series Service - Linked follow-up and recurring appointments
+ * A series is a set of SOHO appointments booked together, e.g. a lash full set
+ * followed by a touch-up, or a course of six facials four weeks apart. SOHO
+ * has no notion of a series, so the links are kept here and stored through
+ * the memory service (under system:appointment-series).
+ *
+ * Follow-up rules say how far apart the appointments should be for each
+ * service category. A service's followUp field (from SOHO) names the service
+ * booked for the later appointments; without one the same services repeat.
+ * Rules can be overridden with a JSON file (FOLLOW_UP_RULES_FILE) or configure().
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const memoryService = require('./memoryService');
+
+const SERIES_KEY = 'system:appointment-series';
+
+const DEFAULT_RULES = {
+  // Category -> { intervalDays, maxIntervalDays, sessions }
+  // maxIntervalDays is how late a follow-up may fall when the ideal day is full;
+  // sessions counts every appointment in the series, the first one included
+  categories: {
+    Lashes: { intervalDays: 14, maxIntervalDays: 21, sessions: 2 },
+    Facial: { intervalDays: 28, maxIntervalDays: 35, sessions: 6 }
+  },
+  default: { intervalDays: 28, maxIntervalDays: 35, sessions: 2 }
+};
+
+class SeriesService {
+  constructor() {
+    this.series = null;
+    this._rules = null;
+  }
+
+  get rules() {
+    if (!this._rules) {
+      this._rules = mergeRules(DEFAULT_RULES, loadRulesFile());
+    }
+    return this._rules;
+  }
+
+  /**
+   * Override the follow-up rules
+   * @param {Object} overrides - { categories, default }
+   * @returns {Object} The resulting rules
+   */
+  configure(overrides = {}) {
+    this._rules = mergeRules(this.rules, overrides);
+    return this._rules;
+  }
+
+  /**
+   * Restore the default rules (plus FOLLOW_UP_RULES_FILE, if set) and forget loaded series
+   */
+  reset() {
+    this._rules = null;
+    this.series = null;
+  }
+
+  /**
+   * Follow-up plan for a booking of these services
+   * @param {Array<Object>} services - Formatted services ({ id, name, category, followUp })
+   * @returns {Object} { intervalDays, maxIntervalDays, sessions, followUpServiceIds, hasFollowUpService }
+   */
+  getPlan(services) {
+    const rules = services.map(service => this.rules.categories[service.category] || this.rules.default);
+    const pick = key => Math.max(...rules.map(rule => rule[key]));
+    const followUpServiceIds = [...new Set(services.map(service => service.followUp || service.id))];
+
+    return {
+      intervalDays: rules.length > 0 ? pick('intervalDays') : this.rules.default.intervalDays,
+      maxIntervalDays: rules.length > 0 ? pick('maxIntervalDays') : this.rules.default.maxIntervalDays,
+      sessions: rules.length > 0 ? pick('sessions') : this.rules.default.sessions,
+      followUpServiceIds,
+      hasFollowUpService: services.some(service => Boolean(service.followUp))
+    };
+  }
+
+  // A failed read is not cached, so it can't be saved over the stored series
+  async load() {
+    if (!this.series) {
+      let stored;
+      try {
+        stored = await memoryService.getMemoryByResourceName(SERIES_KEY, { throwOnError: true });
+      } catch (error) {
+        console.error('❌ Error loading appointment series:', error);
+        throw new Error('Appointment series are unavailable right now');
+      }
+      this.series = stored.series || {};
+    }
+    return this.series;
+  }
+
+  async save() {
+    if (!this.series) throw new Error('Appointment series have not been loaded');
+    return memoryService.saveMemoryByResourceName(null, SERIES_KEY, {
+      series: this.series,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a new series
+   * @param {Object} data - { customer: { name, mobile, resourceName }, serviceIds, followUpServiceIds, intervalDays, staff, occurrences }
+   * @returns {Promise<Object>} The stored series
+   */
+  async createSeries(data) {
+    await this.load();
+    const series = {
+      id: `series-${crypto.randomUUID()}`,
+      customer: data.customer,
+      serviceIds: data.serviceIds,
+      followUpServiceIds: data.followUpServiceIds,
+      intervalDays: data.intervalDays,
+      staff: data.staff || null,
+      createdAt: new Date().toISOString(),
+      occurrences: data.occurrences.map((occurrence, index) => ({ index: index + 1, ...occurrence }))
+    };
+    this.series[series.id] = series;
+    await this.save();
+    console.log(`🔁 Recorded series ${series.id} with ${series.occurrences.length} appointment(s) for ${series.customer.name}`);
+    return series;
+  }
+
+  async getSeries(seriesId) {
+    await this.load();
+    return this.series[seriesId] || null;
+  }
+
+  /**
+   * Find the series an appointment belongs to
+   * @param {string} appointmentId
+   * @returns {Promise<Object|null>} { series, occurrence }
+   */
+  async findByAppointment(appointmentId) {
+    await this.load();
+    for (const series of Object.values(this.series)) {
+      const occurrence = series.occurrences.find(item => item.appointmentId === appointmentId);
+      if (occurrence) return { series, occurrence };
+    }
+    return null;
+  }
+
+  /**
+   * Series for a customer, newest first (all series when resourceName is empty)
+   * @param {string|null} resourceName
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSeries(resourceName = null) {
+    await this.load();
+    return Object.values(this.series)
+      .filter(series => !resourceName || series.customer.resourceName === resourceName)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Update one occurrence of a series
+   * @param {string} seriesId
+   * @param {number} index - Occurrence number (1-based)
+   * @param {Object} changes - e.g. { start, status }
+   * @returns {Promise<Object|null>} The updated occurrence
+   */
+  async updateOccurrence(seriesId, index, changes) {
+    const series = await this.getSeries(seriesId);
+    const occurrence = series?.occurrences.find(item => item.index === index);
+    if (!occurrence) return null;
+
+    Object.assign(occurrence, changes, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return occurrence;
+  }
+
+  /**
+   * Forget all series (tests)
+   */
+  async clear() {
+    this.series = {};
+    await this.save();
+  }
+}
+
+function mergeRules(base, overrides = {}) {
+  return {
+    categories: { ...base.categories, ...(overrides.categories || {}) },
+    default: { ...base.default, ...(overrides.default || {}) }
+  };
+}
+
+function loadRulesFile() {
+  const filePath = process.env.FOLLOW_UP_RULES_FILE;
+  if (!filePath) return {};
+
+  try {
+    const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`🔁 Loaded follow-up rules from ${filePath}`);
+    return rules;
+  } catch (error) {
+    console.error(`❌ Error loading follow-up rules from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+// Export a singleton instance
+const seriesService = new SeriesService();
+
+module.exports = seriesService;
@@ -3,8 +3,8 @@
  * This avoids needing to fetch services on each prompt generation
  */
 
-const axios = require('axios');
 const dotenv = require('dotenv');
+const sohoClient = require('../lib/soho-client');
 dotenv.config();
 
 // In-memory cache of services
@@ -12,48 +12,32 @@ let servicesCache = [];
 let lastCacheUpdate = null;
 const CACHE_TTL = 1000 * 60 * 30; // 30 minutes
 
-// Get Soho auth token
-const SOHO_AUTH_TOKEN = process.env.SOHO_AUTH_TOKEN;
-const SOHO_API_URL = process.env.SOHO_API_URL || 'https://api.soho.sg/graphql';
+const SERVICES_QUERY = `
+  query {
+    services {
+      id,
+      service,
+      duration,
+      price,
+      followUp,
+      count,
+      enabled
+    }
+  }
+`;
 
 /**
  * Fetch services from the SOHO API using GraphQL
  * @returns {Promise<Array>} Array of services
  */
 async function fetchServicesFromSoho() {
-  if (!SOHO_AUTH_TOKEN) {
-    console.error('❌ No SOHO_AUTH_TOKEN provided, cannot fetch services');
-    return [];
-  }
-
   try {
     console.log('🔄 Fetching services from SOHO API...');
     
-    const query = {
-      query: `
-        {
-          services {
-            id,
-            service,
-            duration,
-            price,
-            followUp,
-            count,
-            enabled
-          }
-        }
-      `
-    };
-    
-    const response = await axios.post(SOHO_API_URL, query, {
-      headers: {
-        'Authorization': SOHO_AUTH_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
+    const data = await sohoClient.request(SERVICES_QUERY, {}, { operation: 'services' });
 
-    if (response.data && response.data.data && Array.isArray(response.data.data.services)) {
-      const services = response.data.data.services;
+    if (Array.isArray(data.services)) {
+      const services = data.services;
       // Filter only enabled services
       const enabledServices = services.filter(service => 
         service.enabled === true && 
@@ -64,7 +48,7 @@ async function fetchServicesFromSoho() {
       return enabledServices;
     }
 
-    console.error('❌ Invalid response format from SOHO API:', response.data);
+    console.error('❌ Invalid response format from SOHO API:', data);
     return [];
   } catch (error) {
     console.error('❌ Error fetching services from SOHO API:', error.message);
@@ -0,0 +1,206 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const { getAllFormattedServices } = require('./listServices');
+const { buildQuote, parseQuoteDateTime } = require('./getQuote');
+const pricingService = require('../services/pricingService');
+const promotionService = require('../services/promotionService');
+
+// Define the schema for the applyPromoCode tool
+const ApplyPromoCodeSchema = z.object({
+  code: z.string().describe("Promo code or gift voucher code the customer gave"),
+  quoteId: z.string().optional().describe("Quote to add the code to (from getQuote); a new quote is returned"),
+  serviceIds: z.array(z.string()).optional().describe("Without a quoteId: services to price with the code"),
+  datetime: z.string().optional().describe("Without a quoteId: date and time of the appointment, e.g. '20250523T1400'"),
+  resourceName: z.string().optional().describe("resourceName of the customer, so per-customer limits and customer-only codes can be checked")
+});
+
+// What the customer should know about a code
+function describePromotion(promotion) {
+  if (promotion.kind === 'voucher') {
+    return {
+      code: promotion.code,
+      kind: 'voucher',
+      balance: promotion.balance,
+      validUntil: promotion.validUntil || null
+    };
+  }
+  return {
+    code: promotion.code,
+    kind: 'promo',
+    offer: promotion.percent ? `${promotion.percent}% off` : `$${Number(promotion.amount).toFixed(2)} off`,
+    description: promotion.description || null,
+    categories: promotion.categories?.length ? promotion.categories : null,
+    minTotal: promotion.minTotal || null,
+    validFrom: promotion.validFrom || null,
+    validUntil: promotion.validUntil || null,
+    combinable: promotion.stackable !== false
+  };
+}
+
+class ApplyPromoCodeTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "applyPromoCode";
+    this.description = "Check a promo code or gift voucher (validity, eligible services, usage limits, voucher balance). With a quoteId, or serviceIds and datetime, it returns a new quote with the code applied; book with that quoteId.";
+    this.schema = ApplyPromoCodeSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { code, quoteId, serviceIds, datetime } = inputs;
+    console.log(`🎟️ applyPromoCode ${code}${quoteId ? ` to ${quoteId}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.applyPromoCode) {
+        this.context.memory.tool_usage.applyPromoCode = [];
+      }
+
+      this.context.memory.tool_usage.applyPromoCode.push({
+        timestamp: new Date().toISOString(),
+        code,
+        quoteId: quoteId || null
+      });
+    }
+
+    try {
+      // The booking to price: an earlier quote, the given services, or none (just check the code)
+      let booking = null;
+      if (quoteId) {
+        const quote = pricingService.getQuote(quoteId);
+        // A quote from another session is treated as unknown
+        if (!quote || !pricingService.isQuoteForSession(quote, this.sessionId)) {
+          return JSON.stringify({
+            success: false,
+            error: "Quote not found",
+            message: "That quote has expired. Please get a new quote with getQuote."
+          });
+        }
+        booking = {
+          serviceIds: quote.serviceIds,
+          start: new Date(quote.start),
+          resourceName: inputs.resourceName || quote.resourceName,
+          promoCodes: quote.promoCodes,
+          addOnIds: quote.lines.filter(line => line.type === 'addOn').map(line => line.id)
+        };
+      } else if (serviceIds && serviceIds.length > 0 && datetime) {
+        const start = parseQuoteDateTime(datetime);
+        if (!start.isValid()) {
+          return JSON.stringify({
+            success: false,
+            error: "Invalid datetime format",
+            message: "Please give the date and time of the appointment."
+          });
+        }
+        booking = { serviceIds, start: start.toDate(), resourceName: inputs.resourceName, promoCodes: [], addOnIds: [] };
+      }
+
+      const resourceName = booking ? booking.resourceName : inputs.resourceName;
+      const { promotions, rejected } = await promotionService.resolveCodes([code], {
+        resourceName,
+        start: booking ? booking.start : new Date()
+      });
+      if (rejected.length > 0) {
+        return JSON.stringify({
+          success: false,
+          error: "Code not valid",
+          code: rejected[0].code,
+          reason: rejected[0].reason,
+          message: `${rejected[0].code} can't be used: ${rejected[0].reason}.`
+        });
+      }
+      const promotion = describePromotion(promotions[0]);
+
+      if (!booking) {
+        return JSON.stringify({
+          success: true,
+          valid: true,
+          promotion,
+          message: `${promotion.code} is valid${promotion.kind === 'voucher' ? ` with $${promotion.balance.toFixed(2)} left` : ` (${promotion.offer})`}. Price a booking with getQuote and promoCodes: ["${promotion.code}"] to apply it.`
+        });
+      }
+
+      const allServices = await getAllFormattedServices();
+      const quote = await buildQuote({
+        serviceIds: booking.serviceIds,
+        start: booking.start,
+        promoCodes: [...booking.promoCodes, promotion.code],
+        addOnIds: booking.addOnIds,
+        resourceName,
+        allServices
+      });
+      if (quote.unknownServiceIds.length > 0) {
+        return JSON.stringify({
+          success: false,
+          error: "Unknown services",
+          message: `Unknown service IDs: ${quote.unknownServiceIds.join(', ')}. Please use listServices to get the service IDs.`
+        });
+      }
+
+      const notApplied = quote.rejectedCodes.find(item => item.code === promotion.code);
+      if (notApplied) {
+        return JSON.stringify({
+          success: false,
+          error: "Code not applied",
+          code: promotion.code,
+          reason: notApplied.reason,
+          promotion,
+          message: `${promotion.code} doesn't apply to this booking: ${notApplied.reason}.`
+        });
+      }
+
+      const stored = pricingService.saveQuote(quote, { serviceIds: booking.serviceIds, start: booking.start, resourceName, sessionId: this.sessionId });
+      if (this.context && this.context.memory) {
+        this.context.memory.last_quote_id = stored.id;
+      }
+
+      const saved = stored.lines.filter(line => line.code === promotion.code).reduce((total, line) => total - line.amount, 0);
+      return JSON.stringify({
+        success: true,
+        valid: true,
+        promotion,
+        quoteId: stored.id,
+        lines: stored.lines,
+        subtotal: stored.subtotal,
+        additional: stored.additional,
+        discount: stored.discount,
+        voucherAmount: stored.voucherAmount,
+        total: stored.total,
+        deposit: stored.deposit,
+        promoCodes: stored.promoCodes,
+        rejectedCodes: stored.rejectedCodes,
+        expiresAt: stored.expiresAt,
+        message: `${promotion.code} applied: $${saved.toFixed(2)} off, total now $${stored.total.toFixed(2)}. Book with quoteId ${stored.id}.`
+      });
+    } catch (error) {
+      console.error('❌ Error in applyPromoCode tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to apply the code",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates an applyPromoCode tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The applyPromoCode tool instance
+ */
+function createApplyPromoCodeTool(context, sessionId) {
+  return new ApplyPromoCodeTool(context, sessionId);
+}
+
+module.exports = {
+  ApplyPromoCodeTool,
+  createApplyPromoCodeTool
+};
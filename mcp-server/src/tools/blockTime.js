@@ -0,0 +1,154 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const businessCalendar = require('../services/businessCalendar');
+const resourceService = require('../services/resourceService');
+const blockService = require('../services/blockService');
+
+const WEEKDAY = z.enum(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']);
+
+// Define the schema for the blockTime tool
+const BlockTimeSchema = z.object({
+  date: z.string().describe("Date to block (first day for a recurring block) in YYYY-MM-DD format"),
+  startTime: z.string().optional().describe("Start time in 24h HH:mm format; leave out startTime and endTime to block the whole day"),
+  endTime: z.string().optional().describe("End time in 24h HH:mm format"),
+  reason: z.string().optional().describe("What the time is for, e.g. 'Lunch', 'Annual leave', 'Dentist'"),
+  staff: z.string().optional().describe("Staff member to block (name or ID); leave out to block the whole salon"),
+  recurrence: z.object({
+    frequency: z.enum(['daily', 'weekly']).describe("daily: every open day; weekly: on the given weekdays"),
+    days: z.array(WEEKDAY).optional().describe("Weekdays for a weekly block, e.g. monday to friday for 'every weekday' (default: the weekday of date)"),
+    interval: z.number().int().min(1).max(4).optional().describe("Every n days/weeks (default 1)"),
+    until: z.string().optional().describe("Last day of the recurrence in YYYY-MM-DD format"),
+    count: z.number().int().min(1).max(100).optional().describe("Number of occurrences (instead of until)")
+  }).optional().describe("Repeat the block; recurring blocks skip days the salon is closed")
+});
+
+function describeConflict(event) {
+  const start = new Date(event.start.dateTime || event.start.date);
+  const end = new Date(event.end.dateTime || event.end.date);
+  const { staffId } = resourceService.getEventResources(event);
+
+  return {
+    id: event.id,
+    summary: event.summary || '',
+    date: businessCalendar.formatDate(start),
+    start: businessCalendar.toMoment(start).format('h:mm A'),
+    end: businessCalendar.toMoment(end).format('h:mm A'),
+    staff: staffId ? resourceService.findStaff(staffId)?.name || staffId : null
+  };
+}
+
+class BlockTimeTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "blockTime";
+    this.description = "Admin only: block out time on the calendar for breaks, leave or private events, once or on a recurrence, for the whole salon or one staff member. Blocked time is not offered to customers. Reports existing appointments that clash with the block.";
+    this.schema = BlockTimeSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { date, startTime, endTime, reason = 'Blocked', staff, recurrence } = inputs;
+    console.log(`🚫 blockTime ${date}${startTime || endTime ? ` ${startTime || "?"}-${endTime || "?"}` : ' (all day)'}${staff ? ` for ${staff}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.blockTime) {
+        this.context.memory.tool_usage.blockTime = [];
+      }
+
+      this.context.memory.tool_usage.blockTime.push({
+        timestamp: new Date().toISOString(),
+        date,
+        startTime: startTime || null,
+        endTime: endTime || null,
+        staff: staff || null,
+        recurring: Boolean(recurrence)
+      });
+    }
+
+    const badDate = [date, recurrence?.until].find(value => value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value));
+    if (badDate !== undefined) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid date",
+        message: `Dates must be in YYYY-MM-DD format (got "${badDate}")`
+      });
+    }
+
+    const badTime = [startTime, endTime].find(value => value !== undefined && !/^\d{2}:\d{2}$/.test(value));
+    if (badTime !== undefined) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid time",
+        message: `Times must be in 24h HH:mm format (got "${badTime}")`
+      });
+    }
+
+    let member = null;
+    if (staff) {
+      member = resourceService.findStaff(staff);
+      if (!member) {
+        return JSON.stringify({
+          success: false,
+          error: "Unknown staff member",
+          message: resourceService.isEnabled()
+            ? `No staff member called "${staff}".`
+            : "No staff are set up (RESOURCES_FILE), so time can only be blocked for the whole salon."
+        });
+      }
+    }
+
+    try {
+      const { seriesId, blocks, conflicts } = await blockService.createBlocks({
+        date,
+        startTime,
+        endTime,
+        reason,
+        staffId: member?.id || null,
+        recurrence
+      });
+
+      const who = member ? member.name : 'the salon';
+      const conflictList = conflicts.map(describeConflict);
+      return JSON.stringify({
+        success: true,
+        seriesId,
+        blocks: blocks.map(block => blockService.describe(block)),
+        conflicts: conflictList,
+        message: `Blocked ${blocks.length === 1 ? 'the time' : `${blocks.length} occurrences`} for ${who} (${reason}).` +
+          (conflictList.length > 0
+            ? ` ${conflictList.length} existing appointment(s) clash with the block and still need to be moved or cancelled.`
+            : '')
+      });
+    } catch (error) {
+      console.error('❌ Error in blockTime tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to block time",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates a blockTime tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The blockTime tool instance
+ */
+function createBlockTimeTool(context, sessionId) {
+  return new BlockTimeTool(context, sessionId);
+}
+
+module.exports = {
+  BlockTimeTool,
+  createBlockTimeTool
+};
@@ -0,0 +1,396 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const moment = require('moment-timezone');
+const chrono = require('chrono-node');
+const { getAllFormattedServices, calculateAppointmentDuration } = require('./listServices');
+const { rankCandidateSlots, getSearchableDays } = require('./getAvailableSlots');
+const { createCreateAppointmentTool } = require('./createAppointment');
+const { getCalendarProvider } = require('../lib/calendar-provider');
+const businessCalendar = require('../services/businessCalendar');
+const holidayService = require('../services/holidayService');
+const resourceService = require('../services/resourceService');
+const holdService = require('../services/holdService');
+const seriesService = require('../services/seriesService');
+
+const MAX_SESSIONS = 12;
+
+// Define the schema for the bookSeries tool
+const BookSeriesSchema = z.object({
+  action: z.enum(['propose', 'book']).optional().describe("propose (default): work out the follow-up dates and check each one; book: book them as a linked series once the customer agrees"),
+  serviceIds: z.array(z.string()).describe("Service IDs of the first appointment; later appointments use each service's follow-up service (e.g. a lash touch-up after a full set), or the same services when there is none"),
+  datetime: z.string().describe("Date and time of the first appointment, e.g. '20250523T1400' or 'next Tuesday 2pm'; later appointments aim for the same time of day"),
+  existingAppointmentId: z.string().optional().describe("ID of an appointment already booked as the first of the series (e.g. the full set just booked); it is linked rather than booked again"),
+  sessions: z.number().int().min(2).max(MAX_SESSIONS).optional().describe("Total number of appointments including the first (default from the follow-up rules, e.g. 2 for lashes, 6 for a facial course)"),
+  intervalDays: z.number().int().min(1).max(90).optional().describe("Days between appointments (default from the follow-up rules, e.g. 14 for lash refills, 28 for facials)"),
+  occurrences: z.array(z.string()).optional().describe("For book: the start times to book (YYYYMMDDTHHmm), as proposed and agreed with the customer. Leave out to book the proposal as is"),
+  name: z.string().describe("Name of the person booking"),
+  mobile: z.string().describe("Mobile number of the person booking"),
+  resourceName: z.string().describe("resourceName of the person booking"),
+  staff: z.string().optional().describe("Staff member for every appointment (name or ID)")
+});
+
+// Parse a datetime in the business timezone: YYYYMMDDTHHmm, natural language or ISO
+function parseDateTime(datetime) {
+  if (/^\d{8}T\d{4}$/.test(datetime)) {
+    return moment.tz(datetime, 'YYYYMMDD[T]HHmm', businessCalendar.getConfig().timezone);
+  }
+  const chronoParsed = chrono.parseDate(datetime);
+  if (chronoParsed) return businessCalendar.toMoment(chronoParsed);
+  return businessCalendar.toMoment(moment(datetime, moment.ISO_8601));
+}
+
+/**
+ * Check whether one appointment of a series can be booked at a time
+ * Same checks as a booking: opening hours, holidays, the calendar, other
+ * sessions' holds and (when configured) a free staff member and room.
+ * @param {Object} options - { start: Date, duration, categories, staffId, sessionId, ignoreEventIds }
+ * @returns {Promise<Object>} { available, reason, staff }
+ */
+async function checkOccurrence({ start, duration, categories = [], staffId = null, sessionId = null, ignoreEventIds = [] }) {
+  if (start <= new Date()) {
+    return { available: false, reason: 'That time has already passed' };
+  }
+
+  const hoursCheck = businessCalendar.checkBooking(start, duration);
+  if (!hoursCheck.valid) {
+    return { available: false, reason: hoursCheck.message };
+  }
+
+  const holidayCheck = await holidayService.checkDate(start);
+  if (holidayCheck.blockBooking) {
+    return { available: false, reason: holidayCheck.message };
+  }
+
+  const end = new Date(start.getTime() + duration * 60000);
+  const calendarEvents = await getCalendarProvider().listBusy(start, end);
+  const assignment = resourceService.findAssignment({
+    start,
+    end,
+    events: [...calendarEvents.filter(event => !ignoreEventIds.includes(event.id)), ...holdService.getHoldEvents({ excludeSessionId: sessionId })],
+    categories,
+    staffId
+  });
+
+  return {
+    available: assignment.available,
+    reason: assignment.available ? null : assignment.reason,
+    staff: assignment.staff?.name || null
+  };
+}
+
+/**
+ * Find the free time closest to the preferred time on the earliest day in a window
+ * @param {Object} options - { preferred: moment, latestDate, duration, categories, staffId, sessionId }
+ * @returns {Promise<Object|null>} moment of the alternative, or null when the window is full
+ */
+async function findAlternative({ preferred, latestDate, duration, categories = [], staffId = null, sessionId = null }) {
+  const { days } = await getSearchableDays(preferred.format('YYYY-MM-DD'), latestDate);
+  if (days.length === 0) return null;
+
+  const events = [
+    ...await getCalendarProvider().listBusy(
+      businessCalendar.getOpeningWindow(days[0].date).start,
+      businessCalendar.getOpeningWindow(days[days.length - 1].date).end
+    ),
+    ...holdService.getHoldEvents({ excludeSessionId: sessionId })
+  ];
+  const resourceRequirement = resourceService.isEnabled() ? { categories, staffId } : null;
+  const candidates = (await rankCandidateSlots({ days, events, duration, limit: 20, maxPerDay: 20, resourceRequirement }))
+    .map(candidate => moment.tz(`${candidate.date} ${candidate.start}`, 'YYYY-MM-DD h:mm A', businessCalendar.getConfig().timezone))
+    .filter(candidate => candidate.isAfter(moment()));
+  if (candidates.length === 0) return null;
+
+  // Earliest day with room, then the time nearest the customer's usual time
+  const firstDay = candidates[0].format('YYYY-MM-DD');
+  const preferredMinutes = preferred.hours() * 60 + preferred.minutes();
+  return candidates
+    .filter(candidate => candidate.format('YYYY-MM-DD') === firstDay)
+    .sort((a, b) => Math.abs(a.hours() * 60 + a.minutes() - preferredMinutes) - Math.abs(b.hours() * 60 + b.minutes() - preferredMinutes))[0];
+}
+
+function describeOccurrence(index, start, extra = {}) {
+  return {
+    index,
+    date: start.format('YYYY-MM-DD'),
+    day: start.format('dddd, D MMM'),
+    time: start.format('h:mm A'),
+    datetime: start.format('YYYYMMDD[T]HHmm'),
+    ...extra
+  };
+}
+
+class BookSeriesTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "bookSeries";
+    this.description = "Propose and book follow-up or recurring appointments as a linked series, e.g. a lash touch-up 2–3 weeks after a full set, or a course of 6 facials every 4 weeks. Call with action 'propose' first: each appointment is checked and moved to the nearest free time if needed. Book only after the customer agrees to the dates.";
+    this.schema = BookSeriesSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action = 'propose', serviceIds, datetime, existingAppointmentId, staff } = inputs;
+    console.log(`🔁 bookSeries ${action} for ${JSON.stringify(serviceIds)} from "${datetime}" (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.bookSeries) {
+        this.context.memory.tool_usage.bookSeries = [];
+      }
+
+      this.context.memory.tool_usage.bookSeries.push({
+        timestamp: new Date().toISOString(),
+        action,
+        serviceIds,
+        datetime,
+        sessions: inputs.sessions || null,
+        intervalDays: inputs.intervalDays || null
+      });
+    }
+
+    const first = parseDateTime(datetime);
+    if (!first.isValid()) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid datetime format",
+        message: "Please give the date and time of the first appointment."
+      });
+    }
+
+    const requested = staff ? resourceService.findStaff(staff) : null;
+    if (staff && !requested) {
+      return JSON.stringify({
+        success: false,
+        error: `Unknown staff member: ${staff}`,
+        message: `I couldn't find a staff member called ${staff}.`
+      });
+    }
+
+    try {
+      const allServices = await getAllFormattedServices();
+      const services = serviceIds.map(id => allServices.find(service => service.id === id)).filter(Boolean);
+      if (services.length === 0) {
+        return JSON.stringify({
+          success: false,
+          error: "Unknown services",
+          message: "None of the services could be found. Please use listServices to get the service IDs."
+        });
+      }
+
+      const plan = seriesService.getPlan(services);
+      const intervalDays = inputs.intervalDays || plan.intervalDays;
+      const sessions = inputs.sessions || plan.sessions;
+      const flexDays = Math.max(plan.maxIntervalDays - plan.intervalDays, 0);
+
+      const proposal = await this.propose({ first, plan: { ...plan, intervalDays, sessions, flexDays }, serviceIds, existingAppointmentId, staffId: requested?.id || null, allServices });
+
+      if (action === 'propose') {
+        const unavailable = proposal.filter(item => !item.available);
+        return JSON.stringify({
+          success: true,
+          action: 'propose',
+          intervalDays,
+          sessions,
+          followUpServiceIds: plan.followUpServiceIds,
+          occurrences: proposal,
+          message: unavailable.length === 0
+            ? `All ${proposal.length} appointments are available. Confirm the dates with the customer, then call bookSeries with action 'book'.`
+            : `${unavailable.length} of the ${proposal.length} appointments have no free time within ${flexDays} day(s) of the ideal date. Offer other dates before booking.`
+        });
+      }
+
+      return await this.bookProposal({ inputs, proposal, plan: { ...plan, intervalDays }, staffId: requested?.id || null });
+    } catch (error) {
+      console.error('❌ Error in bookSeries tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to plan the series",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+
+  /**
+   * Work out and check the start of every appointment in the series
+   * Each follow-up aims for intervalDays after the previous one at the same time
+   * of day, and moves to the nearest free time up to flexDays later.
+   */
+  async propose({ first, plan, serviceIds, existingAppointmentId, staffId, allServices }) {
+    const proposal = [];
+    let previous = null;
+
+    for (let index = 1; index <= plan.sessions; index++) {
+      const occurrenceServiceIds = index === 1 ? serviceIds : plan.followUpServiceIds;
+      const details = await calculateAppointmentDuration(occurrenceServiceIds, allServices);
+      const categories = [...new Set(details.breakdown.map(item => item.category).filter(Boolean))];
+
+      if (index === 1 && existingAppointmentId) {
+        proposal.push(describeOccurrence(index, first, { serviceIds, available: true, existingAppointmentId }));
+        previous = first;
+        continue;
+      }
+
+      const ideal = index === 1
+        ? first.clone()
+        : previous.clone().add(plan.intervalDays, 'days').hours(first.hours()).minutes(first.minutes());
+      const check = await checkOccurrence({ start: ideal.toDate(), duration: details.totalDuration, categories, staffId, sessionId: this.sessionId });
+
+      let start = check.available ? ideal : null;
+      if (!start) {
+        start = await findAlternative({
+          preferred: ideal,
+          latestDate: ideal.clone().add(plan.flexDays, 'days').format('YYYY-MM-DD'),
+          duration: details.totalDuration,
+          categories,
+          staffId,
+          sessionId: this.sessionId
+        });
+      }
+
+      if (!start) {
+        proposal.push(describeOccurrence(index, ideal, { serviceIds: occurrenceServiceIds, available: false, reason: check.reason }));
+        previous = ideal;
+        continue;
+      }
+
+      proposal.push(describeOccurrence(index, start, {
+        serviceIds: occurrenceServiceIds,
+        available: true,
+        ...(start.isSame(ideal) ? {} : { movedFrom: ideal.format('YYYYMMDD[T]HHmm'), reason: check.reason })
+      }));
+      previous = start;
+    }
+
+    return proposal;
+  }
+
+  /**
+   * Book every appointment that isn't booked yet and record the series
+   * Appointments go through createAppointment, so each one gets the same
+   * checks and slot claim as a single booking.
+   */
+  async bookProposal({ inputs, proposal, plan, staffId }) {
+    const { name, mobile, resourceName, staff, existingAppointmentId, occurrences: agreed } = inputs;
+
+    let planned = proposal;
+    if (agreed && agreed.length > 0) {
+      const existing = proposal.filter(item => item.existingAppointmentId);
+      planned = [
+        ...existing,
+        ...agreed.map((value, i) => {
+          const index = existing.length + i + 1;
+          const start = parseDateTime(value);
+          return describeOccurrence(index, start, { serviceIds: proposal[index - 1]?.serviceIds || plan.followUpServiceIds, available: start.isValid() });
+        })
+      ];
+    }
+
+    const missing = planned.filter(item => !item.available);
+    if (missing.length > 0) {
+      return JSON.stringify({
+        success: false,
+        error: "Some appointments have no free time",
+        occurrences: planned,
+        message: `Appointment(s) ${missing.map(item => item.index).join(', ')} have no free time. Agree other dates with the customer and pass them as occurrences.`
+      });
+    }
+
+    // Booked through a scratch context so the series doesn't overwrite the session's booking memory
+    const createAppointment = createCreateAppointmentTool({ memory: {} }, this.sessionId);
+    const occurrences = [];
+
+    for (const item of planned) {
+      if (item.existingAppointmentId) {
+        occurrences.push({ appointmentId: item.existingAppointmentId, start: parseDateTime(item.datetime).toISOString(), serviceIds: item.serviceIds, status: 'booked' });
+        continue;
+      }
+
+      const result = JSON.parse(await createAppointment._call({
+        serviceIds: item.serviceIds,
+        datetime: item.datetime,
+        name,
+        mobile,
+        resourceName,
+        ...(staff ? { staff } : {}),
+        // Series appointments are expected to share days with the customer's other follow-ups
+        allowDuplicate: true
+      }));
+
+      occurrences.push({
+        appointmentId: result.success ? result.appointmentId : null,
+        start: parseDateTime(item.datetime).toISOString(),
+        serviceIds: item.serviceIds,
+        status: result.success ? 'booked' : 'failed',
+        ...(result.success ? { staff: result.staff || null } : { error: result.message || result.error })
+      });
+    }
+
+    const booked = occurrences.filter(occurrence => occurrence.status === 'booked');
+    if (booked.length === 0 || (booked.length === 1 && existingAppointmentId)) {
+      return JSON.stringify({
+        success: false,
+        error: "No appointments were booked",
+        occurrences: occurrences.map((occurrence, i) => ({ ...planned[i], status: occurrence.status, error: occurrence.error || null })),
+        message: occurrences.find(occurrence => occurrence.error)?.error || "None of the appointments could be booked."
+      });
+    }
+
+    // The appointments are booked in SOHO by now, so failing to link them is reported, not an error
+    let series;
+    try {
+      series = await seriesService.createSeries({
+        customer: { name, mobile, resourceName },
+        serviceIds: inputs.serviceIds,
+        followUpServiceIds: plan.followUpServiceIds,
+        intervalDays: plan.intervalDays,
+        staff: staffId,
+        occurrences
+      });
+    } catch (error) {
+      console.error('❌ Error recording the series:', error);
+      series = { id: null, occurrences: occurrences.map((occurrence, i) => ({ index: i + 1, ...occurrence })) };
+    }
+    const unlinked = series.id ? '' : ' They could not be linked as a series, so move or cancel them one by one.';
+
+    const failed = series.occurrences.filter(occurrence => occurrence.status === 'failed');
+    return JSON.stringify({
+      success: true,
+      seriesId: series.id,
+      occurrences: series.occurrences.map(occurrence => ({
+        index: occurrence.index,
+        appointmentId: occurrence.appointmentId,
+        date: businessCalendar.formatDate(occurrence.start),
+        time: businessCalendar.toMoment(occurrence.start).format('h:mm A'),
+        status: occurrence.status,
+        ...(occurrence.error ? { error: occurrence.error } : {})
+      })),
+      message: (failed.length === 0
+        ? `✅ Booked ${booked.length} linked appointment(s) for ${name}.`
+        : `Booked ${booked.length} of ${occurrences.length} appointments for ${name}; appointment(s) ${failed.map(occurrence => occurrence.index).join(', ')} could not be booked.`) + unlinked
+    });
+  }
+}
+
+/**
+ * Creates a bookSeries tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The bookSeries tool instance
+ */
+function createBookSeriesTool(context, sessionId) {
+  return new BookSeriesTool(context, sessionId);
+}
+
+module.exports = {
+  BookSeriesTool,
+  createBookSeriesTool,
+  checkOccurrence,
+  parseDateTime
+};
@@ -0,0 +1,244 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const sohoClient = require("../lib/soho-client");
+const { SohoError } = sohoClient;
+const { fetchAppointmentDetails } = require('./getAppointment');
+const promotionService = require('../services/promotionService');
+
+// Cancellations closer than this to the start time count as late
+const LATE_CANCEL_HOURS = 24;
+
+// Define the schema for the cancelAppointment tool
+const CancelAppointmentSchema = z.object({
+  appointmentId: z.string().describe("ID of the appointment to cancel"),
+  reason: z.string().optional().describe("Reason given for the cancellation"),
+  lateCancel: z.boolean().optional().describe(`Whether this is a late cancellation. Defaults to true when the appointment starts within ${LATE_CANCEL_HOURS} hours`)
+});
+
+/**
+ * Prepare the GraphQL request that cancels an appointment
+ * @param {Object} cancelData - { appointmentId, reason, lateCancel }
+ * @returns {Object} GraphQL request body
+ */
+function prepareCancelGraphQLRequest(cancelData) {
+  const mutationTemplate = `mutation($id: String!, $reason: String, $lateCancel: Boolean) {
+    cancelAppointment(id:$id, reason:$reason, lateCancel:$lateCancel) {
+        id
+        event {
+            id,
+            start,
+            status
+        }
+    }
+  }`;
+
+  return {
+    query: mutationTemplate,
+    variables: {
+      id: cancelData.appointmentId,
+      reason: cancelData.reason || null,
+      lateCancel: Boolean(cancelData.lateCancel)
+    }
+  };
+}
+
+/**
+ * Work out whether a cancellation is late
+ * @param {string} start - Appointment start (ISO)
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isLateCancellation(start, now = new Date()) {
+  const startTime = new Date(start).getTime();
+  if (isNaN(startTime)) return false;
+  return startTime - now.getTime() < LATE_CANCEL_HOURS * 60 * 60 * 1000;
+}
+
+class CancelAppointmentTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "cancelAppointment";
+    this.description = "Cancel an existing appointment by ID. Always confirm the appointment details with the admin before calling. Optionally record the reason and whether it is a late cancellation.";
+    this.schema = CancelAppointmentSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { appointmentId, reason } = inputs;
+
+    console.log(`🗑️ Cancel appointment request for session: ${this.sessionId}`);
+    console.log(`📋 Appointment ID: ${appointmentId}`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.cancelAppointment) {
+        this.context.memory.tool_usage.cancelAppointment = [];
+      }
+
+      this.context.memory.tool_usage.cancelAppointment.push({
+        timestamp: new Date().toISOString(),
+        appointmentId,
+        reason: reason || null
+      });
+    }
+
+    try {
+      // Confirm the appointment exists through the same path as getAppointment
+      const appointmentDetails = await fetchAppointmentDetails(appointmentId);
+
+      if (!appointmentDetails) {
+        return JSON.stringify({
+          success: false,
+          error: "Appointment not found",
+          message: "Could not find appointment with the provided ID"
+        });
+      }
+
+      const event = appointmentDetails.event || {};
+
+      if (event.status && event.status.toLowerCase() === 'cancelled') {
+        return JSON.stringify({
+          success: false,
+          error: "Already cancelled",
+          message: `Appointment ${appointmentId} is already cancelled`
+        });
+      }
+
+      const lateCancel = typeof inputs.lateCancel === 'boolean'
+        ? inputs.lateCancel
+        : isLateCancellation(event.start);
+
+      console.log(`📤 Sending cancel request to API (late: ${lateCancel})...`);
+      const { query, variables } = prepareCancelGraphQLRequest({ appointmentId, reason, lateCancel });
+      let result;
+      try {
+        result = await sohoClient.request(query, variables, { operation: 'cancelAppointment' });
+      } catch (error) {
+        if (!(error instanceof SohoError)) throw error;
+        return JSON.stringify({
+          success: false,
+          error: "Failed to cancel appointment",
+          errorType: error.code,
+          message: error.message
+        });
+      }
+
+      if (!result.cancelAppointment) {
+        console.error('❌ Cancellation not confirmed:', JSON.stringify(result));
+        return JSON.stringify({
+          success: false,
+          error: "Failed to cancel appointment",
+          message: "The booking system did not confirm the cancellation"
+        });
+      }
+
+      const start = event.start ? new Date(event.start) : null;
+      const cancelled = {
+        id: appointmentId,
+        date: start ? start.toISOString().split('T')[0] : '',
+        time: start ? `${start.getHours().toString().padStart(2, '0')}:${start.getMinutes().toString().padStart(2, '0')}` : '',
+        reason: reason || null,
+        lateCancel,
+        cancelledAt: new Date().toISOString()
+      };
+
+      const cancelCount = this.updateMemory(appointmentId, event.resourceName, cancelled);
+
+      // Promo codes can be used again and voucher money goes back on the voucher
+      // The appointment is already cancelled in SOHO, so a bookkeeping error is only logged
+      const returned = await promotionService.reverseForAppointment(appointmentId).catch(error => {
+        console.error(`❌ Error returning promotions for ${appointmentId}:`, error);
+        return [];
+      });
+      const returnedNote = returned.length > 0
+        ? ` Returned: ${returned.map(item => item.kind === 'voucher' ? `$${item.amount.toFixed(2)} to voucher ${item.code}` : `promo code ${item.code}`).join(', ')}.`
+        : '';
+
+      console.log(`✅ Appointment ${appointmentId} cancelled`);
+      return JSON.stringify({
+        success: true,
+        message: `✅ Appointment on ${cancelled.date} at ${cancelled.time} has been cancelled${lateCancel ? ' (late cancellation)' : ''}.${returnedNote}`,
+        appointmentId,
+        details: {
+          customer: {
+            name: event.name || "",
+            mobile: event.mobile || ""
+          },
+          resourceName: event.resourceName || "",
+          datetime: {
+            date: cancelled.date,
+            time: cancelled.time
+          },
+          reason: cancelled.reason,
+          lateCancel,
+          returnedCodes: returned.map(item => ({ code: item.code, kind: item.kind, amount: item.amount }))
+        },
+        cancelCount,
+        status: 'cancelled'
+      });
+    } catch (error) {
+      console.error('❌ Error in cancelAppointment tool:', error);
+
+      return JSON.stringify({
+        success: false,
+        error: "Failed to cancel appointment",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+
+  /**
+   * Reflect the cancellation in memory and the cached appointment history
+   * @param {string} appointmentId - Cancelled appointment
+   * @param {string} resourceName - Customer the appointment belongs to
+   * @param {Object} cancelled - Cancellation summary
+   * @returns {number|null} Updated cancelCount, if the history is cached
+   */
+  updateMemory(appointmentId, resourceName, cancelled) {
+    const memory = this.context?.memory;
+    if (!memory) return null;
+
+    // The cancelled appointment should no longer be the one being worked on
+    if (memory.current_appointment_id === appointmentId) {
+      delete memory.current_appointment_id;
+      delete memory.current_appointment;
+      console.log(`📋 Cleared memory.current_appointment_id (${appointmentId})`);
+    }
+
+    if (memory.last_appointment?.id === appointmentId) {
+      memory.last_appointment.status = 'cancelled';
+    }
+
+    memory.last_cancelled_appointment = cancelled;
+
+    const owner = resourceName || memory.user_info?.resourceName;
+    const history = owner ? memory.customer_appointments?.[owner] : null;
+    if (!history) return null;
+
+    (history.appointments || []).forEach(appointment => {
+      if (appointment.id === appointmentId) {
+        appointment.status = 'cancelled';
+      }
+    });
+    history.cancelCount = (history.cancelCount || 0) + 1;
+
+    return history.cancelCount;
+  }
+}
+
+function createCancelAppointmentTool(context, sessionId) {
+  return new CancelAppointmentTool(context, sessionId);
+}
+
+module.exports = {
+  CancelAppointmentTool,
+  createCancelAppointmentTool,
+  isLateCancellation
+};
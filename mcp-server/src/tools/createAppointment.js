@@ -2,7 +2,23 @@ const { StructuredTool } = require("@langchain/core/tools");
 const { z } = require("zod");
 const moment = require('moment-timezone');
 const chrono = require('chrono-node');
-const { getAllFormattedServices, getServiceDuration, getHighlightedServices } = require('./listServices');
+const { getAllFormattedServices, getServiceDuration, getHighlightedServices, calculateAppointmentDuration } = require('./listServices');
+const businessCalendar = require('../services/businessCalendar');
+const holidayService = require('../services/holidayService');
+const resourceService = require('../services/resourceService');
+const holdService = require('../services/holdService');
+const bookingLedger = require('../services/bookingLedger');
+const pricingService = require('../services/pricingService');
+const promotionService = require('../services/promotionService');
+const riskService = require('../services/riskService');
+const profileService = require('../services/profileService');
+const { priceBooking } = require('./getQuote');
+const { getRole } = require('./permissions');
+const { fetchAppointmentsFromSoho } = require('./getCustomerAppointments');
+const { getCalendarProvider } = require('../lib/calendar-provider');
+const sohoClient = require('../lib/soho-client');
+const phone = require('../lib/phone');
+const { SohoError } = sohoClient;
 
 // Set default timezone for Singapore
 moment.tz.setDefault('Asia/Singapore');
@@ -15,67 +31,27 @@ const CreateAppointmentSchema = z.object({
   resourceName: z.string().describe("resourceName of the person booking"),
   force: z.boolean().optional().describe("Whether to force book the appointment even if there are conflicts"),
   duration: z.number().optional().describe("Duration of the appointment in minutes"),
-  totalAmount: z.number().optional().describe("Total amount for the appointment"),
-  additional: z.number().optional().describe("Additional amount"),
-  discount: z.number().optional().describe("Discount amount"),
+  quoteId: z.string().optional().describe("quoteId from getQuote; the booking uses the quoted prices, discounts and deposit"),
+  promoCodes: z.array(z.string()).optional().describe("Promo codes or gift voucher codes to apply when booking without a quoteId"),
+  addOns: z.array(z.string()).optional().describe("Add-on IDs to include when booking without a quoteId"),
+  includeSuggestedDeposit: z.boolean().optional().describe("Admin, booking without a quoteId: take the deposit the no-show risk policy suggests for this customer"),
   toBeInformed: z.boolean().optional().describe("Whether to inform the customer"),
-  deposit: z.number().optional().describe("Deposit amount"),
-  notes: z.string().optional().describe("Notes for the appointment"),
+  notes: z.string().optional().describe("Notes about this visit (e.g. a reaction to watch for); kept as a note on the customer's profile"),
+  staff: z.string().optional().describe("Staff member to book with (name or ID), e.g. 'Jenny'. Leave out to assign any qualified staff member"),
+  allowDuplicate: z.boolean().optional().describe("Set to true only after the customer confirms they want this booking even though they already have one that overlaps or is on the same day, or when their existing appointments could not be checked"),
   sessionId: z.string().optional().describe("Session ID for the booking")
 });
 
-// Cache for public holidays
-let publicHolidaysCache = null;
-let lastFetchTime = 0;
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-
-// Function to fetch Singapore public holidays from data.gov.sg
-async function fetchPublicHolidays() {
-  // Check cache first
-  const now = Date.now();
-  if (publicHolidaysCache && (now - lastFetchTime < CACHE_DURATION)) {
-    console.log('📅 Using cached public holidays data (bookAppointment)');
-    return publicHolidaysCache;
-  }
-  
-  try {
-    console.log('📅 Fetching Singapore public holidays from data.gov.sg (bookAppointment)');
-    const response = await fetch('https://data.gov.sg/api/action/datastore_search?resource_id=d_3751791452397f1b1c80c451447e40b7');
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch public holidays: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.success || !data.result || !data.result.records) {
-      throw new Error('Invalid response format from data.gov.sg API');
-    }
-    
-    // Transform the data to a simpler format
-    const holidays = data.result.records.map((record) => ({
-      date: record.date,
-      holiday: record.holiday
-    }));
-    
-    // Update cache
-    publicHolidaysCache = holidays;
-    lastFetchTime = now;
-    
-    console.log(`📅 Fetched ${holidays.length} public holidays (bookAppointment)`);
-    return holidays;
-  } catch (error) {
-    console.error('❌ Error fetching public holidays:', error);
-    // Return empty array if there's an error, so the app still works
-    return [];
-  }
-}
-
 // Prepare the GraphQL request
 function prepareGraphQLRequest(bookingData, formattedStart) {
+  // Staff/room are only sent when resources are configured and one was assigned
+  const hasResources = Boolean(bookingData.staffId || bookingData.roomId);
+  const resourceParams = hasResources ? ', $staffId:String, $roomId:String' : '';
+  const resourceArgs = hasResources ? ', staffId:$staffId, roomId:$roomId' : '';
+
   // Define the exact GraphQL mutation as required by SOHO API
-  const mutationTemplate = `mutation($name: String!, $mobile:String!, $resourceName:String, $start:String!, $serviceIds:[String]!, $duration:Int!, $totalAmount:Float, $additional:Float, $discount:Float, $toBeInformed:Boolean, $deposit:Float, $force:Boolean) {
-    createAppointment(name:$name, mobile:$mobile, resourceName:$resourceName, start:$start, serviceIds:$serviceIds, duration:$duration, totalAmount:$totalAmount, additional:$additional, discount:$discount, toBeInformed:$toBeInformed, deposit:$deposit, force:$force) {
+  const mutationTemplate = `mutation($name: String!, $mobile:String!, $resourceName:String, $start:String!, $serviceIds:[String]!, $duration:Int!, $totalAmount:Float, $additional:Float, $discount:Float, $toBeInformed:Boolean, $deposit:Float, $force:Boolean${resourceParams}) {
+    createAppointment(name:$name, mobile:$mobile, resourceName:$resourceName, start:$start, serviceIds:$serviceIds, duration:$duration, totalAmount:$totalAmount, additional:$additional, discount:$discount, toBeInformed:$toBeInformed, deposit:$deposit, force:$force${resourceArgs}) {
         id,
         createdNewContact
     }
@@ -96,7 +72,8 @@ function prepareGraphQLRequest(bookingData, formattedStart) {
       ? bookingData.toBeInformed.toLowerCase() === 'true'
       : Boolean(bookingData.toBeInformed),
     deposit: Number(bookingData.deposit) || 0,
-    force: bookingData.force || false    
+    force: bookingData.force || false,
+    ...(hasResources ? { staffId: bookingData.staffId || null, roomId: bookingData.roomId || null } : {})
   };
   
   // Return the complete GraphQL request
@@ -106,6 +83,167 @@ function prepareGraphQLRequest(bookingData, formattedStart) {
   };
 }
 
+/**
+ * Claim the slot for this session and re-check it against the calendar
+ * The claim is taken synchronously before any await, so two sessions can't both
+ * pass the check for the same time. Also assigns a staff member and room when
+ * resources are configured.
+ * @param {Object} options - { sessionId, start, duration, serviceIds, categories, staff, force, customer }
+ * @returns {Promise<Object>} { assignment, claim, error } - release or restore the claim once the booking call is done
+ */
+async function verifySlot({ sessionId, start, duration, serviceIds, categories, staff, force, customer }) {
+  if (staff && !resourceService.isEnabled()) {
+    return { assignment: null, claim: null, error: { error: "Staff scheduling not configured", message: "Bookings aren't assigned to individual staff here. Please book without choosing a staff member." } };
+  }
+
+  const requested = staff ? resourceService.findStaff(staff) : null;
+  if (staff && !requested) {
+    return {
+      assignment: null,
+      claim: null,
+      error: {
+        error: `Unknown staff member: ${staff}`,
+        message: `I couldn't find a staff member called ${staff}. Our team: ${resourceService.getActiveStaff().map(member => member.name).join(', ')}.`
+      }
+    };
+  }
+
+  const end = new Date(start.getTime() + duration * 60000);
+  const claim = holdService.claim({ sessionId, start, end, serviceIds, categories, staffId: requested?.id || null, customer });
+  if (!claim.success && force !== true) {
+    console.log(`❌ Slot ${start.toISOString()} is held by another session`);
+    return {
+      assignment: null,
+      claim,
+      error: { error: "Slot no longer available", message: "Sorry, another customer is booking that time right now. Please choose another time." }
+    };
+  }
+
+  const release = () => holdService.restore(sessionId, claim.previous);
+
+  let calendarEvents;
+  try {
+    calendarEvents = await getCalendarProvider().listBusy(start, end);
+  } catch (error) {
+    console.error('❌ Error re-checking the calendar before booking:', error);
+    if (requested) {
+      release();
+      return { assignment: null, claim, error: { error: "Failed to check staff availability", message: `I couldn't check ${requested.name}'s calendar right now. Please try again shortly.` } };
+    }
+    // The SOHO API still rejects clashing bookings, so go ahead on the hold alone
+    console.log('⚠️ Booking without a calendar re-check');
+    return { assignment: null, claim, error: null };
+  }
+
+  const assignment = resourceService.findAssignment({
+    start,
+    end,
+    events: [...calendarEvents, ...holdService.getHoldEvents({ excludeSessionId: sessionId })],
+    categories,
+    staffId: requested?.id || null
+  });
+
+  if (assignment.available) {
+    if (claim.hold) {
+      claim.hold.staffId = assignment.staff?.id || null;
+      claim.hold.roomId = assignment.room?.id || null;
+    }
+    if (assignment.staff || assignment.room) {
+      console.log(`👥 Assigned ${assignment.staff?.name || 'no staff'} / ${assignment.room?.name || 'no room'}`);
+    }
+    return { assignment, claim, error: null };
+  }
+
+  if (force === true) {
+    console.log(`⚠️ Forcing booking despite: ${assignment.reason}`);
+    return { assignment: { available: false, staff: requested, room: null, reason: assignment.reason }, claim, error: null };
+  }
+
+  release();
+  const unavailable = requested
+    ? { error: "Staff member not available", message: `${assignment.reason}. Would you like another time, or anyone else who's free?` }
+    : { error: "Slot no longer available", message: resourceService.isEnabled()
+      ? `${assignment.reason} for that time. Please choose another time.`
+      : "Sorry, that time has just been booked. Please choose another time." };
+  return { assignment: null, claim, error: unavailable };
+}
+
+/**
+ * Find the customer's existing appointments that overlap the new one or fall on the same day
+ * @param {string} resourceName - Customer resourceName
+ * @param {Date} start - New appointment start
+ * @param {number} duration - New appointment length in minutes
+ * @returns {Promise<Object>} { overlapping, sameDay, error } - lists of { id, date, time, services }; error when SOHO couldn't be read
+ */
+async function findExistingBookings(resourceName, start, duration) {
+  const { appointments, error } = await fetchAppointmentsFromSoho(resourceName, 0);
+  if (error) {
+    return { overlapping: [], sameDay: [], error };
+  }
+  const end = new Date(start.getTime() + duration * 60000);
+  const day = businessCalendar.formatDate(start);
+  const overlapping = [];
+  const sameDay = [];
+
+  appointments.forEach(appointment => {
+    const event = appointment.event || {};
+    if (!event.start || /cancel/i.test(event.status || '')) return;
+
+    const existingStart = /^\d{8}T\d{4}$/.test(event.start)
+      ? moment.tz(event.start, 'YYYYMMDD[T]HHmm', businessCalendar.getConfig().timezone)
+      : businessCalendar.toMoment(event.start);
+    const existingEnd = event.end
+      ? (/^\d{8}T\d{4}$/.test(event.end) ? moment.tz(event.end, 'YYYYMMDD[T]HHmm', businessCalendar.getConfig().timezone) : businessCalendar.toMoment(event.end))
+      : existingStart.clone().add(60, 'minutes');
+
+    const summary = {
+      id: appointment.id || event.id,
+      date: existingStart.format('YYYY-MM-DD'),
+      time: existingStart.format('h:mm A'),
+      services: (appointment.transaction?.items || []).map(item => item.name)
+    };
+
+    if (existingStart.toDate() < end && existingEnd.toDate() > start) {
+      overlapping.push(summary);
+    } else if (summary.date === day) {
+      sameDay.push(summary);
+    }
+  });
+
+  return { overlapping, sameDay };
+}
+
+/**
+ * Parse the appointment datetime: natural language first, then YYYYMMDDTHHmm, then Moment's flexible parsing
+ * @param {string} datetime
+ * @returns {Object} moment (check isValid())
+ */
+function parseAppointmentDateTime(datetime) {
+  // Try parsing with chrono (natural language)
+  try {
+    const chronoParsed = chrono.parseDate(datetime);
+    if (chronoParsed) {
+      console.log(`📅 Parsed with chrono natural language: ${chronoParsed.toISOString()}`);
+      return moment(chronoParsed);
+    }
+  } catch (e) {
+    console.log(`❌ Failed to parse with chrono: ${e.message}`);
+  }
+
+  // Check if datetime is in YYYYMMDDTHHmm format
+  if (/^\d{8}T\d{4}$/.test(datetime)) {
+    // Parse with Moment using a custom format
+    const parsed = moment(datetime, "YYYYMMDD[T]HHmm");
+    console.log(`📅 Parsed as YYYYMMDDTHHmm format: ${parsed.format()}`);
+    return parsed;
+  }
+
+  // Try standard formats with Moment
+  const parsed = moment(datetime);
+  console.log(`📅 Parsed with Moment flexible parsing: ${parsed.format()}`);
+  return parsed;
+}
+
 // Format date for display using Moment
 function formatDisplayDate(dateObj) {
   return moment(dateObj).format('dddd, MMMM D, YYYY');
@@ -129,7 +267,36 @@ class CreateAppointmentTool extends StructuredTool {
   }
 
   async _call(inputs) {
-    const { serviceIds, datetime, name, mobile, resourceName, force, duration, totalAmount, additional, discount, toBeInformed, deposit, notes } = inputs;
+    const start = inputs.datetime ? parseAppointmentDateTime(inputs.datetime) : null;
+    if (!start || !start.isValid() || !inputs.resourceName) {
+      return this.bookAppointment(inputs);
+    }
+
+    // Retries of the same booking (same session, customer, services and start) get the original result
+    const key = bookingLedger.makeKey({
+      sessionId: this.sessionId,
+      resourceName: inputs.resourceName,
+      serviceIds: Array.isArray(inputs.serviceIds) ? inputs.serviceIds : String(inputs.serviceIds || '').split(',').map(id => id.trim()),
+      start: start.toDate()
+    });
+    const { result, replayed } = await bookingLedger.run(key, () => this.bookAppointment(inputs));
+    if (!replayed) {
+      return result;
+    }
+
+    console.log(`♻️ Duplicate createAppointment call for session ${this.sessionId}, not booking again`);
+    const original = JSON.parse(result);
+    return JSON.stringify({
+      ...original,
+      duplicateRequest: true,
+      message: original.success
+        ? `This appointment was already booked (ID: ${original.appointmentId}). No second booking was made. ${original.message}`
+        : original.message
+    });
+  }
+
+  async bookAppointment(inputs) {
+    const { serviceIds, datetime, name, mobile, resourceName, force, duration, quoteId, promoCodes, addOns, includeSuggestedDeposit, toBeInformed, notes, staff, allowDuplicate } = inputs;
 
     console.log(`🔄 Create appointment request for session: ${this.sessionId}`);
     console.log(`📋 Original service IDs provided by AI: ${JSON.stringify(serviceIds)}`);
@@ -354,6 +521,16 @@ class CreateAppointmentTool extends StructuredTool {
       });
     }
 
+    const parsedMobile = phone.parsePhone(mobile);
+    if (!parsedMobile.valid) {
+      console.error(`❌ Invalid mobile number: ${parsedMobile.error}`);
+      return JSON.stringify({
+        success: false,
+        error: 'Invalid mobile number',
+        message: `${parsedMobile.error}.`
+      });
+    }
+
     // ADDED: Improved check for invalid resourceName
     if (!resourceName || 
         resourceName === 'contact:1234' || 
@@ -375,9 +552,7 @@ class CreateAppointmentTool extends StructuredTool {
       // Check if we have user info in the current context
       if (this.context?.memory?.user_info?.mobile && mobile) {
         const contextUserInfo = this.context.memory.user_info;
-        const normalizedMobile = mobile.replace(/\D/g, '').slice(-8);
-        
-        if (contextUserInfo.mobile.replace(/\D/g, '').endsWith(normalizedMobile)) {
+        if (phone.samePhone(contextUserInfo.mobile, mobile)) {
           console.log(`✅ Found matching user with resourceName: ${contextUserInfo.resourceName}`);
           inputs.resourceName = contextUserInfo.resourceName;
         }
@@ -390,34 +565,7 @@ class CreateAppointmentTool extends StructuredTool {
     console.log(`📅 Original datetime input: "${datetime}"`);
     
     // Validate datetime using Moment.js and Chrono
-    let momentDate;
-    let isNaturalLanguage = false;
-    
-    // Try parsing with chrono (natural language)
-    try {
-      const chronoParsed = chrono.parseDate(datetime);
-      if (chronoParsed) {
-        console.log(`📅 Parsed with chrono natural language: ${chronoParsed.toISOString()}`);
-        momentDate = moment(chronoParsed);
-        isNaturalLanguage = true;
-      }
-    } catch (e) {
-      console.log(`❌ Failed to parse with chrono: ${e.message}`);
-    }
-    
-    // If not natural language, try our other parsing methods
-    if (!isNaturalLanguage) {
-      // Check if datetime is in YYYYMMDDTHHmm format
-      if (/^\d{8}T\d{4}$/.test(datetime)) {
-        // Parse with Moment using a custom format
-        momentDate = moment(datetime, "YYYYMMDD[T]HHmm");
-        console.log(`📅 Parsed as YYYYMMDDTHHmm format: ${momentDate.format()}`);
-      } else {
-        // Try standard formats with Moment
-        momentDate = moment(datetime);
-        console.log(`📅 Parsed with Moment flexible parsing: ${momentDate.format()}`);
-      }
-    }
+    const momentDate = parseAppointmentDateTime(datetime);
     
     // Check if the date is valid
     if (!momentDate.isValid()) {
@@ -443,27 +591,26 @@ class CreateAppointmentTool extends StructuredTool {
     // Convert to JavaScript Date object for compatibility
     const validDateObj = momentDate.toDate();
     
-    // Check if requested date is a Sunday
-    if (momentDate.day() === 0) {
-      console.log('❌ Booking attempted for Sunday, which is closed');
+    // Check if the salon is closed that day (weekly closures and ad-hoc closures)
+    const closedCheck = businessCalendar.checkBooking(momentDate, 0, { ignoreHours: true });
+    if (!closedCheck.valid) {
+      console.log(`❌ Booking attempted for ${momentDate.format('YYYY-MM-DD')}, which is closed`);
       return JSON.stringify({
         success: false,
-        error: "Cannot book on Sunday",
-        message: "I'm sorry, we're closed on Sundays. Please choose another day."
+        error: closedCheck.error,
+        message: closedCheck.message
       });
     }
     
-    // Check if requested date is a public holiday
-    const formattedDateStr = momentDate.format('YYYY-MM-DD');
-    const publicHolidays = await fetchPublicHolidays();
-    const holidayMatch = publicHolidays.find(holiday => holiday.date === formattedDateStr);
+    // Check if requested date is a public holiday (or the holiday data is unknown in strict mode)
+    const holidayCheck = await holidayService.checkDate(momentDate);
     
-    if (holidayMatch) {
-      console.log(`❌ Booking attempted for ${holidayMatch.holiday} public holiday`);
+    if (holidayCheck.blockBooking) {
+      console.log(`❌ Booking blocked for ${holidayCheck.date}: ${holidayCheck.holiday || 'holiday data unavailable'}`);
       return JSON.stringify({
         success: false,
-        error: "Cannot book on public holiday",
-        message: `I'm sorry, we're closed on ${holidayMatch.holiday}. Please choose another day.`
+        error: holidayCheck.isHoliday ? "Cannot book on public holiday" : "Holiday data unavailable",
+        message: holidayCheck.message
       });
     }
 
@@ -476,8 +623,8 @@ class CreateAppointmentTool extends StructuredTool {
     // Use servicIdArray directly - no more modifications to IDs
     const processedServiceIds = serviceIdArray;
     let totalDuration = duration || 0;
-    let totalPrice = totalAmount || 0;
     const serviceNames = [];
+    const serviceCategories = new Set();
 
     try {
       // Get all services using the consolidated API
@@ -500,28 +647,14 @@ class CreateAppointmentTool extends StructuredTool {
 
         // Store the service name
         serviceNames.push(serviceName);
+        if (matchedService?.category) serviceCategories.add(matchedService.category);
+      }
 
-        // Calculate duration and price only if not explicitly provided
-        if (!duration && matchedService) {
-          try {
-            const serviceDuration = matchedService.duration || 60;
-            console.log(`✅ Service ${serviceId} duration: ${serviceDuration} minutes`);
-            totalDuration += serviceDuration;
-
-            if (matchedService.price && !totalAmount) {
-              totalPrice += matchedService.price;
-            }
-          } catch (e) {
-            console.error(`❌ Error getting service duration for ${serviceId}:`, e);
-            // Default to 60 minutes if there's an error
-            console.log(`⚠️ Using default duration (60 minutes) for ${serviceId}`);
-            totalDuration += 60; 
-          }
-        } else if (!duration) {
-          // Default duration for unknown services
-          console.log(`⚠️ Using default duration (60 minutes) for ${serviceId}`);
-          totalDuration += 60;
-        }
+      // Use the same combined duration (services plus buffers) as the availability check
+      if (!duration) {
+        const durationDetails = await calculateAppointmentDuration(serviceIdArray, allServices);
+        totalDuration = durationDetails.totalDuration;
+        console.log(`✅ Combined duration: ${totalDuration} minutes (${durationDetails.serviceMinutes} service + ${durationDetails.bufferMinutes} buffer)`);
       }
     } catch (error) {
       console.error('❌ Error processing services:', error);
@@ -532,22 +665,99 @@ class CreateAppointmentTool extends StructuredTool {
       });
     }
 
+    // Check opening hours, breaks and lead time now the duration is known (admins can force past these)
+    const hoursCheck = businessCalendar.checkBooking(momentDate, totalDuration, { ignoreHours: force === true });
+    if (!hoursCheck.valid) {
+      console.log(`❌ Booking outside business hours: ${hoursCheck.error}`);
+      return JSON.stringify({
+        success: false,
+        error: hoursCheck.error,
+        message: hoursCheck.message
+      });
+    }
+
+    // Warn before booking the same customer twice (confirmed duplicates and forced bookings skip this)
+    if (allowDuplicate !== true && force !== true) {
+      const existing = await findExistingBookings(resourceName, validDateObj, totalDuration);
+      if (existing.error) {
+        console.log(`⚠️ Could not check ${name}'s existing appointments: ${existing.error}`);
+        return JSON.stringify({
+          success: false,
+          error: 'Existing appointments unavailable',
+          requiresConfirmation: true,
+          message: `${name}'s existing appointments couldn't be checked right now, so this may double-book them. Please try again shortly, or confirm with the customer that they have no other booking around then and call createAppointment again with allowDuplicate: true.`
+        });
+      }
+      if (existing.overlapping.length > 0 || existing.sameDay.length > 0) {
+        const overlaps = existing.overlapping.length > 0;
+        const clash = overlaps ? existing.overlapping[0] : existing.sameDay[0];
+        console.log(`⚠️ ${name} already has ${overlaps ? 'an overlapping' : 'a same-day'} appointment (${clash.id})`);
+        return JSON.stringify({
+          success: false,
+          error: overlaps ? 'Overlapping appointment exists' : 'Same-day appointment exists',
+          requiresConfirmation: true,
+          message: `${name} already has ${overlaps ? 'an appointment that overlaps this one' : 'an appointment that day'}: ${clash.date} at ${clash.time}${clash.services.length ? ` (${clash.services.join(', ')})` : ''}. Please confirm with the customer whether they want another booking; if so, call createAppointment again with allowDuplicate: true.`,
+          existingAppointments: [...existing.overlapping, ...existing.sameDay]
+        });
+      }
+    }
+
+    // Price from the quote the customer was given, or from the pricing rules
+    const pricing = await priceBooking({ quoteId, sessionId: this.sessionId, promoCodes, addOns, includeSuggestedDeposit, serviceIds: processedServiceIds, start: validDateObj, resourceName });
+    if (pricing.error) {
+      console.log(`❌ Pricing failed: ${pricing.error.error}`);
+      return JSON.stringify({ success: false, ...pricing.error });
+    }
+    const { quote } = pricing;
+
+    // Claim the slot and re-check the calendar (assigns staff/room when configured)
+    const { assignment, claim, error: slotError } = await verifySlot({
+      sessionId: this.sessionId,
+      start: validDateObj,
+      duration: totalDuration,
+      serviceIds: processedServiceIds,
+      categories: [...serviceCategories],
+      staff,
+      force,
+      customer: name
+    });
+    if (slotError) {
+      console.log(`❌ Slot check failed: ${slotError.error}`);
+      return JSON.stringify({ success: false, ...slotError });
+    }
+
+    // Take the promo code uses and voucher balance the quote relies on
+    let redemption;
+    try {
+      redemption = await promotionService.claim(quote, { start: validDateObj, resourceName, sessionId: this.sessionId });
+    } catch (error) {
+      console.error('❌ Error claiming promotions:', error);
+      redemption = { claimId: null, error: error.message };
+    }
+    if (redemption.error) {
+      console.log(`❌ Promotion claim failed: ${redemption.error}`);
+      holdService.restore(this.sessionId, claim?.previous || null);
+      return JSON.stringify({
+        success: false,
+        error: "Pricing not applied",
+        message: `Not booked: ${redemption.error}. Please get a new quote with getQuote.`
+      });
+    }
+
     // Create booking payload for SOHO API
     const bookingData = {
       name,
-      mobile,
+      mobile: parsedMobile.e164,
       resourceName,
       serviceIds: processedServiceIds,
       duration: totalDuration,
-      totalAmount: totalPrice,
-      additional: additional || 0,
-      discount: discount || 0,
+      ...pricingService.toBookingAmounts(quote),
       toBeInformed: typeof toBeInformed === 'string'
         ? toBeInformed.toLowerCase() === 'true'
         : Boolean(toBeInformed),
-      deposit: deposit || 0,
       force: force === true,
-      notes: notes || `Booked via chat assistant for ${name}`
+      staffId: assignment?.staff?.id || null,
+      roomId: assignment?.room?.id || null
     };
 
     // Log the final list of services being booked
@@ -556,80 +766,14 @@ class CreateAppointmentTool extends StructuredTool {
 
     // Prepare GraphQL request
     const graphqlRequest = prepareGraphQLRequest(bookingData, formattedStart);
-    console.log('📝 GraphQL request:', JSON.stringify(graphqlRequest));
 
     // Make the API call to create the booking
+    let appointment = null;
     try {
-      // Get the SOHO API URL from environment
-      const apiUrl = process.env.SOHO_API_URL || '';
-      if (!apiUrl) {
-        throw new Error('SOHO_API_URL environment variable is not set');
-      }
+      const result = await sohoClient.request(graphqlRequest.query, graphqlRequest.variables, { operation: 'createAppointment' });
+      appointment = result.createAppointment || null;
 
-      const authToken = process.env.SOHO_AUTH_TOKEN || '';
-      if (!authToken) {
-        throw new Error('SOHO_AUTH_TOKEN environment variable is not set');
-      }
-
-      console.log(`🔄 Calling SOHO API at ${apiUrl}`);
-      
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': authToken
-        },
-        body: JSON.stringify(graphqlRequest)
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`❌ SOHO API error: ${response.status} - ${errorText}`);
-        
-        return JSON.stringify({
-          success: false,
-          error: `API error: ${response.status}`,
-          details: errorText
-        });
-      }
-      
-      const result = await response.json();
-      console.log('✅ SOHO API response:', result);
-      
-      // Check for GraphQL errors
-      if (result.errors) {
-        console.error('❌ GraphQL errors:', result.errors);
-        return JSON.stringify({
-          success: false,
-          error: 'GraphQL errors',
-          details: result.errors
-        });
-      }
-      
-      // Check if appointment was created successfully
-      if (result.data?.createAppointment) {
-        const appointment = result.data.createAppointment;
-        const formattedDate = formatDisplayDate(dateObj);
-        const formattedTime = formatDisplayTime(dateObj);
-        
-        // Format the service list for the response message
-        const serviceList = serviceNames.length > 1 
-          ? `${serviceNames[0]} and ${serviceNames.slice(1).join(', ')}`
-          : serviceNames[0];
-        
-        return JSON.stringify({
-          success: true,
-          message: `✅ Appointment successfully booked for ${serviceList} on ${formattedDate} at ${formattedTime} for ${name}.`,
-          appointmentId: appointment.id,
-          service: serviceNames[0],
-          additionalServices: serviceNames.slice(1),
-          date: formattedDate,
-          time: formattedTime,
-          customer: name,
-          createdNewContact: appointment.createdNewContact || false,
-          status: 'confirmed'
-        });
-      } else {
+      if (!appointment) {
         return JSON.stringify({
           success: false,
           error: 'Failed to create appointment',
@@ -642,9 +786,88 @@ class CreateAppointmentTool extends StructuredTool {
       return JSON.stringify({
         success: false,
         error: 'Failed to complete booking',
+        ...(error instanceof SohoError ? { errorType: error.code } : {}),
         message: error.message
       });
+    } finally {
+      // The booking consumes the hold and the claimed codes; otherwise both are given back
+      if (appointment) {
+        holdService.release(this.sessionId);
+      } else {
+        holdService.restore(this.sessionId, claim?.previous || null);
+        await promotionService.release(redemption.claimId);
+      }
+    }
+
+    // The appointment exists in SOHO from here on, so bookkeeping errors are logged rather than failing the booking
+    try {
+      await promotionService.confirm(redemption.claimId, appointment.id);
+    } catch (error) {
+      console.error(`❌ Error confirming promotions for appointment ${appointment.id}:`, error);
+    }
+
+    // Keep track of the deposit: due when the booking carries one, or only suggested by the risk policy
+    let depositRecord = null;
+    try {
+      depositRecord = quote.deposit > 0
+        ? await riskService.recordDeposit(appointment.id, { resourceName, amount: quote.deposit, status: 'required', reason: quote.depositReason, risk: quote.risk })
+        : quote.risk?.level === 'suggest'
+          ? await riskService.recordDeposit(appointment.id, { resourceName, amount: quote.risk.deposit, status: 'suggested', reason: 'No-show risk', risk: quote.risk })
+          : null;
+    } catch (error) {
+      console.error(`❌ Error recording the deposit for appointment ${appointment.id}:`, error);
+    }
+    const riskNote = getRole(this.context) === 'admin' ? riskService.describe(quote.risk) : null;
+
+    // SOHO has no field for booking notes, so they are kept on the customer's profile
+    if (notes && notes.trim() && resourceName) {
+      try {
+        await profileService.addNote(resourceName, notes, getRole(this.context) === 'admin' ? 'admin' : 'customer', { appointmentId: appointment.id });
+      } catch (error) {
+        console.error('❌ Error saving booking notes to the profile:', error);
+      }
     }
+    const formattedDate = formatDisplayDate(dateObj);
+    const formattedTime = formatDisplayTime(dateObj);
+
+    // Remember the new booking so the customer can follow up on it (e.g. bookSeries)
+    if (this.context && this.context.memory) {
+      this.context.memory.last_appointment = {
+        id: appointment.id,
+        date: formattedDate,
+        time: formattedTime,
+        services: serviceNames
+      };
+    }
+
+    // Format the service list for the response message
+    const serviceList = serviceNames.length > 1 
+      ? `${serviceNames[0]} and ${serviceNames.slice(1).join(', ')}`
+      : serviceNames[0];
+    
+    return JSON.stringify({
+      success: true,
+      message: `✅ Appointment successfully booked for ${serviceList} on ${formattedDate} at ${formattedTime} for ${name}${assignment?.staff ? ` with ${assignment.staff.name}` : ''}.${quote.deposit > 0 ? ` A deposit of $${quote.deposit.toFixed(2)} is due.` : ''}${riskNote ? ` ${riskNote}` : ''}`,
+      appointmentId: appointment.id,
+      service: serviceNames[0],
+      additionalServices: serviceNames.slice(1),
+      date: formattedDate,
+      time: formattedTime,
+      customer: name,
+      createdNewContact: appointment.createdNewContact || false,
+      staff: assignment?.staff?.name || null,
+      room: assignment?.room?.name || null,
+      price: {
+        lines: quote.lines,
+        total: quote.total,
+        discount: quote.discount,
+        deposit: quote.deposit,
+        depositReason: quote.depositReason
+      },
+      depositStatus: depositRecord?.status || null,
+      ...(riskNote ? { risk: quote.risk } : {}),
+      status: 'confirmed'
+    });
   }
 }
 
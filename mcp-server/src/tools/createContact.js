@@ -1,10 +1,12 @@
 import { StructuredTool } from "@langchain/core/tools";
 import { z } from "zod";
+import sohoClient from "../lib/soho-client.js";
+import phone from "../lib/phone.js";
 
 const CreateContactSchema = z.object({
   first: z.string().describe("Customer's first name"),
   last: z.string().optional().describe("Customer's last name (optional)"),
-  mobile: z.string().describe("Customer's mobile number (with or without country code)")
+  mobile: z.string().describe("Customer's mobile number; numbers from other countries need their country code")
 });
 
 export class CreateContactTool extends StructuredTool {
@@ -22,15 +24,16 @@ export class CreateContactTool extends StructuredTool {
   async _call(inputs) {
     const { first, last, mobile } = inputs;
 
-    // Format the mobile number (ensure it starts with +65 for Singapore)
-    let formattedMobile = mobile;
-    if (mobile.startsWith("8") || mobile.startsWith("9")) {
-      formattedMobile = `+65${mobile}`;
-    } else if (mobile.startsWith("65")) {
-      formattedMobile = `+${mobile}`;
-    } else if (!mobile.startsWith("+")) {
-      formattedMobile = `+${mobile}`;
+    // Save the mobile number in E.164 (local numbers get the default region's country code)
+    const parsed = phone.parsePhone(mobile);
+    if (!parsed.valid) {
+      return JSON.stringify({
+        success: false,
+        error: 'Invalid phone number',
+        details: `${parsed.error}.`
+      });
     }
+    const formattedMobile = parsed.e164;
 
     console.log(`📝 Creating new contact: ${first} ${last || ''} (${formattedMobile}) for session ${this.sessionId}`);
     
@@ -74,53 +77,22 @@ export class CreateContactTool extends StructuredTool {
         }
       };
 
-      // Get the SOHO API URL and auth token from environment variables
-      const apiUrl = process.env.SOHO_API_URL || 'https://api.soho.sg/graphql';
-      const authToken = process.env.SOHO_AUTH_TOKEN;
-
-      if (!authToken) {
-        console.error('❌ Missing SOHO_AUTH_TOKEN environment variable');
-        return JSON.stringify({
-          success: false,
-          error: 'Missing authentication token for SOHO API'
-        });
-      }
-
       // Call the SOHO GraphQL API
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': authToken,
-          'X-Api-Key': process.env.SOHO_API_KEY || ''
-        },
-        body: JSON.stringify(mutation)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`❌ SOHO API error: ${response.status} - ${errorText}`);
-        return JSON.stringify({
-          success: false,
-          error: `API error: ${response.status}`,
-          details: errorText
-        });
-      }
-
-      const result = await response.json();
-
-      // Check for GraphQL errors
-      if (result.errors) {
-        console.error('❌ GraphQL errors:', result.errors);
+      let result;
+      try {
+        result = await sohoClient.request(mutation.query, mutation.variables, { operation: 'createContact' });
+      } catch (error) {
+        if (!(error instanceof sohoClient.SohoError)) throw error;
         return JSON.stringify({
           success: false,
-          error: 'GraphQL errors',
-          details: result.errors.map(e => e.message).join(', ')
+          error: error.code === 'CONFLICT' ? 'Contact already exists' : 'Failed to create contact',
+          errorType: error.code,
+          details: error.message
         });
       }
 
       // Check if the contact was created successfully
-      if (!result.data || !result.data.createContact) {
+      if (!result.createContact) {
         console.error('❌ Failed to create contact:', result);
         return JSON.stringify({
           success: false,
@@ -129,7 +101,7 @@ export class CreateContactTool extends StructuredTool {
         });
       }
 
-      const contact = result.data.createContact;
+      const contact = result.createContact;
       console.log(`✅ Contact created successfully:`, contact);
       
       // Update context with the new user information
@@ -0,0 +1,104 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const sohoClient = require("../lib/soho-client");
+const { SohoError } = sohoClient;
+const contactService = require('../services/contactService');
+
+// Define the schema for the findDuplicateContacts tool
+const FindDuplicateContactsSchema = z.object({
+  resourceName: z.string().optional().describe("Only look for duplicates of this contact (default: the whole contact list)"),
+  name: z.string().optional().describe("Only look among contacts whose name contains this"),
+  threshold: z.number().min(0.5).max(1).optional().describe("How similar names must be, from 0.5 to 1 (default 0.85)"),
+  limit: z.number().optional().describe("Maximum number of pairs to return (default: 10)")
+});
+
+class FindDuplicateContactsTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "findDuplicateContacts";
+    this.description = "Admin only: find contacts that are probably the same person - the same mobile number (however it was written) or a similar name. Review the pairs, then merge with mergeContacts.";
+    this.schema = FindDuplicateContactsSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { resourceName, name, threshold, limit = 10 } = inputs;
+    console.log(`🔀 findDuplicateContacts${resourceName ? ` for ${resourceName}` : ''}${name ? ` named "${name}"` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.findDuplicateContacts) {
+        this.context.memory.tool_usage.findDuplicateContacts = [];
+      }
+
+      this.context.memory.tool_usage.findDuplicateContacts.push({
+        timestamp: new Date().toISOString(),
+        resourceName: resourceName || null,
+        name: name || null
+      });
+    }
+
+    try {
+      let data;
+      try {
+        data = await sohoClient.request('query { contacts { name, mobile, resourceName } }', {}, { operation: 'contacts' });
+      } catch (error) {
+        if (!(error instanceof SohoError)) throw error;
+        return JSON.stringify({
+          success: false,
+          error: 'Contacts unavailable',
+          errorType: error.code,
+          message: 'The contacts could not be loaded. Please try again later.'
+        });
+      }
+
+      const searchTerm = name ? name.trim().toLowerCase() : null;
+      const contacts = (data.contacts || []).filter(contact =>
+        !searchTerm || contact.resourceName === resourceName || String(contact.name || '').toLowerCase().includes(searchTerm));
+      const pairs = await contactService.findDuplicates(contacts, { resourceName, threshold });
+      const shown = pairs.slice(0, limit);
+
+      return JSON.stringify({
+        success: true,
+        count: pairs.length,
+        duplicates: shown.map(pair => ({
+          contacts: pair.contacts.map(contact => ({ name: contact.name, mobile: contact.mobile, resourceName: contact.resourceName })),
+          reasons: pair.reasons,
+          nameScore: pair.nameScore
+        })),
+        message: pairs.length > 0
+          ? `Found ${pairs.length} possible duplicate(s)${pairs.length > shown.length ? `, showing ${shown.length}` : ''}. Check with the admin which contact to keep before calling mergeContacts.`
+          : 'No duplicate contacts found.'
+      });
+    } catch (error) {
+      console.error('❌ Error in findDuplicateContacts tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to find duplicates",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates a findDuplicateContacts tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The findDuplicateContacts tool instance
+ */
+function createFindDuplicateContactsTool(context, sessionId) {
+  return new FindDuplicateContactsTool(context, sessionId);
+}
+
+module.exports = {
+  FindDuplicateContactsTool,
+  createFindDuplicateContactsTool
+};
@@ -1,78 +1,54 @@
 const { StructuredTool } = require("@langchain/core/tools");
 const { z } = require("zod");
-const axios = require("axios");
+const sohoClient = require("../lib/soho-client");
+const riskService = require('../services/riskService');
 
 // Define the schema for the getAppointment tool
 const GetAppointmentSchema = z.object({
   appointmentId: z.string().describe("ID of the appointment to retrieve")
 });
 
+const APPOINTMENT_QUERY = `
+  query($id: String!) {
+    appointment(id: $id) {
+      id,
+      event { 
+        id,
+        name,
+        mobile,
+        start,
+        end,
+        serviceIds,
+        resourceName,
+        status
+      },
+      transaction {
+        id,
+        items { id, type, name, price },
+        totalAmount,
+        service,
+        product,
+        discount,
+        additional,
+        deposit
+      }
+    }
+  }
+`;
+
 // Function to fetch details of an existing appointment
 async function fetchAppointmentDetails(appointmentId) {
   console.log(`🔍 Fetching details for appointment ID: ${appointmentId}`);
   
-  // Get API credentials
-  const apiUrl = process.env.SOHO_API_URL || 'https://api.soho.sg/graphql';
-  const authToken = process.env.SOHO_AUTH_TOKEN;
-  
-  if (!authToken) {
-    console.error('❌ Missing SOHO_AUTH_TOKEN environment variable');
-    return null;
-  }
-  
-  // Define the query to fetch appointment details
-  const query = {
-    query: `
-      query($id: String!) {
-        appointment(id: $id) {
-          id,
-          event { 
-            id,
-            name,
-            mobile,
-            start,
-            end,
-            serviceIds,
-            resourceName
-          },
-          transaction {
-            id,
-            items { id, type, name, price },
-            totalAmount,
-            service,
-            product,
-            discount,
-            additional,
-            deposit
-          }
-        }
-      }
-    `,
-    variables: {
-      id: appointmentId
-    }
-  };
-  
   try {
-    const response = await axios.post(apiUrl, query, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': authToken
-      }
-    });
+    const data = await sohoClient.request(APPOINTMENT_QUERY, { id: appointmentId }, { operation: 'appointment' });
     
-    const result = response.data;
-    
-    if (result.data?.appointment) {
+    if (data.appointment) {
       console.log('✅ Successfully fetched appointment details');
-      return result.data.appointment;
-    } else if (result.errors) {
-      console.error('❌ GraphQL errors:', JSON.stringify(result.errors));
-      return null;
-    } else {
-      console.error('❌ Invalid response format');
-      return null;
+      return data.appointment;
     }
+    console.error('❌ Appointment not found');
+    return null;
   } catch (error) {
     console.error('❌ Error fetching appointment details:', error.message);
     return null;
@@ -169,6 +145,12 @@ class GetAppointmentTool extends StructuredTool {
       const serviceNames = (transaction.items || [])
         .filter(item => item.type === 'SERVICE')
         .map(item => item.name);
+
+      // Whether the deposit has been paid is tracked here, not in SOHO
+      const depositRecord = await riskService.getDeposit(appointmentDetails.id).catch(error => {
+        console.error('❌ Error reading the deposit record:', error);
+        return null;
+      });
       
       return JSON.stringify({
         success: true,
@@ -191,7 +173,8 @@ class GetAppointmentTool extends StructuredTool {
             totalAmount: transaction.totalAmount || 0,
             discount: transaction.discount || 0,
             additional: transaction.additional || 0,
-            deposit: transaction.deposit || 0
+            deposit: transaction.deposit || 0,
+            depositStatus: depositRecord?.status || null
           }
         }
       });
@@ -1,14 +1,11 @@
 const { Tool } = require("@langchain/core/tools");
 const { z } = require("zod");
-const { calendar_v3 } = require('@googleapis/calendar');
-const { JWT } = require('google-auth-library');
-const axios = require('axios');
-const { getServiceById } = require('./listServices');
-
-// Cache for public holidays
-let publicHolidaysCache = null;
-let lastFetchTime = 0;
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const { calculateAppointmentDuration } = require('./listServices');
+const businessCalendar = require('../services/businessCalendar');
+const holidayService = require('../services/holidayService');
+const resourceService = require('../services/resourceService');
+const holdService = require('../services/holdService');
+const { getCalendarProvider } = require('../lib/calendar-provider');
 
 // Time slot interface
 class TimeSlot {
@@ -18,78 +15,6 @@ class TimeSlot {
   }
 }
 
-// Calendar service on the server side
-async function getCalendarService() {
-  try {
-    const serviceAccountJson = process.env.GOOGLE_SERVICE_ACCOUNT;
-    if (!serviceAccountJson) {
-      throw new Error('Google service account not configured');
-    }
-
-    const serviceAccount = JSON.parse(serviceAccountJson);
-    const calendarId = process.env.CALENDAR_ID;
-    
-    if (!calendarId) {
-      throw new Error('Calendar ID not configured');
-    }
-
-    const auth = new JWT({
-      email: serviceAccount.client_email,
-      key: serviceAccount.private_key,
-      scopes: ['https://www.googleapis.com/auth/calendar'],
-    });
-
-    const calendar = new calendar_v3.Calendar({ auth });
-    
-    return { calendar, calendarId };
-  } catch (error) {
-    console.error('Error initializing calendar service:', error);
-    throw error;
-  }
-}
-
-// Function to fetch Singapore public holidays from data.gov.sg
-async function fetchPublicHolidays() {
-  // Check cache first
-  const now = Date.now();
-  if (publicHolidaysCache && (now - lastFetchTime < CACHE_DURATION)) {
-    console.log('📅 Using cached public holidays data (getAvailableSlots)');
-    return publicHolidaysCache;
-  }
-  
-  try {
-    console.log('📅 Fetching Singapore public holidays from data.gov.sg (getAvailableSlots)');
-    const response = await axios.get('https://data.gov.sg/api/action/datastore_search?resource_id=d_3751791452397f1b1c80c451447e40b7');
-    
-    if (response.status !== 200) {
-      throw new Error(`Failed to fetch public holidays: ${response.status}`);
-    }
-    
-    const data = response.data;
-    
-    if (!data.success || !data.result || !data.result.records) {
-      throw new Error('Invalid response format from data.gov.sg API');
-    }
-    
-    // Transform the data to a simpler format
-    const holidays = data.result.records.map((record) => ({
-      date: record.date,
-      holiday: record.holiday
-    }));
-    
-    // Update cache
-    publicHolidaysCache = holidays;
-    lastFetchTime = now;
-    
-    console.log(`📅 Fetched ${holidays.length} public holidays (getAvailableSlots)`);
-    return holidays;
-  } catch (error) {
-    console.error('❌ Error fetching public holidays:', error);
-    // Return empty array if there's an error, so the app still works
-    return [];
-  }
-}
-
 // Helper function to parse time string (format like "13:00" or "1:00 PM")
 function parseTimeString(timeString) {
   if (!timeString) return null;
@@ -113,10 +38,14 @@ function parseTimeString(timeString) {
   return { hours, minutes };
 }
 
-// Helper function to format time slot (returns string like "10:00")
+// Helper function to format time slot in business time (returns string like "10:00")
 function formatTimeSlot(slot) {
-  const startTime = new Date(slot.startTime);
-  return `${startTime.getHours().toString().padStart(2, '0')}:${startTime.getMinutes().toString().padStart(2, '0')}`;
+  return businessCalendar.formatTime(slot.startTime);
+}
+
+// Helper function to format a time in business time as 12-hour (returns string like "2:30 PM")
+function formatTime12Hour(date) {
+  return businessCalendar.toMoment(date).format('h:mm A');
 }
 
 // Helper function to find available time slots and slots before/after occupied times
@@ -125,7 +54,9 @@ async function findAvailableAndNearbyTimeSlots(
   endDate,
   existingEvents,
   duration,
-  requestedTime
+  requestedTime,
+  blockedRanges = [],
+  resourceRequirement = null
 ) {
   const availableSlots = [];
   const occupiedSlots = [];
@@ -147,6 +78,13 @@ async function findAvailableAndNearbyTimeSlots(
     
     if (slotEndTime > endDate) break;
     
+    // Skip slots the business calendar rules out (breaks, minimum lead time)
+    const isBlocked = blockedRanges.some(range => currentTime < range.end && slotEndTime > range.start);
+    if (isBlocked) {
+      currentTime = new Date(currentTime.getTime() + 15 * 60000);
+      continue;
+    }
+    
     const slot = new TimeSlot(
       new Date(currentTime),
       new Date(slotEndTime)
@@ -154,12 +92,26 @@ async function findAvailableAndNearbyTimeSlots(
     
     allPossibleSlots.push(slot);
     
-    // Check if slot overlaps with any existing event
-    const isAvailable = !busyRanges.some(range => 
-      (currentTime >= range.start && currentTime < range.end) || 
-      (slotEndTime > range.start && slotEndTime <= range.end) ||
-      (currentTime <= range.start && slotEndTime >= range.end)
-    );
+    let isAvailable;
+    if (resourceRequirement) {
+      // Staff/rooms configured: the slot is free if a qualified staff member and room are
+      const assignment = resourceService.findAssignment({
+        start: slot.startTime,
+        end: slot.endTime,
+        events: existingEvents,
+        ...resourceRequirement
+      });
+      isAvailable = assignment.available;
+      slot.staff = assignment.staff;
+      slot.room = assignment.room;
+    } else {
+      // Check if slot overlaps with any existing event
+      isAvailable = !busyRanges.some(range => 
+        (currentTime >= range.start && currentTime < range.end) || 
+        (slotEndTime > range.start && slotEndTime <= range.end) ||
+        (currentTime <= range.start && slotEndTime >= range.end)
+      );
+    }
     
     if (isAvailable) {
       availableSlots.push(slot);
@@ -209,28 +161,191 @@ async function findAvailableAndNearbyTimeSlots(
   return { availableSlots, nearbySlots };
 }
 
-// Convert slots to human-readable format
-function convertSlotsToHumanReadable(slots) {
-  if (!slots || !slots.length) return [];
-  
-  return slots.map(slot => {
-    const startHour = slot.startTime.getHours();
-    const startMinutes = slot.startTime.getMinutes();
-    const isPM = startHour >= 12;
-    const hour12 = startHour % 12 || 12;
-    return `${hour12}:${startMinutes.toString().padStart(2, '0')} ${isPM ? 'PM' : 'AM'}`;
-  });
+// Time-of-day windows for the multi-day search (matched against slot start times)
+const TIME_OF_DAY_WINDOWS = {
+  morning: { from: '00:00', to: '12:00' },
+  afternoon: { from: '12:00', to: '17:00' },
+  evening: { from: '17:00', to: '24:00' }
+};
+
+// Longest range the multi-day search will scan
+const MAX_SEARCH_DAYS = 42;
+
+// Minimum gap between candidates offered from the same day
+const CANDIDATE_SPACING_MINUTES = 60;
+
+// Work out the appointment length for the selected services, including buffer/cleanup time
+async function getAppointmentLength(serviceIds) {
+  let serviceDuration = 60; // Default duration in minutes
+  let durationDetails = null;
+
+  if (serviceIds && serviceIds.length > 0) {
+    const serviceIdList = Array.isArray(serviceIds)
+      ? serviceIds
+      : String(serviceIds).split(',').map(id => id.trim());
+    try {
+      durationDetails = await calculateAppointmentDuration(serviceIdList);
+      serviceDuration = durationDetails.totalDuration;
+      console.log(`📏 Using combined duration: ${serviceDuration} minutes (${durationDetails.serviceMinutes} service + ${durationDetails.bufferMinutes} buffer) for ${serviceIdList.length} service(s)`);
+    } catch (error) {
+      console.error('❌ Error getting service duration:', error);
+      console.log('⚠️ Using default duration of 60 minutes');
+    }
+  }
+
+  return { serviceDuration, durationDetails };
+}
+
+// Normalize weekday filters such as "Sat" or "saturday" to full lowercase names
+function normalizeWeekdays(weekdays = []) {
+  const names = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  return weekdays
+    .map(day => String(day).toLowerCase().trim())
+    .map(day => names.find(name => name.startsWith(day.slice(0, 3))))
+    .filter(Boolean);
+}
+
+/**
+ * Work out the staff/room requirement for the selected services
+ * @param {Object|null} durationDetails - From calculateAppointmentDuration
+ * @param {string} staff - Optional preferred staff member (name or ID)
+ * @returns {Object} { requirement, error } - requirement is null when no resources are configured
+ */
+function getResourceRequirement(durationDetails, staff) {
+  if (!resourceService.isEnabled()) {
+    return staff
+      ? { requirement: null, error: { error: "Staff scheduling not configured", message: "Bookings aren't assigned to individual staff here, so I can't check a specific person's availability." } }
+      : { requirement: null, error: null };
+  }
+
+  if (staff && !resourceService.findStaff(staff)) {
+    return {
+      requirement: null,
+      error: {
+        error: `Unknown staff member: ${staff}`,
+        message: `I couldn't find a staff member called ${staff}. Our team: ${resourceService.getActiveStaff().map(member => member.name).join(', ')}.`
+      }
+    };
+  }
+
+  const categories = [...new Set((durationDetails?.breakdown || []).map(item => item.category).filter(Boolean))];
+  return {
+    requirement: { categories, staffId: staff ? resourceService.findStaff(staff).id : null },
+    error: null
+  };
+}
+
+// Staff/room fields for a slot in responses (empty when resources aren't configured)
+function describeSlotResources(slot) {
+  return {
+    ...(slot.staff ? { staff: slot.staff.name } : {}),
+    ...(slot.room ? { room: slot.room.name } : {})
+  };
+}
+
+/**
+ * Work out which days in a range can be searched, skipping closed days and holidays
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @param {Array<string>} weekdays - Normalized weekday filter (empty for all days)
+ * @returns {Promise<Object>} { days: [business day], skippedDays: [{ date, reason }] }
+ */
+async function getSearchableDays(fromDate, toDate, weekdays = []) {
+  const days = [];
+  const skippedDays = [];
+  const cursor = businessCalendar.toMoment(fromDate);
+
+  while (cursor.format('YYYY-MM-DD') <= toDate) {
+    const day = businessCalendar.getDay(cursor.format('YYYY-MM-DD'));
+    cursor.add(1, 'day');
+
+    if (weekdays.length > 0 && !weekdays.includes(day.weekday)) continue;
+
+    if (!day.isOpen) {
+      skippedDays.push({ date: day.date, reason: day.reason || 'Closed' });
+      continue;
+    }
+
+    const holidayCheck = await holidayService.checkDate(day.date);
+    if (holidayCheck.blockBooking) {
+      skippedDays.push({ date: day.date, reason: holidayCheck.holiday || 'Holiday data unavailable' });
+      continue;
+    }
+
+    days.push(day);
+  }
+
+  return { days, skippedDays };
+}
+
+/**
+ * Rank candidate slots across several days
+ * Earliest first, with at most maxPerDay slots from any one day so the
+ * shortlist offers a spread of days rather than one crowded afternoon.
+ * @param {Object} options - { days, events, duration, timeOfDay, limit, maxPerDay, now, resourceRequirement }
+ * @returns {Promise<Array<Object>>} [{ rank, date, day, start, end }]
+ */
+async function rankCandidateSlots({ days, events, duration, timeOfDay = 'any', limit = 5, maxPerDay = 3, now = new Date(), resourceRequirement = null }) {
+  const window = TIME_OF_DAY_WINDOWS[timeOfDay] || null;
+  const candidates = [];
+
+  for (const day of days) {
+    const { start: dayStart, end: dayEnd } = businessCalendar.getOpeningWindow(day.date);
+    const blockedRanges = businessCalendar.getBlockedRanges(day.date, now);
+
+    // Only the events that touch this day matter for its slots
+    const dayEvents = events.filter(event => {
+      const eventStart = new Date(event.start.dateTime || event.start.date);
+      const eventEnd = new Date(event.end.dateTime || event.end.date);
+      return eventStart < dayEnd && eventEnd > dayStart;
+    });
+
+    const { availableSlots } = await findAvailableAndNearbyTimeSlots(
+      dayStart, dayEnd, dayEvents, duration, null, blockedRanges, resourceRequirement
+    );
+
+    // Space the picks an hour apart so a day offers real alternatives, not 10:00/10:15/10:30
+    let lastPicked = null;
+    let picked = 0;
+    for (const slot of availableSlots) {
+      if (picked >= maxPerDay) break;
+      const time = formatTimeSlot(slot);
+      if (window && (time < window.from || time >= window.to)) continue;
+      if (lastPicked && slot.startTime - lastPicked < CANDIDATE_SPACING_MINUTES * 60000) continue;
+
+      candidates.push({ date: day.date, slot });
+      lastPicked = slot.startTime;
+      picked++;
+    }
+  }
+
+  return candidates
+    .sort((a, b) => a.slot.startTime - b.slot.startTime)
+    .slice(0, limit)
+    .map((candidate, index) => ({
+      rank: index + 1,
+      date: candidate.date,
+      day: businessCalendar.toMoment(candidate.date).format('dddd, D MMM'),
+      start: formatTime12Hour(candidate.slot.startTime),
+      end: formatTime12Hour(candidate.slot.endTime),
+      ...describeSlotResources(candidate.slot)
+    }));
 }
 
 class GetAvailableSlotsTool extends Tool {
   constructor(context, sessionId) {
     super();
     this.name = "getAvailableSlots";
-    this.description = "Get available appointment time slots for a specific date";
+    this.description = "Get available appointment time slots for a specific date. Slots are sized for the combined length of all the given services (plus cleanup time) and include their end times. Pass endDate to search a date range instead (e.g. 'earliest available' or 'any Saturday morning in the next three weeks'); the search skips closed days and holidays and returns ranked candidate slots. Pass staff to only offer times when that person is free";
     this.schema = z.object({
-      date: z.string().describe("Date to check for availability (YYYY-MM-DD or 'today', 'tomorrow')"),
+      date: z.string().describe("Date to check for availability (YYYY-MM-DD or 'today', 'tomorrow'). In search mode, the first day of the range"),
       serviceIds: z.array(z.string()).optional().describe("Optional array of service IDs to check availability for"),
-      requestedTime: z.string().optional().describe("Optional specific time to check (format: 'HH:MM' or 'H:MM AM/PM')")
+      requestedTime: z.string().optional().describe("Optional specific time to check (format: 'HH:MM' or 'H:MM AM/PM')"),
+      endDate: z.string().optional().describe(`Search mode: last day of the range (YYYY-MM-DD), up to ${MAX_SEARCH_DAYS} days after date`),
+      weekdays: z.array(z.string()).optional().describe("Search mode: only these weekdays, e.g. ['saturday']"),
+      timeOfDay: z.enum(['any', 'morning', 'afternoon', 'evening']).optional().describe("Search mode: only slots starting in this part of the day (morning before 12:00, afternoon 12:00–17:00, evening from 17:00)"),
+      limit: z.number().int().min(1).max(20).optional().describe("Search mode: maximum number of candidate slots to return (default 5)"),
+      staff: z.string().optional().describe("Optional staff member to book with (name or ID), e.g. 'Jenny'")
     });
     
     // Store context and session ID
@@ -239,7 +354,7 @@ class GetAvailableSlotsTool extends Tool {
   }
 
   async _call(args) {
-    const { date, serviceIds = [], requestedTime } = args;
+    const { date, serviceIds = [], requestedTime, staff } = args;
     console.log(`🔍 Checking availability for date: ${date}, services: ${JSON.stringify(serviceIds)}, requestedTime: ${requestedTime || 'none'} (Session: ${this.sessionId})`);
     
     try {
@@ -277,7 +392,7 @@ class GetAvailableSlotsTool extends Tool {
         // Store the request in tool usage
         this.context.memory.tool_usage.getAvailableSlots.push({
           timestamp: new Date().toISOString(),
-          params: { date, serviceIds, requestedTime }
+          params: { date, serviceIds, requestedTime, staff }
         });
         
         // Update context memory with preferred date and service
@@ -319,88 +434,98 @@ class GetAvailableSlotsTool extends Tool {
         }
       }
       
-      // Format to YYYY-MM-DD
-      const formattedDate = requestedDate.toISOString().split('T')[0];
+      // Format to YYYY-MM-DD in business time
+      const formattedDate = businessCalendar.formatDate(requestedDate);
       console.log(`📅 Formatted date for availability check: ${formattedDate}`);
       
-      // Check if requested date is a Sunday
-      const dayOfWeek = requestedDate.getDay();
-      if (dayOfWeek === 0) {
-        console.log('❌ Availability check attempted for Sunday, which is closed');
+      // Search a date range when an end date is given
+      if (args.endDate) {
+        return await this.searchDateRange(formattedDate, args);
+      }
+      
+      // Check if the salon is closed that day (weekly closures and ad-hoc closures)
+      const businessDay = businessCalendar.getDay(formattedDate);
+      if (!businessDay.isOpen) {
+        const closedOn = businessDay.isWeeklyClosure
+          ? businessDay.weekday.charAt(0).toUpperCase() + businessDay.weekday.slice(1)
+          : 'closed day';
+        console.log(`❌ Availability check attempted for ${formattedDate}, which is closed`);
         return JSON.stringify({
           success: false,
-          error: "Cannot check availability on Sunday",
-          message: "I'm sorry, we're closed on Sundays. Please choose another day.",
+          error: `Cannot check availability on ${closedOn}`,
+          message: businessCalendar.getClosedMessage(businessDay),
           date: formattedDate,
           availableSlots: []
         });
       }
       
-      // Check if requested date is a public holiday
-      const publicHolidays = await fetchPublicHolidays();
-      const holidayMatch = publicHolidays.find(holiday => holiday.date === formattedDate);
+      // Check if requested date is a public holiday (or the holiday data is unknown in strict mode)
+      const holidayCheck = await holidayService.checkDate(formattedDate);
       
-      if (holidayMatch) {
-        console.log(`❌ Availability check attempted for ${holidayMatch.holiday} public holiday`);
+      if (holidayCheck.blockBooking) {
+        console.log(`❌ Availability check blocked for ${formattedDate}: ${holidayCheck.holiday || 'holiday data unavailable'}`);
         return JSON.stringify({
           success: false,
-          error: "Cannot check availability on public holiday",
-          message: `I'm sorry, we're closed on ${holidayMatch.holiday}. Please choose another day.`,
+          error: holidayCheck.isHoliday ? "Cannot check availability on public holiday" : "Holiday data unavailable",
+          message: holidayCheck.message,
           date: formattedDate,
           availableSlots: []
         });
       }
       
-      // Calculate service duration
-      let serviceDuration = 60; // Default duration in minutes
-      if (serviceIds && serviceIds.length > 0) {
-        // Try to get the service duration from the first service
-        try {
-          const service = await getServiceById(serviceIds[0]);
-          if (service && service.duration) {
-            serviceDuration = service.duration;
-            console.log(`📏 Using service duration: ${serviceDuration} minutes`);
-          }
-        } catch (error) {
-          console.error('❌ Error getting service duration:', error);
-          console.log('⚠️ Using default duration of 60 minutes');
-        }
+      // Calculate the appointment length from all services, including buffer/cleanup time
+      const { serviceDuration, durationDetails } = await getAppointmentLength(serviceIds);
+      
+      // Staff and rooms qualified for these services
+      const { requirement: resourceRequirement, error: resourceError } = getResourceRequirement(durationDetails, staff);
+      if (resourceError) {
+        return JSON.stringify({ success: false, ...resourceError, date: formattedDate, availableSlots: [] });
       }
       
       // Setup start/end dates for the business hours
-      const startDate = new Date(requestedDate);
-      startDate.setHours(10, 0, 0, 0); // 10 AM
+      const { start: startDate, end: endDate } = businessCalendar.getOpeningWindow(formattedDate);
+      const blockedRanges = businessCalendar.getBlockedRanges(formattedDate);
+      console.log(`🕙 Business hours for ${formattedDate}: ${businessDay.open}–${businessDay.close}${businessDay.breaks.length ? ` (${businessDay.breaks.length} break(s))` : ''}`);
       
-      const endDate = new Date(requestedDate);
-      endDate.setHours(19, 0, 0, 0); // 7 PM
+      // Latest start that still finishes by closing time
+      const latestStart = new Date(endDate.getTime() - serviceDuration * 60000);
+      const fitsInDay = latestStart >= startDate;
+      if (!fitsInDay) {
+        console.log(`❌ ${serviceDuration} minutes does not fit in ${businessDay.open}–${businessDay.close}`);
+        return JSON.stringify({
+          success: false,
+          error: "Appointment too long for opening hours",
+          message: `These services take ${serviceDuration} minutes in total, which doesn't fit between ${businessDay.open} and ${businessDay.close} on ${formattedDate}. Please split them across two visits or choose a day with longer hours.`,
+          date: formattedDate,
+          appointmentDuration: serviceDuration,
+          durationBreakdown: durationDetails?.breakdown || null,
+          fitsBeforeClosing: false,
+          availableSlots: []
+        });
+      }
       
-      // Connect to Google Calendar
+      // Read the calendar
       try {
-        const { calendar, calendarId } = await getCalendarService();
-        
         // Get calendar events for the day
-        const response = await calendar.events.list({
-          calendarId,
-          timeMin: startDate.toISOString(),
-          timeMax: endDate.toISOString(),
-          singleEvents: true,
-        });
+        const calendarEvents = await getCalendarProvider().listBusy(startDate, endDate);
         
-        const events = response.data.items || [];
-        console.log(`Found ${events.length} existing events for the day`);
+        // Slots other customers are holding count as booked
+        const holdEvents = holdService.getHoldEvents({ excludeSessionId: this.sessionId });
+        const events = [...calendarEvents, ...holdEvents];
+        console.log(`Found ${events.length - holdEvents.length} existing events and ${holdEvents.length} holds for the day`);
         
         // Find available slots and nearby slots
         const { availableSlots, nearbySlots } = await findAvailableAndNearbyTimeSlots(
-          startDate, endDate, events, serviceDuration, requestedTime
+          startDate, endDate, events, serviceDuration, requestedTime, blockedRanges, resourceRequirement
         );
         
         // Format all slots
         const formattedSlots = availableSlots.map(formatTimeSlot);
-        const formattedNearbySlots = nearbySlots.map(formatTimeSlot);
         
         // Check for a specific requested time
         let exactTimeAvailable = false;
         let closestSlots = [];
+        let requestedTimeFitsBeforeClosing = null;
         
         if (requestedTime) {
           // Parse the requested time
@@ -410,53 +535,52 @@ class GetAvailableSlotsTool extends Tool {
             // Format as HH:MM for comparison
             const normalizedRequestedTime = `${parsedTime.hours.toString().padStart(2, '0')}:${parsedTime.minutes.toString().padStart(2, '0')}`;
             
+            // Flag a requested start that would run past closing time
+            requestedTimeFitsBeforeClosing = businessCalendar.atTime(formattedDate, normalizedRequestedTime) <= latestStart;
+            
             // Check if the specific time is available
             exactTimeAvailable = formattedSlots.includes(normalizedRequestedTime);
             
             // If not available, get slots before and after
             if (!exactTimeAvailable) {
-              closestSlots = formattedNearbySlots.filter(slot => slot !== normalizedRequestedTime);
+              closestSlots = nearbySlots.filter(slot => formatTimeSlot(slot) !== normalizedRequestedTime);
             }
           }
         }
         
         // Convert to 12-hour format for better readability
-        const humanReadableSlots = formattedSlots.map(slot => {
-          const [hours, minutes] = slot.split(':');
-          const hour = parseInt(hours, 10);
-          const ampm = hour >= 12 ? 'PM' : 'AM';
-          const hour12 = hour % 12 || 12;
-          return `${hour12}:${minutes} ${ampm}`;
-        });
-        
-        const humanReadableNearbySlots = formattedNearbySlots.map(slot => {
-          const [hours, minutes] = slot.split(':');
-          const hour = parseInt(hours, 10);
-          const ampm = hour >= 12 ? 'PM' : 'AM';
-          const hour12 = hour % 12 || 12;
-          return `${hour12}:${minutes} ${ampm}`;
-        });
+        const toStartTimes = slots => slots.map(slot => formatTime12Hour(slot.startTime));
+        const humanReadableSlots = toStartTimes(availableSlots);
         
         // Prepare response with all gathered information
         return JSON.stringify({
           success: true,
           date: formattedDate,
+          businessHours: { open: businessDay.open, close: businessDay.close, breaks: businessDay.breaks },
+          appointmentDuration: serviceDuration,
+          durationBreakdown: durationDetails?.breakdown || null,
+          latestStartTime: formatTime12Hour(latestStart),
+          slots: availableSlots.map(slot => ({
+            start: formatTime12Hour(slot.startTime),
+            end: formatTime12Hour(slot.endTime),
+            ...describeSlotResources(slot)
+          })),
+          staff: resourceRequirement?.staffId ? resourceService.findStaff(resourceRequirement.staffId).name : null,
+          ...(requestedTimeFitsBeforeClosing === false ? {
+            fitsBeforeClosing: false,
+            fitMessage: `Starting at ${requestedTime}, these services (${serviceDuration} minutes) would run past closing at ${businessDay.close}. The latest start is ${formatTime12Hour(latestStart)}.`
+          } : {}),
+          holidayDataUnknown: !holidayCheck.known,
           availableSlots: humanReadableSlots,
           hasAvailability: humanReadableSlots.length > 0,
           requestedTime: requestedTime || null,
           exactTimeAvailable: requestedTime ? exactTimeAvailable : null,
-          nearbySlots: humanReadableNearbySlots,
-          closestSlots: closestSlots.length > 0 ? closestSlots.map(slot => {
-            const [hours, minutes] = slot.split(':');
-            const hour = parseInt(hours, 10);
-            const ampm = hour >= 12 ? 'PM' : 'AM';
-            const hour12 = hour % 12 || 12;
-            return `${hour12}:${minutes} ${ampm}`;
-          }) : null
+          nearbySlots: toStartTimes(nearbySlots),
+          closestSlots: closestSlots.length > 0 ? toStartTimes(closestSlots) : null
         });
         
       } catch (calendarError) {
-        console.error('❌ Error accessing Google Calendar:', calendarError);
+        console.error('❌ Error accessing the calendar:', calendarError);
         return JSON.stringify({
           success: false,
           error: "Failed to access appointment calendar",
@@ -474,6 +598,100 @@ class GetAvailableSlotsTool extends Tool {
       });
     }
   }
+
+  /**
+   * Search a date range for the best candidate slots
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<string>} JSON result
+   */
+  async searchDateRange(fromDate, args) {
+    const { serviceIds = [], endDate, weekdays = [], timeOfDay = 'any', limit = 5, staff } = args;
+
+    const parsedEnd = new Date(endDate);
+    if (isNaN(parsedEnd.getTime())) {
+      console.log(`❌ Invalid end date format: ${endDate}`);
+      return JSON.stringify({
+        success: false,
+        error: `Invalid date format: ${endDate}`
+      });
+    }
+
+    // Keep the range sensible: never before today and never longer than MAX_SEARCH_DAYS
+    const today = businessCalendar.formatDate(new Date());
+    const from = fromDate < today ? today : fromDate;
+    const maxEnd = businessCalendar.toMoment(from).add(MAX_SEARCH_DAYS - 1, 'days').format('YYYY-MM-DD');
+    const requestedEnd = businessCalendar.formatDate(parsedEnd);
+    const to = requestedEnd > maxEnd ? maxEnd : requestedEnd;
+
+    if (to < from) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid date range",
+        message: `The end date ${requestedEnd} is before the start of the search (${from}).`
+      });
+    }
+
+    const weekdayFilter = normalizeWeekdays(weekdays);
+    console.log(`🔎 Searching availability ${from} to ${to} (weekdays: ${weekdayFilter.join(',') || 'any'}, time: ${timeOfDay}, limit: ${limit})`);
+
+    const { serviceDuration, durationDetails } = await getAppointmentLength(serviceIds);
+    const { requirement: resourceRequirement, error: resourceError } = getResourceRequirement(durationDetails, staff);
+    if (resourceError) {
+      return JSON.stringify({ success: false, ...resourceError, mode: 'search', from, to });
+    }
+
+    const { days, skippedDays } = await getSearchableDays(from, to, weekdayFilter);
+
+    const baseResult = {
+      mode: 'search',
+      from,
+      to,
+      rangeCapped: requestedEnd > maxEnd,
+      appointmentDuration: serviceDuration,
+      durationBreakdown: durationDetails?.breakdown || null,
+      skippedDays
+    };
+
+    if (days.length === 0) {
+      return JSON.stringify({
+        success: true,
+        ...baseResult,
+        hasAvailability: false,
+        candidates: [],
+        message: "The salon isn't open on any matching day in this range."
+      });
+    }
+
+    try {
+      // One query for the whole range instead of one per day
+      const calendarEvents = await getCalendarProvider().listBusy(
+        businessCalendar.getOpeningWindow(days[0].date).start,
+        businessCalendar.getOpeningWindow(days[days.length - 1].date).end
+      );
+
+      const events = [...calendarEvents, ...holdService.getHoldEvents({ excludeSessionId: this.sessionId })];
+      console.log(`Found ${events.length} existing events and holds across ${days.length} open day(s)`);
+
+      const candidates = await rankCandidateSlots({ days, events, duration: serviceDuration, timeOfDay, limit, resourceRequirement });
+
+      return JSON.stringify({
+        success: true,
+        ...baseResult,
+        searchedDays: days.length,
+        hasAvailability: candidates.length > 0,
+        candidates
+      });
+    } catch (calendarError) {
+      console.error('❌ Error accessing the calendar:', calendarError);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to access appointment calendar",
+        message: calendarError.message || "We're experiencing technical difficulties with our booking system. Please try again later or contact us directly.",
+        ...baseResult
+      });
+    }
+  }
 }
 
 /**
@@ -486,7 +704,8 @@ function createGetAvailableSlotsTool(context, sessionId) {
   return new GetAvailableSlotsTool(context, sessionId);
 }
 
-// Just export the factory function
 module.exports = {
-  createGetAvailableSlotsTool
+  createGetAvailableSlotsTool,
+  rankCandidateSlots,
+  getSearchableDays
 }; 
\ No newline at end of file
@@ -1,114 +1,64 @@
 // Convert imports to CommonJS requires
 const { StructuredTool } = require("@langchain/core/tools");
 const { z } = require("zod");
-const axios = require("axios");
+const sohoClient = require("../lib/soho-client");
 
-// Add a constant for retry attempts and a fallback query format
-const MAX_RETRY_ATTEMPTS = 2;
+const PERSON_APPOINTMENTS_QUERY = `
+  query($id: String!) {
+    person(id: $id) {
+      id,
+      cancelCount,
+      appointments {
+        id,
+        event {
+          id, start, end, status, resourceName, serviceIds, shortURL, mobile
+        },
+        transaction {
+          id,
+          totalAmount,
+          service,
+          product,
+          discount,
+          additional,
+          deposit,
+          items {
+            name
+          }
+        }
+      }
+    }
+  }
+`;
 
 // Function to fetch appointments from the SOHO API
+// On failure the list is empty and `error` says why, so callers that must not guess can check it
 async function fetchAppointmentsFromSoho(resourceName, limit = 5) {
   console.log(`📅 Fetching appointments for customer: ${resourceName} from SOHO API...`);
   
-  const apiUrl = process.env.SOHO_API_URL || 'https://api.soho.sg/graphql';
-  const authToken = process.env.SOHO_AUTH_TOKEN || '';
-  
-  if (!authToken) {
-    console.error('❌ Missing SOHO_AUTH_TOKEN environment variable');
-    return { appointments: [], cancelCount: 0 };
-  }
-  
-  // Extract the person ID from the resourceName
-  // ResourceName may be in format "people/12345" - we need just the ID part
-  const personId = resourceName.includes('/') 
-    ? resourceName.split('/').pop() 
-    : resourceName;
-  
-  console.log(`🔍 Using person ID: ${personId} from resourceName: ${resourceName}`);
-  
-  // Use the exact query format provided
   try {
-    const payload = {
-      query: `{person(id: "${resourceName}")
-                {   
-                    id, 
-                    cancelCount,
-                    appointments { id,
-                        event{ 
-                            id, start, end, status, resourceName, serviceIds, shortURL, mobile,
-                        },
-                        transaction { 
-                            id,
-                            totalAmount,
-                            service,
-                            product,
-                            discount,
-                            additional,
-                            deposit,
-                            items {
-                                name 
-                            }
-                        },                            
-                    }
-                }
-            }`
-    };
+    const data = await sohoClient.request(PERSON_APPOINTMENTS_QUERY, { id: resourceName }, { operation: 'person' });
     
-    console.log('📤 Using exact query format from sample');
-    console.log('📤 GraphQL query preview:', JSON.stringify(payload).substring(0, 100) + '...');
-    
-    const response = await axios.post(apiUrl, payload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': authToken,
-      }
-    });
-    
-    if (response.status !== 200) {
-      console.error(`❌ SOHO API error: ${response.status}`);
+    if (!data.person) {
+      console.error(`❌ No person found for ${resourceName}`);
       return { appointments: [], cancelCount: 0 };
     }
     
-    console.log('📥 API response structure:', Object.keys(response.data));
+    const person = data.person;
+    const appointments = person.appointments || [];
+    const cancelCount = person.cancelCount || 0;
     
-    const { data: responseData } = response.data;
+    console.log(`✅ Successfully fetched ${appointments.length} appointments for ${resourceName}, cancelCount: ${cancelCount}`);
     
-    // Match the exact structure from queryPastAppointments
-    if (responseData && responseData.person) {
-      const person = responseData.person;
-      const appointments = person.appointments || [];
-      const cancelCount = person.cancelCount || 0;
-      
-      console.log(`✅ Successfully fetched ${appointments.length} appointments for person ID: ${personId}, cancelCount: ${cancelCount}`);
-      
-      // Limit the number of appointments if needed
-      const limitedAppointments = limit > 0 ? appointments.slice(0, limit) : appointments;
-      
-      // Return in the exact format from queryPastAppointments
-      return {
-        appointments: limitedAppointments,
-        cancelCount: cancelCount
-      };
-    } else if (response.data.errors) {
-      console.error('❌ GraphQL errors:', JSON.stringify(response.data.errors));
-      return { appointments: [], cancelCount: 0 };
-    } else {
-      console.error('❌ Invalid response format:', JSON.stringify(response.data).substring(0, 200));
-      return { appointments: [], cancelCount: 0 };
-    }
+    // Limit the number of appointments if needed
+    const limitedAppointments = limit > 0 ? appointments.slice(0, limit) : appointments;
     
+    return {
+      appointments: limitedAppointments,
+      cancelCount: cancelCount
+    };
   } catch (error) {
     console.error('❌ Error fetching appointments:', error.message);
-    
-    if (error.response) {
-      console.error('📋 Error response data:', JSON.stringify(error.response.data).substring(0, 200));
-      
-      if (error.response.data && error.response.data.errors) {
-        console.error('📋 GraphQL errors:', JSON.stringify(error.response.data.errors));
-      }
-    }
-    
-    return { appointments: [], cancelCount: 0 };
+    return { appointments: [], cancelCount: 0, error: error.message };
   }
 }
 
@@ -295,5 +245,6 @@ function createGetCustomerAppointmentsTool(context, sessionId) {
 // Use CommonJS exports
 module.exports = {
   GetCustomerAppointmentsTool,
-  createGetCustomerAppointmentsTool
+  createGetCustomerAppointmentsTool,
+  fetchAppointmentsFromSoho
 }; 
\ No newline at end of file
@@ -0,0 +1,111 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const profileService = require('../services/profileService');
+const { getRole } = require('./permissions');
+
+// Define the schema for the getCustomerProfile tool
+const GetCustomerProfileSchema = z.object({
+  resourceName: z.string().optional().describe("resourceName of the customer; defaults to the customer loaded in this session")
+});
+
+/**
+ * Put a customer's profile in an admin session's memory, so the admin prompt shows it
+ * Customer sessions are left alone: staff notes aren't for customers.
+ * @param {Object} context - The MCP context for the session
+ * @param {string} resourceName
+ * @returns {Promise<Object|null>} The profile, or null when not loaded
+ */
+async function loadCustomerProfile(context, resourceName) {
+  if (!context?.memory || !resourceName || getRole(context) !== 'admin') return null;
+
+  try {
+    const profile = await profileService.getProfile(resourceName);
+    context.memory.customer_profile = profile;
+    return profile;
+  } catch (error) {
+    console.error('❌ Error loading customer profile:', error);
+    return null;
+  }
+}
+
+class GetCustomerProfileTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "getCustomerProfile";
+    this.description = "Admin only: read a customer's profile - allergies, sensitive skin, lash curl/length, preferred therapist and staff notes, each with who recorded it and when.";
+    this.schema = GetCustomerProfileSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const resourceName = inputs.resourceName || this.context?.memory?.user_info?.resourceName;
+    console.log(`📇 getCustomerProfile for ${resourceName || 'unknown customer'} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.getCustomerProfile) {
+        this.context.memory.tool_usage.getCustomerProfile = [];
+      }
+
+      this.context.memory.tool_usage.getCustomerProfile.push({
+        timestamp: new Date().toISOString(),
+        resourceName: resourceName || null
+      });
+    }
+
+    if (!resourceName) {
+      return JSON.stringify({
+        success: false,
+        error: "No customer",
+        message: "Please look up the customer first or give their resourceName."
+      });
+    }
+
+    try {
+      const profile = await profileService.getProfile(resourceName);
+      if (this.context?.memory?.user_info?.resourceName === resourceName) {
+        await loadCustomerProfile(this.context, resourceName);
+      }
+
+      const empty = profileService.isEmpty(profile);
+      return JSON.stringify({
+        success: true,
+        resourceName,
+        fields: profile.fields,
+        notes: profile.notes,
+        summary: empty ? null : profileService.formatForPrompt(profile),
+        message: empty ? "Nothing has been recorded for this customer yet." : "Profile found."
+      });
+    } catch (error) {
+      console.error('❌ Error in getCustomerProfile tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to get the profile",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates a getCustomerProfile tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The getCustomerProfile tool instance
+ */
+function createGetCustomerProfileTool(context, sessionId) {
+  return new GetCustomerProfileTool(context, sessionId);
+}
+
+module.exports = {
+  GetCustomerProfileTool,
+  createGetCustomerProfileTool,
+  loadCustomerProfile
+};
@@ -0,0 +1,254 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const moment = require('moment-timezone');
+const chrono = require('chrono-node');
+const { getAllFormattedServices } = require('./listServices');
+const { fetchAppointmentsFromSoho } = require('./getCustomerAppointments');
+const businessCalendar = require('../services/businessCalendar');
+const pricingService = require('../services/pricingService');
+const promotionService = require('../services/promotionService');
+const riskService = require('../services/riskService');
+const { getRole } = require('./permissions');
+
+// Define the schema for the getQuote tool
+const GetQuoteSchema = z.object({
+  serviceIds: z.array(z.string()).describe("Service IDs to price (from listServices/selectServices)"),
+  datetime: z.string().describe("Date and time of the appointment, e.g. '20250523T1400' or 'next Tuesday 2pm' (off-peak pricing depends on it)"),
+  promoCodes: z.array(z.string()).optional().describe("Promo codes or gift voucher codes the customer gave"),
+  addOns: z.array(z.string()).optional().describe("Add-on IDs the customer wants (offered add-ons are listed in availableAddOns)"),
+  resourceName: z.string().optional().describe("resourceName of the customer, so follow-up pricing can see their recent appointments and promo code limits can be checked"),
+  appointmentId: z.string().optional().describe("When re-pricing an existing appointment for updateAppointment: its ID, so codes it already uses still count"),
+  includeSuggestedDeposit: z.boolean().optional().describe("Admin: take the deposit the risk policy suggests for this customer (see risk in the result)")
+});
+
+// Parse a datetime in the business timezone: YYYYMMDDTHHmm, natural language or ISO
+function parseQuoteDateTime(datetime) {
+  if (/^\d{8}T\d{4}$/.test(datetime)) {
+    return moment.tz(datetime, 'YYYYMMDD[T]HHmm', businessCalendar.getConfig().timezone);
+  }
+  const chronoParsed = chrono.parseDate(datetime);
+  if (chronoParsed) return businessCalendar.toMoment(chronoParsed);
+  return businessCalendar.toMoment(moment(datetime, moment.ISO_8601));
+}
+
+// The customer's SOHO appointments and cancelCount, fetched once for follow-up pricing and the risk policy
+async function getCustomerRecord(resourceName, { assessRisk = false } = {}) {
+  if (!resourceName || (!pricingService.usesHistory() && !(assessRisk && riskService.rules.enabled))) {
+    return { appointments: [], cancelCount: 0 };
+  }
+  return fetchAppointmentsFromSoho(resourceName, 0);
+}
+
+// The customer's earlier appointments that weren't cancelled, as { start, serviceIds }
+function getPricingHistory(appointments) {
+  return appointments
+    .map(appointment => appointment.event || {})
+    .filter(event => event.start && !/cancel/i.test(event.status || ''))
+    .map(event => ({
+      start: parseQuoteDateTime(event.start).toDate(),
+      serviceIds: Array.isArray(event.serviceIds) ? event.serviceIds : [event.serviceIds].filter(Boolean)
+    }));
+}
+
+/**
+ * Price a booking with the pricing rules
+ * Used by getQuote, and by createAppointment/updateAppointment when they are
+ * called without a quote. When an appointment is being changed, the codes it
+ * already used don't count against the customer's limits. New bookings for a
+ * known customer also go through the no-show risk policy (quote.risk).
+ * @param {Object} options - { serviceIds, start: Date, promoCodes, addOnIds, resourceName, allServices, appointmentId, includeSuggestedDeposit }
+ * @returns {Promise<Object>} Quote from pricingService.calculate(), plus risk and unknownServiceIds
+ */
+async function buildQuote({ serviceIds, start, promoCodes = [], addOnIds = [], resourceName = null, allServices = null, appointmentId = null, includeSuggestedDeposit = false }) {
+  const services = allServices || await getAllFormattedServices();
+  const selected = serviceIds.map(id => services.find(service => service.id === id)).filter(Boolean);
+  const assessRisk = Boolean(resourceName) && !appointmentId;
+  const record = await getCustomerRecord(resourceName, { assessRisk });
+  const { promotions, rejected } = await promotionService.resolveCodes(promoCodes, { resourceName, start, ignoreAppointmentId: appointmentId });
+
+  const quote = pricingService.calculate({
+    services: selected,
+    start,
+    promotions,
+    rejectedCodes: rejected,
+    addOnIds,
+    history: getPricingHistory(record.appointments),
+    allServices: services
+  });
+  return {
+    ...(assessRisk
+      ? riskService.applyToQuote(quote, riskService.assess({ cancelCount: record.cancelCount, appointments: record.appointments, start }), { includeSuggestedDeposit })
+      : quote),
+    unknownServiceIds: serviceIds.filter(id => !services.some(service => service.id === id))
+  };
+}
+
+/**
+ * Work out the amounts to book with
+ * A quoteId must come from the same session and match the booking's services,
+ * time and customer; without one
+ * the booking is priced with the pricing rules, and any promo code that doesn't
+ * apply stops the booking so the customer isn't charged a price they didn't expect.
+ * A quote made before the customer was identified gets the risk policy applied here.
+ * @param {Object} options - { quoteId, sessionId, promoCodes, addOns, serviceIds, start, resourceName, appointmentId, includeSuggestedDeposit }
+ * @returns {Promise<Object>} { quote } or { error }
+ */
+async function priceBooking({ quoteId, sessionId = null, promoCodes = [], addOns = [], serviceIds, start, resourceName, appointmentId = null, includeSuggestedDeposit = false }) {
+  if (quoteId) {
+    const quote = pricingService.getQuote(quoteId);
+    if (!quote) {
+      return { error: { error: "Quote not found", message: "That quote has expired. Please get a new quote with getQuote." } };
+    }
+    const mismatch = pricingService.checkQuoteMatches(quote, { serviceIds, start, resourceName, sessionId });
+    if (mismatch) {
+      return { error: { error: "Quote does not match", message: `${mismatch}. Please get a new quote for this booking.` } };
+    }
+    if (!quote.risk && resourceName && !appointmentId) {
+      const record = await getCustomerRecord(resourceName, { assessRisk: true });
+      const risk = riskService.assess({ cancelCount: record.cancelCount, appointments: record.appointments, start });
+      return { quote: riskService.applyToQuote(quote, risk, { includeSuggestedDeposit }) };
+    }
+    return { quote };
+  }
+
+  const quote = await buildQuote({ serviceIds, start, promoCodes, addOnIds: addOns, resourceName, appointmentId, includeSuggestedDeposit });
+  if (quote.rejectedCodes.length > 0 || quote.rejectedAddOns.length > 0) {
+    const reasons = [
+      ...quote.rejectedCodes.map(rejected => `${rejected.code}: ${rejected.reason}`),
+      ...quote.rejectedAddOns.map(id => `${id}: not available for these services`)
+    ];
+    return { error: { error: "Pricing not applied", message: `Not booked: ${reasons.join('; ')}. Check with the customer and book again without it.` } };
+  }
+  return { quote };
+}
+
+// Plain-text breakdown for the model to read out
+function formatQuote(quote) {
+  const lines = quote.lines.map(line => `${line.name}: ${line.amount < 0 ? '-' : ''}$${Math.abs(line.amount).toFixed(2)}`);
+  lines.push(`Total: $${quote.total.toFixed(2)}`);
+  if (quote.deposit > 0) lines.push(`Deposit due: $${quote.deposit.toFixed(2)} (${quote.depositReason})`);
+  return lines.join('\n');
+}
+
+class GetQuoteTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "getQuote";
+    this.description = "Work out the price of a booking before it is made: itemised services, add-ons, bundle/off-peak/follow-up discounts, promo codes, gift vouchers and any deposit. Pass the returned quoteId to createAppointment or updateAppointment so the booking uses exactly these amounts.";
+    this.schema = GetQuoteSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { serviceIds, datetime, promoCodes = [], addOns = [], resourceName, appointmentId, includeSuggestedDeposit } = inputs;
+    console.log(`💲 getQuote for ${JSON.stringify(serviceIds)} at "${datetime}" (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.getQuote) {
+        this.context.memory.tool_usage.getQuote = [];
+      }
+
+      this.context.memory.tool_usage.getQuote.push({
+        timestamp: new Date().toISOString(),
+        serviceIds,
+        datetime,
+        promoCodes
+      });
+    }
+
+    const start = parseQuoteDateTime(datetime);
+    if (!start.isValid()) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid datetime format",
+        message: "Please give the date and time of the appointment."
+      });
+    }
+
+    try {
+      const allServices = await getAllFormattedServices();
+      const quote = await buildQuote({ serviceIds, start: start.toDate(), promoCodes, addOnIds: addOns, resourceName, allServices, appointmentId, includeSuggestedDeposit });
+      if (quote.unknownServiceIds.length > 0) {
+        return JSON.stringify({
+          success: false,
+          error: "Unknown services",
+          message: `Unknown service IDs: ${quote.unknownServiceIds.join(', ')}. Please use listServices to get the service IDs.`
+        });
+      }
+
+      const stored = pricingService.saveQuote(quote, { serviceIds, start: start.toDate(), resourceName, sessionId: this.sessionId });
+      if (this.context && this.context.memory) {
+        this.context.memory.last_quote_id = stored.id;
+      }
+
+      // The reasons behind a risk deposit are only shown to admins
+      const isAdmin = getRole(this.context) === 'admin';
+      const riskNote = isAdmin && riskService.describe(stored.risk);
+      const suggestionNote = riskNote && stored.risk.level === 'suggest' && stored.deposit < stored.risk.deposit
+        ? 'Ask the customer, then get the quote again with includeSuggestedDeposit to take it.'
+        : null;
+      const notes = [
+        ...quote.rejectedCodes.map(rejected => `Promo code ${rejected.code} was not applied: ${rejected.reason}.`),
+        ...(quote.rejectedAddOns.length > 0 ? [`Add-ons not available for these services: ${quote.rejectedAddOns.join(', ')}.`] : []),
+        ...(riskNote ? [riskNote] : []),
+        ...(suggestionNote ? [suggestionNote] : [])
+      ];
+
+      return JSON.stringify({
+        success: true,
+        quoteId: stored.id,
+        date: start.format('YYYY-MM-DD'),
+        time: start.format('h:mm A'),
+        lines: stored.lines,
+        subtotal: stored.subtotal,
+        additional: stored.additional,
+        discount: stored.discount,
+        voucherAmount: stored.voucherAmount,
+        total: stored.total,
+        deposit: stored.deposit,
+        depositReason: stored.depositReason,
+        promoCodes: stored.promoCodes,
+        rejectedCodes: stored.rejectedCodes,
+        availableAddOns: pricingService.getAddOns(quote.lines.filter(line => line.type === 'service'))
+          .map(addOn => ({ id: addOn.id, name: addOn.name, price: addOn.price })),
+        ...(isAdmin && stored.risk ? { risk: stored.risk } : {}),
+        expiresAt: stored.expiresAt,
+        breakdown: formatQuote(stored),
+        message: [`Total $${stored.total.toFixed(2)}${stored.deposit > 0 ? `, deposit $${stored.deposit.toFixed(2)}` : ''}. Book with quoteId ${stored.id}.`, ...notes].join(' ')
+      });
+    } catch (error) {
+      console.error('❌ Error in getQuote tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to work out the price",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates a getQuote tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The getQuote tool instance
+ */
+function createGetQuoteTool(context, sessionId) {
+  return new GetQuoteTool(context, sessionId);
+}
+
+module.exports = {
+  GetQuoteTool,
+  createGetQuoteTool,
+  buildQuote,
+  priceBooking,
+  parseQuoteDateTime
+};
@@ -0,0 +1,126 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const moment = require('moment-timezone');
+const chrono = require('chrono-node');
+const { calculateAppointmentDuration } = require('./listServices');
+const { getCalendarProvider } = require('../lib/calendar-provider');
+const businessCalendar = require('../services/businessCalendar');
+const resourceService = require('../services/resourceService');
+
+// Define the schema for the getStaffAvailability tool
+const GetStaffAvailabilitySchema = z.object({
+  datetime: z.string().describe("Date and time to check, e.g. 'today 3pm', 'tomorrow 11:00' or ISO format"),
+  serviceIds: z.array(z.string()).optional().describe("Optional service IDs; only staff and rooms qualified for these services count as free"),
+  duration: z.number().int().min(5).optional().describe("Minutes to check (default: the services' combined length, or 60)")
+});
+
+class GetStaffAvailabilityTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "getStaffAvailability";
+    this.description = "Admin only: see which staff members and rooms are free at a given time (e.g. \"who's free at 3pm?\").";
+    this.schema = GetStaffAvailabilitySchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { datetime, serviceIds = [], duration } = inputs;
+    console.log(`👥 getStaffAvailability for "${datetime}" (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.getStaffAvailability) {
+        this.context.memory.tool_usage.getStaffAvailability = [];
+      }
+
+      this.context.memory.tool_usage.getStaffAvailability.push({
+        timestamp: new Date().toISOString(),
+        datetime,
+        serviceIds
+      });
+    }
+
+    if (!resourceService.isEnabled()) {
+      return JSON.stringify({
+        success: false,
+        error: "Staff scheduling not configured",
+        message: "No staff or rooms are set up (RESOURCES_FILE), so bookings aren't assigned to individual staff."
+      });
+    }
+
+    const parsed = chrono.parseDate(datetime);
+    const start = parsed ? moment(parsed) : moment(datetime, moment.ISO_8601);
+    if (!start.isValid()) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid datetime format",
+        message: "Please give a date and time, e.g. 'today 3pm'."
+      });
+    }
+
+    try {
+      let minutes = duration || 60;
+      let categories = [];
+      if (serviceIds.length > 0) {
+        const details = await calculateAppointmentDuration(serviceIds);
+        minutes = duration || details.totalDuration;
+        categories = [...new Set(details.breakdown.map(item => item.category).filter(Boolean))];
+      }
+
+      const startDate = start.toDate();
+      const endDate = new Date(startDate.getTime() + minutes * 60000);
+
+      const free = resourceService.getFreeResources({
+        start: startDate,
+        end: endDate,
+        events: await getCalendarProvider().listBusy(startDate, endDate),
+        categories
+      });
+
+      const hoursCheck = businessCalendar.checkBooking(start, minutes);
+
+      return JSON.stringify({
+        success: true,
+        date: businessCalendar.formatDate(startDate),
+        start: businessCalendar.toMoment(startDate).format('h:mm A'),
+        end: businessCalendar.toMoment(endDate).format('h:mm A'),
+        categories,
+        freeStaff: free.staff.map(member => ({ id: member.id, name: member.name, skills: member.skills || [] })),
+        unavailableStaff: Object.entries(free.restrictions).map(([id, reason]) => ({ id, reason })),
+        freeRooms: free.rooms.map(room => ({ id: room.id, name: room.name })),
+        // Bookings with no recorded staff/room could be using any of the free ones
+        unassignedBookings: Math.max(free.unassignedStaff, free.unassignedRooms),
+        ...(hoursCheck.valid ? {} : { hoursWarning: hoursCheck.message })
+      });
+    } catch (error) {
+      console.error('❌ Error in getStaffAvailability tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to check staff availability",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates a getStaffAvailability tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The getStaffAvailability tool instance
+ */
+function createGetStaffAvailabilityTool(context, sessionId) {
+  return new GetStaffAvailabilityTool(context, sessionId);
+}
+
+module.exports = {
+  GetStaffAvailabilityTool,
+  createGetStaffAvailabilityTool
+};
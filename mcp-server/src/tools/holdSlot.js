@@ -0,0 +1,209 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const moment = require('moment-timezone');
+const chrono = require('chrono-node');
+const { calculateAppointmentDuration } = require('./listServices');
+const { getCalendarProvider } = require('../lib/calendar-provider');
+const businessCalendar = require('../services/businessCalendar');
+const holidayService = require('../services/holidayService');
+const resourceService = require('../services/resourceService');
+const holdService = require('../services/holdService');
+
+// Define the schema for the holdSlot tool
+const HoldSlotSchema = z.object({
+  action: z.enum(['hold', 'release']).optional().describe("hold (default): hold the accepted time for this customer; release: give up the hold"),
+  datetime: z.string().optional().describe("Accepted date and time, e.g. '20250523T1400', 'tomorrow 2pm' or ISO format (required to hold)"),
+  serviceIds: z.array(z.string()).optional().describe("Service IDs being booked (defaults to the services already selected)"),
+  staff: z.string().optional().describe("Staff member the customer asked for (name or ID)")
+});
+
+// Parse the datetime the same way createAppointment does
+function parseDateTime(datetime) {
+  const chronoParsed = chrono.parseDate(datetime);
+  if (chronoParsed) return moment(chronoParsed);
+  if (/^\d{8}T\d{4}$/.test(datetime)) return moment(datetime, "YYYYMMDD[T]HHmm");
+  return moment(datetime, moment.ISO_8601);
+}
+
+class HoldSlotTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "holdSlot";
+    this.description = `Hold a time slot for this customer once they accept it, so nobody else can book it while the booking is confirmed. Holds last ${holdService.getHoldMinutes()} minutes; createAppointment uses the hold.`;
+    this.schema = HoldSlotSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action = 'hold', datetime, staff } = inputs;
+    const memory = this.context?.memory;
+    const serviceIds = inputs.serviceIds?.length ? inputs.serviceIds : (memory?.last_selected_services || []);
+    console.log(`📌 holdSlot ${action}${datetime ? ` ${datetime}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (memory) {
+      if (!memory.tool_usage) {
+        memory.tool_usage = {};
+      }
+
+      if (!memory.tool_usage.holdSlot) {
+        memory.tool_usage.holdSlot = [];
+      }
+
+      memory.tool_usage.holdSlot.push({
+        timestamp: new Date().toISOString(),
+        action,
+        datetime: datetime || null
+      });
+    }
+
+    if (action === 'release') {
+      const existed = holdService.release(this.sessionId);
+      if (memory) delete memory.slot_hold;
+      return JSON.stringify({
+        success: true,
+        released: existed,
+        message: existed ? "The held time has been released." : "There was no held time to release."
+      });
+    }
+
+    if (!datetime) {
+      return JSON.stringify({
+        success: false,
+        error: "Missing datetime",
+        message: "Please give the date and time to hold."
+      });
+    }
+
+    const start = parseDateTime(datetime);
+    if (!start.isValid()) {
+      return JSON.stringify({
+        success: false,
+        error: 'Invalid datetime format',
+        message: 'Please provide a valid date and time to hold.'
+      });
+    }
+
+    if (start.isBefore(moment())) {
+      return JSON.stringify({
+        success: false,
+        error: 'Invalid hold time',
+        message: 'That time has already passed. Please choose a future time.'
+      });
+    }
+
+    if (staff && !resourceService.findStaff(staff)) {
+      return JSON.stringify({
+        success: false,
+        error: `Unknown staff member: ${staff}`,
+        message: `I couldn't find a staff member called ${staff}.`
+      });
+    }
+
+    try {
+      const details = serviceIds.length > 0 ? await calculateAppointmentDuration(serviceIds) : null;
+      const duration = details?.totalDuration || 60;
+      const categories = [...new Set((details?.breakdown || []).map(item => item.category).filter(Boolean))];
+
+      const hoursCheck = businessCalendar.checkBooking(start, duration);
+      if (!hoursCheck.valid) {
+        return JSON.stringify({ success: false, error: hoursCheck.error, message: hoursCheck.message });
+      }
+
+      const holidayCheck = await holidayService.checkDate(start);
+      if (holidayCheck.blockBooking) {
+        return JSON.stringify({
+          success: false,
+          error: holidayCheck.isHoliday ? "Cannot book on public holiday" : "Holiday data unavailable",
+          message: holidayCheck.message
+        });
+      }
+
+      const startDate = start.toDate();
+      const endDate = new Date(startDate.getTime() + duration * 60000);
+      const staffId = staff ? resourceService.findStaff(staff).id : null;
+
+      // Make sure the time is still free on the calendar
+      let calendarChecked = false;
+      try {
+        const assignment = resourceService.findAssignment({
+          start: startDate,
+          end: endDate,
+          events: await getCalendarProvider().listBusy(startDate, endDate),
+          categories,
+          staffId
+        });
+        if (!assignment.available) {
+          return JSON.stringify({
+            success: false,
+            error: "Slot not available",
+            message: `Sorry, that time is no longer free (${assignment.reason}). Please choose another time.`
+          });
+        }
+        calendarChecked = true;
+      } catch (error) {
+        console.error('⚠️ Could not check the calendar before holding, holding anyway:', error.message);
+      }
+
+      // Other sessions' holds are checked synchronously as the hold is placed
+      const result = holdService.placeHold({
+        sessionId: this.sessionId,
+        start: startDate,
+        end: endDate,
+        serviceIds,
+        categories,
+        staffId,
+        customer: memory?.user_info?.name || null
+      });
+
+      if (!result.success) {
+        return JSON.stringify({
+          success: false,
+          error: "Slot not available",
+          message: "Sorry, another customer is holding that time. Please choose another time."
+        });
+      }
+
+      const { hold } = result;
+      if (memory) {
+        memory.slot_hold = { id: hold.id, start: hold.start, end: hold.end, expiresAt: hold.expiresAt };
+      }
+
+      return JSON.stringify({
+        success: true,
+        message: `${businessCalendar.toMoment(startDate).format('dddd, D MMM [at] h:mm A')} is held for ${holdService.getHoldMinutes()} minutes while the booking is confirmed.`,
+        holdId: hold.id,
+        start: hold.start,
+        end: hold.end,
+        expiresAt: hold.expiresAt,
+        staff: hold.staffId ? resourceService.findStaff(hold.staffId)?.name || null : null,
+        calendarChecked
+      });
+    } catch (error) {
+      console.error('❌ Error in holdSlot tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to hold slot",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates a holdSlot tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The holdSlot tool instance
+ */
+function createHoldSlotTool(context, sessionId) {
+  return new HoldSlotTool(context, sessionId);
+}
+
+module.exports = {
+  HoldSlotTool,
+  createHoldSlotTool
+};
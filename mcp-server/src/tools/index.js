@@ -6,18 +6,40 @@ const listServices = require('./listServices');
 const createAppointment = require('./createAppointment');
 const updateAppointment = require('./updateAppointment');
 const getAppointment = require('./getAppointment');
+const cancelAppointment = require('./cancelAppointment');
 const storeUser = require('./storeUser');
 const selectServices = require('./selectServices');
 const lookupUser = require('./lookupUser');
 const getAvailableSlots = require('./getAvailableSlots');
 const validateMemory = require('./validateMemory');
 const searchCustomers = require('./searchCustomers');
+const manageHolidays = require('./manageHolidays');
+const getStaffAvailability = require('./getStaffAvailability');
+const holdSlot = require('./holdSlot');
+const manageSlotHolds = require('./manageSlotHolds');
+const blockTime = require('./blockTime');
+const manageBlocks = require('./manageBlocks');
+const bookSeries = require('./bookSeries');
+const manageSeries = require('./manageSeries');
+const getQuote = require('./getQuote');
+const applyPromoCode = require('./applyPromoCode');
+const issueVoucher = require('./issueVoucher');
+const managePromotions = require('./managePromotions');
+const manageDeposits = require('./manageDeposits');
+const getCustomerProfile = require('./getCustomerProfile');
+const updateCustomerProfile = require('./updateCustomerProfile');
+const updateContact = require('./updateContact');
+const findDuplicateContacts = require('./findDuplicateContacts');
+const mergeContacts = require('./mergeContacts');
+const { getRole, filterToolsForRole } = require('./permissions');
 // NOTE: scanServices has been removed
 
 /**
  * Create an array of tools for a given context and session
+ * Only tools the session's persona may use are returned (see ./permissions)
  * @param {Object} context - The conversation context
  * @param {string} sessionId - Session ID
+ * @param {boolean} isAdmin - Whether this is an admin session
  * @returns {Array} Array of LangChain tools
  */
 function createTools(context, sessionId, isAdmin) {
@@ -106,6 +128,18 @@ function createTools(context, sessionId, isAdmin) {
     console.error('❌ Error creating getAppointment tool:', error);
   }
   
+  // cancelAppointment tool
+  try {
+    if (cancelAppointment.createCancelAppointmentTool) {
+      tools.push(cancelAppointment.createCancelAppointmentTool(context, sessionId));
+      console.log('✅ Added cancelAppointment tool');
+    } else {
+      console.warn('⚠️ CancelAppointmentTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating cancelAppointment tool:', error);
+  }
+  
   // listServices tool
   try {
     if (listServices.ListServicesTool) {
@@ -185,13 +219,233 @@ function createTools(context, sessionId, isAdmin) {
     console.error('❌ Error creating validateMemory tool:', error);
   }
   
+  // manageHolidays tool
+  try {
+    if (manageHolidays.createManageHolidaysTool) {
+      tools.push(manageHolidays.createManageHolidaysTool(context, sessionId));
+      console.log('✅ Added manageHolidays tool');
+    } else {
+      console.warn('⚠️ ManageHolidaysTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating manageHolidays tool:', error);
+  }
+  
+  // getStaffAvailability tool
+  try {
+    if (getStaffAvailability.createGetStaffAvailabilityTool) {
+      tools.push(getStaffAvailability.createGetStaffAvailabilityTool(context, sessionId));
+      console.log('✅ Added getStaffAvailability tool');
+    } else {
+      console.warn('⚠️ GetStaffAvailabilityTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating getStaffAvailability tool:', error);
+  }
+  
+  // holdSlot tool
+  try {
+    if (holdSlot.createHoldSlotTool) {
+      tools.push(holdSlot.createHoldSlotTool(context, sessionId));
+      console.log('✅ Added holdSlot tool');
+    } else {
+      console.warn('⚠️ HoldSlotTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating holdSlot tool:', error);
+  }
+  
+  // manageSlotHolds tool
+  try {
+    if (manageSlotHolds.createManageSlotHoldsTool) {
+      tools.push(manageSlotHolds.createManageSlotHoldsTool(context, sessionId));
+      console.log('✅ Added manageSlotHolds tool');
+    } else {
+      console.warn('⚠️ ManageSlotHoldsTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating manageSlotHolds tool:', error);
+  }
+  
+  // blockTime tool
+  try {
+    if (blockTime.createBlockTimeTool) {
+      tools.push(blockTime.createBlockTimeTool(context, sessionId));
+      console.log('✅ Added blockTime tool');
+    } else {
+      console.warn('⚠️ BlockTimeTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating blockTime tool:', error);
+  }
+  
+  // manageBlocks tool
+  try {
+    if (manageBlocks.createManageBlocksTool) {
+      tools.push(manageBlocks.createManageBlocksTool(context, sessionId));
+      console.log('✅ Added manageBlocks tool');
+    } else {
+      console.warn('⚠️ ManageBlocksTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating manageBlocks tool:', error);
+  }
+  
+  // bookSeries tool
+  try {
+    if (bookSeries.createBookSeriesTool) {
+      tools.push(bookSeries.createBookSeriesTool(context, sessionId));
+      console.log('✅ Added bookSeries tool');
+    } else {
+      console.warn('⚠️ BookSeriesTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating bookSeries tool:', error);
+  }
+  
+  // manageSeries tool
+  try {
+    if (manageSeries.createManageSeriesTool) {
+      tools.push(manageSeries.createManageSeriesTool(context, sessionId));
+      console.log('✅ Added manageSeries tool');
+    } else {
+      console.warn('⚠️ ManageSeriesTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating manageSeries tool:', error);
+  }
+  
+  // getQuote tool
+  try {
+    if (getQuote.createGetQuoteTool) {
+      tools.push(getQuote.createGetQuoteTool(context, sessionId));
+      console.log('✅ Added getQuote tool');
+    } else {
+      console.warn('⚠️ GetQuoteTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating getQuote tool:', error);
+  }
+  
+  // applyPromoCode tool
+  try {
+    if (applyPromoCode.createApplyPromoCodeTool) {
+      tools.push(applyPromoCode.createApplyPromoCodeTool(context, sessionId));
+      console.log('✅ Added applyPromoCode tool');
+    } else {
+      console.warn('⚠️ ApplyPromoCodeTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating applyPromoCode tool:', error);
+  }
+  
+  // issueVoucher tool
+  try {
+    if (issueVoucher.createIssueVoucherTool) {
+      tools.push(issueVoucher.createIssueVoucherTool(context, sessionId));
+      console.log('✅ Added issueVoucher tool');
+    } else {
+      console.warn('⚠️ IssueVoucherTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating issueVoucher tool:', error);
+  }
+  
+  // managePromotions tool
+  try {
+    if (managePromotions.createManagePromotionsTool) {
+      tools.push(managePromotions.createManagePromotionsTool(context, sessionId));
+      console.log('✅ Added managePromotions tool');
+    } else {
+      console.warn('⚠️ ManagePromotionsTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating managePromotions tool:', error);
+  }
+  
+  // manageDeposits tool
+  try {
+    if (manageDeposits.createManageDepositsTool) {
+      tools.push(manageDeposits.createManageDepositsTool(context, sessionId));
+      console.log('✅ Added manageDeposits tool');
+    } else {
+      console.warn('⚠️ ManageDepositsTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating manageDeposits tool:', error);
+  }
+  
+  // getCustomerProfile tool
+  try {
+    if (getCustomerProfile.createGetCustomerProfileTool) {
+      tools.push(getCustomerProfile.createGetCustomerProfileTool(context, sessionId));
+      console.log('✅ Added getCustomerProfile tool');
+    } else {
+      console.warn('⚠️ GetCustomerProfileTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating getCustomerProfile tool:', error);
+  }
+  
+  // updateCustomerProfile tool
+  try {
+    if (updateCustomerProfile.createUpdateCustomerProfileTool) {
+      tools.push(updateCustomerProfile.createUpdateCustomerProfileTool(context, sessionId));
+      console.log('✅ Added updateCustomerProfile tool');
+    } else {
+      console.warn('⚠️ UpdateCustomerProfileTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating updateCustomerProfile tool:', error);
+  }
+  
+  // updateContact tool
+  try {
+    if (updateContact.createUpdateContactTool) {
+      tools.push(updateContact.createUpdateContactTool(context, sessionId));
+      console.log('✅ Added updateContact tool');
+    } else {
+      console.warn('⚠️ UpdateContactTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating updateContact tool:', error);
+  }
+  
+  // findDuplicateContacts tool
+  try {
+    if (findDuplicateContacts.createFindDuplicateContactsTool) {
+      tools.push(findDuplicateContacts.createFindDuplicateContactsTool(context, sessionId));
+      console.log('✅ Added findDuplicateContacts tool');
+    } else {
+      console.warn('⚠️ FindDuplicateContactsTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating findDuplicateContacts tool:', error);
+  }
+  
+  // mergeContacts tool
+  try {
+    if (mergeContacts.createMergeContactsTool) {
+      tools.push(mergeContacts.createMergeContactsTool(context, sessionId));
+      console.log('✅ Added mergeContacts tool');
+    } else {
+      console.warn('⚠️ MergeContactsTool could not be created with context');
+    }
+  } catch (error) {
+    console.error('❌ Error creating mergeContacts tool:', error);
+  }
+  
   // Note: scanServices has been removed
   
   // Note: getCustomerAppointments is integrated with lookupAndHistory
   // and should not be registered as a separate tool
   
-  console.log(`✅ Created tools array with ${tools.length} tools`);
-  return tools;
+  // Drop tools this persona is not allowed to use
+  const role = getRole(context, isAdmin);
+  const allowedTools = filterToolsForRole(tools, role);
+  
+  console.log(`✅ Created tools array with ${allowedTools.length} of ${tools.length} tools for ${role}`);
+  return allowedTools;
 }
 
 module.exports = {
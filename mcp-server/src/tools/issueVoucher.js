@@ -0,0 +1,92 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const promotionService = require('../services/promotionService');
+
+// Define the schema for the issueVoucher tool
+const IssueVoucherSchema = z.object({
+  amount: z.number().positive().describe("Voucher value in dollars"),
+  resourceName: z.string().optional().describe("resourceName of the customer the voucher is for; leave out for a voucher anyone holding the code can use"),
+  recipient: z.string().optional().describe("Name of the person receiving the voucher, e.g. for a gift"),
+  validUntil: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("Last day the voucher can be used (YYYY-MM-DD)"),
+  code: z.string().optional().describe("Voucher code to use instead of a generated one"),
+  note: z.string().optional().describe("Why the voucher was issued, e.g. 'Bought at the counter' or 'Apology for the delay'")
+});
+
+class IssueVoucherTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "issueVoucher";
+    this.description = "Admin only: issue a gift voucher with a balance. The customer gives its code as a promo code (getQuote/applyPromoCode) and the balance is spent across bookings.";
+    this.schema = IssueVoucherSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { amount, resourceName, recipient, validUntil, code, note } = inputs;
+    console.log(`🎁 issueVoucher $${amount}${resourceName ? ` for ${resourceName}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.issueVoucher) {
+        this.context.memory.tool_usage.issueVoucher = [];
+      }
+
+      this.context.memory.tool_usage.issueVoucher.push({
+        timestamp: new Date().toISOString(),
+        amount,
+        resourceName: resourceName || null
+      });
+    }
+
+    try {
+      const voucher = await promotionService.issueVoucher({
+        amount,
+        code,
+        resourceName,
+        recipient,
+        validUntil,
+        note,
+        createdBy: this.sessionId
+      });
+
+      return JSON.stringify({
+        success: true,
+        code: voucher.code,
+        balance: voucher.balance,
+        resourceName: voucher.resourceName,
+        recipient: voucher.recipient,
+        validUntil: voucher.validUntil,
+        message: `Voucher ${voucher.code} issued for $${voucher.balance.toFixed(2)}${voucher.recipient ? ` to ${voucher.recipient}` : ''}${voucher.validUntil ? `, valid until ${voucher.validUntil}` : ''}.`
+      });
+    } catch (error) {
+      console.error('❌ Error in issueVoucher tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to issue the voucher",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates an issueVoucher tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The issueVoucher tool instance
+ */
+function createIssueVoucherTool(context, sessionId) {
+  return new IssueVoucherTool(context, sessionId);
+}
+
+module.exports = {
+  IssueVoucherTool,
+  createIssueVoucherTool
+};
@@ -1,5 +1,6 @@
 const { StructuredTool } = require("@langchain/core/tools");
-const axios = require('axios');
+const sohoClient = require('../lib/soho-client');
+const businessCalendar = require('../services/businessCalendar');
 
 // Service cache for real API
 let servicesCache = [];
@@ -14,57 +15,32 @@ let processedLastFetched = 0;
 async function fetchServicesFromSOHO() {
   console.log('🔄 Fetching services from SOHO GraphQL API');
   
-  const apiUrl = process.env.SOHO_API_URL || 'https://api.soho.sg/graphql';
-  const authToken = process.env.SOHO_AUTH_TOKEN || '';
-  
-  if (!authToken) {
-    console.error('❌ Missing SOHO_AUTH_TOKEN environment variable');
-    throw new Error('Missing authentication token for SOHO API');
-  }
-  
-  const query = {
-    query: `
-      {
-        services {
-          id,
-          service,
-          duration,
-          price,
-          followUp,
-          count,
-          enabled
-        }
+  const query = `
+    query {
+      services {
+        id,
+        service,
+        duration,
+        price,
+        followUp,
+        count,
+        enabled
       }
-    `
-  };
+    }
+  `;
   
   try {
-    const response = await axios.post(apiUrl, query, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': authToken
-      }
-    });
-    
-    if (response.status !== 200) {
-      throw new Error(`GraphQL API request failed with status ${response.status}`);
-    }
-    
-    const result = response.data;
-    
-    if (result.errors) {
-      throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
-    }
+    const data = await sohoClient.request(query, {}, { operation: 'services' });
     
-    if (!result.data || !result.data.services || !Array.isArray(result.data.services)) {
+    if (!Array.isArray(data.services)) {
       throw new Error('Invalid response format from GraphQL API');
     }
     
-    console.log(`✅ Successfully fetched ${result.data.services.length} services from SOHO API`);
+    console.log(`✅ Successfully fetched ${data.services.length} services from SOHO API`);
     
-    return result.data.services;
+    return data.services;
   } catch (error) {
-    console.error('❌ Error fetching services from SOHO API:', error);
+    console.error('❌ Error fetching services from SOHO API:', error.message);
     throw error;
   }
 }
@@ -486,6 +462,46 @@ async function getServiceDuration(serviceId) {
   return service?.duration || 60; // Default to 60 minutes if service not found
 }
 
+/**
+ * Work out how long an appointment for several services takes
+ * Sums every service's duration plus its buffer/cleanup time from the business calendar
+ * @param {Array<string>} serviceIds - Services being booked
+ * @param {Array<Object>} services - Formatted services (fetched when omitted)
+ * @returns {Promise<Object>} { totalDuration, serviceMinutes, bufferMinutes, breakdown, unknownServiceIds }
+ */
+async function calculateAppointmentDuration(serviceIds = [], services = null) {
+  const allServices = services || await getAllFormattedServices();
+  const breakdown = [];
+  const unknownServiceIds = [];
+
+  serviceIds.forEach(serviceId => {
+    const service = allServices.find(s => s.id === serviceId);
+    if (!service) {
+      unknownServiceIds.push(serviceId);
+    }
+
+    breakdown.push({
+      id: serviceId,
+      name: service?.name || 'Unknown Service',
+      category: service?.category || null,
+      // Default to 60 minutes if service not found
+      duration: service?.duration || 60,
+      buffer: businessCalendar.getServiceBuffer(service || { id: serviceId })
+    });
+  });
+
+  const serviceMinutes = breakdown.reduce((sum, item) => sum + item.duration, 0);
+  const bufferMinutes = breakdown.reduce((sum, item) => sum + item.buffer, 0);
+
+  return {
+    totalDuration: serviceMinutes + bufferMinutes,
+    serviceMinutes,
+    bufferMinutes,
+    breakdown,
+    unknownServiceIds
+  };
+}
+
 // Add a new function to highlight services mentioned by the user
 async function highlightService(serviceId, context) {
   if (!context || !context.memory) {
@@ -686,6 +702,7 @@ module.exports = {
   getServiceById,
   getServiceByName,
   getServiceDuration,
+  calculateAppointmentDuration,
   getHighlightedServices,
   ListServicesTool,
   initializeServicesCache,
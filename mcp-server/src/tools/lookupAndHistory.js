@@ -13,9 +13,10 @@ class LookupAndHistoryTool extends StructuredTool {
   constructor(context, sessionId) {
     super();
     this.name = "lookupAndHistory";  // Keep the same name as lookupUser to be a drop-in replacement
-    this.description = "Find a user by Singapore phone number and automatically retrieve their appointment history";
+    this.description = "Find a user by mobile number and automatically retrieve their appointment history. Local numbers can be given without a country code; numbers from other countries need theirs (e.g. +60 12-345 6789).";
     this.schema = z.object({
-      phoneNumber: z.string().describe("Singapore mobile number to lookup")
+      phoneNumber: z.string().describe("Mobile number to lookup, with the country code for numbers from other countries"),
+      name: z.string().optional().describe("Customer's name, when several contacts share the number")
     });
     
     // Store context and session ID
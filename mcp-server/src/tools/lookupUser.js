@@ -1,7 +1,11 @@
 // Convert imports to CommonJS requires
 const { StructuredTool } = require("@langchain/core/tools");
 const { z } = require("zod");
-const axios = require("axios");
+const sohoClient = require("../lib/soho-client");
+const { loadCustomerProfile } = require('./getCustomerProfile');
+const contactService = require('../services/contactService');
+const phone = require('../lib/phone');
+const { getRole } = require('./permissions');
 
 // In-memory contact cache
 let contactsCache = [];
@@ -30,74 +34,33 @@ async function initializeContactsCache() {
   }
 }
 
-// Helper to normalize phone numbers
-function normalizePhone(phone) {
-  // Handle undefined, null or non-string values
-  if (!phone) {
-    console.warn('⚠️ Received empty phone number in normalizePhone');
-    return '';
-  }
-  
-  // Ensure phone is a string
-  const phoneStr = String(phone);
-  
-  // Remove all non-digits
-  const digits = phoneStr.replace(/\D/g, '');
-  
-  // For Singapore numbers, we want the last 8 digits
-  if (digits.length >= 8) {
-    return digits.slice(-8);
-  }
-  
-  return digits;
-}
-
 // Function to fetch contacts from the SOHO API
 async function fetchContactsFromSoho() {
   console.log('📞 Fetching contacts from SOHO API...');
   
-  const apiUrl = process.env.SOHO_API_URL || 'https://api.soho.sg/graphql';
-  const authToken = process.env.SOHO_AUTH_TOKEN || '';
-  
-  if (!authToken) {
-    console.error('❌ Missing SOHO_AUTH_TOKEN environment variable');
-    return [];
-  }
-  
   try {
-    const query = `{"query":"{contacts{name,mobile,display,resourceName}}"}`;
-    
-    const response = await axios.post(apiUrl, 
-      JSON.parse(query),
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': authToken,
-        }
-      }
-    );
-    
-    if (response.status !== 200) {
-      console.error(`❌ SOHO API error: ${response.status}`);
-      return [];
-    }
-    
-    const data = response.data;
+    const data = await sohoClient.request('query { contacts { name, mobile, display, resourceName } }', {}, { operation: 'contacts' });
     
-    if (!data.data || !data.data.contacts) {
+    if (!data.contacts) {
       console.error('❌ Invalid response format from SOHO API:', data);
       return [];
     }
     
-    console.log(`✅ Successfully fetched ${data.data.contacts.length} contacts from SOHO API`);
-    return data.data.contacts;
+    console.log(`✅ Successfully fetched ${data.contacts.length} contacts from SOHO API`);
+    return data.contacts;
     
   } catch (error) {
-    console.error('❌ Error fetching contacts from SOHO API:', error);
+    console.error('❌ Error fetching contacts from SOHO API:', error.message);
     return [];
   }
 }
 
+// Empty the cache so the next lookup fetches contacts again (after a contact is changed or merged)
+function clearContactsCache() {
+  contactsCache = [];
+  lastFetchTime = 0;
+}
+
 // Function to refresh cache if needed and return all contacts
 async function getContacts() {
   const now = Date.now();
@@ -126,9 +89,10 @@ class LookupUserTool extends StructuredTool {
   constructor(context, sessionId) {
     super();
     this.name = "lookupUser";
-    this.description = "Find a user by Singapore phone number";
+    this.description = "Find a user by mobile number. Local numbers can be given without a country code; numbers from other countries need theirs (e.g. +60 12-345 6789).";
     this.schema = z.object({
-      phoneNumber: z.string().describe("Singapore mobile number to lookup")
+      phoneNumber: z.string().describe("Mobile number to lookup, with the country code for numbers from other countries"),
+      name: z.string().optional().describe("Customer's name, when several contacts share the number")
     });
     
     // Store context and session ID
@@ -139,7 +103,7 @@ class LookupUserTool extends StructuredTool {
     getContacts().catch(err => console.error('Failed to warm contacts cache:', err));
   }
 
-  async _call({ phoneNumber }) {
+  async _call({ phoneNumber, name }) {
     console.log(`🚨 LOOKUP TOOL TRIGGERED 🚨`);
     console.log(`📞 Looking up user by phone: ${phoneNumber}`);
     console.log(`🔄 Session ID: ${this.sessionId}`);
@@ -167,82 +131,70 @@ class LookupUserTool extends StructuredTool {
       // Log the cache size for debugging
       console.log(`📊 Using contacts cache with ${contactsCache.length} records`);
       
-      // Normalize the phone number for comparison
-      const normalizedInput = normalizePhone(phoneNumber);
-      const lastEightDigits = normalizedInput.slice(-8);
+      // Parse the number: E.164, with numbers typed without a country code read in the default region
+      const parsed = phone.parsePhone(phoneNumber);
+      if (!parsed.valid) {
+        console.log(`❌ Invalid phone number: ${parsed.error}`);
+        return JSON.stringify({
+          error: "Invalid phone number",
+          message: `${parsed.error}. Please check the number with the customer.`
+        });
+      }
 
-      console.log(`🔍 Looking up contact with normalized phone: "${normalizedInput}", last 8: "${lastEightDigits}"`);
+      console.log(`🔍 Looking up contact with phone: "${parsed.e164}"`);
       
-      // Prepare alternative formats for search
-      const searchFormats = [
-        phoneNumber,              // Original format
-        `+65${phoneNumber}`,      // With +65 prefix
-        `+${phoneNumber}`,        // With + prefix
-        `65${phoneNumber}`        // With 65 prefix
-      ];
+      // 1. Contacts with the same number, however it was saved
+      let matches = contactsCache.filter(c => c && c.mobile && phone.normalizePhone(c.mobile) === parsed.e164);
+      let matchType = 'exact';
       
-      // Try multiple matching strategies
-      let contact = null;
-      
-      // 1. Try exact match with multiple formats
-      console.log('Trying exact match with multiple formats...');
-      for (const format of searchFormats) {
-        contact = contactsCache.find(c => c && c.mobile === format);
-        if (contact) {
-          console.log(`✅ Found exact match with format "${format}": ${contact.name}`);
-          break;
-        }
+      // 2. Contacts saved in a format that can't be parsed, by their last 8 digits
+      // (numbers that do parse are never matched this way, so +60 and +65 numbers don't collide)
+      if (matches.length === 0) {
+        const trailing = phone.trailingDigits(parsed.e164);
+        matches = contactsCache.filter(c => c && c.mobile && !phone.normalizePhone(c.mobile) && phone.trailingDigits(c.mobile) === trailing);
+        matchType = 'last-8-digits';
       }
       
-      // 2. If no exact match, try normalized match
-      if (!contact) {
-        console.log('Trying normalized match...');
-        contact = contactsCache.find(c => {
-          if (!c || !c.mobile) return false;
-          const contactNormalized = normalizePhone(c.mobile);
-          return contactNormalized === normalizedInput;
-        });
-        
-        if (contact) {
-          console.log(`✅ Found normalized match: ${contact.name}`);
+      // A contact merged into another one stands for the contact it was merged into
+      let found = [];
+      for (const match of matches) {
+        const survivor = await contactService.resolve(match.resourceName);
+        const target = survivor === match.resourceName ? match : (contactsCache.find(c => c && c.resourceName === survivor) || match);
+        if (survivor !== match.resourceName) {
+          console.log(`🔀 ${match.resourceName} was merged into ${survivor}`);
         }
+        if (!found.some(c => c.resourceName === target.resourceName)) found.push(target);
       }
       
-      // 3. If still no match, try by last 8 digits (common for Singapore numbers)
-      if (!contact) {
-        console.log('Trying last 8 digits match...');
-        contact = contactsCache.find(c => {
-          if (!c || !c.mobile) return false;
-          const contactNormalized = normalizePhone(c.mobile);
-          const contactLastEight = contactNormalized.slice(-8);
-          return contactLastEight === lastEightDigits;
+      // Several contacts on one number: the name tells them apart, otherwise ask
+      if (found.length > 1 && name) {
+        const named = found.filter(c => contactService.nameSimilarity(c.name, name) >= 0.85);
+        if (named.length > 0) found = named;
+      }
+      if (found.length > 1) {
+        console.log(`⚠️ ${found.length} contacts match ${parsed.e164} (${matchType})`);
+        const isAdmin = getRole(this.context) === 'admin';
+        return JSON.stringify({
+          error: "Several contacts match this phone number",
+          ambiguous: true,
+          ...(isAdmin ? { candidates: found.map(c => ({ name: c.name, mobile: c.mobile, resourceName: c.resourceName })) } : {}),
+          message: isAdmin
+            ? `${found.length} contacts match ${parsed.e164}. Ask which customer this is and look up again with their name; if they are the same person, use findDuplicateContacts and mergeContacts.`
+            : "More than one customer has this number. Please ask for the customer's full name and look up again with it."
         });
-        
-        if (contact) {
-          console.log(`✅ Found last-8-digits match: ${contact.name}`);
-        }
       }
       
-      // 4. If STILL no match, try a more aggressive approach with partial matching
-      if (!contact && lastEightDigits.length >= 6) {
-        console.log('Trying partial match with last 6+ digits...');
-        const lastSixDigits = lastEightDigits.slice(-6);
-        
-        contact = contactsCache.find(c => {
-          if (!c || !c.mobile) return false;
-          const contactNormalized = normalizePhone(c.mobile);
-          return contactNormalized.endsWith(lastSixDigits);
-        });
-        
-        if (contact) {
-          console.log(`✅ Found partial match with last ${lastSixDigits.length} digits: ${contact.name}`);
-        }
+      const contact = found[0] || null;
+      if (contact) {
+        console.log(`✅ Found ${matchType} match: ${contact.name}`);
       }
       
       // If we found a contact, update context and return
       if (contact) {
         // Update context directly
         this.updateContext(contact);
+        // Admins see what the salon has recorded about the customer
+        await loadCustomerProfile(this.context, contact.resourceName);
         return JSON.stringify({
           resourceName: contact.resourceName,
           name: contact.name,
@@ -338,5 +290,6 @@ class LookupUserTool extends StructuredTool {
 module.exports = {
   LookupUserTool,
   createLookupUserTool: (context, sessionId) => new LookupUserTool(context, sessionId),
+  clearContactsCache,
   initializeContactsCache // Export the initialization function
 };
\ No newline at end of file
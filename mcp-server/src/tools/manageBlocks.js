@@ -0,0 +1,135 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const businessCalendar = require('../services/businessCalendar');
+const resourceService = require('../services/resourceService');
+const blockService = require('../services/blockService');
+
+// Define the schema for the manageBlocks tool
+const ManageBlocksSchema = z.object({
+  action: z.enum(['list', 'remove']).describe("list: show blocked-out time; remove: delete a block, or every upcoming block in a series"),
+  from: z.string().optional().describe("First date in YYYY-MM-DD format (default today); when removing a series, earlier blocks are kept"),
+  days: z.number().int().min(1).max(366).optional().describe("For list: how many days to show (default 14)"),
+  staff: z.string().optional().describe("For list: only this staff member's blocks (plus salon-wide ones)"),
+  blockId: z.string().optional().describe("For remove: block ID (from list or blockTime)"),
+  seriesId: z.string().optional().describe("For remove: series ID, to remove the upcoming blocks of a recurring block")
+});
+
+class ManageBlocksTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "manageBlocks";
+    this.description = "Admin only: list time blocked out with blockTime, or remove a block (or a whole recurring series).";
+    this.schema = ManageBlocksSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action, from, days = 14, staff, blockId, seriesId } = inputs;
+    console.log(`🚫 manageBlocks ${action}${blockId || seriesId ? ` ${blockId || seriesId}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.manageBlocks) {
+        this.context.memory.tool_usage.manageBlocks = [];
+      }
+
+      this.context.memory.tool_usage.manageBlocks.push({
+        timestamp: new Date().toISOString(),
+        action,
+        blockId: blockId || null,
+        seriesId: seriesId || null
+      });
+    }
+
+    if (from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid date",
+        message: "from must be in YYYY-MM-DD format"
+      });
+    }
+
+    try {
+      if (action === 'remove') {
+        if (!blockId && !seriesId) {
+          return JSON.stringify({
+            success: false,
+            error: "Missing blockId",
+            message: "Please give the ID of the block (or series) to remove (use list first)."
+          });
+        }
+
+        if (seriesId) {
+          const removed = await blockService.removeSeries(seriesId, from);
+          return JSON.stringify({
+            success: removed > 0,
+            ...(removed > 0 ? {} : { error: "Series not found" }),
+            removed,
+            message: removed > 0 ? `Removed ${removed} upcoming block(s) in the series.` : `No upcoming blocks in series ${seriesId}.`
+          });
+        }
+
+        const removed = await blockService.removeBlock(blockId);
+        return JSON.stringify({
+          success: removed,
+          ...(removed ? {} : { error: "Block not found" }),
+          message: removed ? "Removed the block; the time can be booked again." : `No block ${blockId} (it may already have been removed, or the ID is not a block).`
+        });
+      }
+
+      let staffId = null;
+      if (staff) {
+        staffId = resourceService.findStaff(staff)?.id;
+        if (!staffId) {
+          return JSON.stringify({
+            success: false,
+            error: "Unknown staff member",
+            message: `No staff member called "${staff}".`
+          });
+        }
+      }
+
+      const start = businessCalendar.atTime(from || businessCalendar.formatDate(new Date()), '00:00');
+      const end = businessCalendar.toMoment(start).add(days, 'days').toDate();
+      const blocks = (await blockService.listBlocks({ from: start, to: end, staffId })).map(block => blockService.describe(block));
+
+      return JSON.stringify({
+        success: true,
+        from: businessCalendar.formatDate(start),
+        days,
+        count: blocks.length,
+        blocks,
+        message: blocks.length > 0 ? `${blocks.length} block(s) in the ${days} day(s) from ${businessCalendar.formatDate(start)}.` : "No time is blocked out in that period."
+      });
+    } catch (error) {
+      console.error('❌ Error in manageBlocks tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to manage blocks",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates a manageBlocks tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The manageBlocks tool instance
+ */
+function createManageBlocksTool(context, sessionId) {
+  return new ManageBlocksTool(context, sessionId);
+}
+
+module.exports = {
+  ManageBlocksTool,
+  createManageBlocksTool
+};
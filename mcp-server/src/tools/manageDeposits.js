@@ -0,0 +1,149 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const { fetchAppointmentsFromSoho } = require('./getCustomerAppointments');
+const { parseQuoteDateTime } = require('./getQuote');
+const riskService = require('../services/riskService');
+
+// Define the schema for the manageDeposits tool
+const ManageDepositsSchema = z.object({
+  action: z.enum(['assess', 'list', 'markPaid', 'waive']).describe("assess: a customer's no-show risk and the deposit policy for them; list: booking deposits by status; markPaid: record that a deposit was paid; waive: let a booking go ahead without its deposit"),
+  resourceName: z.string().optional().describe("For assess (required) and list: the customer's resourceName"),
+  datetime: z.string().optional().describe("For assess: start of the booking being considered, so short notice counts (YYYYMMDDTHHmm or natural language)"),
+  status: z.enum(['required', 'suggested', 'paid', 'waived']).optional().describe("For list: only deposits with this status (default: required, i.e. not paid yet)"),
+  appointmentId: z.string().optional().describe("For markPaid and waive: the appointment"),
+  note: z.string().optional().describe("For markPaid and waive: e.g. how it was paid or why it was waived")
+});
+
+class ManageDepositsTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "manageDeposits";
+    this.description = "Admin only: see a customer's no-show risk (late cancellations, no-shows, short notice) and whether the deposit policy suggests or requires a deposit, list booking deposits still to be paid, and mark deposits paid or waived.";
+    this.schema = ManageDepositsSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action, resourceName, appointmentId } = inputs;
+    console.log(`💰 manageDeposits ${action}${resourceName ? ` ${resourceName}` : ''}${appointmentId ? ` ${appointmentId}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.manageDeposits) {
+        this.context.memory.tool_usage.manageDeposits = [];
+      }
+
+      this.context.memory.tool_usage.manageDeposits.push({
+        timestamp: new Date().toISOString(),
+        action,
+        resourceName: resourceName || null,
+        appointmentId: appointmentId || null
+      });
+    }
+
+    try {
+      if (action === 'assess') {
+        return JSON.stringify(await this.assess(inputs));
+      }
+
+      if (action === 'list') {
+        const status = inputs.status || 'required';
+        const deposits = await riskService.listDeposits({ status, resourceName });
+        return JSON.stringify({
+          success: true,
+          count: deposits.length,
+          deposits,
+          message: deposits.length > 0 ? `${deposits.length} ${status} deposit(s).` : `No ${status} deposits.`
+        });
+      }
+
+      if (!appointmentId) {
+        return JSON.stringify({
+          success: false,
+          error: "Missing appointmentId",
+          message: "Please give the appointment whose deposit to update."
+        });
+      }
+
+      const status = action === 'markPaid' ? 'paid' : 'waived';
+      const record = await riskService.setDepositStatus(appointmentId, status, { note: inputs.note, by: this.sessionId });
+      if (!record) {
+        return JSON.stringify({
+          success: false,
+          error: "No deposit recorded",
+          message: `Appointment ${appointmentId} has no deposit recorded.`
+        });
+      }
+      return JSON.stringify({
+        success: true,
+        deposit: record,
+        message: `Deposit of $${record.amount.toFixed(2)} for appointment ${appointmentId} marked ${status}.`
+      });
+    } catch (error) {
+      console.error('❌ Error in manageDeposits tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to manage deposits",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+
+  async assess({ resourceName, datetime }) {
+    if (!resourceName) {
+      return { success: false, error: "Missing resourceName", message: "Please look up the customer first and give their resourceName." };
+    }
+
+    let start = null;
+    if (datetime) {
+      const parsed = parseQuoteDateTime(datetime);
+      if (!parsed.isValid()) {
+        return { success: false, error: "Invalid datetime format", message: "Please give the date and time of the booking." };
+      }
+      start = parsed.toDate();
+    }
+
+    const { appointments, cancelCount } = await fetchAppointmentsFromSoho(resourceName, 0);
+    const risk = riskService.assess({ cancelCount, appointments, start });
+    const policy = riskService.rules.deposit[risk.level];
+    const unpaid = await riskService.listDeposits({ status: 'required', resourceName });
+
+    return {
+      success: true,
+      resourceName,
+      level: risk.level,
+      score: risk.score,
+      cancelCount: risk.cancelCount,
+      noShows: risk.noShows,
+      shortNotice: risk.shortNotice,
+      reasons: risk.reasons,
+      depositPolicy: policy ? { ...policy, required: risk.level === 'require' } : null,
+      unpaidDeposits: unpaid,
+      message: risk.level === 'none'
+        ? `No deposit needed for this customer${risk.reasons.length ? ` (${risk.reasons.join(', ')})` : ''}.`
+        : `Deposit ${risk.level === 'require' ? 'required' : 'suggested'}: ${policy.percent}% of the booking, at least $${policy.minimum} (${risk.reasons.join(', ')}).`
+    };
+  }
+}
+
+/**
+ * Creates a manageDeposits tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The manageDeposits tool instance
+ */
+function createManageDepositsTool(context, sessionId) {
+  return new ManageDepositsTool(context, sessionId);
+}
+
+module.exports = {
+  ManageDepositsTool,
+  createManageDepositsTool
+};
@@ -0,0 +1,131 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const holidayService = require('../services/holidayService');
+const businessCalendar = require('../services/businessCalendar');
+
+// Define the schema for the manageHolidays tool
+const ManageHolidaysSchema = z.object({
+  action: z.enum(['list', 'close', 'open', 'remove', 'refresh']).describe("list: show holidays and overrides; close: add an extra closure day; open: open on a public holiday; remove: clear an override; refresh: reload holidays from the remote source"),
+  date: z.string().optional().describe("Date in YYYY-MM-DD format (required for close, open and remove)"),
+  reason: z.string().optional().describe("Reason shown to customers for a closure, or a note for an open day"),
+  days: z.number().int().min(1).max(366).optional().describe("For list: how many days ahead to show (default 60)")
+});
+
+class ManageHolidaysTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "manageHolidays";
+    this.description = "Admin only: view public holidays and manage holiday overrides (extra closure days, or opening on a public holiday).";
+    this.schema = ManageHolidaysSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action, date, reason, days = 60 } = inputs;
+    console.log(`📅 manageHolidays ${action}${date ? ` ${date}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.manageHolidays) {
+        this.context.memory.tool_usage.manageHolidays = [];
+      }
+
+      this.context.memory.tool_usage.manageHolidays.push({
+        timestamp: new Date().toISOString(),
+        action,
+        date: date || null
+      });
+    }
+
+    if (['close', 'open', 'remove'].includes(action) && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid date",
+        message: `A date in YYYY-MM-DD format is required to ${action} a day`
+      });
+    }
+
+    try {
+      switch (action) {
+        case 'close': {
+          const result = await holidayService.addClosure(date, reason || 'Closed');
+          return JSON.stringify({
+            success: true,
+            message: `${date} is now a closure day (${result.holiday}). Customers can't book that day.`,
+            override: result
+          });
+        }
+
+        case 'open': {
+          const result = await holidayService.markOpen(date, reason || 'Open');
+          return JSON.stringify({
+            success: true,
+            message: result.holiday
+              ? `The salon will open on ${date} despite ${result.holiday}.`
+              : `${date} is marked as open (it wasn't a public holiday).`,
+            override: result
+          });
+        }
+
+        case 'remove': {
+          const existed = await holidayService.removeOverride(date);
+          return JSON.stringify({
+            success: existed,
+            ...(existed ? {} : { error: "No override" }),
+            message: existed ? `Removed the override for ${date}.` : `There was no override for ${date}.`,
+            current: holidayService.lookup(date)
+          });
+        }
+
+        case 'refresh': {
+          const result = await holidayService.refresh();
+          return JSON.stringify({
+            success: result.success,
+            ...(result.success ? {} : { error: "Refresh failed" }),
+            message: result.success
+              ? `Loaded ${result.count} holidays from the remote source.`
+              : `Could not refresh holidays (${result.error}). The bundled data is still in use.`,
+            status: holidayService.getStatus()
+          });
+        }
+
+        case 'list':
+        default: {
+          await holidayService.ensureReady();
+          const from = businessCalendar.formatDate(new Date());
+          const to = businessCalendar.toMoment(new Date()).add(days, 'days').format('YYYY-MM-DD');
+          return JSON.stringify({
+            success: true,
+            from,
+            to,
+            holidays: holidayService.listBetween(from, to),
+            status: holidayService.getStatus()
+          });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error in manageHolidays tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to manage holidays",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+function createManageHolidaysTool(context, sessionId) {
+  return new ManageHolidaysTool(context, sessionId);
+}
+
+module.exports = {
+  ManageHolidaysTool,
+  createManageHolidaysTool
+};
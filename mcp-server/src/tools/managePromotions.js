@@ -0,0 +1,136 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const promotionService = require('../services/promotionService');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Define the schema for the managePromotions tool
+const ManagePromotionsSchema = z.object({
+  action: z.enum(['list', 'create', 'deactivate', 'redemptions']).describe("list: promo codes and vouchers; create: a new promo code; deactivate: stop a code being used; redemptions: where codes were used"),
+  code: z.string().optional().describe("The code to create or deactivate, or to filter redemptions by"),
+  kind: z.enum(['promo', 'voucher']).optional().describe("For list: only promo codes or only vouchers"),
+  includeInactive: z.boolean().optional().describe("For list: include deactivated codes"),
+  percent: z.number().min(1).max(100).optional().describe("For create: percentage off the eligible services"),
+  amount: z.number().positive().optional().describe("For create: dollars off the eligible services (instead of percent)"),
+  description: z.string().optional().describe("For create: short description shown on quotes"),
+  categories: z.array(z.string()).optional().describe("For create: only services in these categories"),
+  serviceIds: z.array(z.string()).optional().describe("For create: only these services"),
+  validFrom: z.string().regex(DATE).optional().describe("For create: first day of appointments it can be used for (YYYY-MM-DD)"),
+  validUntil: z.string().regex(DATE).optional().describe("For create: last day of appointments it can be used for (YYYY-MM-DD)"),
+  minTotal: z.number().min(0).optional().describe("For create: smallest booking it applies to"),
+  maxUses: z.number().int().positive().optional().describe("For create: total uses across all customers"),
+  maxUsesPerCustomer: z.number().int().positive().optional().describe("For create: uses per customer (default 1)"),
+  resourceName: z.string().optional().describe("For create: make the code for this customer only; for redemptions: filter by customer"),
+  stackable: z.boolean().optional().describe("For create: whether it combines with other codes and automatic discounts (default true)"),
+  appointmentId: z.string().optional().describe("For redemptions: filter by appointment")
+});
+
+class ManagePromotionsTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "managePromotions";
+    this.description = "Admin only: list promo codes and gift vouchers, create promo codes (with validity dates, eligible services/categories, usage limits, customer-only codes and whether they combine with other offers), deactivate codes, and see the redemption ledger.";
+    this.schema = ManagePromotionsSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action, code } = inputs;
+    console.log(`🎟️ managePromotions ${action}${code ? ` ${code}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.managePromotions) {
+        this.context.memory.tool_usage.managePromotions = [];
+      }
+
+      this.context.memory.tool_usage.managePromotions.push({
+        timestamp: new Date().toISOString(),
+        action,
+        code: code || null
+      });
+    }
+
+    try {
+      if (action === 'list') {
+        const promotions = await promotionService.listPromotions({ kind: inputs.kind, includeInactive: inputs.includeInactive });
+        return JSON.stringify({
+          success: true,
+          count: promotions.length,
+          promotions,
+          message: promotions.length > 0 ? `${promotions.length} code(s) found.` : "No promo codes or vouchers yet."
+        });
+      }
+
+      if (action === 'redemptions') {
+        const redemptions = await promotionService.listRedemptions({ code, resourceName: inputs.resourceName, appointmentId: inputs.appointmentId });
+        return JSON.stringify({
+          success: true,
+          count: redemptions.length,
+          redemptions,
+          message: redemptions.length > 0 ? `${redemptions.length} redemption(s) found.` : "No redemptions found."
+        });
+      }
+
+      if (!code) {
+        return JSON.stringify({
+          success: false,
+          error: "Missing code",
+          message: `Please give the code to ${action}.`
+        });
+      }
+
+      if (action === 'deactivate') {
+        const promotion = await promotionService.deactivate(code);
+        if (!promotion) {
+          return JSON.stringify({
+            success: false,
+            error: "Code not found",
+            message: `No promo code or voucher ${code.toUpperCase()} was created here (codes in the pricing rules file are changed there).`
+          });
+        }
+        return JSON.stringify({
+          success: true,
+          code: promotion.code,
+          message: `${promotion.code} can no longer be used. Existing bookings keep their price.`
+        });
+      }
+
+      const promotion = await promotionService.createPromotion({ ...inputs, createdBy: this.sessionId });
+      return JSON.stringify({
+        success: true,
+        promotion,
+        message: `Promo code ${promotion.code} created: ${promotion.percent ? `${promotion.percent}%` : `$${promotion.amount}`} off${promotion.resourceName ? ` for ${promotion.resourceName} only` : ''}${promotion.validUntil ? `, until ${promotion.validUntil}` : ''}.`
+      });
+    } catch (error) {
+      console.error('❌ Error in managePromotions tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to manage promotions",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates a managePromotions tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The managePromotions tool instance
+ */
+function createManagePromotionsTool(context, sessionId) {
+  return new ManagePromotionsTool(context, sessionId);
+}
+
+module.exports = {
+  ManagePromotionsTool,
+  createManagePromotionsTool
+};
@@ -0,0 +1,276 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const { calculateAppointmentDuration } = require('./listServices');
+const { createUpdateAppointmentTool } = require('./updateAppointment');
+const { createCancelAppointmentTool } = require('./cancelAppointment');
+const { checkOccurrence, parseDateTime } = require('./bookSeries');
+const businessCalendar = require('../services/businessCalendar');
+const resourceService = require('../services/resourceService');
+const seriesService = require('../services/seriesService');
+
+// Define the schema for the manageSeries tool
+const ManageSeriesSchema = z.object({
+  action: z.enum(['list', 'reschedule', 'cancel']).describe("list: show a customer's series or one series; reschedule: move one appointment or the rest of a series; cancel: cancel one appointment or the rest of a series"),
+  seriesId: z.string().optional().describe("Series ID (from bookSeries or list)"),
+  appointmentId: z.string().optional().describe("One appointment of a series; reschedule or cancel only this one"),
+  occurrence: z.number().int().min(1).optional().describe("Appointment number within the series (1 is the first), instead of appointmentId"),
+  resourceName: z.string().optional().describe("For list: the customer's resourceName"),
+  datetime: z.string().optional().describe("For rescheduling one appointment: the new date and time (YYYYMMDDTHHmm or natural language)"),
+  shiftDays: z.number().int().min(-60).max(60).optional().describe("For rescheduling a whole series: move every upcoming appointment this many days (negative moves earlier)"),
+  time: z.string().optional().describe("For rescheduling a whole series: new time of day in 24h HH:mm format"),
+  force: z.boolean().optional().describe("Reschedule even if the new times clash or fall outside opening hours"),
+  reason: z.string().optional().describe("For cancel: reason given"),
+  lateCancel: z.boolean().optional().describe("For cancel: whether it is a late cancellation (defaults to true within 24 hours of an appointment)")
+});
+
+function describeSeries(series) {
+  return {
+    seriesId: series.id,
+    customer: series.customer.name,
+    resourceName: series.customer.resourceName,
+    intervalDays: series.intervalDays,
+    staff: series.staff ? resourceService.findStaff(series.staff)?.name || series.staff : null,
+    occurrences: series.occurrences.map(occurrence => ({
+      index: occurrence.index,
+      appointmentId: occurrence.appointmentId,
+      date: businessCalendar.formatDate(occurrence.start),
+      time: businessCalendar.toMoment(occurrence.start).format('h:mm A'),
+      status: occurrence.status
+    }))
+  };
+}
+
+class ManageSeriesTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "manageSeries";
+    this.description = "Admin only: list, reschedule or cancel linked follow-up/recurring appointments booked with bookSeries, either the whole series (upcoming appointments) or a single appointment in it.";
+    this.schema = ManageSeriesSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action, seriesId, appointmentId, resourceName } = inputs;
+    console.log(`🔁 manageSeries ${action}${seriesId ? ` ${seriesId}` : ''}${appointmentId ? ` appointment ${appointmentId}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.manageSeries) {
+        this.context.memory.tool_usage.manageSeries = [];
+      }
+
+      this.context.memory.tool_usage.manageSeries.push({
+        timestamp: new Date().toISOString(),
+        action,
+        seriesId: seriesId || null,
+        appointmentId: appointmentId || null
+      });
+    }
+
+    try {
+      if (action === 'list' && !seriesId && !appointmentId) {
+        const list = await seriesService.listSeries(resourceName || null);
+        return JSON.stringify({
+          success: true,
+          count: list.length,
+          series: list.map(describeSeries),
+          message: list.length > 0 ? `${list.length} series found.` : "No linked series found."
+        });
+      }
+
+      const found = await this.findSeries(inputs);
+      if (found.error) {
+        return JSON.stringify({ success: false, ...found.error });
+      }
+      const { series, occurrence } = found;
+
+      if (action === 'list') {
+        return JSON.stringify({ success: true, series: describeSeries(series) });
+      }
+
+      // A single appointment, or every upcoming booked one
+      const now = new Date();
+      const targets = occurrence
+        ? [occurrence]
+        : series.occurrences.filter(item => item.status === 'booked' && new Date(item.start) > now);
+      if (targets.length === 0 || targets.some(item => item.status !== 'booked')) {
+        return JSON.stringify({
+          success: false,
+          error: "Nothing to change",
+          message: occurrence ? `Appointment ${occurrence.index} of the series is ${occurrence.status}.` : "The series has no upcoming booked appointments."
+        });
+      }
+
+      return action === 'cancel'
+        ? await this.cancel(series, targets, inputs)
+        : await this.reschedule(series, targets, inputs, Boolean(occurrence));
+    } catch (error) {
+      console.error('❌ Error in manageSeries tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to manage the series",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+
+  async findSeries({ seriesId, appointmentId, occurrence: index }) {
+    if (appointmentId) {
+      const found = await seriesService.findByAppointment(appointmentId);
+      return found || { error: { error: "Series not found", message: `Appointment ${appointmentId} isn't part of a series.` } };
+    }
+
+    if (!seriesId) {
+      return { error: { error: "Missing seriesId", message: "Please give the series ID or an appointment ID (use list first)." } };
+    }
+
+    const series = await seriesService.getSeries(seriesId);
+    if (!series) {
+      return { error: { error: "Series not found", message: `No series ${seriesId}.` } };
+    }
+
+    const occurrence = index ? series.occurrences.find(item => item.index === index) : null;
+    if (index && !occurrence) {
+      return { error: { error: "Appointment not found", message: `The series has ${series.occurrences.length} appointments.` } };
+    }
+    return { series, occurrence };
+  }
+
+  async cancel(series, targets, { reason, lateCancel }) {
+    const cancelAppointment = createCancelAppointmentTool({ memory: {} }, this.sessionId);
+    const results = [];
+
+    for (const occurrence of targets) {
+      const result = JSON.parse(await cancelAppointment._call({
+        appointmentId: occurrence.appointmentId,
+        reason: reason || 'Series cancelled',
+        ...(lateCancel !== undefined ? { lateCancel } : {})
+      }));
+      if (result.success) {
+        await seriesService.updateOccurrence(series.id, occurrence.index, { status: 'cancelled' });
+      }
+      results.push({ index: occurrence.index, appointmentId: occurrence.appointmentId, success: result.success, ...(result.success ? {} : { error: result.message || result.error }) });
+    }
+
+    const cancelled = results.filter(result => result.success).length;
+    return JSON.stringify({
+      success: cancelled > 0,
+      seriesId: series.id,
+      results,
+      message: cancelled === results.length
+        ? `Cancelled ${cancelled} appointment(s) in the series.`
+        : `Cancelled ${cancelled} of ${results.length} appointments; the others could not be cancelled.`
+    });
+  }
+
+  async reschedule(series, targets, { datetime, shiftDays, time, force }, single) {
+    if (single && !datetime) {
+      return JSON.stringify({ success: false, error: "Missing datetime", message: "Please give the new date and time for the appointment." });
+    }
+    if (!single && !shiftDays && !time) {
+      return JSON.stringify({ success: false, error: "Missing change", message: "Please give shiftDays and/or a new time to move the series." });
+    }
+    if (time && !/^\d{2}:\d{2}$/.test(time)) {
+      return JSON.stringify({ success: false, error: "Invalid time", message: "time must be in 24h HH:mm format" });
+    }
+
+    // Work out and check every new time before changing anything
+    const moves = [];
+    for (const occurrence of targets) {
+      let start;
+      if (single) {
+        start = parseDateTime(datetime);
+        if (!start.isValid()) {
+          return JSON.stringify({ success: false, error: "Invalid datetime format", message: "Please give a valid new date and time." });
+        }
+      } else {
+        start = businessCalendar.toMoment(occurrence.start).add(shiftDays || 0, 'days');
+        if (time) {
+          const [hours, minutes] = time.split(':').map(Number);
+          start.hours(hours).minutes(minutes);
+        }
+      }
+
+      const details = await calculateAppointmentDuration(occurrence.serviceIds);
+      const check = force === true
+        ? { available: true }
+        : await checkOccurrence({
+          start: start.toDate(),
+          duration: details.totalDuration,
+          categories: [...new Set(details.breakdown.map(item => item.category).filter(Boolean))],
+          staffId: series.staff,
+          sessionId: this.sessionId,
+          ignoreEventIds: [occurrence.appointmentId]
+        });
+      moves.push({ occurrence, start, duration: details.totalDuration, check });
+    }
+
+    const blocked = moves.filter(move => !move.check.available);
+    if (blocked.length > 0) {
+      return JSON.stringify({
+        success: false,
+        error: "New times not available",
+        conflicts: blocked.map(move => ({ index: move.occurrence.index, date: move.start.format('YYYY-MM-DD'), time: move.start.format('h:mm A'), reason: move.check.reason })),
+        message: `Nothing was changed: ${blocked.length} of the new times can't be booked. Choose other times, or use force to move them anyway.`
+      });
+    }
+
+    const updateAppointment = createUpdateAppointmentTool({ memory: {} }, this.sessionId);
+    const results = [];
+    for (const { occurrence, start, duration } of moves) {
+      const result = JSON.parse(await updateAppointment._call({
+        appointmentId: occurrence.appointmentId,
+        name: series.customer.name,
+        mobile: series.customer.mobile,
+        resourceName: series.customer.resourceName,
+        date: start.format('YYYY-MM-DD'),
+        time: start.format('HH:mm'),
+        serviceIds: occurrence.serviceIds,
+        duration
+      }));
+      if (result.success) {
+        await seriesService.updateOccurrence(series.id, occurrence.index, { start: start.toISOString() });
+      }
+      results.push({
+        index: occurrence.index,
+        appointmentId: occurrence.appointmentId,
+        date: start.format('YYYY-MM-DD'),
+        time: start.format('h:mm A'),
+        success: result.success,
+        ...(result.success ? {} : { error: result.message || result.error })
+      });
+    }
+
+    const moved = results.filter(result => result.success).length;
+    return JSON.stringify({
+      success: moved > 0,
+      seriesId: series.id,
+      results,
+      message: moved === results.length
+        ? `Moved ${moved} appointment(s) in the series.`
+        : `Moved ${moved} of ${results.length} appointments; the others could not be updated.`
+    });
+  }
+}
+
+/**
+ * Creates a manageSeries tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The manageSeries tool instance
+ */
+function createManageSeriesTool(context, sessionId) {
+  return new ManageSeriesTool(context, sessionId);
+}
+
+module.exports = {
+  ManageSeriesTool,
+  createManageSeriesTool
+};
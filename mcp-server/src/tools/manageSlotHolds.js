@@ -0,0 +1,97 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const businessCalendar = require('../services/businessCalendar');
+const resourceService = require('../services/resourceService');
+const holdService = require('../services/holdService');
+
+// Define the schema for the manageSlotHolds tool
+const ManageSlotHoldsSchema = z.object({
+  action: z.enum(['list', 'release']).describe("list: show slots customers are currently holding; release: remove a hold"),
+  holdId: z.string().optional().describe("Hold ID to release (from list)")
+});
+
+class ManageSlotHoldsTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "manageSlotHolds";
+    this.description = "Admin only: see which slots customers are holding while they confirm a booking, or release a hold.";
+    this.schema = ManageSlotHoldsSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action, holdId } = inputs;
+    console.log(`📌 manageSlotHolds ${action}${holdId ? ` ${holdId}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.manageSlotHolds) {
+        this.context.memory.tool_usage.manageSlotHolds = [];
+      }
+
+      this.context.memory.tool_usage.manageSlotHolds.push({
+        timestamp: new Date().toISOString(),
+        action,
+        holdId: holdId || null
+      });
+    }
+
+    if (action === 'release') {
+      if (!holdId) {
+        return JSON.stringify({
+          success: false,
+          error: "Missing holdId",
+          message: "Please give the ID of the hold to release (use list first)."
+        });
+      }
+
+      const released = holdService.releaseById(holdId);
+      return JSON.stringify({
+        success: Boolean(released),
+        ...(released ? {} : { error: "Hold not found" }),
+        message: released ? `Released the hold on ${businessCalendar.toMoment(released.start).format('D MMM h:mm A')}.` : `No active hold ${holdId} (it may have expired).`
+      });
+    }
+
+    const holds = holdService.listHolds().map(hold => ({
+      id: hold.id,
+      status: hold.status,
+      customer: hold.customer,
+      date: businessCalendar.formatDate(hold.start),
+      start: businessCalendar.toMoment(hold.start).format('h:mm A'),
+      end: businessCalendar.toMoment(hold.end).format('h:mm A'),
+      staff: hold.staffId ? resourceService.findStaff(hold.staffId)?.name || hold.staffId : null,
+      serviceIds: hold.serviceIds,
+      expiresAt: hold.expiresAt
+    }));
+
+    return JSON.stringify({
+      success: true,
+      count: holds.length,
+      holds,
+      message: holds.length > 0 ? `${holds.length} slot(s) currently held.` : "No slots are being held right now."
+    });
+  }
+}
+
+/**
+ * Creates a manageSlotHolds tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The manageSlotHolds tool instance
+ */
+function createManageSlotHoldsTool(context, sessionId) {
+  return new ManageSlotHoldsTool(context, sessionId);
+}
+
+module.exports = {
+  ManageSlotHoldsTool,
+  createManageSlotHoldsTool
+};
@@ -0,0 +1,252 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const sohoClient = require("../lib/soho-client");
+const { SohoError } = sohoClient;
+const businessCalendar = require('../services/businessCalendar');
+const contactService = require('../services/contactService');
+const { prepareUpdateGraphQLRequest } = require('./updateAppointment');
+const { clearContactsCache } = require('./lookupUser');
+const { loadCustomerProfile } = require('./getCustomerProfile');
+
+// Define the schema for the mergeContacts tool
+const MergeContactsSchema = z.object({
+  action: z.enum(['merge', 'history']).optional().describe("merge (default): merge a duplicate contact into the one to keep; history: list past merges"),
+  keepResourceName: z.string().optional().describe("For merge: resourceName of the contact to keep"),
+  mergeResourceName: z.string().optional().describe("For merge: resourceName of the duplicate to merge into it"),
+  confirm: z.boolean().optional().describe("For merge: true once the admin has confirmed; without it the merge is only previewed")
+});
+
+const PERSON_QUERY = `
+  query($id: String!) {
+    person(id: $id) {
+      id,
+      name,
+      mobile,
+      cancelCount,
+      appointments {
+        id,
+        event {
+          id, start, end, status, resourceName, serviceIds, informed
+        },
+        transaction {
+          totalAmount,
+          discount,
+          additional,
+          deposit
+        }
+      }
+    }
+  }
+`;
+
+const isCancelled = appointment => String(appointment.event?.status || '').toLowerCase() === 'cancelled';
+
+class MergeContactsTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "mergeContacts";
+    this.description = "Admin only: merge a duplicate contact into the one to keep. Their appointments, stored memory and profile move to the kept contact and the merge is recorded. Call without confirm first to preview it, and only call again with confirm: true once the admin agrees. Use action 'history' to list past merges.";
+    this.schema = MergeContactsSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { action = 'merge', keepResourceName, mergeResourceName, confirm } = inputs;
+    console.log(`🔀 mergeContacts ${action}${mergeResourceName ? ` ${mergeResourceName} into ${keepResourceName}` : ''}${confirm ? ' (confirmed)' : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.mergeContacts) {
+        this.context.memory.tool_usage.mergeContacts = [];
+      }
+
+      this.context.memory.tool_usage.mergeContacts.push({
+        timestamp: new Date().toISOString(),
+        action,
+        keepResourceName: keepResourceName || null,
+        mergeResourceName: mergeResourceName || null,
+        confirm: confirm === true
+      });
+    }
+
+    try {
+      if (action === 'history') {
+        const merges = await contactService.getMerges();
+        return JSON.stringify({
+          success: true,
+          count: merges.length,
+          merges,
+          message: merges.length > 0 ? `${merges.length} merge(s) recorded.` : 'No contacts have been merged.'
+        });
+      }
+
+      if (!keepResourceName || !mergeResourceName) {
+        return JSON.stringify({
+          success: false,
+          error: "Missing contacts",
+          message: "Please give the contact to keep (keepResourceName) and the duplicate to merge into it (mergeResourceName)."
+        });
+      }
+      if (keepResourceName === mergeResourceName) {
+        return JSON.stringify({
+          success: false,
+          error: "Same contact",
+          message: "A contact can't be merged into itself."
+        });
+      }
+
+      const merged = await contactService.mergedResourceNames();
+      const alreadyMerged = [keepResourceName, mergeResourceName].find(resourceName => merged.has(resourceName));
+      if (alreadyMerged) {
+        return JSON.stringify({
+          success: false,
+          error: "Already merged",
+          message: `${alreadyMerged} has already been merged into ${await contactService.resolve(alreadyMerged)}.`
+        });
+      }
+
+      let survivor;
+      let duplicate;
+      try {
+        [survivor, duplicate] = await Promise.all([keepResourceName, mergeResourceName].map(async id =>
+          (await sohoClient.request(PERSON_QUERY, { id }, { operation: 'person' })).person));
+      } catch (error) {
+        if (!(error instanceof SohoError)) throw error;
+        return JSON.stringify({
+          success: false,
+          error: "Contacts unavailable",
+          errorType: error.code,
+          message: "The contacts could not be loaded. Please try again later."
+        });
+      }
+
+      const missing = [[survivor, keepResourceName], [duplicate, mergeResourceName]].find(([person]) => !person);
+      if (missing) {
+        return JSON.stringify({
+          success: false,
+          error: "Contact not found",
+          message: `No contact ${missing[1]}.`
+        });
+      }
+
+      const appointments = duplicate.appointments || [];
+      const movable = appointments.filter(appointment => !isCancelled(appointment));
+      const summary = {
+        keep: { resourceName: survivor.id, name: survivor.name, mobile: survivor.mobile, appointments: (survivor.appointments || []).length },
+        merge: { resourceName: duplicate.id, name: duplicate.name, mobile: duplicate.mobile, appointments: appointments.length, cancelCount: duplicate.cancelCount || 0 }
+      };
+
+      // Nothing changes until the admin confirms
+      if (confirm !== true) {
+        return JSON.stringify({
+          success: false,
+          requiresConfirmation: true,
+          preview: summary,
+          message: `This will merge ${duplicate.name} (${duplicate.mobile}) into ${survivor.name} (${survivor.mobile}): ${movable.length} appointment(s) move to ${survivor.name}${appointments.length > movable.length ? ` (${appointments.length - movable.length} cancelled one(s) stay on the duplicate)` : ''}, along with their stored details and profile. Please confirm with the admin; if they agree, call mergeContacts again with confirm: true.`
+        });
+      }
+
+      const appointmentsMoved = [];
+      const appointmentsLeft = appointments.filter(isCancelled).map(appointment => ({ id: appointment.id, reason: 'cancelled' }));
+      for (const appointment of movable) {
+        const moved = await this.moveAppointment(appointment, survivor);
+        if (moved.error) {
+          appointmentsLeft.push({ id: appointment.id, reason: moved.error });
+        } else {
+          appointmentsMoved.push(appointment.id);
+        }
+      }
+
+      const memory = await contactService.moveMemory(survivor.id, duplicate.id);
+      const record = await contactService.recordMerge({
+        survivor: { resourceName: survivor.id, name: survivor.name, mobile: survivor.mobile },
+        duplicate: { resourceName: duplicate.id, name: duplicate.name, mobile: duplicate.mobile, cancelCount: duplicate.cancelCount || 0 },
+        appointmentsMoved,
+        appointmentsLeft,
+        memoryMoved: memory.memoryKeys,
+        profileMerged: memory.profile,
+        by: this.sessionId
+      });
+
+      // Lookups should find the kept contact from now on
+      clearContactsCache();
+      if (this.context?.memory?.user_info?.resourceName === duplicate.id) {
+        this.context.memory.user_info = {
+          resourceName: survivor.id,
+          name: survivor.name,
+          mobile: survivor.mobile,
+          updatedAt: new Date().toISOString()
+        };
+      }
+      if (this.context?.memory?.user_info?.resourceName === survivor.id) {
+        await loadCustomerProfile(this.context, survivor.id);
+      }
+
+      return JSON.stringify({
+        success: true,
+        merge: record,
+        message: `Merged ${duplicate.name} into ${survivor.name}: ${appointmentsMoved.length} appointment(s) moved${appointmentsLeft.length > 0 ? `, ${appointmentsLeft.length} left on the duplicate` : ''}.`
+      });
+    } catch (error) {
+      console.error('❌ Error in mergeContacts tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to merge contacts",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+
+  /**
+   * Point an appointment at the kept contact, leaving its time, services and amounts as they are
+   * @returns {Promise<Object>} { error } when SOHO refused
+   */
+  async moveAppointment(appointment, survivor) {
+    const { event, transaction = {} } = appointment;
+    const start = businessCalendar.toMoment(event.start);
+    const request = prepareUpdateGraphQLRequest({
+      appointmentId: appointment.id,
+      name: survivor.name,
+      mobile: survivor.mobile,
+      resourceName: survivor.id,
+      serviceIds: event.serviceIds || [],
+      duration: businessCalendar.toMoment(event.end).diff(start, 'minutes'),
+      totalAmount: transaction.totalAmount,
+      additional: transaction.additional,
+      discount: transaction.discount,
+      deposit: transaction.deposit,
+      toBeInformed: Boolean(event.informed)
+    }, start.format('YYYYMMDD[T]HHmm'));
+
+    try {
+      await sohoClient.request(request.query, request.variables, { operation: 'updateAppointment' });
+      return {};
+    } catch (error) {
+      if (!(error instanceof SohoError)) throw error;
+      console.error(`❌ Could not move appointment ${appointment.id}: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+}
+
+/**
+ * Creates a mergeContacts tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The mergeContacts tool instance
+ */
+function createMergeContactsTool(context, sessionId) {
+  return new MergeContactsTool(context, sessionId);
+}
+
+module.exports = {
+  MergeContactsTool,
+  createMergeContactsTool
+};
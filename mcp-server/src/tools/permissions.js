@@ -0,0 +1,246 @@
+/**
+ * Tool permission policy
+ * Declares which personas may use each tool, plus per-argument constraints.
+ * Enforced when tools are bound to the LLM (createTools) and when a tool is
+ * called, whether by the model or through the `useTool` socket event.
+ *
+ * The persona is not authenticated: it comes from the `isAdmin` flag on the
+ * first event of a socket session (see getContextBySessionId in index.js) and
+ * cannot change afterwards. Only the trusted chat server and admin app should
+ * be able to reach the MCP server's socket.
+ */
+
+const phone = require('../lib/phone');
+
+const ROLES = {
+  ADMIN: 'admin',
+  CUSTOMER: 'customer'
+};
+
+// Roles allowed to use tools that are missing from the policy
+const DEFAULT_ROLES = [ROLES.ADMIN];
+
+/**
+ * Constraint format (applied to the listed role only):
+ *   { arg, matches: 'resourceName' | 'mobile' }  argument must be the identified customer's own value
+ *   { arg, ownedAppointment: true }               appointment must belong to the identified customer
+ *   whenIdentified: true                           only enforced once the customer has been identified
+ *   whenGiven: true                                allowed when the argument is left out, even before
+ *                                                  the customer has been identified
+ */
+const TOOL_POLICY = {
+  // History needs an identified customer; lookupUser (identity only) is how they identify
+  lookupAndHistory: {
+    roles: [ROLES.ADMIN, ROLES.CUSTOMER],
+    constraints: {
+      customer: [{ arg: 'phoneNumber', matches: 'mobile' }]
+    }
+  },
+  lookupUser: {
+    roles: [ROLES.ADMIN, ROLES.CUSTOMER],
+    constraints: {
+      customer: [{ arg: 'phoneNumber', matches: 'mobile', whenIdentified: true }]
+    }
+  },
+  createAppointment: {
+    roles: [ROLES.ADMIN, ROLES.CUSTOMER],
+    constraints: {
+      customer: [
+        { arg: 'resourceName', matches: 'resourceName' },
+        { arg: 'mobile', matches: 'mobile' }
+      ]
+    }
+  },
+  getAppointment: {
+    roles: [ROLES.ADMIN, ROLES.CUSTOMER],
+    constraints: {
+      customer: [{ arg: 'appointmentId', ownedAppointment: true }]
+    }
+  },
+  listServices: { roles: [ROLES.ADMIN, ROLES.CUSTOMER] },
+  getServiceInfo: { roles: [ROLES.ADMIN, ROLES.CUSTOMER] },
+  getAvailableSlots: { roles: [ROLES.ADMIN, ROLES.CUSTOMER] },
+  selectServices: { roles: [ROLES.ADMIN, ROLES.CUSTOMER] },
+  validateMemory: { roles: [ROLES.ADMIN, ROLES.CUSTOMER] },
+  createContact: { roles: [ROLES.ADMIN] },
+  updateAppointment: { roles: [ROLES.ADMIN] },
+  cancelAppointment: { roles: [ROLES.ADMIN] },
+  storeUser: { roles: [ROLES.ADMIN] },
+  searchCustomers: { roles: [ROLES.ADMIN] },
+  manageHolidays: { roles: [ROLES.ADMIN] },
+  getStaffAvailability: { roles: [ROLES.ADMIN] },
+  holdSlot: { roles: [ROLES.ADMIN, ROLES.CUSTOMER] },
+  manageSlotHolds: { roles: [ROLES.ADMIN] },
+  blockTime: { roles: [ROLES.ADMIN] },
+  manageBlocks: { roles: [ROLES.ADMIN] },
+  bookSeries: {
+    roles: [ROLES.ADMIN, ROLES.CUSTOMER],
+    constraints: {
+      customer: [
+        { arg: 'resourceName', matches: 'resourceName' },
+        { arg: 'mobile', matches: 'mobile' },
+        { arg: 'existingAppointmentId', ownedAppointment: true }
+      ]
+    }
+  },
+  manageSeries: { roles: [ROLES.ADMIN] },
+  getQuote: {
+    roles: [ROLES.ADMIN, ROLES.CUSTOMER],
+    constraints: {
+      customer: [
+        { arg: 'resourceName', matches: 'resourceName', whenIdentified: true },
+        { arg: 'appointmentId', ownedAppointment: true, whenGiven: true }
+      ]
+    }
+  },
+  applyPromoCode: {
+    roles: [ROLES.ADMIN, ROLES.CUSTOMER],
+    constraints: {
+      customer: [{ arg: 'resourceName', matches: 'resourceName', whenIdentified: true }]
+    }
+  },
+  issueVoucher: { roles: [ROLES.ADMIN] },
+  managePromotions: { roles: [ROLES.ADMIN] },
+  manageDeposits: { roles: [ROLES.ADMIN] },
+  getCustomerProfile: { roles: [ROLES.ADMIN] },
+  updateCustomerProfile: {
+    roles: [ROLES.ADMIN, ROLES.CUSTOMER],
+    constraints: {
+      customer: [{ arg: 'resourceName', matches: 'resourceName' }]
+    }
+  },
+  updateContact: { roles: [ROLES.ADMIN] },
+  findDuplicateContacts: { roles: [ROLES.ADMIN] },
+  mergeContacts: { roles: [ROLES.ADMIN] }
+};
+
+/**
+ * Work out the persona for a session
+ * @param {Object} context - MCP context (or its JSON form)
+ * @param {boolean} isAdmin - Admin flag supplied by the caller
+ * @returns {string} 'admin' or 'customer'
+ */
+function getRole(context, isAdmin = false) {
+  return isAdmin === true || context?.memory?.admin_mode === true ? ROLES.ADMIN : ROLES.CUSTOMER;
+}
+
+/**
+ * Get the policy entry for a tool
+ * @param {string} toolName - Name of the tool
+ * @returns {Object} { roles, constraints }
+ */
+function getToolPolicy(toolName) {
+  return TOOL_POLICY[toolName] || { roles: DEFAULT_ROLES };
+}
+
+/**
+ * Check whether a role may use a tool at all
+ * @param {string} toolName - Name of the tool
+ * @param {string} role - Persona
+ * @returns {boolean}
+ */
+function isToolAllowed(toolName, role) {
+  return getToolPolicy(toolName).roles.includes(role);
+}
+
+/**
+ * Keep only the tools a role may use
+ * @param {Array} tools - Tool instances
+ * @param {string} role - Persona
+ * @returns {Array} Allowed tools
+ */
+function filterToolsForRole(tools, role) {
+  return tools.filter(tool => isToolAllowed(tool.name, role));
+}
+
+/**
+ * Get the identified customer for a session
+ * @param {Object} memory - Context memory
+ * @returns {Object|null} { resourceName, mobile, appointmentIds }
+ */
+function getIdentifiedCustomer(memory = {}) {
+  const resourceName = memory.user_info?.resourceName || memory.identity?.user_id;
+  if (!resourceName) return null;
+
+  const history = memory.customer_appointments?.[resourceName]?.appointments || [];
+  const appointmentIds = history.map(appointment => appointment.id).filter(Boolean);
+  if (memory.last_appointment?.id) appointmentIds.push(memory.last_appointment.id);
+
+  return {
+    resourceName,
+    mobile: memory.user_info?.mobile || memory.identity?.mobile,
+    appointmentIds
+  };
+}
+
+/**
+ * Check a single constraint
+ * @returns {string|null} Reason the call is denied, or null when allowed
+ */
+function checkConstraint(constraint, args, customer) {
+  const value = args[constraint.arg];
+  const given = value !== undefined && value !== null && value !== '';
+
+  if (constraint.whenGiven && !given) return null;
+
+  if (!customer) {
+    return constraint.whenIdentified
+      ? null
+      : `Please identify the customer (lookupUser with their mobile number) before using this.`;
+  }
+
+  // Absent optional arguments are handled by the tool itself
+  if (!given) return null;
+
+  if (constraint.matches === 'resourceName' && value !== customer.resourceName) {
+    return `Customers can only use their own account (${constraint.arg} does not match).`;
+  }
+
+  if (constraint.matches === 'mobile' && !phone.samePhone(value, customer.mobile)) {
+    return `Customers can only use their own mobile number.`;
+  }
+
+  if (constraint.ownedAppointment && !customer.appointmentIds.includes(value)) {
+    return `Customers can only view their own appointments.`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a tool call is allowed for a role, including argument constraints
+ * @param {string} toolName - Name of the tool
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - MCP context (or its JSON form)
+ * @param {string} role - Persona
+ * @returns {Object} { allowed, reason }
+ */
+function checkToolPermission(toolName, args = {}, context = {}, role = ROLES.CUSTOMER) {
+  const policy = getToolPolicy(toolName);
+
+  if (!policy.roles.includes(role)) {
+    return { allowed: false, reason: `The ${toolName} tool is not available to ${role} sessions.` };
+  }
+
+  const constraints = policy.constraints?.[role] || [];
+  const customer = getIdentifiedCustomer(context.memory);
+
+  for (const constraint of constraints) {
+    const reason = checkConstraint(constraint, args, customer);
+    if (reason) {
+      return { allowed: false, reason };
+    }
+  }
+
+  return { allowed: true, reason: null };
+}
+
+module.exports = {
+  ROLES,
+  TOOL_POLICY,
+  getRole,
+  getToolPolicy,
+  isToolAllowed,
+  filterToolsForRole,
+  checkToolPermission
+};
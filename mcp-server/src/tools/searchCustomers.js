@@ -1,10 +1,14 @@
 const { StructuredTool } = require("@langchain/core/tools");
 const { z } = require("zod");
-const axios = require("axios");
+const sohoClient = require("../lib/soho-client");
+const { SohoError } = sohoClient;
+const { loadCustomerProfile } = require('./getCustomerProfile');
+const contactService = require('../services/contactService');
+const phone = require('../lib/phone');
 
 // Define the schema for the search tool
 const SearchCustomersSchema = z.object({
-  name: z.string().describe("Customer's name or partial name to search for"),
+  name: z.string().describe("Customer's name or partial name to search for, or a mobile number (with the country code for numbers from other countries)"),
   limit: z.number().optional().describe("Maximum number of results to return (default: 10)")
 });
 
@@ -12,7 +16,7 @@ class SearchCustomersTool extends StructuredTool {
   constructor(context, sessionId) {
     super();
     this.name = "searchCustomers";
-    this.description = "Search for customers by name using the SOHO API";
+    this.description = "Search for customers by name or mobile number using the SOHO API";
     this.schema = SearchCustomersSchema;
     
     // Store context and session ID
@@ -28,7 +32,8 @@ class SearchCustomersTool extends StructuredTool {
 
     // Check if this is a numbered selection from previous results
     const trimmedName = name.trim();
-    const isNumber = /^\d+$/.test(trimmedName);
+    // Small numbers pick from the previous results; longer ones are phone numbers
+    const isNumber = /^\d{1,3}$/.test(trimmedName);
     
     if (isNumber) {
       const selectedIndex = parseInt(trimmedName, 10);
@@ -70,6 +75,9 @@ class SearchCustomersTool extends StructuredTool {
             this.context.identity.persona = "returning_customer";
             
             console.log(`💾 Updated context with selected customer: ${selectedCustomer.name}`);
+
+            // Admins see what the salon has recorded about the customer
+            await loadCustomerProfile(this.context, selectedCustomer.resourceName);
           }
           
           // Clear the previous results since we've made a selection
@@ -121,68 +129,37 @@ class SearchCustomersTool extends StructuredTool {
     }
 
     try {
-      // Get API configuration
-      const apiUrl = process.env.SOHO_API_URL || 'https://api.soho.sg/graphql';
-      const authToken = process.env.SOHO_AUTH_TOKEN;
-
-      if (!authToken) {
-        console.error('❌ Missing SOHO_AUTH_TOKEN environment variable');
-        return JSON.stringify({
-          success: false,
-          error: 'Missing authentication token',
-          message: 'The customer search service is currently unavailable. Please try again later.',
-          results: []
-        });
-      }
-
       // Prepare the GraphQL query to search contacts
-      const query = {
-        query: `{
+      const query = `
+        query {
           contacts {
             name
             mobile
             resourceName
           }
-        }`
-      };
+        }
+      `;
 
       console.log('📞 Calling SOHO API to fetch contacts...');
 
       // Make the API call
-      const response = await axios.post(apiUrl, query, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': authToken,
-          'X-Api-Key': process.env.SOHO_API_KEY || ''
-        }
-      });
-
-      if (response.status !== 200) {
-        console.error(`❌ SOHO API error: ${response.status}`);
+      let data;
+      try {
+        data = await sohoClient.request(query, {}, { operation: 'contacts' });
+      } catch (error) {
+        if (!(error instanceof SohoError)) throw error;
         return JSON.stringify({
           success: false,
-          error: `API error: ${response.status}`,
-          message: 'The customer search service encountered an error. Please try again later.',
-          results: []
-        });
-      }
-
-      const data = response.data;
-
-      // Check for GraphQL errors
-      if (data.errors) {
-        console.error('❌ GraphQL errors:', data.errors);
-        return JSON.stringify({
-          success: false,
-          error: 'GraphQL errors',
-          message: 'There was an error processing your search request.',
-          details: data.errors.map(e => e.message).join(', '),
+          error: 'Customer search failed',
+          errorType: error.code,
+          message: 'The customer search service is currently unavailable. Please try again later.',
+          details: error.message,
           results: []
         });
       }
 
       // Check if we got contacts data
-      if (!data.data || !data.data.contacts) {
+      if (!data.contacts) {
         console.error('❌ Invalid response format from SOHO API:', data);
         return JSON.stringify({
           success: false,
@@ -192,13 +169,19 @@ class SearchCustomersTool extends StructuredTool {
         });
       }
 
-      const contacts = data.data.contacts;
+      const contacts = data.contacts;
       console.log(`✅ Successfully fetched ${contacts.length} contacts from SOHO API`);
 
-      // Filter contacts by name (case-insensitive search)
+      // Filter contacts by phone number, or by name (case-insensitive search), leaving out contacts merged into another one
       const searchTerm = trimmedName.toLowerCase();
+      const phoneQuery = trimmedName.replace(/\D/g, '').length >= 7 ? phone.normalizePhone(trimmedName) : null;
+      const merged = await contactService.mergedResourceNames();
       const matchingContacts = contacts.filter(contact => {
-        if (!contact || !contact.name) return false;
+        if (!contact || !contact.name || merged.has(contact.resourceName)) return false;
+        if (phoneQuery) {
+          const contactPhone = phone.normalizePhone(contact.mobile);
+          return contactPhone ? contactPhone === phoneQuery : phone.trailingDigits(contact.mobile) === phone.trailingDigits(phoneQuery);
+        }
         return contact.name.toLowerCase().includes(searchTerm);
       });
 
@@ -277,23 +260,11 @@ class SearchCustomersTool extends StructuredTool {
     } catch (error) {
       console.error('❌ Error in searchCustomers tool:', error);
 
-      // Provide more specific error information
-      let errorMessage = 'An error occurred while searching for customers.';
-      let errorDetails = error.message;
-
-      if (error.response) {
-        errorMessage = `API error: ${error.response.status}`;
-        errorDetails = error.response.data || error.message;
-      } else if (error.request) {
-        errorMessage = 'Network error: Unable to reach the customer database.';
-        errorDetails = 'Please check your internet connection and try again.';
-      }
-
       return JSON.stringify({
         success: false,
-        error: errorMessage,
+        error: 'An error occurred while searching for customers.',
         message: 'The customer search service is currently unavailable. Please try again later.',
-        details: errorDetails,
+        details: error.message,
         results: []
       });
     }
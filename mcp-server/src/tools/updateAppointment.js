@@ -1,8 +1,12 @@
 const { StructuredTool } = require("@langchain/core/tools");
 const { z } = require("zod");
-const axios = require("axios");
+const sohoClient = require("../lib/soho-client");
+const { SohoError } = sohoClient;
 const { getAllFormattedServices, getServiceDuration } = require('./listServices');
 const { fetchAppointmentDetails } = require('./getAppointment');
+const { priceBooking } = require('./getQuote');
+const pricingService = require('../services/pricingService');
+const promotionService = require('../services/promotionService');
 
 // Define the schema for the updateAppointment tool
 const UpdateAppointmentSchema = z.object({
@@ -17,10 +21,9 @@ const UpdateAppointmentSchema = z.object({
     z.string()
   ]).describe("Service IDs for the appointment - can be an array or comma-separated string"),
   duration: z.number().optional().describe("Duration of the appointment in minutes"),
-  totalAmount: z.number().optional().describe("Total amount for the appointment"),
-  additional: z.number().optional().describe("Additional amount"),
-  discount: z.number().optional().describe("Discount amount"),
-  deposit: z.number().optional().describe("Deposit amount"),
+  quoteId: z.string().optional().describe("quoteId from getQuote for the new services and time; the update uses the quoted prices, discounts and deposit"),
+  promoCodes: z.array(z.string()).optional().describe("Promo codes to apply when updating without a quoteId (the appointment is re-priced for the new services and time). Leave out to keep the codes and vouchers the appointment already uses; pass [] to drop them"),
+  addOns: z.array(z.string()).optional().describe("Add-on IDs to include when updating without a quoteId"),
   toBeInformed: z.boolean().optional().describe("Whether to inform the customer")
 });
 
@@ -156,7 +159,7 @@ class UpdateAppointmentTool extends StructuredTool {
   }
 
   async _call(inputs) {
-    const { appointmentId, date, time, name, mobile, resourceName, serviceIds, duration, totalAmount, additional, discount, deposit, toBeInformed } = inputs;
+    const { appointmentId, date, time, name, mobile, resourceName, serviceIds, duration, quoteId, promoCodes, addOns, toBeInformed } = inputs;
 
     console.log(`🔄 Update appointment request for session: ${this.sessionId}`);
     console.log(`📋 Appointment ID: ${appointmentId}`);
@@ -199,10 +202,7 @@ class UpdateAppointmentTool extends StructuredTool {
       let customerResourceName = resourceName;
       let serviceIdsArray = [];
       let appointmentDuration = duration;
-      let appointmentTotalAmount = totalAmount;
-      let appointmentAdditional = additional;
-      let appointmentDiscount = discount;
-      let appointmentDeposit = deposit;
+      let existingDeposit = 0;
       
       // Check if we got existing appointment data
       if (existingAppointment) {
@@ -223,11 +223,8 @@ class UpdateAppointmentTool extends StructuredTool {
           console.log(`📋 Using service IDs from existing appointment: ${JSON.stringify(serviceIdsArray)}`);
         }
         
-        // Use existing financial info if not explicitly provided
-        appointmentTotalAmount = appointmentTotalAmount || transaction.totalAmount;
-        appointmentAdditional = appointmentAdditional || transaction.additional;
-        appointmentDiscount = appointmentDiscount || transaction.discount;
-        appointmentDeposit = appointmentDeposit || transaction.deposit;
+        // A deposit already taken is kept even if the new price needs less
+        existingDeposit = Number(transaction.deposit) || 0;
       } else {
         console.log('⚠️ Could not fetch existing appointment details, using provided data');
       }
@@ -358,6 +355,37 @@ class UpdateAppointmentTool extends StructuredTool {
       console.log(`📋 Calculated duration: ${appointmentDuration} minutes`);
       console.log(`📋 Services: ${serviceNames.join(', ')}`);
       
+      // Re-price for the new services and time, from the quote when one was given;
+      // codes the appointment already used carry over unless others are given
+      const usedCodes = (await promotionService.listRedemptions({ appointmentId }))
+        .filter(item => item.status === 'redeemed')
+        .map(item => item.code);
+      const pricing = await priceBooking({
+        quoteId,
+        sessionId: this.sessionId,
+        promoCodes: promoCodes || usedCodes,
+        addOns,
+        serviceIds: serviceIdsArray,
+        start: dateObj,
+        resourceName: customerResourceName,
+        appointmentId
+      });
+      if (pricing.error) {
+        return JSON.stringify({ success: false, ...pricing.error });
+      }
+      const amounts = pricingService.toBookingAmounts(pricing.quote);
+      amounts.deposit = Math.max(amounts.deposit, existingDeposit);
+
+      // Move the appointment's code uses and voucher spend over to the new price
+      const redemption = await promotionService.claim(pricing.quote, { start: dateObj, resourceName: customerResourceName, sessionId: this.sessionId, appointmentId });
+      if (redemption.error) {
+        return JSON.stringify({
+          success: false,
+          error: 'Pricing not applied',
+          message: `Not updated: ${redemption.error}. Please get a new quote with getQuote.`
+        });
+      }
+      
       // Prepare the update request
       const updateRequest = prepareUpdateGraphQLRequest(
         {
@@ -367,43 +395,33 @@ class UpdateAppointmentTool extends StructuredTool {
           resourceName: customerResourceName,
           serviceIds: serviceIdsArray,
           duration: appointmentDuration,
-          totalAmount: appointmentTotalAmount,
-          additional: appointmentAdditional,
-          discount: appointmentDiscount,
-          deposit: appointmentDeposit,
+          ...amounts,
           toBeInformed
         },
         formattedStart
       );
       
-      // Get API credentials
-      const apiUrl = process.env.SOHO_API_URL || 'https://api.soho.sg/graphql';
-      const authToken = process.env.SOHO_AUTH_TOKEN;
+      console.log('📤 Sending update request to API...');
       
-      if (!authToken) {
-        console.error('❌ Missing SOHO_AUTH_TOKEN environment variable');
+      // Make the API call to update the appointment
+      let result;
+      try {
+        result = await sohoClient.request(updateRequest.query, updateRequest.variables, { operation: 'updateAppointment' });
+      } catch (error) {
+        await promotionService.release(redemption.claimId);
+        if (!(error instanceof SohoError)) throw error;
         return JSON.stringify({
           success: false,
-          error: 'API authentication not configured',
-          message: 'The system is not properly configured to update appointments'
+          error: 'Failed to update appointment',
+          errorType: error.code,
+          message: error.message
         });
       }
       
-      console.log('📤 Sending update request to API...');
-      
-      // Make the API call to update the appointment
-      const response = await axios.post(apiUrl, updateRequest, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': authToken
-        }
-      });
-      
-      const result = response.data;
-      
       // Check if appointment was updated successfully
-      if (result.data?.updateAppointment) {
-        const updatedAppointment = result.data.updateAppointment;
+      if (result.updateAppointment) {
+        const updatedAppointment = result.updateAppointment;
+        await promotionService.confirm(redemption.claimId, appointmentId);
         const event = updatedAppointment.event || {};
         const transaction = updatedAppointment.transaction || {};
         
@@ -431,25 +449,20 @@ class UpdateAppointmentTool extends StructuredTool {
             },
             services: displayServiceNames,
             transaction: {
-              totalAmount: transaction.totalAmount || appointmentTotalAmount || 0,
-              discount: transaction.discount || appointmentDiscount || 0,
-              additional: transaction.additional || appointmentAdditional || 0,
-              deposit: transaction.deposit || appointmentDeposit || 0
+              totalAmount: transaction.totalAmount || amounts.totalAmount,
+              discount: transaction.discount || amounts.discount,
+              additional: transaction.additional || amounts.additional,
+              deposit: transaction.deposit || amounts.deposit
+            },
+            price: {
+              lines: pricing.quote.lines,
+              total: pricing.quote.total
             }
           }
         });
-      } else if (result.errors) {
-        // Handle GraphQL errors
-        const errorMessage = result.errors[0]?.message || 'Unknown error occurred';
-        console.error('❌ GraphQL error:', errorMessage);
-        
-        return JSON.stringify({
-          success: false,
-          error: 'Failed to update appointment',
-          message: errorMessage
-        });
       } else {
         console.error('❌ Unexpected API response:', JSON.stringify(result).substring(0, 200));
+        await promotionService.release(redemption.claimId);
         
         return JSON.stringify({
           success: false,
@@ -475,5 +488,6 @@ function createUpdateAppointmentTool(context, sessionId) {
 
 module.exports = {
   UpdateAppointmentTool,
-  createUpdateAppointmentTool
+  createUpdateAppointmentTool,
+  prepareUpdateGraphQLRequest
 }; 
\ No newline at end of file
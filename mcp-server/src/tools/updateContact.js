@@ -0,0 +1,152 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const sohoClient = require("../lib/soho-client");
+const { SohoError } = sohoClient;
+const phone = require('../lib/phone');
+const { clearContactsCache } = require('./lookupUser');
+
+// Define the schema for the updateContact tool
+const UpdateContactSchema = z.object({
+  resourceName: z.string().describe("resourceName of the contact to change"),
+  first: z.string().optional().describe("Corrected first name"),
+  last: z.string().optional().describe("Corrected last name (only used together with first)"),
+  mobile: z.string().optional().describe("New mobile number; numbers from other countries need their country code")
+});
+
+const UPDATE_CONTACT_MUTATION = `
+  mutation UpdateContact($resourceName: String!, $first: String, $last: String, $mobile: String) {
+    updateContact(
+      resourceName: $resourceName
+      first: $first
+      last: $last
+      mobile: $mobile
+    ) {
+      name
+      mobile
+      resourceName
+    }
+  }
+`;
+
+class UpdateContactTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "updateContact";
+    this.description = "Admin only: correct a customer's name or change their mobile number. Give the full corrected name (first and last).";
+    this.schema = UpdateContactSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { resourceName, first, last } = inputs;
+    const parsed = inputs.mobile ? phone.parsePhone(inputs.mobile) : null;
+    const mobile = parsed?.e164 || null;
+    console.log(`✏️ updateContact ${resourceName}${first ? ` name: ${first} ${last || ''}` : ''}${mobile ? ` mobile: ${mobile}` : ''} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.updateContact) {
+        this.context.memory.tool_usage.updateContact = [];
+      }
+
+      this.context.memory.tool_usage.updateContact.push({
+        timestamp: new Date().toISOString(),
+        params: inputs
+      });
+    }
+
+    if (parsed && !parsed.valid) {
+      return JSON.stringify({
+        success: false,
+        error: "Invalid phone number",
+        message: `${parsed.error}.`
+      });
+    }
+
+    if (!first && !mobile) {
+      return JSON.stringify({
+        success: false,
+        error: "Nothing to update",
+        message: "Please give the corrected name or the new mobile number."
+      });
+    }
+
+    try {
+      let result;
+      try {
+        result = await sohoClient.request(UPDATE_CONTACT_MUTATION, {
+          resourceName,
+          first: first || null,
+          last: first ? (last || null) : null,
+          mobile
+        }, { operation: 'updateContact' });
+      } catch (error) {
+        if (!(error instanceof SohoError)) throw error;
+        return JSON.stringify({
+          success: false,
+          error: error.code === 'CONFLICT' ? 'Mobile number already in use' : 'Failed to update contact',
+          errorType: error.code,
+          message: error.code === 'CONFLICT'
+            ? `Another contact already has ${mobile}. If they are the same person, use findDuplicateContacts and mergeContacts instead.`
+            : error.message
+        });
+      }
+
+      const contact = result.updateContact;
+      if (!contact) {
+        return JSON.stringify({
+          success: false,
+          error: "Failed to update contact",
+          message: "No data returned from API"
+        });
+      }
+
+      // Lookups should see the change straight away
+      clearContactsCache();
+      if (this.context?.memory?.user_info?.resourceName === contact.resourceName) {
+        this.context.memory.user_info = {
+          ...this.context.memory.user_info,
+          name: contact.name,
+          mobile: contact.mobile,
+          updatedAt: new Date().toISOString()
+        };
+      }
+
+      console.log(`✅ Contact updated: ${contact.name} (${contact.mobile})`);
+      return JSON.stringify({
+        success: true,
+        contact,
+        message: `Contact updated: ${contact.name}, ${contact.mobile}.`
+      });
+    } catch (error) {
+      console.error('❌ Error in updateContact tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to update contact",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates an updateContact tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The updateContact tool instance
+ */
+function createUpdateContactTool(context, sessionId) {
+  return new UpdateContactTool(context, sessionId);
+}
+
+module.exports = {
+  UpdateContactTool,
+  createUpdateContactTool
+};
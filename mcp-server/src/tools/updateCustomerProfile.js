@@ -0,0 +1,153 @@
+const { StructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const profileService = require('../services/profileService');
+const { getRole } = require('./permissions');
+const { loadCustomerProfile } = require('./getCustomerProfile');
+
+// Define the schema for the updateCustomerProfile tool
+const UpdateCustomerProfileSchema = z.object({
+  resourceName: z.string().optional().describe("resourceName of the customer; defaults to the customer loaded in this session"),
+  allergies: z.array(z.string()).nullable().optional().describe("Admins: the full list of allergies (read the profile first so none are lost), [] records that there are none, null clears it. Customers: allergies to add to the ones on record"),
+  sensitiveSkin: z.boolean().nullable().optional().describe("Whether the customer has sensitive skin; null clears it"),
+  lashCurl: z.string().nullable().optional().describe("Preferred lash curl, e.g. 'C' or 'D'; null clears it"),
+  lashLength: z.string().nullable().optional().describe("Preferred lash length, e.g. '10-12mm'; null clears it"),
+  preferredTherapist: z.string().nullable().optional().describe("Preferred therapist (name or staff ID); null clears it"),
+  note: z.string().optional().describe("Admin only: a free-form staff note to add"),
+  removeNoteId: z.string().optional().describe("Admin only: ID of a staff note to remove"),
+  author: z.string().optional().describe("Name of the staff member making the change (admin sessions)")
+});
+
+const FIELDS = ['allergies', 'sensitiveSkin', 'lashCurl', 'lashLength', 'preferredTherapist'];
+
+class UpdateCustomerProfileTool extends StructuredTool {
+  constructor(context, sessionId) {
+    super();
+    this.name = "updateCustomerProfile";
+    this.description = "Record what to remember about a customer: allergies, sensitive skin, lash curl/length, preferred therapist, and (admin only) staff notes. Only the fields given are changed.";
+    this.schema = UpdateCustomerProfileSchema;
+
+    // Store context and session ID
+    this.context = context;
+    this.sessionId = sessionId;
+  }
+
+  async _call(inputs) {
+    const { note, removeNoteId } = inputs;
+    const resourceName = inputs.resourceName || this.context?.memory?.user_info?.resourceName;
+    const isAdmin = getRole(this.context) === 'admin';
+    console.log(`📇 updateCustomerProfile for ${resourceName || 'unknown customer'} (Session: ${this.sessionId})`);
+
+    // Track tool usage in memory
+    if (this.context && this.context.memory) {
+      if (!this.context.memory.tool_usage) {
+        this.context.memory.tool_usage = {};
+      }
+
+      if (!this.context.memory.tool_usage.updateCustomerProfile) {
+        this.context.memory.tool_usage.updateCustomerProfile = [];
+      }
+
+      this.context.memory.tool_usage.updateCustomerProfile.push({
+        timestamp: new Date().toISOString(),
+        resourceName: resourceName || null,
+        fields: FIELDS.filter(field => inputs[field] !== undefined)
+      });
+    }
+
+    if (!resourceName) {
+      return JSON.stringify({
+        success: false,
+        error: "No customer",
+        message: "Please look up the customer first or give their resourceName."
+      });
+    }
+
+    if (!isAdmin && (note || removeNoteId)) {
+      return JSON.stringify({
+        success: false,
+        error: "Not allowed",
+        message: "Staff notes can only be changed by the salon."
+      });
+    }
+
+    try {
+      const author = isAdmin ? (inputs.author || 'admin') : 'customer';
+      const changes = Object.fromEntries(FIELDS.filter(field => inputs[field] !== undefined).map(field => [field, inputs[field]]));
+
+      // Customers can only add allergies; only the salon can take one off the record
+      if (!isAdmin && changes.allergies !== undefined) {
+        const current = await profileService.getProfile(resourceName);
+        changes.allergies = [...(current.fields.allergies?.value || []), ...(changes.allergies || [])];
+      }
+      const { profile, changed } = await profileService.updateFields(resourceName, changes, author);
+
+      let added = null;
+      if (note && note.trim()) {
+        added = await profileService.addNote(resourceName, note, author);
+      }
+
+      let removed = null;
+      if (removeNoteId) {
+        removed = await profileService.removeNote(resourceName, removeNoteId);
+        if (!removed) {
+          return JSON.stringify({
+            success: false,
+            error: "Note not found",
+            message: `No note ${removeNoteId} on this profile.`
+          });
+        }
+      }
+
+      if (changed.length === 0 && !added && !removed) {
+        return JSON.stringify({
+          success: false,
+          error: "Nothing to update",
+          message: "Please give the profile fields to change or a note to add."
+        });
+      }
+
+      // Keep the loaded customer's profile in the admin prompt up to date
+      if (this.context?.memory?.user_info?.resourceName === resourceName) {
+        await loadCustomerProfile(this.context, resourceName);
+      }
+
+      const latest = added || removed ? await profileService.getProfile(resourceName) : profile;
+      const done = [
+        ...(changed.length > 0 ? [`updated ${changed.join(', ')}`] : []),
+        ...(added ? ['added a note'] : []),
+        ...(removed ? ['removed a note'] : [])
+      ];
+      return JSON.stringify({
+        success: true,
+        resourceName,
+        changed,
+        noteId: added?.id || null,
+        fields: latest.fields,
+        ...(isAdmin ? { notes: latest.notes } : {}),
+        message: `Profile ${done.join(' and ')}.`
+      });
+    } catch (error) {
+      console.error('❌ Error in updateCustomerProfile tool:', error);
+      return JSON.stringify({
+        success: false,
+        error: "Failed to update the profile",
+        message: error.message || "An unknown error occurred"
+      });
+    }
+  }
+}
+
+/**
+ * Creates an updateCustomerProfile tool instance with context
+ * @param {Object} context - The MCP context for the session
+ * @param {string} sessionId - The session ID
+ * @returns {StructuredTool} - The updateCustomerProfile tool instance
+ */
+function createUpdateCustomerProfileTool(context, sessionId) {
+  return new UpdateCustomerProfileTool(context, sessionId);
+}
+
+module.exports = {
+  UpdateCustomerProfileTool,
+  createUpdateCustomerProfileTool
+};
@@ -0,0 +1,124 @@
+/**
+ * Shared scaffolding for the test scripts
+ * Each test file runs in its own process, so the failure count is per file.
+ */
+
+const http = require('http');
+
+let failures = 0;
+
+/**
+ * Log a check and count it when it fails
+ * @param {boolean} condition
+ * @param {string} message
+ */
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    console.log(`❌ ${message}`);
+    failures++;
+  }
+}
+
+/**
+ * Count an unexpected error as a failure
+ * @param {Error} error
+ */
+function fail(error) {
+  console.error('❌ Test error:', error);
+  failures++;
+}
+
+/**
+ * Print the summary and exit with the test result
+ * @param {string} name - What was tested, e.g. 'quote' for "All quote tests passed!"
+ */
+function finish(name) {
+  console.log('\n' + '='.repeat(50));
+  if (failures > 0) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log(`🎉 All ${name} tests passed!`);
+  process.exit(0);
+}
+
+/**
+ * Build a function that runs a tool once in a fresh session and parses its JSON output
+ * run(createTool, inputs, { admin, context, sessionId }); output that isn't JSON is returned as is
+ * @param {string} prefix - Session id prefix, e.g. 'quote-session'
+ * @returns {Function}
+ */
+function createToolRunner(prefix) {
+  let sessionCount = 0;
+  return async (create, inputs, { admin = false, context = { memory: admin ? { admin_mode: true } : {} }, sessionId = `${prefix}-${++sessionCount}` } = {}) => {
+    const output = await create(context, sessionId)._call(inputs);
+    return typeof output === 'string' && output.startsWith('{') ? JSON.parse(output) : output;
+  };
+}
+
+/**
+ * Start the fake SOHO API and point the SOHO client at it
+ * @param {Object} options - Passed to FakeSohoServer
+ * @returns {Promise<FakeSohoServer>} Stop it with fake.stop()
+ */
+async function startFakeSoho(options = {}) {
+  const { FakeSohoServer } = require('../src/lib/fake-soho');
+  const sohoClient = require('../src/lib/soho-client');
+
+  const fake = new FakeSohoServer({ authToken: 'fake-token', ...options });
+  process.env.SOHO_API_URL = await fake.start();
+  process.env.SOHO_AUTH_TOKEN = 'fake-token';
+  process.env.SOHO_RETRY_DELAY_MS = '1';
+  sohoClient.resetCircuit();
+  return fake;
+}
+
+/**
+ * Use an in-memory calendar instead of Google Calendar
+ * Reset with setCalendarProvider(null) from src/lib/calendar-provider.
+ * @param {Array<Object>} events - Busy events to start with
+ * @returns {MemoryCalendarProvider}
+ */
+function useMemoryCalendar(events = []) {
+  const { MemoryCalendarProvider, setCalendarProvider } = require('../src/lib/calendar-provider');
+  const provider = new MemoryCalendarProvider({ events });
+  setCalendarProvider(provider);
+  return provider;
+}
+
+/**
+ * Start a local stand-in for an HTTP API on a random port
+ * respond gets the parsed JSON request body (with `headers`) and the response,
+ * and returns what to send: an object is sent as JSON, a string as is.
+ * @param {Function} respond - async (request, res) => reply
+ * @returns {Promise<http.Server>}
+ */
+function startStubApi(respond) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const request = { ...(body ? JSON.parse(body) : {}), headers: req.headers };
+      const reply = await respond(request, res);
+      if (typeof reply === 'string') {
+        res.end(reply);
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(reply));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+module.exports = {
+  check,
+  fail,
+  finish,
+  createToolRunner,
+  startFakeSoho,
+  useMemoryCalendar,
+  startStubApi
+};
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the multi-step agent loop in ChatService
+ * Uses a scripted LLM and stub tools, so no API access is needed
+ */
+
+const ChatService = require('../../src/services/chatService');
+const MCPContext = require('../../src/models/MCPContext');
+const { AIMessageChunk } = require('@langchain/core/messages');
+const { check, fail, finish } = require('../helpers');
+
+console.log('🧪 Testing Multi-Step Agent Loop');
+console.log('===============================\n');
+
+/**
+ * Create a fake LLM that replays scripted responses in order
+ */
+function createScriptedLLM(responses) {
+  const calls = [];
+  const llm = {
+    calls,
+    bindCount: 0,
+    bind() {
+      llm.bindCount++;
+      return {
+        invoke: async (messages) => {
+          calls.push(messages);
+          const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+          return typeof next === 'function' ? next(messages) : next;
+        }
+      };
+    },
+    invoke: async () => ({ content: 'fallback' })
+  };
+  return llm;
+}
+
+function toolCall(id, name, args) {
+  return { id, name, args };
+}
+
+function createStubTool(name, result) {
+  const tool = {
+    name,
+    description: `Stub ${name}`,
+    calls: [],
+    async _call(args) {
+      tool.calls.push(args);
+      return JSON.stringify(typeof result === 'function' ? result(args) : result);
+    }
+  };
+  return tool;
+}
+
+async function testChainedTools() {
+  console.log('📋 Chaining lookup -> slots -> booking in one turn');
+  const chatService = new ChatService({ maxAgentSteps: 5 });
+  const context = new MCPContext({ memory: { admin_mode: true } });
+
+  const lookup = createStubTool('lookupAndHistory', { success: true, name: 'Jane' });
+  const slots = createStubTool('getAvailableSlots', { success: true, availableSlots: ['2:00 PM'] });
+  const book = createStubTool('createAppointment', { success: true, appointmentId: 'apt-1' });
+
+  const llm = createScriptedLLM([
+    { content: '', tool_calls: [toolCall('c1', 'lookupAndHistory', { phoneNumber: '91234567' })] },
+    { content: '', tool_calls: [toolCall('c2', 'getAvailableSlots', { date: 'tomorrow' })] },
+    { content: '', tool_calls: [toolCall('c3', 'createAppointment', { datetime: 'tomorrow 2pm' })] },
+    { content: 'Booked Jane for tomorrow at 2:00 PM.' }
+  ]);
+
+  const result = await chatService.runAgentLoop({
+    llm,
+    tools: [lookup, slots, book],
+    messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'book Jane tomorrow 2pm' }],
+    context,
+    sessionId: 'test-chain'
+  });
+
+  check(result.stopReason === 'completed', 'loop completes with a final answer');
+  check(result.steps === 4, `took 4 steps (got ${result.steps})`);
+  check(result.output === 'Booked Jane for tomorrow at 2:00 PM.', 'returns the final model answer');
+  check(lookup.calls.length === 1 && slots.calls.length === 1 && book.calls.length === 1, 'each tool ran exactly once');
+  check(llm.bindCount === 4, 'tools are bound on every step');
+
+  const lastCall = llm.calls[llm.calls.length - 1];
+  check(lastCall.filter(m => m.role === 'tool').length === 3, 'final step sees all three tool results');
+
+  const assistantWithTools = context.history.filter(m => m.role === 'assistant' && m.tool_calls);
+  check(assistantWithTools.length === 3, 'assistant tool_call messages are recorded in history');
+
+  const validated = chatService.validateConversationHistory(context.history);
+  check(validated.length === context.history.length, 'recorded history passes validation without dropping tool messages');
+}
+
+async function testLoopDetection() {
+  console.log('\n📋 Detecting the same call repeated');
+  const chatService = new ChatService({ maxAgentSteps: 10, maxRepeatedToolCalls: 2 });
+  const context = new MCPContext({ memory: { admin_mode: true } });
+  const slots = createStubTool('getAvailableSlots', { success: true, availableSlots: [] });
+
+  const llm = createScriptedLLM([
+    { content: '', tool_calls: [toolCall('x', 'getAvailableSlots', { date: 'today', requestedTime: '3pm' })] },
+    // Same args in a different key order still count as a repeat
+    { content: '', tool_calls: [toolCall('y', 'getAvailableSlots', { requestedTime: '3pm', date: 'today' })] },
+    { content: '', tool_calls: [toolCall('z', 'getAvailableSlots', { date: 'today', requestedTime: '3pm' })] }
+  ]);
+
+  const result = await chatService.runAgentLoop({
+    llm,
+    tools: [slots],
+    messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'any slots?' }],
+    context,
+    sessionId: 'test-loop'
+  });
+
+  check(result.stopReason === 'loop', 'stops with reason "loop"');
+  check(slots.calls.length === 2, `repeated call is not executed a third time (ran ${slots.calls.length})`);
+  check(/wasn't able to finish/.test(result.output), 'returns a clear gave-up message');
+  check(result.output.includes('getAvailableSlots'), 'gave-up message lists the tools that ran');
+  check(context.history[context.history.length - 1].content === result.output, 'gave-up message is added to history');
+}
+
+async function testStepBudget() {
+  console.log('\n📋 Enforcing the max-step budget');
+  const chatService = new ChatService({ maxAgentSteps: 3 });
+  const context = new MCPContext();
+  const search = createStubTool('searchCustomers', (args) => ({ success: true, query: args.name }));
+
+  let counter = 0;
+  const llm = createScriptedLLM([
+    () => ({ content: '', tool_calls: [toolCall(`s${++counter}`, 'searchCustomers', { name: `name-${counter}` })] })
+  ]);
+
+  const result = await chatService.runAgentLoop({
+    llm,
+    tools: [search],
+    messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'find someone' }],
+    context,
+    sessionId: 'test-budget'
+  });
+
+  check(result.stopReason === 'max_steps', 'stops with reason "max_steps"');
+  check(result.steps === 3, 'uses exactly the configured number of steps');
+  check(result.output.includes('limit of 3 steps'), 'gave-up message mentions the step limit');
+}
+
+async function testMissingTool() {
+  console.log('\n📋 Reporting unknown tools back to the model');
+  const chatService = new ChatService();
+  const context = new MCPContext();
+
+  const llm = createScriptedLLM([
+    { content: '', tool_calls: [toolCall('m1', 'doesNotExist', {})] },
+    (messages) => {
+      const toolMessage = messages.find(m => m.role === 'tool');
+      return { content: toolMessage.content.includes('not found') ? 'That tool is unavailable.' : 'unexpected' };
+    }
+  ]);
+
+  const result = await chatService.runAgentLoop({
+    llm,
+    tools: [],
+    messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'hi' }],
+    context,
+    sessionId: 'test-missing'
+  });
+
+  check(result.output === 'That tool is unavailable.', 'model receives the not-found error and answers');
+}
+
+async function testStreaming() {
+  console.log('\n📋 Streaming tokens and tool status');
+  const chatService = new ChatService();
+  const context = new MCPContext();
+  const slots = createStubTool('getAvailableSlots', { success: true, availableSlots: ['3:00 PM'] });
+
+  // Each step streams a list of chunks; the first one ends in a tool call
+  const steps = [
+    [
+      new AIMessageChunk({ content: 'Let me check' }),
+      new AIMessageChunk({
+        content: '',
+        tool_call_chunks: [{ id: 't1', name: 'getAvailableSlots', args: '{"date":"today"}', index: 0 }]
+      })
+    ],
+    ['We ', 'have ', '3:00 PM', ' free.'].map(text => new AIMessageChunk({ content: text }))
+  ];
+  let stepIndex = 0;
+  const llm = {
+    bind() {
+      return {
+        invoke: async () => { throw new Error('invoke should not be used when streaming'); },
+        stream: async () => {
+          const chunks = steps[stepIndex++];
+          return (async function* () { yield* chunks; })();
+        }
+      };
+    }
+  };
+
+  const tokens = [];
+  const statuses = [];
+  const result = await chatService.runAgentLoop({
+    llm,
+    tools: [slots],
+    messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'free today?' }],
+    context,
+    sessionId: 'test-stream',
+    onToken: token => tokens.push(token),
+    onStatus: status => statuses.push(status)
+  });
+
+  check(slots.calls.length === 1 && slots.calls[0].date === 'today', 'tool call is parsed from streamed chunks');
+  check(statuses.length === 1 && statuses[0].message === 'Checking availability…', 'status event is sent while the tool runs');
+  check(tokens.join('').endsWith('We have 3:00 PM free.'), 'answer tokens are streamed in order');
+  check(result.output === 'We have 3:00 PM free.', 'final output matches the streamed answer');
+}
+
+async function runTests() {
+  try {
+    await testChainedTools();
+    await testLoopDetection();
+    await testStepBudget();
+    await testMissingTool();
+    await testStreaming();
+  } catch (error) {
+    fail(error);
+  }
+
+  finish('agent loop');
+}
+
+runTests();
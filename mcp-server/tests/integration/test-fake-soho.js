@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Booking flow against the fake SOHO API
+ * Books, moves and cancels an appointment with the real tools, checks the
+ * conflict rules and injected failures. Needs no credentials or network access.
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const axios = require('axios');
+const businessCalendar = require('../../src/services/businessCalendar');
+const bookingLedger = require('../../src/services/bookingLedger');
+const holdService = require('../../src/services/holdService');
+const sohoClient = require('../../src/lib/soho-client');
+const { check, fail, finish, startFakeSoho } = require('../helpers');
+
+console.log('🧪 Testing Booking Flow Against the Fake SOHO API');
+console.log('================================================\n');
+
+const alice = { name: 'Alice Tan', mobile: '+6591234567', resourceName: 'people/c1001' };
+const bob = { name: 'Bob Lim', mobile: '+6598765432', resourceName: 'people/c1002' };
+
+function requestsFor(fake, operation) {
+  return fake.requests.filter(request => request.operation === operation).length;
+}
+
+async function testBookingFlow(fake, tools) {
+  console.log('📋 Booking flow');
+  const services = await tools.listServices.getServices(true);
+  check(services.some(service => service.id === 'service:lashes-natural'), 'services come from the fixtures');
+  check(!services.some(service => service.id === 'service:waxing-full-leg' || service.id === 'service:old-lashes'), 'disabled and old services are filtered out');
+
+  const booked = JSON.parse(await tools.createAppointment({ memory: {} }, 'session-a')._call({
+    ...alice, serviceIds: ['service:lashes-natural'], datetime: '20300610T1400'
+  }));
+  const appointment = fake.appointments.find(item => item.id === booked.appointmentId);
+  check(booked.success && appointment, 'createAppointment books through the API');
+  check(appointment?.event.start === '2030-06-10T14:00:00+08:00' && appointment?.event.end === '2030-06-10T15:30:00+08:00', 'the booking has the right time and length');
+
+  const history = JSON.parse(await tools.getCustomerAppointments({ memory: {} }, 'session-a')._call({ resourceName: alice.resourceName, limit: 5 }));
+  check(history.appointments.some(item => item.id === booked.appointmentId), 'the new appointment shows in the customer history');
+
+  const moved = JSON.parse(await tools.updateAppointment({ memory: {} }, 'session-a')._call({
+    ...alice, appointmentId: booked.appointmentId, date: '2030-06-11', time: '11:00', serviceIds: ['service:lashes-natural'], duration: 90
+  }));
+  check(moved.success && appointment?.event.start === '2030-06-11T11:00:00+08:00', 'updateAppointment moves the booking');
+
+  const cancelled = JSON.parse(await tools.cancelAppointment({ memory: {} }, 'session-a')._call({ appointmentId: booked.appointmentId, reason: 'Travelling', lateCancel: false }));
+  check(cancelled.success && appointment?.event.status === 'cancelled', 'cancelAppointment cancels it');
+}
+
+async function testConflicts(fake, tools) {
+  console.log('\n📋 Conflict rules');
+  fake.seed({
+    ...JSON.parse(JSON.stringify({ services: fake.services, contacts: fake.contacts })),
+    appointments: [{ id: 'appt-existing', resourceName: 'people/c1003', start: '20300612T1400', duration: 60, serviceIds: ['service:lash-lift'] }]
+  });
+
+  const clash = JSON.parse(await tools.createAppointment({ memory: {} }, 'session-b')._call({
+    ...bob, serviceIds: ['service:threading-brow'], datetime: '20300612T1430'
+  }));
+  check(!clash.success && clash.errorType === 'CONFLICT', 'an overlapping booking is rejected as a conflict');
+
+  const forced = JSON.parse(await tools.createAppointment({ memory: {} }, 'session-b')._call({
+    ...bob, serviceIds: ['service:threading-brow'], datetime: '20300612T1430', force: true
+  }));
+  check(forced.success, 'force books it anyway');
+
+  const newCustomer = JSON.parse(await tools.createAppointment({ memory: {} }, 'session-c')._call({
+    name: 'Dana Lee', mobile: '+6582223333', resourceName: 'people/unknown', serviceIds: ['service:threading-brow'], datetime: '20300612T1600'
+  }));
+  check(newCustomer.success && newCustomer.createdNewContact, 'booking for someone new creates the contact');
+}
+
+async function testInjectedFailures(fake, tools, controlUrl) {
+  console.log('\n📋 Injected failures');
+  await axios.post(`${controlUrl}/fail`, { operation: 'services', status: 503 });
+  const before = requestsFor(fake, 'services');
+  const services = await tools.listServices.getServices(true);
+  check(services.length > 0 && requestsFor(fake, 'services') === before + 2, 'a failed query is retried');
+
+  await axios.post(`${controlUrl}/fail`, { operation: 'createAppointment', status: 503 });
+  const bookingsBefore = requestsFor(fake, 'createAppointment');
+  const unavailable = JSON.parse(await tools.createAppointment({ memory: {} }, 'session-d')._call({
+    ...alice, serviceIds: ['service:threading-brow'], datetime: '20300613T1100'
+  }));
+  check(!unavailable.success && unavailable.errorType === 'UNAVAILABLE', 'a failed booking is reported as unavailable');
+  check(requestsFor(fake, 'createAppointment') === bookingsBefore + 1, 'the booking is not resent');
+
+  await axios.post(`${controlUrl}/fail`, { operation: 'createAppointment', code: 'BAD_USER_INPUT', message: 'Mobile number is invalid' });
+  const invalid = JSON.parse(await tools.createAppointment({ memory: {} }, 'session-d')._call({
+    ...alice, serviceIds: ['service:threading-brow'], datetime: '20300613T1100'
+  }));
+  check(!invalid.success && invalid.errorType === 'VALIDATION', 'a rejected booking is reported as a validation error');
+
+  const retried = JSON.parse(await tools.createAppointment({ memory: {} }, 'session-d')._call({
+    ...alice, serviceIds: ['service:threading-brow'], datetime: '20300613T1100'
+  }));
+  check(retried.success, 'the booking goes through once the failures are used up');
+
+  process.env.SOHO_AUTH_TOKEN = 'wrong-token';
+  const auth = await sohoClient.request('query { services { id } }').catch(error => error);
+  process.env.SOHO_AUTH_TOKEN = 'fake-token';
+  check(auth instanceof sohoClient.SohoAuthError, 'a wrong token is an auth error');
+}
+
+async function testControlApi(fake, controlUrl) {
+  console.log('\n📋 Control API');
+  const state = (await axios.get(`${controlUrl}/state`)).data;
+  check(state.appointments.length === fake.appointments.length && state.requests.length > 0, 'state lists the data and the requests made');
+
+  await axios.post(`${controlUrl}/reset`);
+  check(fake.appointments.some(item => item.id === 'appt-fixture-1') && fake.requests.length === 0, 'reset restores the default fixtures');
+
+  await axios.post(`${controlUrl}/seed`, { services: [], contacts: [{ resourceName: 'people/x', name: 'X', mobile: '+6580000000' }], appointments: [] });
+  check(fake.contacts.length === 1 && fake.services.length === 0, 'seed replaces the data');
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+  const controlUrl = process.env.SOHO_API_URL.replace(/\/graphql$/, '/__control');
+  delete process.env.GOOGLE_SERVICE_ACCOUNT;
+
+  const tools = {
+    listServices: require('../../src/tools/listServices'),
+    createAppointment: require('../../src/tools/createAppointment').createCreateAppointmentTool,
+    getCustomerAppointments: require('../../src/tools/getCustomerAppointments').createGetCustomerAppointmentsTool,
+    updateAppointment: require('../../src/tools/updateAppointment').createUpdateAppointmentTool,
+    cancelAppointment: require('../../src/tools/cancelAppointment').createCancelAppointmentTool
+  };
+
+  businessCalendar.reset();
+  try {
+    await testBookingFlow(fake, tools);
+    await testConflicts(fake, tools);
+    await testInjectedFailures(fake, tools, controlUrl);
+    await testControlApi(fake, controlUrl);
+  } catch (error) {
+    fail(error);
+  } finally {
+    bookingLedger.clear();
+    holdService.clear();
+    await fake.stop();
+  }
+
+  finish('fake SOHO API');
+}
+
+runTests();
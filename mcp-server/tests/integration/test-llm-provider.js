@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the LLM provider layer and the scripted fake provider
+ * Runs the chat flow end to end without network access
+ */
+
+const { createLLM, getLLMConfig, DEFAULT_MODEL } = require('../../src/lib/llm-provider');
+const { FakeChatModel } = require('../../src/lib/fake-llm');
+const ChatService = require('../../src/services/chatService');
+const MCPContext = require('../../src/models/MCPContext');
+const { check, fail, finish } = require('../helpers');
+
+console.log('🧪 Testing LLM Provider Layer');
+console.log('=============================\n');
+
+function testProviderSelection() {
+  console.log('📋 Selecting providers from config');
+
+  delete process.env.LLM_PROVIDER;
+  delete process.env.AI_MODEL;
+  const defaults = getLLMConfig();
+  check(defaults.provider === 'openai' && defaults.model === DEFAULT_MODEL, 'defaults to OpenAI with the default model');
+
+  process.env.AI_MODEL = 'gpt-4.1';
+  check(getLLMConfig().model === 'gpt-4.1', 'AI_MODEL selects the model');
+  check(getLLMConfig({ model: undefined }).model === 'gpt-4.1', 'undefined overrides do not mask the environment');
+  delete process.env.AI_MODEL;
+
+  const openai = createLLM({ provider: 'openai', apiKey: 'test-key' });
+  check(openai.constructor.name === 'ChatOpenAI', 'openai provider creates ChatOpenAI');
+
+  const local = createLLM({ provider: 'local', model: 'llama3', baseURL: 'http://localhost:8080/v1' });
+  check(local.constructor.name === 'ChatOpenAI' && local.model === 'llama3', 'local provider creates an OpenAI-compatible client');
+
+  process.env.AZURE_OPENAI_API_INSTANCE_NAME = 'rarebeauty';
+  process.env.AZURE_OPENAI_API_DEPLOYMENT_NAME = 'gpt-4o-mini';
+  process.env.AZURE_OPENAI_API_VERSION = '2024-08-01-preview';
+  const azure = createLLM({ provider: 'Azure', apiKey: 'test-key' });
+  check(azure.constructor.name === 'AzureChatOpenAI', 'azure provider creates AzureChatOpenAI (case-insensitive name)');
+
+  process.env.LLM_PROVIDER = 'fake';
+  check(createLLM() instanceof FakeChatModel, 'LLM_PROVIDER=fake creates the scripted model');
+  delete process.env.LLM_PROVIDER;
+
+  let error = null;
+  try {
+    createLLM({ provider: 'nope' });
+  } catch (e) {
+    error = e;
+  }
+  check(error && /Unknown LLM provider "nope"/.test(error.message), 'unknown provider throws a clear error');
+}
+
+async function testFakeModel() {
+  console.log('\n📋 Replaying a script');
+  const fake = new FakeChatModel({
+    responses: [
+      { tool_calls: [{ name: 'getAvailableSlots', args: { date: 'today' } }] },
+      'All done.'
+    ],
+    defaultResponse: 'Nothing more to say.'
+  });
+
+  const first = await fake.bind({ tools: [{ function: { name: 'getAvailableSlots' } }] }).invoke([]);
+  check(first.tool_calls.length === 1 && first.tool_calls[0].args.date === 'today', 'returns canned tool calls');
+  check(fake.boundTools.length === 1, 'records bound tools');
+
+  const chunks = [];
+  for await (const chunk of await fake.stream([])) {
+    chunks.push(chunk.content);
+  }
+  check(chunks.join('') === 'All done.', 'streams canned answers');
+  check((await fake.invoke([])).content === 'Nothing more to say.', 'falls back to the default response');
+}
+
+async function testOfflineChatFlow() {
+  console.log('\n📋 Running processMessage offline with the fake provider');
+  const fake = new FakeChatModel({
+    responses: [
+      { content: 'Checking memory.', tool_calls: [{ name: 'validateMemory', args: {} }] },
+      'Please select services first.'
+    ]
+  });
+  const chatService = new ChatService({ llm: fake });
+  const context = new MCPContext({ memory: { admin_mode: true } });
+
+  const tokens = [];
+  const result = await chatService.processMessage(
+    'offline-session',
+    context,
+    { content: 'update the appointment' },
+    true,
+    token => tokens.push(token)
+  );
+
+  check(result.response.content === 'Please select services first.', 'returns the scripted final answer');
+  check(tokens.join('').includes('Please select services first.'), 'streams the answer through onToken');
+  const toolMessage = context.history.find(m => m.role === 'tool' && m.name === 'validateMemory');
+  check(toolMessage && JSON.parse(toolMessage.content).isValid === false, 'real tool ran and its result is in history');
+  check(fake.calls.length === 2, 'model was called once per step');
+}
+
+async function runTests() {
+  try {
+    testProviderSelection();
+    await testFakeModel();
+    await testOfflineChatFlow();
+  } catch (error) {
+    fail(error);
+  }
+
+  finish('LLM provider');
+}
+
+runTests();
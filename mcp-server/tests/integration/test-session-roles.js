@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Test that a session's role comes from the persona it was created with,
+ * not from the isAdmin flag a client sends with later events
+ * Runs the Socket.IO server on a random local port against the fake SOHO API
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const { io: connect } = require('socket.io-client');
+const { server } = require('../../src/index');
+const { check, fail, finish, startFakeSoho } = require('../helpers');
+
+console.log('🧪 Testing Session Roles');
+console.log('========================\n');
+
+// Resolve with the next payload of an event
+function next(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+    socket.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+async function openSession(url, isAdmin) {
+  const socket = connect(url, { transports: ['websocket'], forceNew: true });
+  await next(socket, 'connect');
+  socket.emit('session', {});
+  await next(socket, 'session');
+  socket.emit('welcome', { isAdmin });
+  await next(socket, 'context');
+  return socket;
+}
+
+async function useTool(socket, data) {
+  const result = next(socket, 'toolResult');
+  const context = next(socket, 'context');
+  socket.emit('useTool', data);
+  return { result: await result, context: await context };
+}
+
+async function testCustomerSession(url) {
+  console.log('📋 Customer session');
+  const socket = await openSession(url, false);
+  try {
+    const { result, context } = await useTool(socket, { tool: 'getCustomerProfile', args: { resourceName: 'people/c1001' }, isAdmin: true });
+    check(result.content.error === 'PERMISSION_DENIED', 'an admin tool is refused even when the event says isAdmin');
+    check(context.memory.admin_mode === false, 'the session stays a customer session');
+
+    socket.emit('welcome', { isAdmin: true });
+    const afterWelcome = await next(socket, 'context');
+    check(afterWelcome.memory.admin_mode === false, 'a later welcome cannot upgrade the session');
+
+    const again = await useTool(socket, { tool: 'getCustomerProfile', args: { resourceName: 'people/c1001' }, isAdmin: true });
+    check(again.result.content.error === 'PERMISSION_DENIED', 'admin tools are still refused afterwards');
+  } finally {
+    socket.close();
+  }
+}
+
+async function testAdminSession(url) {
+  console.log('\n📋 Admin session');
+  const socket = await openSession(url, true);
+  try {
+    const { result, context } = await useTool(socket, { tool: 'getCustomerProfile', args: { resourceName: 'people/c1001' } });
+    check(result.content.error !== 'PERMISSION_DENIED' && context.memory.admin_mode === true, 'a session created as admin can use admin tools');
+  } finally {
+    socket.close();
+  }
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await testCustomerSession(url);
+    await testAdminSession(url);
+  } catch (error) {
+    fail(error);
+  } finally {
+    await fake.stop();
+  }
+
+  finish('session role');
+}
+
+runTests();
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Test for blocking out time (blockTime / manageBlocks)
+ * Runs offline against an in-memory calendar
+ */
+
+const businessCalendar = require('../../src/services/businessCalendar');
+const resourceService = require('../../src/services/resourceService');
+const { setCalendarProvider } = require('../../src/lib/calendar-provider');
+const { createBlockTimeTool } = require('../../src/tools/blockTime');
+const { createManageBlocksTool } = require('../../src/tools/manageBlocks');
+const { createGetAvailableSlotsTool } = require('../../src/tools/getAvailableSlots');
+const { check, fail, finish, useMemoryCalendar } = require('../helpers');
+
+console.log('🧪 Testing Blocked Time');
+console.log('=======================\n');
+
+// 2030-06-10 is a Monday
+const at = (date, time) => businessCalendar.atTime(date, time);
+const block = async inputs => JSON.parse(await createBlockTimeTool({ memory: {} }, 'admin')._call(inputs));
+const manage = async inputs => JSON.parse(await createManageBlocksTool({ memory: {} }, 'admin')._call(inputs));
+const slotsOn = async date => JSON.parse(await createGetAvailableSlotsTool({ memory: {} }, 'customer')._call({ date })).availableSlots || [];
+
+async function testSingleBlocks(provider) {
+  console.log('📋 Single blocks');
+  provider.addEvent({ id: 'booking-1', summary: 'Alice - Lashes', start: at('2030-06-10', '13:30'), end: at('2030-06-10', '14:30') });
+
+  const lunch = await block({ date: '2030-06-10', startTime: '13:00', endTime: '14:00', reason: 'Lunch' });
+  check(lunch.success && lunch.blocks.length === 1 && lunch.blocks[0].start === '1:00 PM', 'a block is created');
+  check(lunch.conflicts.length === 1 && lunch.conflicts[0].id === 'booking-1', 'a clashing appointment is reported');
+  check(lunch.message.includes('clash'), 'the message mentions the clash');
+
+  const slots = await slotsOn('2030-06-10');
+  check(!slots.includes('1:00 PM') && slots.includes('3:00 PM'), 'getAvailableSlots skips the blocked time');
+
+  const leave = await block({ date: '2030-06-12', reason: 'Annual leave' });
+  check(leave.success && leave.blocks[0].allDay, 'leaving out the times blocks the whole day');
+  check((await slotsOn('2030-06-12')).length === 0, 'nothing is offered on a blocked day');
+
+  const halfOpen = await block({ date: '2030-06-13', startTime: '13:00' });
+  check(!halfOpen.success && halfOpen.message.includes('end time'), 'a start time needs an end time');
+
+  const badDate = await block({ date: '12 June' });
+  check(!badDate.success && badDate.error === 'Invalid date', 'dates must be YYYY-MM-DD');
+}
+
+async function testRecurringBlocks() {
+  console.log('\n📋 Recurring blocks');
+  const weekdays = await block({
+    date: '2030-06-17', startTime: '13:00', endTime: '14:00', reason: 'Lunch',
+    recurrence: { frequency: 'weekly', days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'], until: '2030-06-23' }
+  });
+  check(weekdays.success && weekdays.blocks.length === 5, 'every weekday next week makes five blocks');
+  check(weekdays.seriesId && weekdays.blocks.every(item => item.seriesId === weekdays.seriesId), 'the blocks share a series ID');
+  check(weekdays.blocks.map(item => item.date).join() === '2030-06-17,2030-06-18,2030-06-19,2030-06-20,2030-06-21', 'the blocks fall on the weekdays');
+
+  const daily = await block({ date: '2030-06-29', startTime: '10:00', endTime: '11:00', recurrence: { frequency: 'daily', count: 3 } });
+  check(daily.blocks.map(item => item.date).join() === '2030-06-29,2030-07-01,2030-07-02', 'daily blocks skip days the salon is closed');
+
+  const endless = await block({ date: '2030-06-17', startTime: '09:00', endTime: '10:00', recurrence: { frequency: 'daily' } });
+  check(!endless.success && endless.message.includes('until'), 'a recurrence needs an end');
+
+  const listed = await manage({ action: 'list', from: '2030-06-17', days: 7 });
+  check(listed.success && listed.count === 5, 'list shows the blocks in the period');
+
+  const removedOne = await manage({ action: 'remove', blockId: weekdays.blocks[2].id });
+  check(removedOne.success && (await slotsOn('2030-06-19')).includes('1:00 PM'), 'removing one block frees that day');
+
+  const removedSeries = await manage({ action: 'remove', seriesId: weekdays.seriesId, from: '2030-06-17' });
+  check(removedSeries.success && removedSeries.removed === 4, 'removing a series removes the rest of it');
+  check((await manage({ action: 'list', from: '2030-06-17', days: 7 })).count === 0, 'no blocks are left that week');
+
+  const missing = await manage({ action: 'remove', blockId: 'block-missing' });
+  check(!missing.success && missing.error === 'Block not found', 'removing an unknown block fails');
+
+  const booking = await manage({ action: 'remove', blockId: 'booking-1' });
+  check(!booking.success && !(await slotsOn('2030-06-10')).includes('1:30 PM'), 'a booking cannot be removed as a block');
+}
+
+async function testStaffBlocks(provider) {
+  console.log('\n📋 Staff blocks');
+  resourceService.configure({
+    staff: [{ id: 'staff:jenny', name: 'Jenny', skills: ['*'] }, { id: 'staff:mei', name: 'Mei', skills: ['*'] }],
+    rooms: []
+  });
+  provider.clear();
+  provider.addEvent({ id: 'mei-booking', summary: 'Bob - Threading', start: at('2030-07-08', '11:00'), end: at('2030-07-08', '12:00'), staffId: 'staff:mei' });
+  provider.addEvent({ id: 'jenny-booking', summary: 'Carol - Facial', start: at('2030-07-08', '15:00'), end: at('2030-07-08', '16:00'), staffId: 'staff:jenny' });
+
+  const leave = await block({ date: '2030-07-08', reason: 'Leave', staff: 'Jenny' });
+  check(leave.success && leave.blocks[0].staff === 'Jenny', 'a block can be for one staff member');
+  check(leave.conflicts.length === 1 && leave.conflicts[0].id === 'jenny-booking', "only that staff member's appointments are reported");
+
+  const slots = await slotsOn('2030-07-08');
+  check(slots.includes('3:00 PM') && !slots.includes('11:00 AM'), 'the other staff member can still be booked');
+
+  const events = await provider.listBusy(at('2030-07-08', '00:00'), at('2030-07-08', '23:59'));
+  const free = resourceService.getFreeResources({ start: at('2030-07-08', '14:00'), end: at('2030-07-08', '15:00'), events });
+  check(free.staff.length === 1 && free.restrictions['staff:jenny'].includes('blocked'), 'the blocked staff member is not free');
+
+  await block({ date: '2030-07-09', startTime: '10:00', endTime: '12:00', reason: 'Team meeting' });
+  const meeting = await slotsOn('2030-07-09');
+  check(!meeting.includes('10:00 AM') && !meeting.includes('11:00 AM') && meeting.includes('12:00 PM'), 'a salon-wide block takes every staff member');
+
+  const mine = await manage({ action: 'list', from: '2030-07-08', days: 2, staff: 'Mei' });
+  check(mine.count === 1 && mine.blocks[0].reason === 'Team meeting', "listing for a staff member shows theirs and salon-wide blocks");
+
+  const unknown = await block({ date: '2030-07-10', staff: 'Nobody' });
+  check(!unknown.success && unknown.error === 'Unknown staff member', 'unknown staff are rejected');
+}
+
+async function runTests() {
+  const provider = useMemoryCalendar();
+  businessCalendar.reset();
+  resourceService.configure({ staff: [], rooms: [] });
+
+  try {
+    await testSingleBlocks(provider);
+    await testRecurringBlocks();
+    await testStaffBlocks(provider);
+  } catch (error) {
+    fail(error);
+  } finally {
+    setCalendarProvider(null);
+    resourceService.reset();
+  }
+
+  finish('blocked time');
+}
+
+runTests();
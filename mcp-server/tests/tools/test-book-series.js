@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Test for follow-up and recurring appointment series (bookSeries / manageSeries)
+ * Runs offline against the fake SOHO API and an in-memory calendar
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const { setCalendarProvider } = require('../../src/lib/calendar-provider');
+const businessCalendar = require('../../src/services/businessCalendar');
+const bookingLedger = require('../../src/services/bookingLedger');
+const holdService = require('../../src/services/holdService');
+const resourceService = require('../../src/services/resourceService');
+const seriesService = require('../../src/services/seriesService');
+const memoryService = require('../../src/services/memoryService');
+const { createBookSeriesTool } = require('../../src/tools/bookSeries');
+const { createManageSeriesTool } = require('../../src/tools/manageSeries');
+const { check, fail, finish, startFakeSoho, useMemoryCalendar } = require('../helpers');
+
+console.log('🧪 Testing Appointment Series');
+console.log('=============================\n');
+
+// 2030-06-10 is a Monday
+const alice = { name: 'Alice Tan', mobile: '+6591234567', resourceName: 'people/c1001' };
+const at = (date, time) => businessCalendar.atTime(date, time);
+const bookSeries = async inputs => JSON.parse(await createBookSeriesTool({ memory: {} }, 'admin')._call({ ...alice, ...inputs }));
+const manage = async inputs => JSON.parse(await createManageSeriesTool({ memory: {} }, 'admin')._call(inputs));
+
+function testPlans() {
+  console.log('📋 Follow-up rules');
+  const lashes = seriesService.getPlan([{ id: 'service:lashes-natural', category: 'Lashes', followUp: 'service:lashes-touchup' }]);
+  check(lashes.intervalDays === 14 && lashes.sessions === 2, 'lashes are followed up after 14 days');
+  check(lashes.followUpServiceIds.join() === 'service:lashes-touchup', 'the follow-up uses the touch-up service');
+
+  const facial = seriesService.getPlan([{ id: 'service:facial-cleanse', category: 'Facial' }]);
+  check(facial.intervalDays === 28 && facial.followUpServiceIds.join() === 'service:facial-cleanse', 'facials repeat the same service every 28 days');
+
+  seriesService.configure({ categories: { Facial: { intervalDays: 21, maxIntervalDays: 28, sessions: 4 } } });
+  check(seriesService.getPlan([{ id: 'service:facial-cleanse', category: 'Facial' }]).intervalDays === 21, 'rules can be overridden');
+  seriesService.reset();
+}
+
+async function testPropose(provider) {
+  console.log('\n📋 Proposing a series');
+  const lashes = await bookSeries({ serviceIds: ['service:lashes-natural'], datetime: '20300610T1400' });
+  check(lashes.success && lashes.occurrences.length === 2, 'a lash full set proposes one touch-up');
+  check(lashes.occurrences[1].datetime === '20300624T1400' && lashes.occurrences[1].serviceIds.join() === 'service:lashes-touchup', 'the touch-up is 14 days later at the same time');
+
+  // The ideal touch-up day is taken
+  provider.addEvent({ id: 'busy-touchup', summary: 'Bob - Facial', start: at('2030-06-24', '13:00'), end: at('2030-06-24', '16:00') });
+  const moved = await bookSeries({ serviceIds: ['service:lashes-natural'], datetime: '20300610T1400' });
+  const touchUp = moved.occurrences[1];
+  check(touchUp.available && touchUp.movedFrom === '20300624T1400', 'a busy follow-up is moved');
+  check(touchUp.date === '2030-06-24' && touchUp.time !== '2:00 PM', 'it moves to the nearest free time that day');
+
+  provider.addEvent({ id: 'closed-week', summary: 'Renovation', start: at('2030-06-24', '00:00'), end: at('2030-07-02', '00:00') });
+  const full = await bookSeries({ serviceIds: ['service:lashes-natural'], datetime: '20300610T1400' });
+  check(full.success && !full.occurrences[1].available, 'a follow-up with no room in its window is flagged');
+  check(full.message.includes('no free time'), 'the message says which dates need another choice');
+  provider.clear();
+
+  const course = await bookSeries({ serviceIds: ['service:facial-cleanse'], datetime: '20300610T1000', sessions: 3 });
+  check(course.occurrences.map(item => item.date).join() === '2030-06-10,2030-07-08,2030-08-05', 'a facial course is spaced four weeks apart');
+
+  const past = await bookSeries({ serviceIds: ['service:lashes-natural'], datetime: '20200610T1400' });
+  check(!past.occurrences[0].available, 'a first appointment in the past is not available');
+}
+
+async function testBook(fake) {
+  console.log('\n📋 Booking a series');
+  const booked = await bookSeries({ action: 'book', serviceIds: ['service:facial-cleanse'], datetime: '20300610T1000', sessions: 3 });
+  check(booked.success && booked.seriesId && booked.occurrences.length === 3, 'the series is booked');
+  check(booked.occurrences.every(item => fake.appointments.some(appointment => appointment.id === item.appointmentId)), 'every appointment is booked through SOHO');
+
+  const stored = await seriesService.getSeries(booked.seriesId);
+  check(stored.customer.resourceName === alice.resourceName && stored.occurrences.every(item => item.status === 'booked'), 'the series is recorded');
+
+  const linked = await bookSeries({ action: 'book', serviceIds: ['service:lashes-natural'], datetime: '20300612T1100', existingAppointmentId: 'appt-lashes', occurrences: ['20300626T1100'] });
+  check(linked.success && linked.occurrences[0].appointmentId === 'appt-lashes' && linked.occurrences.length === 2, 'an existing appointment is linked as the first of the series');
+  check(linked.occurrences[1].date === '2030-06-26', 'the agreed dates are booked');
+  check(fake.appointments.filter(item => item.event.start.startsWith('2030-06-12')).length === 0, 'the linked appointment is not booked again');
+
+  return booked;
+}
+
+async function testManage(fake, provider, booked) {
+  console.log('\n📋 Managing a series');
+  const listed = await manage({ action: 'list', resourceName: alice.resourceName });
+  check(listed.success && listed.count === 2, 'the customer\'s series are listed');
+
+  const [first, second, third] = booked.occurrences;
+  const movedOne = await manage({ action: 'reschedule', appointmentId: second.appointmentId, datetime: '20300709T1500' });
+  const secondAppointment = fake.appointments.find(item => item.id === second.appointmentId);
+  check(movedOne.success && secondAppointment.event.start === '2030-07-09T15:00:00+08:00', 'one appointment can be moved');
+
+  // The calendar picks up the moved appointment
+  provider.addEvent({ id: second.appointmentId, summary: 'Alice Tan - Facial', start: at('2030-07-09', '15:00'), end: at('2030-07-09', '16:15') });
+  const clash = await manage({ action: 'reschedule', seriesId: booked.seriesId, occurrence: 3, datetime: '20300709T1500' });
+  check(!clash.success && clash.error === 'New times not available', 'a move onto a taken time is refused');
+
+  const shifted = await manage({ action: 'reschedule', seriesId: booked.seriesId, shiftDays: 1, time: '11:00' });
+  check(shifted.success && shifted.results.length === 3, 'the whole series can be moved');
+  check(fake.appointments.find(item => item.id === third.appointmentId).event.start === '2030-08-06T11:00:00+08:00', 'each appointment moves by the same amount');
+
+  const cancelledOne = await manage({ action: 'cancel', appointmentId: first.appointmentId, reason: 'Unwell', lateCancel: false });
+  check(cancelledOne.success && fake.appointments.find(item => item.id === first.appointmentId).event.status === 'cancelled', 'one appointment can be cancelled');
+
+  const again = await manage({ action: 'cancel', seriesId: booked.seriesId, occurrence: 1 });
+  check(!again.success && again.message.includes('cancelled'), 'a cancelled appointment is not cancelled twice');
+
+  const cancelledRest = await manage({ action: 'cancel', seriesId: booked.seriesId, lateCancel: false });
+  check(cancelledRest.success && cancelledRest.results.length === 2, 'cancelling the series cancels the rest');
+  const series = await seriesService.getSeries(booked.seriesId);
+  check(series.occurrences.every(item => item.status === 'cancelled'), 'the series records the cancellations');
+
+  const unknown = await manage({ action: 'cancel', appointmentId: 'appt-unknown' });
+  check(!unknown.success && unknown.error === 'Series not found', 'an appointment outside a series is reported');
+}
+
+async function testStorageFailure(fake) {
+  console.log('\n📋 Series storage unavailable');
+  const read = memoryService.getMemoryByResourceName;
+  const stored = () => read.call(memoryService, 'system:appointment-series');
+  const before = await stored();
+
+  seriesService.series = null;
+  memoryService.getMemoryByResourceName = async () => { throw new Error('Storage unavailable'); };
+  try {
+    const listed = await manage({ action: 'list', resourceName: alice.resourceName });
+    check(!listed.success, 'series cannot be listed while they cannot be read');
+
+    const booked = await bookSeries({ action: 'book', serviceIds: ['service:facial-cleanse'], datetime: '20300902T1000', sessions: 2 });
+    check(booked.success && booked.seriesId === null && booked.occurrences.every(item => fake.appointments.some(appointment => appointment.id === item.appointmentId)), 'the appointments are still booked');
+    check(booked.message.includes('could not be linked'), 'the reply says they are not linked');
+    check(JSON.stringify(await stored()) === JSON.stringify(before), 'the stored series are not replaced');
+  } finally {
+    memoryService.getMemoryByResourceName = read;
+  }
+
+  const listed = await manage({ action: 'list', resourceName: alice.resourceName });
+  check(listed.success && listed.count === Object.keys(before.series).length, 'the series load again once storage is back');
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+
+  const provider = useMemoryCalendar();
+  businessCalendar.reset();
+  resourceService.configure({ staff: [], rooms: [] });
+  await seriesService.clear();
+
+  try {
+    testPlans();
+    await testPropose(provider);
+    const booked = await testBook(fake);
+    await testManage(fake, provider, booked);
+    await testStorageFailure(fake);
+  } catch (error) {
+    fail(error);
+  } finally {
+    await seriesService.clear();
+    seriesService.reset();
+    bookingLedger.clear();
+    holdService.clear();
+    setCalendarProvider(null);
+    resourceService.reset();
+    await fake.stop();
+  }
+
+  finish('appointment series');
+}
+
+runTests();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the cancelAppointment tool
+ * Runs offline against a local stand-in for the SOHO GraphQL API
+ */
+
+const { check, fail, finish, startStubApi } = require('../helpers');
+
+console.log('🧪 Testing cancelAppointment Tool');
+console.log('================================\n');
+
+const soon = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+const later = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString();
+
+// Appointments known to the stub API
+const appointments = {
+  'apt-soon': { id: 'apt-soon', event: { id: 'evt-1', name: 'Jane Tan', mobile: '+6591234567', start: soon, resourceName: 'people/c111', status: 'confirmed' } },
+  'apt-later': { id: 'apt-later', event: { id: 'evt-2', name: 'Jane Tan', mobile: '+6591234567', start: later, resourceName: 'people/c111', status: 'confirmed' } },
+  'apt-done': { id: 'apt-done', event: { id: 'evt-3', name: 'Jane Tan', mobile: '+6591234567', start: later, resourceName: 'people/c111', status: 'cancelled' } }
+};
+const mutations = [];
+
+function respond({ query, variables }) {
+  if (query.includes('cancelAppointment')) {
+    mutations.push(variables);
+    return { data: { cancelAppointment: { id: variables.id, event: { id: appointments[variables.id].event.id, status: 'cancelled' } } } };
+  }
+  return { data: { appointment: appointments[variables.id] || null } };
+}
+
+function createContext() {
+  return {
+    memory: {
+      admin_mode: true,
+      current_appointment_id: 'apt-soon',
+      last_appointment: { id: 'apt-soon' },
+      customer_appointments: {
+        'people/c111': { appointments: [{ id: 'apt-soon' }, { id: 'apt-later' }], cancelCount: 1 }
+      }
+    }
+  };
+}
+
+async function runTests() {
+  const server = await startStubApi(respond);
+  process.env.SOHO_API_URL = `http://127.0.0.1:${server.address().port}/graphql`;
+  process.env.SOHO_AUTH_TOKEN = 'test-token';
+
+  const { createCancelAppointmentTool, isLateCancellation } = require('../../src/tools/cancelAppointment');
+
+  try {
+    console.log('📋 Late cancellation window');
+    check(isLateCancellation(soon), 'appointment in 2 hours is a late cancellation');
+    check(!isLateCancellation(later), 'appointment in 5 days is not a late cancellation');
+
+    console.log('\n📋 Cancelling an appointment that starts soon');
+    const context = createContext();
+    const tool = createCancelAppointmentTool(context, 'admin-session');
+    const result = JSON.parse(await tool._call({ appointmentId: 'apt-soon', reason: 'Feeling unwell' }));
+
+    check(result.success === true, 'cancellation succeeds');
+    check(result.details.lateCancel === true, 'late cancellation is inferred from the start time');
+    check(mutations[0].reason === 'Feeling unwell' && mutations[0].lateCancel === true, 'reason and late flag are sent to the API');
+    check(result.cancelCount === 2, 'cancelCount is incremented');
+    check(context.memory.current_appointment_id === undefined, 'current_appointment_id is cleared');
+    check(context.memory.last_appointment.status === 'cancelled', 'last_appointment is marked cancelled');
+    check(context.memory.customer_appointments['people/c111'].appointments[0].status === 'cancelled', 'cached history is marked cancelled');
+    check(context.memory.last_cancelled_appointment.id === 'apt-soon', 'last_cancelled_appointment is recorded');
+
+    console.log('\n📋 Explicit late-cancel flag');
+    const override = JSON.parse(await createCancelAppointmentTool(createContext(), 'admin-session')._call({ appointmentId: 'apt-soon', lateCancel: false }));
+    check(override.details.lateCancel === false && mutations[1].lateCancel === false, 'explicit lateCancel wins over the inferred value');
+
+    console.log('\n📋 Invalid requests');
+    const missing = JSON.parse(await tool._call({ appointmentId: 'apt-missing' }));
+    check(missing.success === false && missing.error === 'Appointment not found', 'unknown appointment is reported');
+
+    const already = JSON.parse(await tool._call({ appointmentId: 'apt-done' }));
+    check(already.success === false && already.error === 'Already cancelled', 'already cancelled appointment is rejected');
+    check(mutations.length === 2, 'no mutation is sent for invalid requests');
+  } catch (error) {
+    fail(error);
+  } finally {
+    server.close();
+  }
+
+  finish('cancelAppointment');
+}
+
+runTests();
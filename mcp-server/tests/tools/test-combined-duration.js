@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Test for availability using the combined duration of all selected services
+ * Runs offline against a local stand-in for the SOHO services API
+ */
+
+const businessCalendar = require('../../src/services/businessCalendar');
+const { setCalendarProvider } = require('../../src/lib/calendar-provider');
+const { check, fail, finish, useMemoryCalendar, startStubApi } = require('../helpers');
+
+console.log('🧪 Testing Combined Service Duration');
+console.log('====================================\n');
+
+const services = [
+  { id: 'service:lashes', service: 'Lashes - Full Set Natural', duration: 90, price: 65, enabled: true },
+  { id: 'service:brows', service: 'Threading - Eyebrow', duration: 15, price: 8, enabled: true },
+  { id: 'service:facial', service: 'Facial - Deep Cleanse', duration: 240, price: 120, enabled: true }
+];
+
+function respond() {
+  return { data: { services } };
+}
+
+async function testCalculation(calculateAppointmentDuration) {
+  console.log('📋 Duration calculation');
+  businessCalendar.reset();
+  businessCalendar.configure({
+    serviceBuffers: { default: 5, categories: { Lashes: 15 }, services: { 'service:brows': 0 } }
+  });
+
+  const combo = await calculateAppointmentDuration(['service:lashes', 'service:brows']);
+  check(combo.serviceMinutes === 105, 'service minutes are summed across all services');
+  check(combo.bufferMinutes === 15, 'buffers come from the service, then the category, then the default');
+  check(combo.totalDuration === 120, 'total includes buffers');
+
+  const unknown = await calculateAppointmentDuration(['service:missing']);
+  check(unknown.totalDuration === 65 && unknown.unknownServiceIds[0] === 'service:missing', 'unknown services use 60 minutes plus the default buffer');
+}
+
+async function testAvailability(createGetAvailableSlotsTool) {
+  console.log('\n📋 Availability checks');
+  businessCalendar.reset();
+  businessCalendar.configure({ minLeadMinutes: 0 });
+  const tool = createGetAvailableSlotsTool({ memory: {} }, 'duration-session');
+
+  // Saturday opening hours are 10:00–17:00 (7 hours)
+  const tooLong = JSON.parse(await tool._call({
+    date: '2030-06-08',
+    serviceIds: ['service:facial', 'service:lashes', 'service:facial']
+  }));
+  check(!tooLong.success && tooLong.fitsBeforeClosing === false, 'a combo longer than the opening hours is flagged');
+  check(tooLong.appointmentDuration === 570, 'the flag reports the combined duration');
+  check(tooLong.durationBreakdown.length === 3, 'the duration breakdown lists every service');
+
+  const busy = JSON.parse(await tool._call({
+    date: '2030-06-08',
+    serviceIds: ['service:lashes', 'service:brows'],
+    requestedTime: '10:30 AM'
+  }));
+  const twelveHour = /^\d{1,2}:\d{2} [AP]M$/;
+  check(busy.success && busy.availableSlots[0] === '11:00 AM' && busy.latestStartTime === '3:15 PM', 'slot times are given in 12-hour time');
+  check(!busy.exactTimeAvailable && busy.closestSlots[0] === '11:45 AM' && [...busy.nearbySlots, ...busy.closestSlots].every(time => twelveHour.test(time)), 'nearby and closest slots to a requested time use the same format');
+}
+
+async function runTests() {
+  const server = await startStubApi(respond);
+  process.env.SOHO_API_URL = `http://127.0.0.1:${server.address().port}/graphql`;
+  process.env.SOHO_AUTH_TOKEN = 'test-token';
+  useMemoryCalendar([{ summary: 'Busy', start: '2030-06-08T10:00:00+08:00', end: '2030-06-08T11:00:00+08:00' }]);
+
+  const { calculateAppointmentDuration } = require('../../src/tools/listServices');
+  const { createGetAvailableSlotsTool } = require('../../src/tools/getAvailableSlots');
+
+  try {
+    await testCalculation(calculateAppointmentDuration);
+    await testAvailability(createGetAvailableSlotsTool);
+  } catch (error) {
+    fail(error);
+  } finally {
+    businessCalendar.reset();
+    setCalendarProvider(null);
+    server.close();
+  }
+
+  finish('combined duration');
+}
+
+runTests();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test for contact editing, duplicate detection and merging
+ * Runs offline against the fake SOHO API
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const memoryService = require('../../src/services/memoryService');
+const profileService = require('../../src/services/profileService');
+const contactService = require('../../src/services/contactService');
+const { isToolAllowed } = require('../../src/tools/permissions');
+const { createLookupUserTool, clearContactsCache } = require('../../src/tools/lookupUser');
+const { createSearchCustomersTool } = require('../../src/tools/searchCustomers');
+const { createUpdateContactTool } = require('../../src/tools/updateContact');
+const { createFindDuplicateContactsTool } = require('../../src/tools/findDuplicateContacts');
+const { createMergeContactsTool } = require('../../src/tools/mergeContacts');
+const { check, fail, finish, createToolRunner, startFakeSoho } = require('../helpers');
+
+console.log('🧪 Testing Contact Merge');
+console.log('========================\n');
+
+// Alice Tan (people/c1001) has a duplicate with the same number written differently
+const duplicate = { resourceName: 'people/c2001', name: 'Alise Tan', mobile: '9123-4567', cancelCount: 1 };
+
+const runTool = createToolRunner('contact-session');
+const run = (create, inputs, context = { memory: { admin_mode: true } }) => runTool(create, inputs, { context });
+
+function testMatching() {
+  console.log('📋 Matching');
+  check(contactService.nameSimilarity('Alice Tan', 'alice  tan') === 1, 'case and spacing are ignored');
+  check(contactService.nameSimilarity('Tan Alice', 'Alice Tan') === 1, 'word order is ignored');
+  check(contactService.nameSimilarity('Alice Tan', 'Alise Tan') >= 0.85, 'a misspelling is a similar name');
+  check(contactService.nameSimilarity('Alice Tan', 'Bob Lim') < 0.5, 'different names are not');
+  check(contactService.normalizeMobile('+65 9123 4567') === contactService.normalizeMobile('9123-4567'), 'mobile numbers are compared without country code or punctuation');
+}
+
+async function testFindDuplicates() {
+  console.log('\n📋 Finding duplicates');
+  const all = await run(createFindDuplicateContactsTool, {});
+  const pair = all.duplicates[0];
+  check(all.success && all.count === 1, 'one duplicate pair is found');
+  check(pair.contacts.map(contact => contact.resourceName).sort().join() === 'people/c1001,people/c2001' && pair.reasons.includes('same mobile number') && pair.reasons.some(reason => reason.startsWith('similar name')), 'it is matched on mobile and name');
+
+  const forCarol = await run(createFindDuplicateContactsTool, { resourceName: 'people/c1003' });
+  check(forCarol.success && forCarol.count === 0, 'a single contact can be checked');
+}
+
+async function testUpdateContact() {
+  console.log('\n📋 Updating a contact');
+  const context = { memory: { admin_mode: true, user_info: { resourceName: 'people/c1003', name: 'Carol Ng', mobile: '+6581112222' } } };
+  const renamed = await run(createUpdateContactTool, { resourceName: 'people/c1003', first: 'Carol', last: 'Ng Mei Ling', mobile: '8111 3333' }, context);
+  check(renamed.success && renamed.contact.name === 'Carol Ng Mei Ling' && renamed.contact.mobile === '+6581113333', 'the name and mobile are changed');
+  check(context.memory.user_info.name === 'Carol Ng Mei Ling' && context.memory.user_info.mobile === '+6581113333', 'the loaded customer is updated');
+
+  const found = await run(createLookupUserTool, { phoneNumber: '81113333' }, { memory: {} });
+  check(found.resourceName === 'people/c1003', 'lookups find the new number straight away');
+
+  const taken = await run(createUpdateContactTool, { resourceName: 'people/c1003', mobile: '+6598765432' });
+  check(!taken.success && taken.error === 'Mobile number already in use' && taken.message.includes('mergeContacts'), "another contact's number is refused");
+
+  const nothing = await run(createUpdateContactTool, { resourceName: 'people/c1003' });
+  check(!nothing.success && nothing.error === 'Nothing to update', 'an update needs a name or mobile');
+}
+
+async function testMerge(fake) {
+  console.log('\n📋 Merging');
+  fake.addAppointment({ id: 'appt-dup-1', resourceName: duplicate.resourceName, start: '20300612T1000', duration: 60, serviceIds: ['service:lash-lift'], discount: 10, totalAmount: 50 });
+  fake.addAppointment({ id: 'appt-dup-2', resourceName: duplicate.resourceName, start: '20300613T1000', duration: 15, serviceIds: ['service:threading-brow'], status: 'cancelled' });
+  await memoryService.saveMemoryByResourceName(null, duplicate.resourceName, { preferred_time: 'morning', user_info: { resourceName: duplicate.resourceName } });
+  await profileService.addNote(duplicate.resourceName, 'Allergic to latex gloves', 'Mei');
+
+  const preview = await run(createMergeContactsTool, { keepResourceName: 'people/c1001', mergeResourceName: duplicate.resourceName });
+  const before = fake.appointments.find(item => item.id === 'appt-dup-1');
+  check(!preview.success && preview.requiresConfirmation && preview.preview.merge.appointments === 2, 'a merge is previewed first');
+  check(before.event.resourceName === duplicate.resourceName && (await contactService.getMerges()).length === 0, 'nothing changes until it is confirmed');
+
+  const context = { memory: { admin_mode: true, user_info: { resourceName: duplicate.resourceName, name: duplicate.name, mobile: duplicate.mobile } } };
+  const merged = await run(createMergeContactsTool, { keepResourceName: 'people/c1001', mergeResourceName: duplicate.resourceName, confirm: true }, context);
+  const moved = fake.appointments.find(item => item.id === 'appt-dup-1');
+  check(merged.success && merged.merge.appointmentsMoved.join() === 'appt-dup-1', 'the appointments are moved');
+  check(moved.event.resourceName === 'people/c1001' && moved.event.name === 'Alice Tan' && moved.transaction.totalAmount === 50 && moved.transaction.discount === 10, 'a moved appointment keeps its time and amounts');
+  check(merged.merge.appointmentsLeft[0]?.id === 'appt-dup-2' && merged.merge.appointmentsLeft[0].reason === 'cancelled', 'cancelled appointments are left and reported');
+
+  const memory = await memoryService.getMemoryByResourceName('people/c1001');
+  const profile = await profileService.getProfile('people/c1001');
+  check(memory.preferred_time === 'morning' && merged.merge.memoryMoved.join() === 'preferred_time', 'stored memory moves to the kept contact');
+  check(profile.notes.some(note => note.text === 'Allergic to latex gloves') && profileService.isEmpty(await profileService.getProfile(duplicate.resourceName)), 'so does the profile');
+  check(context.memory.user_info.resourceName === 'people/c1001' && context.memory.customer_profile?.notes.length === 1, 'a session on the duplicate switches to the kept contact');
+
+  const history = await run(createMergeContactsTool, { action: 'history' });
+  check(history.count === 1 && history.merges[0].duplicate.resourceName === duplicate.resourceName && history.merges[0].by, 'the merge is in the audit trail');
+
+  const again = await run(createMergeContactsTool, { keepResourceName: 'people/c1001', mergeResourceName: duplicate.resourceName, confirm: true });
+  check(!again.success && again.error === 'Already merged', 'a contact is only merged once');
+
+  const afterwards = await run(createFindDuplicateContactsTool, {});
+  check(afterwards.count === 0, 'merged contacts are no longer reported as duplicates');
+
+  // Put the duplicate first so a lookup by the shared number would find it
+  fake.contacts.unshift(fake.contacts.splice(fake.contacts.indexOf(fake.contacts.find(contact => contact.resourceName === duplicate.resourceName)), 1)[0]);
+  clearContactsCache();
+  const found = await run(createLookupUserTool, { phoneNumber: '91234567' }, { memory: {} });
+  check(found.resourceName === 'people/c1001', 'lookups resolve a merged contact to the kept one');
+
+  const search = await run(createSearchCustomersTool, { name: 'tan' });
+  check(search.results.length === 1 && search.results[0].resourceName === 'people/c1001', 'search leaves merged contacts out');
+}
+
+function testPermissions() {
+  console.log('\n📋 Permissions');
+  check(['updateContact', 'findDuplicateContacts', 'mergeContacts'].every(name => isToolAllowed(name, 'admin') && !isToolAllowed(name, 'customer')), 'the contact tools are for admins only');
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+  fake.contacts.push({ ...duplicate });
+  await contactService.clear();
+
+  try {
+    testMatching();
+    await testFindDuplicates();
+    await testUpdateContact();
+    await testMerge(fake);
+    testPermissions();
+  } catch (error) {
+    fail(error);
+  } finally {
+    await contactService.clear();
+    clearContactsCache();
+    await fake.stop();
+  }
+
+  finish('contact merge');
+}
+
+runTests();
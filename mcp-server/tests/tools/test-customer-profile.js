@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Test for customer profiles: preferences, allergies and staff notes
+ * Runs offline against the fake SOHO API and an in-memory calendar
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const { setCalendarProvider } = require('../../src/lib/calendar-provider');
+const businessCalendar = require('../../src/services/businessCalendar');
+const bookingLedger = require('../../src/services/bookingLedger');
+const holdService = require('../../src/services/holdService');
+const pricingService = require('../../src/services/pricingService');
+const profileService = require('../../src/services/profileService');
+const resourceService = require('../../src/services/resourceService');
+const { checkToolPermission } = require('../../src/tools/permissions');
+const { createLookupUserTool } = require('../../src/tools/lookupUser');
+const { createGetCustomerProfileTool } = require('../../src/tools/getCustomerProfile');
+const { createUpdateCustomerProfileTool } = require('../../src/tools/updateCustomerProfile');
+const { createCreateAppointmentTool } = require('../../src/tools/createAppointment');
+const { check, fail, finish, createToolRunner, startFakeSoho, useMemoryCalendar } = require('../helpers');
+
+console.log('🧪 Testing Customer Profiles');
+console.log('============================\n');
+
+const alice = { name: 'Alice Tan', mobile: '+6591234567', resourceName: 'people/c1001' };
+const carol = { name: 'Carol Ng', mobile: '+6581112222', resourceName: 'people/c1003' };
+
+const run = createToolRunner('profile-session');
+const call = (create, context, inputs) => run(create, inputs, { context });
+const adminContext = () => ({ memory: { admin_mode: true } });
+const customerContext = customer => ({ memory: { user_info: { ...customer } } });
+
+async function testAdminUpdates() {
+  console.log('📋 Admin updates');
+  resourceService.configure({ staff: [{ id: 'staff:jenny', name: 'Jenny', skills: ['*'] }], rooms: [] });
+
+  const empty = await call(createGetCustomerProfileTool, adminContext(), { resourceName: alice.resourceName });
+  check(empty.success && Object.keys(empty.fields).length === 0 && empty.summary === null, 'a customer starts with an empty profile');
+
+  const updated = await call(createUpdateCustomerProfileTool, adminContext(), {
+    resourceName: alice.resourceName,
+    allergies: ['Latex', 'latex glue ', 'Latex'],
+    lashCurl: 'D',
+    lashLength: '10-12mm',
+    preferredTherapist: 'jenny',
+    note: 'Prefers a quiet room',
+    author: 'Mei'
+  });
+  check(updated.success && updated.changed.length === 4 && updated.noteId, 'fields and a note are recorded');
+  check(updated.fields.allergies.value.join() === 'Latex,latex glue' && updated.fields.allergies.author === 'Mei' && updated.fields.allergies.updatedAt, 'each field keeps its author and timestamp');
+  check(updated.fields.preferredTherapist.value.id === 'staff:jenny', 'a therapist on the team is stored by ID');
+
+  const cleared = await call(createUpdateCustomerProfileTool, adminContext(), { resourceName: alice.resourceName, lashLength: null, sensitiveSkin: true });
+  check(cleared.success && !cleared.fields.lashLength && cleared.fields.sensitiveSkin.value === true && cleared.fields.lashCurl.value === 'D', 'null clears a field and the others are kept');
+
+  const profile = await call(createGetCustomerProfileTool, adminContext(), { resourceName: alice.resourceName });
+  check(profile.notes.length === 1 && profile.notes[0].author === 'Mei' && profile.summary.includes('Prefers a quiet room') && profile.summary.includes('Preferred therapist: Jenny'), 'the profile reads back with its notes');
+
+  const removed = await call(createUpdateCustomerProfileTool, adminContext(), { resourceName: alice.resourceName, removeNoteId: profile.notes[0].id });
+  check(removed.success && removed.notes.length === 0, 'a note can be removed');
+
+  const nothing = await call(createUpdateCustomerProfileTool, adminContext(), { resourceName: alice.resourceName });
+  check(!nothing.success && nothing.error === 'Nothing to update', 'an update needs something to change');
+
+  resourceService.configure({ staff: [], rooms: [] });
+}
+
+async function testCustomerUpdates() {
+  console.log('\n📋 Customer updates');
+  const own = await call(createUpdateCustomerProfileTool, customerContext(alice), { allergies: ['Fragrance'] });
+  check(own.success && own.fields.allergies.value.join() === 'Latex,latex glue,Fragrance' && own.fields.allergies.author === 'customer', "a customer's allergies are added to the ones on record");
+  check(own.notes === undefined, 'customers do not see staff notes');
+
+  const note = await call(createUpdateCustomerProfileTool, customerContext(alice), { note: 'VIP' });
+  check(!note.success && note.error === 'Not allowed', 'customers cannot write staff notes');
+
+  const other = checkToolPermission('updateCustomerProfile', { resourceName: carol.resourceName }, customerContext(alice), 'customer');
+  check(!other.allowed, "customers cannot change someone else's profile");
+  check(!checkToolPermission('updateCustomerProfile', {}, { memory: {} }, 'customer').allowed, 'customers must be identified first');
+  check(!checkToolPermission('getCustomerProfile', {}, customerContext(alice), 'customer').allowed, 'reading a profile is for admins');
+}
+
+async function testLoadedIntoAdminSession() {
+  console.log('\n📋 Loading the profile');
+  const admin = adminContext();
+  await call(createLookupUserTool, admin, { phoneNumber: '91234567' });
+  check(admin.memory.customer_profile?.fields.lashCurl?.value === 'D', 'looking up a customer loads their profile into an admin session');
+
+  const text = profileService.formatForPrompt(admin.memory.customer_profile, alice.name);
+  check(text.startsWith('### CUSTOMER PROFILE (Alice Tan):') && text.includes('- Allergies: Latex, latex glue, Fragrance (customer,') && text.includes('- Sensitive skin: yes'), 'the profile is formatted for the admin prompt');
+
+  await call(createUpdateCustomerProfileTool, admin, { lashCurl: 'CC' });
+  check(admin.memory.customer_profile.fields.lashCurl.value === 'CC', "changes to the loaded customer's profile show straight away");
+
+  const customer = { memory: {} };
+  await call(createLookupUserTool, customer, { phoneNumber: '91234567' });
+  check(customer.memory.user_info?.resourceName === alice.resourceName && !customer.memory.customer_profile, 'customer sessions do not load the profile');
+}
+
+async function testBookingNotes(fake) {
+  console.log('\n📋 Booking notes');
+  const booked = await call(createCreateAppointmentTool, customerContext(carol), { ...carol, serviceIds: ['service:threading-brow'], datetime: '20300610T1400', notes: 'Redness after the last visit' });
+  check(booked.success && fake.appointments.some(item => item.id === booked.appointmentId), 'the appointment is booked');
+
+  const profile = await profileService.getProfile(carol.resourceName);
+  const note = profile.notes[0];
+  check(note?.text === 'Redness after the last visit' && note.appointmentId === booked.appointmentId && note.author === 'customer', 'its notes are kept on the profile with the appointment');
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+
+  useMemoryCalendar();
+  businessCalendar.reset();
+  pricingService.reset();
+
+  try {
+    await testAdminUpdates();
+    await testCustomerUpdates();
+    await testLoadedIntoAdminSession();
+    await testBookingNotes(fake);
+  } catch (error) {
+    fail(error);
+  } finally {
+    resourceService.reset();
+    bookingLedger.clear();
+    holdService.clear();
+    setCalendarProvider(null);
+    await fake.stop();
+  }
+
+  finish('customer profile');
+}
+
+runTests();
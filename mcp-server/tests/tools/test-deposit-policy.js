@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the no-show risk score and deposit policy
+ * Runs offline against the fake SOHO API and an in-memory calendar
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const moment = require('moment-timezone');
+const { setCalendarProvider } = require('../../src/lib/calendar-provider');
+const businessCalendar = require('../../src/services/businessCalendar');
+const bookingLedger = require('../../src/services/bookingLedger');
+const holdService = require('../../src/services/holdService');
+const pricingService = require('../../src/services/pricingService');
+const promotionService = require('../../src/services/promotionService');
+const riskService = require('../../src/services/riskService');
+const memoryService = require('../../src/services/memoryService');
+const { createGetQuoteTool } = require('../../src/tools/getQuote');
+const { createCreateAppointmentTool } = require('../../src/tools/createAppointment');
+const { createGetAppointmentTool } = require('../../src/tools/getAppointment');
+const { createManageDepositsTool } = require('../../src/tools/manageDeposits');
+const { check, fail, finish, createToolRunner, startFakeSoho, useMemoryCalendar } = require('../helpers');
+
+console.log('🧪 Testing Deposit Policy');
+console.log('=========================\n');
+
+// 2030-06-10 is a Monday; Bob has one late cancellation in the fixtures
+const bob = { name: 'Bob Lim', mobile: '+6598765432', resourceName: 'people/c1002' };
+const carol = { name: 'Carol Ng', mobile: '+6581112222', resourceName: 'people/c1003' };
+
+const run = createToolRunner('deposit-session');
+const daysAgo = days => moment().subtract(days, 'days').format('YYYYMMDD[T]1400');
+
+function testScoring() {
+  console.log('📋 Risk score');
+  const now = new Date('2030-06-01T10:00:00+08:00');
+  const start = new Date('2030-06-10T14:00:00+08:00');
+  const noShow = when => ({ id: `appt-${when}`, event: { start: when, status: 'No-Show' } });
+
+  check(riskService.assess({ cancelCount: 0, appointments: [], start, now }).level === 'none', 'a customer with a clean history needs no deposit');
+
+  const cancels = riskService.assess({ cancelCount: 2, appointments: [], start, now });
+  check(cancels.level === 'suggest' && cancels.reasons.join() === '2 late cancellations', 'two late cancellations suggest a deposit');
+
+  const missed = riskService.assess({ cancelCount: 1, appointments: [noShow('2030-05-01T14:00:00+08:00')], start, now });
+  check(missed.level === 'require' && missed.noShows === 1 && missed.score === 4, 'a no-show and a late cancellation require one');
+
+  const old = riskService.assess({ cancelCount: 0, appointments: [noShow('2028-05-01T14:00:00+08:00')], start, now });
+  check(old.noShows === 0, 'no-shows outside the lookback period are not counted');
+
+  const rushed = riskService.assess({ cancelCount: 1, appointments: [], start: new Date('2030-06-01T18:00:00+08:00'), now });
+  check(rushed.shortNotice && rushed.level === 'suggest' && rushed.reasons.includes('booked less than 24 hours ahead'), 'short notice adds to the score');
+
+  check(riskService.depositFor(missed, 65) === 32.5 && riskService.depositFor(missed, 8) === 8 && riskService.depositFor(cancels, 20) === 10, 'deposits are a percentage with a minimum, capped at the total');
+
+  riskService.configure({ enabled: false });
+  check(riskService.assess({ cancelCount: 5, appointments: [], start, now }).level === 'none', 'the policy can be turned off');
+  riskService.reset();
+}
+
+async function testRequiredDeposit(fake) {
+  console.log('\n📋 Required deposit');
+  fake.contacts.find(contact => contact.resourceName === carol.resourceName).cancelCount = 1;
+  fake.addAppointment({ id: 'appt-carol-missed', resourceName: carol.resourceName, start: daysAgo(30), duration: 15, serviceIds: ['service:threading-brow'], status: 'no-show' });
+
+  const customerQuote = await run(createGetQuoteTool, { serviceIds: ['service:lashes-natural'], datetime: '20300610T1400', resourceName: carol.resourceName });
+  check(customerQuote.deposit === 32.5 && customerQuote.depositReason === 'A deposit is needed to secure this booking', 'the quote includes the required deposit');
+  check(!customerQuote.risk && !customerQuote.message.includes('no-show'), 'customers are not told the reasons');
+
+  const adminQuote = await run(createGetQuoteTool, { serviceIds: ['service:lashes-natural'], datetime: '20300610T1400', resourceName: carol.resourceName }, { admin: true });
+  check(adminQuote.risk?.level === 'require' && adminQuote.message.includes('1 no-show') && adminQuote.message.includes('1 late cancellation'), 'admins see why');
+
+  const booked = await run(createCreateAppointmentTool, { ...carol, serviceIds: ['service:lashes-natural'], datetime: '20300610T1400' });
+  const appointment = fake.appointments.find(item => item.id === booked.appointmentId);
+  check(booked.success && appointment?.transaction.deposit === 32.5 && booked.depositStatus === 'required', 'the booking carries the deposit and its status');
+
+  const details = await run(createGetAppointmentTool, { appointmentId: booked.appointmentId });
+  check(details.details.transaction.depositStatus === 'required', 'getAppointment shows the deposit status');
+
+  const unpaid = await run(createManageDepositsTool, { action: 'list' }, { admin: true });
+  check(unpaid.count === 1 && unpaid.deposits[0].appointmentId === booked.appointmentId && unpaid.deposits[0].risk.level === 'require', 'unpaid deposits are listed with their reason');
+
+  const paid = await run(createManageDepositsTool, { action: 'markPaid', appointmentId: booked.appointmentId, note: 'PayNow' }, { admin: true });
+  const after = await run(createGetAppointmentTool, { appointmentId: booked.appointmentId });
+  check(paid.success && after.details.transaction.depositStatus === 'paid', 'a deposit can be marked paid');
+
+  const assessed = await run(createManageDepositsTool, { action: 'assess', resourceName: carol.resourceName }, { admin: true });
+  check(assessed.level === 'require' && assessed.depositPolicy.percent === 50 && assessed.unpaidDeposits.length === 0, 'admins can check a customer before booking');
+
+  // A quote made before the customer was identified still gets the deposit
+  const anonymous = await run(createGetQuoteTool, { serviceIds: ['service:threading-brow'], datetime: '20300611T1400' }, { sessionId: 'deposit-anonymous' });
+  check(anonymous.deposit === 0, 'a quote without a customer has no risk deposit');
+  const late = await run(createCreateAppointmentTool, { ...carol, serviceIds: ['service:threading-brow'], datetime: '20300611T1400', quoteId: anonymous.quoteId }, { sessionId: 'deposit-anonymous' });
+  const lateAppointment = fake.appointments.find(item => item.id === late.appointmentId);
+  check(late.success && lateAppointment?.transaction.deposit === 8, 'the policy is applied when it is booked');
+}
+
+async function testSuggestedDeposit(fake) {
+  console.log('\n📋 Suggested deposit');
+  const plain = await run(createGetQuoteTool, { serviceIds: ['service:lashes-natural'], datetime: '20300612T1400', resourceName: bob.resourceName }, { admin: true });
+  check(plain.deposit === 0 && plain.risk?.level === 'none', 'one late cancellation is not enough');
+
+  fake.contacts.find(contact => contact.resourceName === bob.resourceName).cancelCount = 2;
+  const suggested = await run(createGetQuoteTool, { serviceIds: ['service:lashes-natural'], datetime: '20300612T1400', resourceName: bob.resourceName }, { admin: true });
+  check(suggested.deposit === 0 && suggested.risk?.deposit === 16.25 && suggested.message.includes('includeSuggestedDeposit'), 'a suggested deposit is only shown to the admin');
+
+  const taken = await run(createGetQuoteTool, { serviceIds: ['service:lashes-natural'], datetime: '20300612T1400', resourceName: bob.resourceName, includeSuggestedDeposit: true }, { admin: true });
+  check(taken.deposit === 16.25, 'the admin can take it');
+
+  const booked = await run(createCreateAppointmentTool, { ...bob, serviceIds: ['service:lashes-natural'], datetime: '20300612T1400' }, { admin: true });
+  const appointment = fake.appointments.find(item => item.id === booked.appointmentId);
+  check(booked.success && appointment?.transaction.deposit === 0 && booked.depositStatus === 'suggested' && booked.risk?.level === 'suggest', 'a booking without it records the suggestion');
+
+  const waived = await run(createManageDepositsTool, { action: 'waive', appointmentId: booked.appointmentId, note: 'Regular customer' }, { admin: true });
+  check(waived.success && waived.deposit.status === 'waived', 'a deposit can be waived');
+}
+
+async function testBookkeepingErrors(fake) {
+  console.log('\n📋 Bookkeeping errors');
+  const { confirm } = promotionService;
+  const { recordDeposit } = riskService;
+  promotionService.confirm = async () => { throw new Error('Redemptions unavailable'); };
+  riskService.recordDeposit = async () => { throw new Error('Deposits unavailable'); };
+
+  try {
+    const tool = createCreateAppointmentTool({ memory: {} }, 'deposit-session-bookkeeping');
+    const inputs = { ...carol, serviceIds: ['service:lashes-natural'], datetime: '20300613T1400' };
+    const before = fake.appointments.length;
+    const booked = JSON.parse(await tool._call(inputs));
+    check(booked.success && fake.appointments.some(item => item.id === booked.appointmentId) && booked.depositStatus === null, 'a booking SOHO made is reported even when the deposit and promotions cannot be recorded');
+
+    const retried = JSON.parse(await tool._call(inputs));
+    check(retried.success && retried.appointmentId === booked.appointmentId && fake.appointments.length === before + 1, 'a retry does not book the slot again');
+  } finally {
+    promotionService.confirm = confirm;
+    riskService.recordDeposit = recordDeposit;
+  }
+}
+
+async function testStorageFailure(fake) {
+  console.log('\n📋 Deposit storage unavailable');
+  const read = memoryService.getMemoryByResourceName;
+  const stored = () => read.call(memoryService, 'system:deposits');
+  const before = await stored();
+  const [appointmentId] = Object.keys(before.deposits || {});
+
+  riskService.deposits = null;
+  memoryService.getMemoryByResourceName = async () => { throw new Error('Storage unavailable'); };
+  try {
+    const paid = await run(createManageDepositsTool, { action: 'markPaid', appointmentId, note: 'Cash' }, { admin: true });
+    check(appointmentId && !paid.success, 'a deposit is not marked while the records cannot be read');
+
+    const booked = await run(createCreateAppointmentTool, { ...carol, serviceIds: ['service:lashes-natural'], datetime: '20300614T1400' });
+    check(booked.success && fake.appointments.some(item => item.id === booked.appointmentId), 'a booking still goes through');
+    check(JSON.stringify(await stored()) === JSON.stringify(before), 'the stored deposit records are not replaced');
+  } finally {
+    memoryService.getMemoryByResourceName = read;
+  }
+
+  const record = await riskService.getDeposit(appointmentId);
+  check(record?.status === before.deposits[appointmentId].status, 'the records load again once storage is back');
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+
+  useMemoryCalendar();
+  businessCalendar.reset();
+  pricingService.reset();
+  riskService.reset();
+  await riskService.clearDeposits();
+
+  try {
+    testScoring();
+    await testRequiredDeposit(fake);
+    await testSuggestedDeposit(fake);
+    await testBookkeepingErrors(fake);
+    await testStorageFailure(fake);
+  } catch (error) {
+    fail(error);
+  } finally {
+    riskService.reset();
+    await riskService.clearDeposits();
+    bookingLedger.clear();
+    holdService.clear();
+    setCalendarProvider(null);
+    await fake.stop();
+  }
+
+  finish('deposit policy');
+}
+
+runTests();
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Test for quotes (getQuote) and booking with quoted prices
+ * Runs offline against the fake SOHO API and an in-memory calendar
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const { setCalendarProvider } = require('../../src/lib/calendar-provider');
+const businessCalendar = require('../../src/services/businessCalendar');
+const bookingLedger = require('../../src/services/bookingLedger');
+const holdService = require('../../src/services/holdService');
+const pricingService = require('../../src/services/pricingService');
+const { createGetQuoteTool } = require('../../src/tools/getQuote');
+const { createCreateAppointmentTool } = require('../../src/tools/createAppointment');
+const { createUpdateAppointmentTool } = require('../../src/tools/updateAppointment');
+const { check, fail, finish, startFakeSoho, useMemoryCalendar } = require('../helpers');
+
+console.log('🧪 Testing Quotes');
+console.log('=================\n');
+
+// 2030-06-10 is a Monday
+const alice = { name: 'Alice Tan', mobile: '+6591234567', resourceName: 'people/c1001' };
+const bob = { name: 'Bob Lim', mobile: '+6598765432', resourceName: 'people/c1002' };
+const quote = async inputs => JSON.parse(await createGetQuoteTool({ memory: {} }, 'quote-session')._call(inputs));
+const book = async (inputs, sessionId = 'quote-session') => JSON.parse(await createCreateAppointmentTool({ memory: {} }, sessionId)._call(inputs));
+
+const RULES = {
+  bundles: [{ name: 'Lash & brow bundle', categories: ['Lashes', 'Threading'], percent: 10 }],
+  offPeak: [{ name: 'Weekday morning', days: ['monday', 'tuesday', 'wednesday', 'thursday'], start: '10:00', end: '12:00', percent: 20 }],
+  followUp: { withinDays: 21, percent: 50 },
+  promoCodes: {
+    WELCOME5: { amount: 5, description: 'First visit' },
+    SUMMER: { percent: 15, validUntil: '2030-05-31' },
+    LASHLOVE: { percent: 10, categories: ['Lashes'] }
+  },
+  addOns: [{ id: 'addon:lash-bath', name: 'Lash bath', price: 5, categories: ['Lashes'] }],
+  deposit: { categories: { Lashes: 20 }, percent: 50, minTotal: 100 }
+};
+
+async function testDefaults() {
+  console.log('📋 Default pricing');
+  const plain = await quote({ serviceIds: ['service:lashes-natural', 'service:threading-brow'], datetime: '20300610T1400' });
+  check(plain.success && plain.quoteId, 'a quote is returned');
+  check(plain.subtotal === 73 && plain.discount === 0 && plain.total === 73 && plain.deposit === 0, 'without rules the list prices apply');
+  check(plain.lines.length === 2 && plain.lines.every(line => line.type === 'service'), 'the quote is itemised');
+
+  const unknown = await quote({ serviceIds: ['service:nope'], datetime: '20300610T1400' });
+  check(!unknown.success && unknown.error === 'Unknown services', 'unknown services are rejected');
+}
+
+async function testRules() {
+  console.log('\n📋 Pricing rules');
+  pricingService.configure(RULES);
+
+  const bundle = await quote({ serviceIds: ['service:lashes-natural', 'service:threading-brow'], datetime: '20300610T1400' });
+  const bundleLine = bundle.lines.find(line => line.rule === 'bundle');
+  check(bundleLine && bundleLine.amount === -7.3 && bundle.total === 65.7, 'a lash and brow bundle gets 10% off');
+  check(bundle.deposit === 20 && bundle.depositReason.includes('Lashes'), 'lash bookings need a deposit');
+
+  const morning = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300611T1030' });
+  check(morning.lines.some(line => line.rule === 'offPeak') && morning.total === 6.4, 'weekday mornings are off-peak');
+  const saturday = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300615T1030' });
+  check(!saturday.lines.some(line => line.rule === 'offPeak'), 'Saturday mornings are not');
+
+  const codes = await quote({ serviceIds: ['service:lashes-natural'], datetime: '20300610T1400', promoCodes: ['welcome5', 'SUMMER', 'BOGUS'], addOns: ['addon:lash-bath'] });
+  check(codes.promoCodes.join() === 'WELCOME5' && codes.lines.some(line => line.code === 'WELCOME5' && line.amount === -5), 'a valid code is applied');
+  check(codes.rejectedCodes.map(item => item.code).join() === 'SUMMER,BOGUS' && codes.message.includes('SUMMER'), 'expired and unknown codes are reported');
+  check(codes.additional === 5 && codes.total === 65, 'add-ons are added to the total');
+
+  const wrongCategory = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300610T1400', promoCodes: ['LASHLOVE'] });
+  check(wrongCategory.rejectedCodes[0]?.reason === 'Not valid for these services', 'codes only apply to their services');
+
+  const big = await quote({ serviceIds: ['service:facial-cleanse', 'service:lash-lift'], datetime: '20300610T1400' });
+  check(big.deposit === 72.5 && big.depositReason.includes('50%'), 'large bookings need a percentage deposit');
+}
+
+async function testFollowUpPricing(fake) {
+  console.log('\n📋 Follow-up pricing');
+  fake.addAppointment({ id: 'appt-full-set', resourceName: alice.resourceName, start: '20300603T1400', duration: 90, serviceIds: ['service:lashes-natural'] });
+
+  const touchUp = await quote({ serviceIds: ['service:lashes-touchup'], datetime: '20300617T1400', resourceName: alice.resourceName });
+  check(touchUp.lines.some(line => line.rule === 'followUp') && touchUp.total === 20, 'a touch-up soon after a full set is half price');
+
+  const late = await quote({ serviceIds: ['service:lashes-touchup'], datetime: '20300701T1400', resourceName: alice.resourceName });
+  check(!late.lines.some(line => line.rule === 'followUp'), 'a touch-up after the window is full price');
+
+  const someoneElse = await quote({ serviceIds: ['service:lashes-touchup'], datetime: '20300617T1400', resourceName: bob.resourceName });
+  check(someoneElse.total === 40, 'other customers pay full price');
+}
+
+async function testBooking(fake) {
+  console.log('\n📋 Booking with a quote');
+  const quoted = await quote({ serviceIds: ['service:lashes-natural', 'service:threading-brow'], datetime: '20300612T1400', promoCodes: ['WELCOME5'], resourceName: bob.resourceName });
+  const booked = await book({ ...bob, serviceIds: ['service:lashes-natural', 'service:threading-brow'], datetime: '20300612T1400', quoteId: quoted.quoteId });
+  const appointment = fake.appointments.find(item => item.id === booked.appointmentId);
+  check(booked.success && booked.price.total === quoted.total, 'createAppointment books with the quote');
+  check(appointment?.transaction.totalAmount === 73 && appointment?.transaction.discount === 12.3 && appointment?.transaction.deposit === 20, 'SOHO gets the quoted amounts');
+
+  const otherTime = await book({ ...bob, serviceIds: ['service:lashes-natural', 'service:threading-brow'], datetime: '20300613T1400', quoteId: quoted.quoteId });
+  check(!otherTime.success && otherTime.error === 'Quote does not match' && otherTime.message.includes('different time'), 'a quote for another time is refused');
+
+  // Without a customer on the quote, only the session stops someone else using it
+  const anonymous = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300613T1100', promoCodes: ['WELCOME5'] });
+  const elsewhere = await book({ ...alice, serviceIds: ['service:threading-brow'], datetime: '20300613T1100', quoteId: anonymous.quoteId }, 'other-session');
+  check(!elsewhere.success && elsewhere.error === 'Quote does not match' && elsewhere.message.includes('another conversation'), 'a quote is refused in another session');
+
+  const expired = await book({ ...bob, serviceIds: ['service:threading-brow'], datetime: '20300613T1500', quoteId: 'quote-missing' }, 'other-session');
+  check(!expired.success && expired.error === 'Quote not found', 'an unknown or expired quote is refused');
+
+  const badCode = await book({ ...bob, serviceIds: ['service:threading-brow'], datetime: '20300613T1500', promoCodes: ['BOGUS'] }, 'other-session');
+  check(!badCode.success && badCode.error === 'Pricing not applied' && !fake.appointments.some(item => item.event.start.startsWith('2030-06-13')), 'a booking with a code that does not apply is not made');
+
+  const unquoted = await book({ ...bob, serviceIds: ['service:threading-brow'], datetime: '20300613T1030', allowDuplicate: true }, 'other-session');
+  const unquotedAppointment = fake.appointments.find(item => item.id === unquoted.appointmentId);
+  check(unquoted.success && unquotedAppointment?.transaction.discount === 1.6, 'without a quote the pricing rules still apply');
+
+  console.log('\n📋 Updating with a new price');
+  const moved = JSON.parse(await createUpdateAppointmentTool({ memory: {} }, 'quote-session')._call({
+    ...bob, appointmentId: booked.appointmentId, date: '2030-06-18', time: '10:30', serviceIds: ['service:threading-brow']
+  }));
+  check(moved.success && appointment.transaction.totalAmount === 8 && appointment.transaction.discount === 6.6, 'an update is re-priced for the new services and time, keeping its promo code');
+  check(appointment.transaction.deposit === 20, 'the deposit already taken is kept');
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+
+  useMemoryCalendar();
+  businessCalendar.reset();
+  pricingService.reset();
+
+  try {
+    await testDefaults();
+    await testRules();
+    await testFollowUpPricing(fake);
+    await testBooking(fake);
+  } catch (error) {
+    fail(error);
+  } finally {
+    pricingService.reset();
+    bookingLedger.clear();
+    holdService.clear();
+    setCalendarProvider(null);
+    await fake.stop();
+  }
+
+  finish('quote');
+}
+
+runTests();
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Test for idempotent createAppointment and duplicate-booking detection
+ * Runs offline against a local stand-in for the SOHO API (no Google Calendar)
+ */
+
+const businessCalendar = require('../../src/services/businessCalendar');
+const bookingLedger = require('../../src/services/bookingLedger');
+const holdService = require('../../src/services/holdService');
+const { check, fail, finish, startStubApi } = require('../helpers');
+
+console.log('🧪 Testing Idempotent Booking');
+console.log('=============================\n');
+
+const services = [
+  { id: 'service:lashes', service: 'Lashes - Full Set Natural', category: 'Lashes', duration: 60, price: 65, enabled: true }
+];
+
+// Existing appointments per customer, and how many bookings reached the API
+const history = {};
+let mutations = 0;
+let failNextBooking = false;
+let historyDown = false;
+
+async function respond({ query, variables }) {
+  if (query.includes('createAppointment')) {
+    mutations++;
+    // Answer slowly so concurrent calls overlap
+    await new Promise(resolve => setTimeout(resolve, 50));
+    if (failNextBooking) {
+      failNextBooking = false;
+      return { errors: [{ message: 'Temporary failure' }] };
+    }
+    return { data: { createAppointment: { id: `appt-${mutations}`, createdNewContact: false } } };
+  }
+
+  if (query.includes('person(id: $id)') && historyDown) {
+    return { errors: [{ message: 'Temporary failure' }] };
+  }
+
+  if (query.includes('person(id: $id)')) {
+    return { data: { person: { id: variables.id, cancelCount: 0, appointments: history[variables.id] || [] } } };
+  }
+
+  return { data: { services } };
+}
+
+function booking(overrides = {}) {
+  return {
+    serviceIds: ['service:lashes'],
+    datetime: '20300610T1400',
+    name: 'Alice Tan',
+    mobile: '+6591234567',
+    resourceName: 'people/c111',
+    ...overrides
+  };
+}
+
+function appointment(id, start, end, status = 'confirmed') {
+  return { id, event: { id, start, end, status }, transaction: { items: [{ name: 'Lash Lift' }] } };
+}
+
+async function testIdempotency(createCreateAppointmentTool) {
+  console.log('📋 Retries');
+  const tool = createCreateAppointmentTool({ memory: {} }, 'session-a');
+
+  const first = JSON.parse(await tool._call(booking()));
+  const retry = JSON.parse(await tool._call(booking()));
+  check(first.success && mutations === 1, 'the first call books the appointment');
+  check(retry.success && retry.duplicateRequest && retry.appointmentId === first.appointmentId, 'a retry returns the original booking');
+  check(mutations === 1, 'a retry does not submit the booking again');
+
+  const other = JSON.parse(await createCreateAppointmentTool({ memory: {} }, 'session-b')._call(booking({ datetime: '20300610T1600', resourceName: 'people/c222', mobile: '+6598765432', name: 'Bob Lim' })));
+  check(other.success && !other.duplicateRequest && mutations === 2, 'a different booking is not treated as a retry');
+
+  const [one, two] = await Promise.all([
+    tool._call(booking({ datetime: '20300611T1100' })),
+    tool._call(booking({ datetime: '20300611T1100' }))
+  ].map(promise => promise.then(JSON.parse)));
+  check(one.success && two.success && one.appointmentId === two.appointmentId && mutations === 3, 'double-sent calls only book once');
+
+  failNextBooking = true;
+  const failed = JSON.parse(await tool._call(booking({ datetime: '20300612T1100' })));
+  const retried = JSON.parse(await tool._call(booking({ datetime: '20300612T1100' })));
+  check(!failed.success && retried.success && !retried.duplicateRequest && mutations === 5, 'a failed booking can be retried');
+
+  const keyA = bookingLedger.makeKey({ sessionId: 's', resourceName: 'r', serviceIds: ['b', 'a'], start: '2030-06-10T06:00:00Z' });
+  const keyB = bookingLedger.makeKey({ sessionId: 's', resourceName: 'r', serviceIds: ['a', 'b'], start: '2030-06-10T06:00:00.000Z' });
+  check(keyA === keyB, 'keys ignore service order');
+}
+
+async function testExistingBookings(createCreateAppointmentTool) {
+  console.log('\n📋 Existing appointments');
+  history['people/c333'] = [
+    appointment('appt-old', '2030-06-13T14:30:00+08:00', '2030-06-13T15:30:00+08:00'),
+    appointment('appt-cancelled', '2030-06-14T14:00:00+08:00', '2030-06-14T15:00:00+08:00', 'cancelled'),
+    appointment('appt-morning', '20300615T1000', '20300615T1100')
+  ];
+  const customer = { resourceName: 'people/c333', name: 'Carol Ng', mobile: '+6590000333' };
+  const tool = createCreateAppointmentTool({ memory: {} }, 'session-c');
+  const before = mutations;
+
+  const overlap = JSON.parse(await tool._call(booking({ ...customer, datetime: '20300613T1400' })));
+  check(!overlap.success && overlap.error === 'Overlapping appointment exists' && overlap.requiresConfirmation, 'an overlapping booking for the same customer needs confirmation');
+  check(overlap.existingAppointments[0].id === 'appt-old' && overlap.message.includes('2:30 PM'), 'the warning names the existing appointment');
+
+  const sameDay = JSON.parse(await tool._call(booking({ ...customer, datetime: '20300615T1500' })));
+  check(!sameDay.success && sameDay.error === 'Same-day appointment exists', 'a same-day booking needs confirmation');
+
+  const cancelled = JSON.parse(await tool._call(booking({ ...customer, datetime: '20300614T1400' })));
+  check(cancelled.success, 'cancelled appointments are ignored');
+
+  check(mutations === before + 1, 'warnings stop the booking before it reaches the API');
+
+  const confirmed = JSON.parse(await tool._call(booking({ ...customer, datetime: '20300613T1400', allowDuplicate: true })));
+  check(confirmed.success, 'a confirmed duplicate is booked');
+
+  historyDown = true;
+  const beforeOutage = mutations;
+  const unchecked = JSON.parse(await tool._call(booking({ ...customer, datetime: '20300617T1400' })));
+  check(!unchecked.success && unchecked.error === 'Existing appointments unavailable' && unchecked.requiresConfirmation && mutations === beforeOutage, 'a booking is not made when the existing appointments cannot be read');
+
+  const uncheckedConfirmed = JSON.parse(await tool._call(booking({ ...customer, datetime: '20300617T1400', allowDuplicate: true })));
+  check(uncheckedConfirmed.success && mutations === beforeOutage + 1, 'it is booked once the customer confirms');
+  historyDown = false;
+}
+
+async function runTests() {
+  const server = await startStubApi(respond);
+  process.env.SOHO_API_URL = `http://127.0.0.1:${server.address().port}/graphql`;
+  process.env.SOHO_AUTH_TOKEN = 'test-token';
+  delete process.env.GOOGLE_SERVICE_ACCOUNT;
+
+  const { createCreateAppointmentTool } = require('../../src/tools/createAppointment');
+
+  businessCalendar.reset();
+  try {
+    await testIdempotency(createCreateAppointmentTool);
+    await testExistingBookings(createCreateAppointmentTool);
+  } catch (error) {
+    fail(error);
+  } finally {
+    bookingLedger.clear();
+    holdService.clear();
+    server.close();
+  }
+
+  finish('idempotent booking');
+}
+
+runTests();
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the multi-day "next available" search in getAvailableSlots
+ * Runs offline: ranking is tested with in-memory calendar events
+ */
+
+const businessCalendar = require('../../src/services/businessCalendar');
+const { rankCandidateSlots, getSearchableDays, createGetAvailableSlotsTool } = require('../../src/tools/getAvailableSlots');
+const { check, fail, finish } = require('../helpers');
+
+console.log('🧪 Testing Next Available Slot Search');
+console.log('=====================================\n');
+
+// Calendar event in business time
+function event(date, from, to) {
+  return {
+    start: { dateTime: businessCalendar.atTime(date, from).toISOString() },
+    end: { dateTime: businessCalendar.atTime(date, to).toISOString() }
+  };
+}
+
+async function testSearchableDays() {
+  console.log('📋 Searchable days');
+
+  // 2026-08-08 (Sat) to 2026-08-11 (Tue): Sunday closed, National Day observed on Monday
+  const { days, skippedDays } = await getSearchableDays('2026-08-08', '2026-08-11');
+  check(days.map(day => day.date).join(',') === '2026-08-08,2026-08-11', 'only open, non-holiday days are searched');
+  check(skippedDays.length === 2, 'closed days and holidays are reported as skipped');
+  check(skippedDays.some(day => day.reason.includes('National Day')), 'holiday skips give the holiday name');
+
+  const saturdays = await getSearchableDays('2026-09-01', '2026-09-30', ['saturday']);
+  check(saturdays.days.length === 4 && saturdays.days.every(day => day.weekday === 'saturday'), 'the weekday filter keeps only matching days');
+}
+
+async function testRanking() {
+  console.log('\n📋 Candidate ranking');
+  const now = new Date('2026-09-01T00:00:00+08:00');
+  const { days } = await getSearchableDays('2026-09-03', '2026-09-05');
+
+  // Thursday is fully booked, Friday has a morning appointment
+  const events = [
+    event('2026-09-03', '10:00', '19:00'),
+    event('2026-09-04', '10:00', '12:00')
+  ];
+
+  const candidates = await rankCandidateSlots({ days, events, duration: 60, limit: 5, now });
+  check(candidates.length === 5, 'the result limit is applied');
+  check(candidates[0].date === '2026-09-04' && candidates[0].start === '12:00 PM', 'a fully booked day is skipped and the earliest free slot ranks first');
+  check(candidates[0].end === '1:00 PM', 'candidates include their end time');
+  check(candidates.filter(c => c.date === '2026-09-04').length === 3, 'no more than three candidates come from one day');
+  check(candidates[1].start === '1:00 PM', 'candidates from one day are spaced an hour apart');
+  check(candidates.map(c => c.rank).join(',') === '1,2,3,4,5', 'candidates are ranked in order');
+
+  const mornings = await rankCandidateSlots({ days, events, duration: 60, timeOfDay: 'morning', now });
+  check(mornings.length > 0 && mornings.every(c => c.date === '2026-09-05'), 'the morning filter drops afternoon-only days');
+
+  const evenings = await rankCandidateSlots({ days, events, duration: 60, timeOfDay: 'evening', now });
+  check(evenings.map(c => c.start).join(',') === '5:00 PM,6:00 PM', 'evening slots still finish by closing time');
+}
+
+async function testInvalidRange() {
+  console.log('\n📋 Range validation');
+  const tool = createGetAvailableSlotsTool({ memory: {} }, 'search-session');
+
+  const backwards = JSON.parse(await tool._call({ date: '2030-06-10', endDate: '2030-06-01' }));
+  check(!backwards.success && backwards.error === 'Invalid date range', 'an end date before the start is rejected');
+
+  const invalid = JSON.parse(await tool._call({ date: '2030-06-10', endDate: 'someday' }));
+  check(!invalid.success && invalid.error.startsWith('Invalid date format'), 'an unparseable end date is rejected');
+}
+
+async function runTests() {
+  businessCalendar.reset();
+  try {
+    await testSearchableDays();
+    await testRanking();
+    await testInvalidRange();
+  } catch (error) {
+    fail(error);
+  } finally {
+    businessCalendar.reset();
+  }
+
+  finish('next available slot');
+}
+
+runTests();
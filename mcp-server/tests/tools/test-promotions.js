@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Test for promo codes, gift vouchers and the redemption ledger
+ * Runs offline against the fake SOHO API and an in-memory calendar
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const { setCalendarProvider } = require('../../src/lib/calendar-provider');
+const businessCalendar = require('../../src/services/businessCalendar');
+const bookingLedger = require('../../src/services/bookingLedger');
+const holdService = require('../../src/services/holdService');
+const pricingService = require('../../src/services/pricingService');
+const promotionService = require('../../src/services/promotionService');
+const memoryService = require('../../src/services/memoryService');
+const { createGetQuoteTool } = require('../../src/tools/getQuote');
+const { createApplyPromoCodeTool } = require('../../src/tools/applyPromoCode');
+const { createIssueVoucherTool } = require('../../src/tools/issueVoucher');
+const { createManagePromotionsTool } = require('../../src/tools/managePromotions');
+const { createCreateAppointmentTool } = require('../../src/tools/createAppointment');
+const { createUpdateAppointmentTool } = require('../../src/tools/updateAppointment');
+const { createCancelAppointmentTool } = require('../../src/tools/cancelAppointment');
+const { check, fail, finish, createToolRunner, startFakeSoho, useMemoryCalendar } = require('../helpers');
+
+console.log('🧪 Testing Promotions and Vouchers');
+console.log('==================================\n');
+
+// 2030-06-10 is a Monday
+const alice = { name: 'Alice Tan', mobile: '+6591234567', resourceName: 'people/c1001' };
+const bob = { name: 'Bob Lim', mobile: '+6598765432', resourceName: 'people/c1002' };
+const LASHES_AND_BROW = ['service:lashes-natural', 'service:threading-brow'];
+
+const run = createToolRunner('promo-session');
+// Quotes can only be booked in the session that made them
+const quote = inputs => run(createGetQuoteTool, inputs, { sessionId: 'promo-customer' });
+const applyCode = inputs => run(createApplyPromoCodeTool, inputs, { sessionId: 'promo-customer' });
+const book = inputs => run(createCreateAppointmentTool, inputs, { sessionId: 'promo-customer' });
+const manage = inputs => run(createManagePromotionsTool, inputs);
+
+async function testCodes() {
+  console.log('📋 Creating and checking codes');
+  const created = await manage({ action: 'create', code: 'lash20', percent: 20, categories: ['Lashes'], stackable: false, validUntil: '2030-12-31' });
+  check(created.success && created.promotion.code === 'LASH20', 'an admin creates a promo code');
+  await manage({ action: 'create', code: 'SPRING', percent: 10, validUntil: '2030-05-31' });
+  await manage({ action: 'create', code: 'ALICE15', percent: 15, resourceName: alice.resourceName });
+  const duplicate = await manage({ action: 'create', code: 'Spring', amount: 5 });
+  check(!duplicate.success && duplicate.message.includes('already exists'), 'codes are unique');
+
+  const valid = await applyCode({ code: 'lash20' });
+  check(valid.success && valid.promotion.offer === '20% off' && valid.promotion.combinable === false, 'a valid code is described');
+  const expired = await applyCode({ code: 'SPRING', serviceIds: ['service:threading-brow'], datetime: '20300610T1400' });
+  check(!expired.success && expired.reason === 'Expired on 2030-05-31', 'an expired code is refused');
+  const notMine = await applyCode({ code: 'ALICE15', resourceName: bob.resourceName });
+  check(!notMine.success && notMine.reason === 'This code belongs to another customer', "another customer's code is refused");
+  const unknown = await applyCode({ code: 'NOPE' });
+  check(!unknown.success && unknown.reason === 'Unknown promo code', 'an unknown code is refused');
+  const ineligible = await applyCode({ code: 'LASH20', serviceIds: ['service:threading-brow'], datetime: '20300610T1400' });
+  check(!ineligible.success && ineligible.reason === 'Not valid for these services', 'a code is refused for services it does not cover');
+}
+
+async function testStacking() {
+  console.log('\n📋 Stacking');
+  const stacked = await quote({ serviceIds: LASHES_AND_BROW, datetime: '20300610T1400', promoCodes: ['WELCOME5'] });
+  check(stacked.discount === 12.3 && stacked.promoCodes.join() === 'WELCOME5', 'a combinable code stacks with the bundle discount');
+
+  const applied = await applyCode({ code: 'LASH20', quoteId: stacked.quoteId });
+  check(applied.success && applied.total === 60 && applied.quoteId !== stacked.quoteId, 'a non-combinable code replaces other offers when it saves more');
+  check(applied.rejectedCodes.some(item => item.code === 'WELCOME5' && item.reason === "Can't be combined with LASH20"), 'the code it replaced is reported');
+  check(!applied.lines.some(line => line.rule === 'bundle'), 'the bundle discount is dropped');
+  const elsewhere = await run(createApplyPromoCodeTool, { code: 'LASH20', quoteId: stacked.quoteId });
+  check(!elsewhere.success && elsewhere.error === 'Quote not found', "another session's quote can't be used");
+
+  await manage({ action: 'create', code: 'BROW1', amount: 1, stackable: false });
+  const worse = await quote({ serviceIds: LASHES_AND_BROW, datetime: '20300610T1400', promoCodes: ['BROW1'] });
+  check(worse.discount === 7.3 && worse.rejectedCodes[0]?.reason === "Can't be combined with other offers", 'a non-combinable code that saves less is not used');
+}
+
+async function testSingleUse(fake) {
+  console.log('\n📋 Single use per customer');
+  const first = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300611T1400', promoCodes: ['WELCOME5'], resourceName: alice.resourceName });
+  const second = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300612T1400', promoCodes: ['WELCOME5'], resourceName: alice.resourceName });
+  check(first.promoCodes.join() === 'WELCOME5' && second.promoCodes.join() === 'WELCOME5', 'both quotes include the code before it is used');
+
+  const booked = await book({ ...alice, serviceIds: ['service:threading-brow'], datetime: '20300611T1400', quoteId: first.quoteId });
+  check(booked.success && fake.appointments.find(item => item.id === booked.appointmentId)?.transaction.discount === 5, 'the first booking gets the discount');
+
+  const again = await book({ ...alice, serviceIds: ['service:threading-brow'], datetime: '20300612T1400', quoteId: second.quoteId });
+  check(!again.success && again.error === 'Pricing not applied' && again.message.includes('already used this code'), 'the same code is refused on the second booking');
+  check(!fake.appointments.some(item => item.event.start.startsWith('2030-06-12')), 'the second booking is not made');
+
+  const requote = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300612T1400', promoCodes: ['WELCOME5'], resourceName: alice.resourceName });
+  check(requote.rejectedCodes[0]?.reason === 'The customer has already used this code', 'new quotes no longer apply it');
+
+  const ledger = await manage({ action: 'redemptions', code: 'welcome5' });
+  check(ledger.count === 1 && ledger.redemptions[0].appointmentId === booked.appointmentId && ledger.redemptions[0].status === 'redeemed', 'the redemption is in the ledger');
+
+  // The ledger is persisted, not just held by this process
+  promotionService.data = null;
+  const reloaded = await promotionService.listRedemptions({ code: 'WELCOME5' });
+  check(reloaded.length === 1, 'the ledger survives a reload');
+
+  return booked.appointmentId;
+}
+
+async function testVouchers(fake) {
+  console.log('\n📋 Gift vouchers');
+  const issued = await run(createIssueVoucherTool, { amount: 50, recipient: 'Bob Lim', validUntil: '2030-12-31', note: 'Birthday gift' });
+  check(issued.success && /^GV-[0-9A-F]{6}-[0-9A-F]{6}$/.test(issued.code) && issued.balance === 50, 'a voucher is issued with a code and balance');
+
+  const brow = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300613T1400', promoCodes: [issued.code], resourceName: bob.resourceName });
+  check(brow.total === 0 && brow.voucherAmount === 8, 'the voucher pays for a small booking in full');
+  const browBooking = await book({ ...bob, serviceIds: ['service:threading-brow'], datetime: '20300613T1400', quoteId: brow.quoteId });
+  check(browBooking.success && fake.appointments.find(item => item.id === browBooking.appointmentId)?.transaction.discount === 8, 'SOHO gets the voucher as a discount');
+
+  const lashes = await applyCode({ code: issued.code, serviceIds: ['service:lashes-natural'], datetime: '20300614T1400', resourceName: bob.resourceName });
+  check(lashes.success && lashes.voucherAmount === 42 && lashes.total === 23, 'the rest of the balance goes towards the next booking');
+  const lashBooking = await book({ ...bob, serviceIds: ['service:lashes-natural'], datetime: '20300614T1400', quoteId: lashes.quoteId });
+  const voucher = await promotionService.getPromotion(issued.code);
+  check(lashBooking.success && voucher.balance === 0, 'the balance is used up');
+
+  const empty = await applyCode({ code: issued.code });
+  check(!empty.success && empty.reason === 'This voucher has no balance left', 'an empty voucher is refused');
+
+  console.log('\n📋 Updating keeps the voucher');
+  const moved = JSON.parse(await createUpdateAppointmentTool({ memory: {} }, 'promo-update')._call({
+    ...bob, appointmentId: browBooking.appointmentId, date: '2030-06-17', time: '14:00', serviceIds: ['service:threading-brow']
+  }));
+  const movedAppointment = fake.appointments.find(item => item.id === browBooking.appointmentId);
+  check(moved.success && movedAppointment.transaction.discount === 8, 'the moved appointment is still paid by the voucher');
+  check((await promotionService.getPromotion(issued.code)).balance === 0, 'the voucher is not charged twice');
+
+  return { code: issued.code, lashAppointmentId: lashBooking.appointmentId };
+}
+
+async function testCancellation(aliceAppointmentId, voucher) {
+  console.log('\n📋 Cancelling gives codes back');
+  const cancel = appointmentId => run(createCancelAppointmentTool, { appointmentId, reason: 'Change of plans' });
+
+  const lashes = await cancel(voucher.lashAppointmentId);
+  check(lashes.success && lashes.details.returnedCodes[0]?.amount === 42 && lashes.message.includes(voucher.code), 'the cancellation reports what was returned');
+  check((await promotionService.getPromotion(voucher.code)).balance === 42, 'the voucher balance is restored');
+
+  await cancel(aliceAppointmentId);
+  const requote = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300612T1400', promoCodes: ['WELCOME5'], resourceName: alice.resourceName });
+  check(requote.promoCodes.join() === 'WELCOME5', 'a promo code can be used again after the booking is cancelled');
+
+  const ledger = await promotionService.listRedemptions({ appointmentId: aliceAppointmentId });
+  check(ledger[0]?.status === 'reversed', 'the ledger records the reversal');
+
+  const deactivated = await manage({ action: 'deactivate', code: 'LASH20' });
+  const inactive = await applyCode({ code: 'LASH20' });
+  check(deactivated.success && !inactive.success && inactive.reason === 'This code is no longer active', 'a deactivated code is refused');
+}
+
+async function testStorageFailure() {
+  console.log('\n📋 Ledger storage unavailable');
+  const read = memoryService.getMemoryByResourceName;
+  const stored = () => read.call(memoryService, 'system:promotions');
+  const before = await stored();
+
+  promotionService.data = null;
+  memoryService.getMemoryByResourceName = async () => { throw new Error('Storage unavailable'); };
+  try {
+    const created = await manage({ action: 'create', code: 'OUTAGE', percent: 5 });
+    check(!created.success, 'no promotion is created while the ledger cannot be read');
+    const after = await stored();
+    check(before.redemptions.length > 0 && JSON.stringify(after.promotions) === JSON.stringify(before.promotions)
+      && JSON.stringify(after.redemptions) === JSON.stringify(before.redemptions), 'the stored promotions and redemptions are not replaced');
+
+    const plain = await quote({ serviceIds: ['service:threading-brow'], datetime: '20300620T1400', resourceName: bob.resourceName });
+    const booked = await book({ ...bob, serviceIds: ['service:threading-brow'], datetime: '20300620T1400', quoteId: plain.quoteId });
+    check(booked.success, 'a booking without codes still goes through');
+  } finally {
+    memoryService.getMemoryByResourceName = read;
+  }
+
+  const listed = await manage({ action: 'list', includeInactive: true });
+  check(listed.success && listed.promotions.some(promotion => promotion.code === 'LASH20'), 'the ledger loads again once storage is back');
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+
+  useMemoryCalendar();
+  businessCalendar.reset();
+  pricingService.reset();
+  pricingService.configure({
+    bundles: [{ name: 'Lash & brow bundle', categories: ['Lashes', 'Threading'], percent: 10 }],
+    promoCodes: { WELCOME5: { amount: 5, description: 'First visit' } }
+  });
+  await promotionService.clear();
+
+  try {
+    await testCodes();
+    await testStacking();
+    const aliceAppointmentId = await testSingleUse(fake);
+    const voucher = await testVouchers(fake);
+    await testCancellation(aliceAppointmentId, voucher);
+    await testStorageFailure();
+  } catch (error) {
+    fail(error);
+  } finally {
+    pricingService.reset();
+    await promotionService.clear();
+    bookingLedger.clear();
+    holdService.clear();
+    setCalendarProvider(null);
+    await fake.stop();
+  }
+
+  finish('promotion');
+}
+
+runTests();
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test for tentative slot holds
+ * Runs offline against a local stand-in for the SOHO API (no Google Calendar)
+ */
+
+const businessCalendar = require('../../src/services/businessCalendar');
+const resourceService = require('../../src/services/resourceService');
+const holdService = require('../../src/services/holdService');
+const { check, fail, finish, startStubApi } = require('../helpers');
+
+console.log('🧪 Testing Slot Holds');
+console.log('=====================\n');
+
+const services = [
+  { id: 'service:lashes', service: 'Lashes - Full Set Natural', category: 'Lashes', duration: 60, price: 65, enabled: true }
+];
+let bookings = 0;
+
+function respond({ query }) {
+  if (query.includes('createAppointment')) {
+    bookings++;
+    return { data: { createAppointment: { id: `appt-${bookings}`, createdNewContact: false } } };
+  }
+  return { data: { services } };
+}
+
+// 2030-06-10 is a Monday
+const at = time => businessCalendar.atTime('2030-06-10', time);
+
+function testHoldService() {
+  console.log('📋 Hold service');
+  holdService.clear();
+
+  const first = holdService.placeHold({ sessionId: 'session-a', start: at('14:00'), end: at('15:00') });
+  check(first.success && first.hold.status === 'held', 'a free slot can be held');
+
+  const clash = holdService.placeHold({ sessionId: 'session-b', start: at('14:30'), end: at('15:30') });
+  check(!clash.success, "another session can't hold an overlapping slot");
+
+  const seenByB = holdService.getHoldEvents({ excludeSessionId: 'session-b' });
+  check(seenByB.length === 1 && seenByB[0].summary === 'Slot hold', 'holds show up as events for other sessions');
+  check(holdService.getHoldEvents({ excludeSessionId: 'session-a' }).length === 0, 'a session does not see its own hold as busy');
+
+  const moved = holdService.placeHold({ sessionId: 'session-a', start: at('16:00'), end: at('17:00') });
+  check(moved.success && holdService.listHolds().length === 1, 'a new hold replaces the session\'s earlier one');
+
+  const later = new Date(Date.now() + (holdService.getHoldMinutes() + 1) * 60000);
+  check(holdService.listHolds(later).length === 0, 'holds expire automatically');
+
+  // Two staff members: parallel holds are fine until both are taken
+  resourceService.configure({ staff: [{ id: 'staff:jenny', name: 'Jenny', skills: ['*'] }, { id: 'staff:mei', name: 'Mei', skills: ['*'] }], rooms: [] });
+  holdService.clear();
+  const one = holdService.placeHold({ sessionId: 'session-a', start: at('14:00'), end: at('15:00') });
+  const two = holdService.placeHold({ sessionId: 'session-b', start: at('14:00'), end: at('15:00') });
+  const three = holdService.placeHold({ sessionId: 'session-c', start: at('14:00'), end: at('15:00') });
+  check(one.success && two.success && !three.success, 'with staff configured, each hold takes one qualified staff member');
+  check(one.hold.staffId !== two.hold.staffId, 'parallel holds are assigned different staff');
+  resourceService.configure({ staff: [], rooms: [] });
+  holdService.clear();
+}
+
+async function testBooking(createCreateAppointmentTool, createHoldSlotTool, createManageSlotHoldsTool) {
+  console.log('\n📋 Holding and booking');
+  const booking = {
+    serviceIds: ['service:lashes'],
+    datetime: '20300610T1400',
+    name: 'Alice Tan',
+    mobile: '+6591234567',
+    resourceName: 'people/c123'
+  };
+
+  const contextA = { memory: { user_info: { name: 'Alice Tan' } } };
+  const holdA = JSON.parse(await createHoldSlotTool(contextA, 'session-a')._call({ datetime: '20300610T1400', serviceIds: ['service:lashes'] }));
+  check(holdA.success && contextA.memory.slot_hold.id === holdA.holdId, 'holdSlot holds the accepted time and remembers it');
+
+  const holdB = JSON.parse(await createHoldSlotTool({ memory: {} }, 'session-b')._call({ datetime: '20300610T1430', serviceIds: ['service:lashes'] }));
+  check(!holdB.success && holdB.error === 'Slot not available', 'holdSlot refuses a time another customer is holding');
+
+  const sunday = JSON.parse(await createHoldSlotTool({ memory: {} }, 'session-b')._call({ datetime: '20300609T1400' }));
+  check(!sunday.success && sunday.error === 'Cannot book on Sunday', 'holdSlot checks opening hours');
+
+  const listed = JSON.parse(await createManageSlotHoldsTool({ memory: {} }, 'admin')._call({ action: 'list' }));
+  check(listed.count === 1 && listed.holds[0].customer === 'Alice Tan' && listed.holds[0].start === '2:00 PM', 'admins can see who is holding which slot');
+
+  const blocked = JSON.parse(await createCreateAppointmentTool({ memory: {} }, 'session-b')._call({ ...booking, name: 'Bob Lim', mobile: '+6598765432', resourceName: 'people/c456' }));
+  check(!blocked.success && blocked.error === 'Slot no longer available', "another session can't book a held slot");
+  check(bookings === 0, 'the blocked booking never reaches the API');
+
+  const booked = JSON.parse(await createCreateAppointmentTool(contextA, 'session-a')._call(booking));
+  check(booked.success && bookings === 1, 'the session holding the slot can book it');
+  check(holdService.getHold('session-a') === null, 'booking consumes the hold');
+
+  const retry = JSON.parse(await createHoldSlotTool({ memory: {} }, 'session-b')._call({ datetime: '20300610T1630', serviceIds: ['service:lashes'] }));
+  const released = JSON.parse(await createManageSlotHoldsTool({ memory: {} }, 'admin')._call({ action: 'release', holdId: retry.holdId }));
+  check(released.success && holdService.listHolds().length === 0, 'admins can release a hold');
+
+  const contextC = { memory: {} };
+  const toolC = createHoldSlotTool(contextC, 'session-c');
+  await toolC._call({ datetime: '20300610T1100' });
+  const gaveUp = JSON.parse(await toolC._call({ action: 'release' }));
+  check(gaveUp.released && !contextC.memory.slot_hold, 'customers can release their own hold');
+}
+
+async function runTests() {
+  const server = await startStubApi(respond);
+  process.env.SOHO_API_URL = `http://127.0.0.1:${server.address().port}/graphql`;
+  process.env.SOHO_AUTH_TOKEN = 'test-token';
+  delete process.env.GOOGLE_SERVICE_ACCOUNT;
+
+  const { createCreateAppointmentTool } = require('../../src/tools/createAppointment');
+  const { createHoldSlotTool } = require('../../src/tools/holdSlot');
+  const { createManageSlotHoldsTool } = require('../../src/tools/manageSlotHolds');
+
+  businessCalendar.reset();
+  try {
+    testHoldService();
+    await testBooking(createCreateAppointmentTool, createHoldSlotTool, createManageSlotHoldsTool);
+  } catch (error) {
+    fail(error);
+  } finally {
+    holdService.clear();
+    resourceService.reset();
+    server.close();
+  }
+
+  finish('slot hold');
+}
+
+runTests();
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test for tool function definitions sent to the LLM
+ * Checks Zod-to-JSON-Schema conversion and snapshots every tool from createTools
+ *
+ * Update the snapshot after an intended schema change with:
+ *   node tests/tools/test-tool-definitions.js --update
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { zodToJsonSchema, toolToFunctionDefinition } = require('../../src/schemas/toolSchema');
+const { createTools } = require('../../src/tools');
+const { check, fail, finish } = require('../helpers');
+
+const SNAPSHOT_PATH = path.join(__dirname, '__snapshots__', 'tool-definitions.json');
+const updateSnapshot = process.argv.includes('--update');
+
+console.log('🧪 Testing Tool Function Definitions');
+console.log('====================================\n');
+
+function testZodConversion() {
+  console.log('📋 Converting Zod types');
+
+  const schema = z.object({
+    serviceIds: z.array(z.string()).describe('Service IDs'),
+    status: z.enum(['confirmed', 'cancelled']),
+    ids: z.union([z.array(z.string()), z.string()]),
+    mode: z.union([z.literal('all'), z.literal('single')]),
+    count: z.number().int().min(1).optional(),
+    force: z.boolean().default(false),
+    notes: z.string().nullable().optional().describe('Free text'),
+    customer: z.object({
+      name: z.string(),
+      mobile: z.string().optional()
+    })
+  });
+
+  const json = zodToJsonSchema(schema);
+
+  check(json.properties.serviceIds.type === 'array' && json.properties.serviceIds.items.type === 'string', 'arrays keep their item type');
+  check(json.properties.serviceIds.description === 'Service IDs', 'descriptions are kept');
+  check(JSON.stringify(json.properties.status.enum) === '["confirmed","cancelled"]', 'enums become enum lists');
+  check(Array.isArray(json.properties.ids.anyOf) && json.properties.ids.anyOf.length === 2, 'unions become anyOf');
+  check(JSON.stringify(json.properties.mode) === '{"type":"string","enum":["all","single"]}', 'literal unions collapse into an enum');
+  check(json.properties.count.type === 'integer' && json.properties.count.minimum === 1, 'integer checks are kept');
+  check(json.properties.force.default === false, 'defaults are kept');
+  check(json.properties.notes.description === 'Free text', 'descriptions on wrappers are kept');
+  check(json.properties.customer.type === 'object' && json.properties.customer.required.join() === 'name', 'nested objects are converted');
+  check(json.required.join() === 'serviceIds,status,ids,mode,customer', 'optional and default fields are not required');
+
+  const plain = toolToFunctionDefinition({
+    name: 'plainTool',
+    description: 'Plain parameters',
+    parameters: { type: 'object', properties: { query: { type: 'string' } } }
+  });
+  check(plain.function.parameters.properties.query.type === 'string', 'plain-object parameters are used');
+  check(Array.isArray(plain.function.parameters.required), 'plain-object parameters get a required array');
+}
+
+function testToolSnapshot() {
+  console.log('\n📋 Snapshotting every tool from createTools');
+
+  const context = { memory: { admin_mode: true, tool_usage: {} }, history: [] };
+  const adminTools = createTools(context, 'snapshot-session', true);
+  const definitions = adminTools
+    .map(tool => toolToFunctionDefinition(tool))
+    .sort((a, b) => a.function.name.localeCompare(b.function.name));
+
+  const slots = definitions.find(d => d.function.name === 'getAvailableSlots');
+  check(slots && slots.function.parameters.properties.serviceIds.type === 'array', 'getAvailableSlots advertises serviceIds as an array');
+  const booking = definitions.find(d => d.function.name === 'createAppointment');
+  check(booking && booking.function.parameters.properties.serviceIds.type === 'array', 'createAppointment advertises serviceIds as an array');
+  const select = definitions.find(d => d.function.name === 'selectServices');
+  check(select && Object.keys(select.function.parameters.properties).length > 0, 'selectServices exposes its plain parameters');
+
+  const serialized = JSON.stringify(definitions, null, 2) + '\n';
+
+  if (updateSnapshot || !fs.existsSync(SNAPSHOT_PATH)) {
+    fs.mkdirSync(path.dirname(SNAPSHOT_PATH), { recursive: true });
+    fs.writeFileSync(SNAPSHOT_PATH, serialized);
+    console.log(`📝 Snapshot written to ${path.relative(process.cwd(), SNAPSHOT_PATH)}`);
+    return;
+  }
+
+  const expected = fs.readFileSync(SNAPSHOT_PATH, 'utf8');
+  if (expected === serialized) {
+    check(true, `function definitions match the snapshot (${definitions.length} tools)`);
+  } else {
+    const expectedDefs = JSON.parse(expected);
+    const changed = definitions
+      .filter(def => {
+        const previous = expectedDefs.find(e => e.function.name === def.function.name);
+        return !previous || JSON.stringify(previous) !== JSON.stringify(def);
+      })
+      .map(def => def.function.name);
+    const removed = expectedDefs
+      .filter(e => !definitions.some(def => def.function.name === e.function.name))
+      .map(e => e.function.name);
+    check(false, `function definitions differ from the snapshot (changed: ${changed.join(', ') || 'none'}; removed: ${removed.join(', ') || 'none'}). Run with --update if intended`);
+  }
+}
+
+try {
+  testZodConversion();
+  testToolSnapshot();
+} catch (error) {
+  fail(error);
+}
+
+finish('tool definition');
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the role-based tool permission policy
+ * Runs offline: denied calls never reach the SOHO API
+ */
+
+const { ROLES, checkToolPermission, isToolAllowed } = require('../../src/tools/permissions');
+const { createTools } = require('../../src/tools');
+const ChatService = require('../../src/services/chatService');
+const MCPContext = require('../../src/models/MCPContext');
+const { FakeChatModel } = require('../../src/lib/fake-llm');
+const { check, fail, finish } = require('../helpers');
+
+console.log('🧪 Testing Tool Permissions');
+console.log('===========================\n');
+
+// A customer who has been identified through lookupUser
+const identifiedMemory = {
+  admin_mode: false,
+  user_info: { resourceName: 'people/c111', name: 'Jane Tan', mobile: '+6591234567' },
+  customer_appointments: {
+    'people/c111': { appointments: [{ id: 'apt-own-1' }, { id: 'apt-own-2' }] }
+  }
+};
+
+function testPolicy() {
+  console.log('📋 Checking the policy');
+
+  ['createContact', 'updateAppointment', 'searchCustomers', 'storeUser'].forEach(name => {
+    check(!isToolAllowed(name, ROLES.CUSTOMER), `${name} is admin-only`);
+  });
+  check(isToolAllowed('getAvailableSlots', ROLES.CUSTOMER), 'customers can check availability');
+  check(!isToolAllowed('someFutureTool', ROLES.CUSTOMER) && isToolAllowed('someFutureTool', ROLES.ADMIN), 'tools missing from the policy default to admin-only');
+
+  const context = { memory: identifiedMemory };
+  check(checkToolPermission('getAppointment', { appointmentId: 'apt-own-1' }, context, ROLES.CUSTOMER).allowed, 'customer can fetch their own appointment');
+  check(!checkToolPermission('getAppointment', { appointmentId: 'apt-someone-else' }, context, ROLES.CUSTOMER).allowed, "customer cannot fetch someone else's appointment");
+  check(checkToolPermission('getAppointment', { appointmentId: 'apt-someone-else' }, context, ROLES.ADMIN).allowed, 'admin can fetch any appointment');
+
+  check(checkToolPermission('createAppointment', { resourceName: 'people/c111', mobile: '91234567' }, context, ROLES.CUSTOMER).allowed, 'customer can book for themselves (mobile compared on last 8 digits)');
+  check(!checkToolPermission('createAppointment', { resourceName: 'people/c999', mobile: '+6591234567' }, context, ROLES.CUSTOMER).allowed, 'customer cannot book for another account');
+  check(!checkToolPermission('createAppointment', { resourceName: 'people/c111' }, { memory: {} }, ROLES.CUSTOMER).allowed, 'unidentified customer cannot book');
+
+  check(checkToolPermission('lookupUser', { phoneNumber: '98765432' }, { memory: {} }, ROLES.CUSTOMER).allowed, 'unidentified customer can identify themselves');
+  check(!checkToolPermission('lookupAndHistory', { phoneNumber: '98765432' }, { memory: {} }, ROLES.CUSTOMER).allowed, 'unidentified customer cannot read appointment history');
+  check(checkToolPermission('lookupAndHistory', { phoneNumber: '91234567' }, context, ROLES.CUSTOMER).allowed, 'identified customer can read their own history');
+  check(!checkToolPermission('lookupAndHistory', { phoneNumber: '98765432' }, context, ROLES.CUSTOMER).allowed, 'identified customer cannot look up other numbers');
+  check(!checkToolPermission('lookupUser', { phoneNumber: '98765432' }, context, ROLES.CUSTOMER).allowed, 'identified customer cannot switch to another number');
+
+  check(checkToolPermission('getQuote', { serviceIds: ['service:1'] }, { memory: {} }, ROLES.CUSTOMER).allowed, 'unidentified customer can get a price quote');
+  check(!checkToolPermission('getQuote', { appointmentId: 'apt-own-1' }, { memory: {} }, ROLES.CUSTOMER).allowed, 'unidentified customer cannot quote an appointment');
+  check(!checkToolPermission('getQuote', { appointmentId: 'apt-someone-else' }, context, ROLES.CUSTOMER).allowed, "customer cannot quote someone else's appointment");
+  check(checkToolPermission('getQuote', { appointmentId: 'apt-own-1' }, context, ROLES.CUSTOMER).allowed, 'customer can quote their own appointment');
+}
+
+function testBinding() {
+  console.log('\n📋 Filtering tools bound to the LLM');
+  const customerTools = createTools({ memory: { admin_mode: false, tool_usage: {} }, history: [] }, 'customer-session', false).map(t => t.name);
+  const adminTools = createTools({ memory: { admin_mode: true, tool_usage: {} }, history: [] }, 'admin-session', true).map(t => t.name);
+
+  check(!customerTools.includes('searchCustomers') && !customerTools.includes('updateAppointment'), 'customer sessions do not get admin tools');
+  check(customerTools.includes('getAvailableSlots') && customerTools.includes('createAppointment'), 'customer sessions keep booking tools');
+  check(adminTools.includes('searchCustomers') && adminTools.includes('createContact'), 'admin sessions get every tool');
+}
+
+async function testUseTool() {
+  console.log('\n📋 Enforcing on direct tool calls (useTool)');
+  const chatService = new ChatService();
+  const context = new MCPContext({ memory: { ...identifiedMemory } });
+
+  const { toolResults } = await chatService.handleToolCalls('customer-session', context, [
+    { name: 'searchCustomers', arguments: { name: 'Anna' } },
+    { name: 'getAppointment', arguments: { appointmentId: 'apt-someone-else' } }
+  ], false);
+
+  check(toolResults[0].content.error === 'PERMISSION_DENIED', 'admin-only tool is denied for customers');
+  check(toolResults[1].content.error === 'PERMISSION_DENIED', "argument constraint blocks other customers' appointments");
+}
+
+async function testExecutor() {
+  console.log('\n📋 Enforcing on tool calls from the model');
+  const chatService = new ChatService();
+  const context = new MCPContext({ memory: { ...identifiedMemory } });
+  const getAppointment = {
+    name: 'getAppointment',
+    description: 'stub',
+    calls: 0,
+    async _call() { getAppointment.calls++; return '{}'; }
+  };
+  const fake = new FakeChatModel({
+    responses: [
+      { tool_calls: [{ name: 'getAppointment', args: { appointmentId: 'apt-someone-else' } }] },
+      'Sorry, I can only show your own appointments.'
+    ]
+  });
+
+  await chatService.runAgentLoop({
+    llm: fake,
+    tools: [getAppointment],
+    messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'show apt-someone-else' }],
+    context,
+    sessionId: 'customer-session'
+  });
+
+  const toolMessage = context.history.find(m => m.role === 'tool');
+  check(JSON.parse(toolMessage.content).error === 'PERMISSION_DENIED', 'model receives a permission error');
+  check(getAppointment.calls === 0, 'denied tool never runs');
+}
+
+async function runTests() {
+  try {
+    testPolicy();
+    testBinding();
+    await testUseTool();
+    await testExecutor();
+  } catch (error) {
+    fail(error);
+  }
+
+  finish('tool permission');
+}
+
+runTests();
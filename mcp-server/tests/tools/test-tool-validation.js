@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Test for tool argument validation before execution
+ * Runs offline: invalid calls are rejected before any tool reaches the API
+ */
+
+const { z } = require('zod');
+const { StructuredTool } = require('@langchain/core/tools');
+const { validateToolArguments } = require('../../src/schemas/toolSchema');
+const ChatService = require('../../src/services/chatService');
+const MCPContext = require('../../src/models/MCPContext');
+const { FakeChatModel } = require('../../src/lib/fake-llm');
+const { check, fail, finish } = require('../helpers');
+
+console.log('🧪 Testing Tool Argument Validation');
+console.log('===================================\n');
+
+class BookingTool extends StructuredTool {
+  constructor() {
+    super();
+    this.name = 'bookThing';
+    this.description = 'Test booking tool';
+    this.schema = z.object({
+      serviceIds: z.array(z.string()),
+      duration: z.number().optional(),
+      force: z.boolean().optional(),
+      notes: z.string().optional()
+    });
+    this.calls = [];
+  }
+
+  async _call(args) {
+    this.calls.push(args);
+    return JSON.stringify({ success: true });
+  }
+}
+
+const plainTool = {
+  name: 'pickOne',
+  description: 'Plain JSON schema tool',
+  parameters: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['all', 'single'] },
+      limit: { type: 'number' }
+    },
+    required: ['mode']
+  },
+  calls: [],
+  async _call(args) {
+    plainTool.calls.push(args);
+    return { success: true };
+  }
+};
+
+function testValidation() {
+  console.log('📋 Validating and coercing arguments');
+  const tool = new BookingTool();
+
+  const coerced = validateToolArguments(tool, { serviceIds: 'service:1-2024', duration: '60', force: 'true', notes: null });
+  check(coerced.valid, 'safe coercions make the call valid');
+  check(Array.isArray(coerced.args.serviceIds) && coerced.args.serviceIds[0] === 'service:1-2024', 'single value is wrapped into an array');
+  const list = validateToolArguments(tool, { serviceIds: 'service:1, service:2,', duration: 60 });
+  check(list.valid && list.args.serviceIds.join('|') === 'service:1|service:2', 'a comma-separated string is split into trimmed items');
+  check(coerced.args.duration === 60 && coerced.args.force === true, 'numeric and boolean strings are coerced');
+  check(!('notes' in coerced.args), 'null optional fields are treated as omitted');
+
+  const missing = validateToolArguments(tool, { duration: 'an hour' });
+  check(!missing.valid, 'missing required field is rejected');
+  check(missing.issues.some(i => i.field === 'serviceIds'), 'issue names the missing field');
+  check(missing.issues.some(i => i.field === 'duration'), 'non-numeric text is not coerced into a number');
+
+  check(validateToolArguments(plainTool, { mode: 'single', limit: '5' }).args.limit === 5, 'plain JSON schemas are coerced too');
+  const badEnum = validateToolArguments(plainTool, { mode: 'some' });
+  check(!badEnum.valid && /one of/.test(badEnum.issues[0].message), 'enum values are enforced for plain JSON schemas');
+  check(!validateToolArguments(plainTool, {}).valid, 'required fields are enforced for plain JSON schemas');
+}
+
+async function testExecutorValidation() {
+  console.log('\n📋 Returning validation errors to the model');
+  const tool = new BookingTool();
+  const fake = new FakeChatModel({
+    responses: [
+      { tool_calls: [{ name: 'bookThing', args: { duration: 60 } }] },
+      { tool_calls: [{ name: 'bookThing', args: { serviceIds: ['service:1-2024'], duration: 60 } }] },
+      'Booked.'
+    ]
+  });
+  const chatService = new ChatService();
+  const context = new MCPContext({ memory: { admin_mode: true } });
+
+  const result = await chatService.runAgentLoop({
+    llm: fake,
+    tools: [tool],
+    messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'book it' }],
+    context,
+    sessionId: 'validation-session'
+  });
+
+  const firstToolMessage = context.history.find(m => m.role === 'tool');
+  const error = JSON.parse(firstToolMessage.content);
+  check(error.error === 'INVALID_ARGUMENTS' && error.issues[0].field === 'serviceIds', 'model receives a structured validation error');
+  check(tool.calls.length === 1, 'invalid call never reaches the tool; corrected retry does');
+  check(result.output === 'Booked.', 'model recovers after the validation error');
+  check(chatService.getToolValidationFailures().bookThing === 1, 'validation failure is counted per tool');
+}
+
+async function testBadJson() {
+  console.log('\n📋 Rejecting arguments that are not JSON');
+  const chatService = new ChatService();
+  const prepared = chatService.prepareToolArguments(new BookingTool(), '{"serviceIds": [');
+  check(!prepared.valid && /not valid JSON/.test(prepared.error.message), 'malformed JSON is reported instead of becoming {}');
+}
+
+async function testHandleToolCalls() {
+  console.log('\n📋 Validating direct tool calls (useTool)');
+  const chatService = new ChatService();
+  const context = new MCPContext({ memory: { admin_mode: true } });
+
+  const { toolResults } = await chatService.handleToolCalls('direct-session', context, [
+    { name: 'getAppointment', arguments: {} }
+  ]);
+
+  check(toolResults[0].content.error === 'INVALID_ARGUMENTS', 'handleToolCalls rejects missing arguments');
+  check(chatService.getToolValidationFailures().getAppointment === 1, 'direct call failures are counted too');
+}
+
+async function runTests() {
+  try {
+    testValidation();
+    await testExecutorValidation();
+    await testBadJson();
+    await testHandleToolCalls();
+  } catch (error) {
+    fail(error);
+  }
+
+  finish('tool validation');
+}
+
+runTests();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the business calendar module
+ * Covers weekly hours, special hours, closures, breaks and the minimum lead time
+ */
+
+const businessCalendar = require('../../src/services/businessCalendar');
+const { check, fail, finish } = require('../helpers');
+
+console.log('🧪 Testing Business Calendar');
+console.log('============================\n');
+
+// Monday 9 June 2025, 10:00 Singapore time
+const now = new Date('2025-06-09T02:00:00Z');
+
+function testDefaults() {
+  console.log('📋 Default weekly hours');
+  businessCalendar.reset();
+
+  const saturday = businessCalendar.getDay('2025-06-07');
+  check(saturday.isOpen && saturday.open === '10:00' && saturday.close === '17:00', 'Saturday is open 10:00–17:00');
+  check(!businessCalendar.getDay('2025-06-08').isOpen, 'Sunday is closed');
+  check(businessCalendar.describeWeeklyHours() === 'Mon–Fri: 10:00–19:00, Sat: 10:00–17:00, Sun: CLOSED', 'weekly hours are described compactly');
+
+  const lateSaturday = businessCalendar.checkBooking('2025-06-14T17:00:00+08:00', 60, { now });
+  check(!lateSaturday.valid && lateSaturday.error === 'Outside business hours', 'Saturday 5pm is rejected');
+  check(businessCalendar.checkBooking('2025-06-14T16:00:00+08:00', 60, { now }).valid, 'Saturday 4pm for an hour is accepted');
+  check(businessCalendar.checkBooking('2025-06-14T17:00:00+08:00', 60, { now, ignoreHours: true }).valid, 'ignoreHours skips the hours check');
+
+  const sunday = businessCalendar.checkBooking('2025-06-15T11:00:00+08:00', 60, { now, ignoreHours: true });
+  check(!sunday.valid && sunday.message.includes('closed on Sundays'), 'Sunday is rejected even when ignoring hours');
+
+  const window = businessCalendar.getOpeningWindow('2025-06-14');
+  check(window.end.toISOString() === '2025-06-14T09:00:00.000Z', 'opening window closes at 17:00 Singapore time');
+}
+
+function testLeadTime() {
+  console.log('\n📋 Minimum lead time');
+  businessCalendar.reset();
+
+  const tooSoon = businessCalendar.checkBooking('2025-06-09T10:30:00+08:00', 60, { now });
+  check(!tooSoon.valid && tooSoon.error === 'Insufficient notice', 'booking within the lead time is rejected');
+  check(businessCalendar.checkBooking('2025-06-09T11:00:00+08:00', 60, { now }).valid, 'booking after the lead time is accepted');
+
+  const blocked = businessCalendar.getBlockedRanges('2025-06-09', now);
+  check(blocked.some(range => range.reason === 'lead_time' && range.end.toISOString() === '2025-06-09T03:00:00.000Z'), 'lead time blocks slots before 11:00 today');
+  check(businessCalendar.getBlockedRanges('2025-06-10', now).length === 0, 'lead time does not affect tomorrow');
+}
+
+function testOverrides() {
+  console.log('\n📋 Breaks, special hours and closures');
+  businessCalendar.reset();
+  businessCalendar.configure({
+    breaks: [{ start: '13:00', end: '14:00', days: ['monday'] }],
+    specialHours: { '2025-06-12': { open: '12:00', close: '16:00', reason: 'Stocktake' } },
+    closures: { '2025-06-10': 'Staff training' }
+  });
+
+  const lunch = businessCalendar.checkBooking('2025-06-09T13:30:00+08:00', 30, { now });
+  check(!lunch.valid && lunch.error === 'Overlaps break', 'booking over the Monday break is rejected');
+  check(businessCalendar.getDay('2025-06-11').breaks.length === 0, 'break only applies to the listed days');
+
+  const closure = businessCalendar.checkBooking('2025-06-10T11:00:00+08:00', 60, { now });
+  check(!closure.valid && closure.message.includes('Staff training'), 'ad-hoc closure is rejected with its reason');
+
+  check(!businessCalendar.checkBooking('2025-06-12T11:00:00+08:00', 60, { now }).valid, 'special hours move the opening time');
+  check(businessCalendar.checkBooking('2025-06-12T12:00:00+08:00', 60, { now }).valid, 'booking inside special hours is accepted');
+
+  check(businessCalendar.getTodayStatus(now).includes('break 13:00–14:00'), 'today status mentions the break');
+  check(businessCalendar.getDateInfo(new Date('2025-06-10T02:00:00Z')).todayStatus === 'The salon is CLOSED today (Staff training).', 'today status reports a closure');
+
+  const exceptions = businessCalendar.describeUpcomingExceptions(now);
+  check(exceptions.length === 2 && exceptions[0].includes('CLOSED (Staff training)'), 'upcoming exceptions are listed in date order');
+  check(businessCalendar.describeHoursForPrompt(now).includes('Stocktake'), 'prompt hours include upcoming special hours');
+
+  businessCalendar.reset();
+}
+
+function runTests() {
+  try {
+    testDefaults();
+    testLeadTime();
+    testOverrides();
+  } catch (error) {
+    fail(error);
+  }
+
+  finish('business calendar');
+}
+
+runTests();
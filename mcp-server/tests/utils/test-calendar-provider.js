@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the calendar providers (memory, JSON file, ICS file) and the tools using them
+ * Runs offline; no Google service account needed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const businessCalendar = require('../../src/services/businessCalendar');
+const {
+  createCalendarProvider,
+  setCalendarProvider,
+  MemoryCalendarProvider,
+  parseIcs
+} = require('../../src/lib/calendar-provider');
+const { check, fail, finish } = require('../helpers');
+
+console.log('🧪 Testing Calendar Providers');
+console.log('=============================\n');
+
+// 2030-06-10 is a Monday
+const at = time => businessCalendar.atTime('2030-06-10', time);
+const dayStart = at('00:00');
+const dayEnd = at('23:59');
+
+async function testProvider(label, provider, bookingId) {
+  const block = await provider.createBlock({ start: at('12:00'), end: at('13:00'), summary: 'Lunch', staffId: 'staff:jenny' });
+  const busy = await provider.listBusy(dayStart, dayEnd);
+  const stored = busy.find(event => event.id === block.id);
+  check(stored && new Date(stored.start.dateTime).getTime() === at('12:00').getTime(), `${label}: a block shows up as busy`);
+  check(stored?.extendedProperties?.private?.staffId === 'staff:jenny', `${label}: blocks keep their staff member`);
+  check((await provider.listBusy(at('14:00'), at('15:00'))).every(event => event.id !== block.id), `${label}: only overlapping events are listed`);
+  check(await provider.deleteBlock(block.id), `${label}: a block can be deleted`);
+  check(!(await provider.deleteBlock(block.id)), `${label}: deleting a missing block returns false`);
+  check(!(await provider.deleteBlock(bookingId)) && (await provider.listBusy(dayStart, dayEnd)).some(event => event.id === bookingId), `${label}: events that aren't blocks are not deleted`);
+}
+
+async function testMemoryAndJson(tmpDir) {
+  console.log('📋 Memory and JSON providers');
+  await testProvider('memory', new MemoryCalendarProvider({
+    events: [{ id: 'booking', summary: 'Booked', start: at('10:00'), end: at('11:00') }]
+  }), 'booking');
+
+  const file = path.join(tmpDir, 'calendar.json');
+  fs.writeFileSync(file, JSON.stringify({ events: [{ id: 'evt-1', summary: 'Alice - Lashes', start: '2030-06-10T10:00:00+08:00', end: '2030-06-10T11:30:00+08:00' }] }));
+  const jsonProvider = createCalendarProvider({ provider: 'file', filePath: file });
+  const events = await jsonProvider.listBusy(dayStart, dayEnd);
+  check(events.length === 1 && events[0].start.dateTime === '2030-06-10T02:00:00.000Z', 'json: compact events are read in calendar event shape');
+  await testProvider('json', jsonProvider, 'evt-1');
+  check(JSON.parse(fs.readFileSync(file, 'utf8')).events.length === 1, 'json: the store is written back after changes');
+}
+
+async function testIcs(tmpDir) {
+  console.log('\n📋 ICS provider');
+  const file = path.join(tmpDir, 'calendar.ics');
+  fs.writeFileSync(file, [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:utc-event',
+    'DTSTART:20300610T020000Z',
+    'DTEND:20300610T033000Z',
+    'SUMMARY:Alice - Lashes\\, full set',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:tz-event',
+    'DTSTART;TZID=Asia/Singapore:20300610T150000',
+    'DTEND;TZID=Asia/Singapore:20300610T160000',
+    'SUMMARY:Facial with',
+    '  Mei',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:floating-event',
+    'DTSTART:20300610T170000',
+    'DTEND:20300610T180000',
+    'SUMMARY:Floating',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:cancelled-event',
+    'DTSTART:20300610T090000Z',
+    'DTEND:20300610T100000Z',
+    'STATUS:CANCELLED',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:new-york-event',
+    'DTSTART;TZID=America/New_York:20300610T090000',
+    'DTEND;TZID=America/New_York:20300610T100000',
+    'SUMMARY:Supplier call',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:windows-zone-event',
+    'DTSTART;TZID=Singapore Standard Time:20300610T120000',
+    'DTEND;TZID=Singapore Standard Time:20300610T130000',
+    'SUMMARY:Lunch',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:block-abcdef',
+    'DTSTART:20300612T020000Z',
+    'DTEND:20300612T030000Z',
+    'SUMMARY:Blocked',
+    'X-BLOCK:true',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:all-day',
+    'DTSTART;VALUE=DATE:20300611',
+    'DTEND;VALUE=DATE:20300612',
+    'SUMMARY:Training day',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+  ].join('\r\n'));
+
+  const events = parseIcs(fs.readFileSync(file, 'utf8'));
+  const byId = Object.fromEntries(events.map(event => [event.id, event]));
+  check(byId['utc-event'].summary === 'Alice - Lashes, full set', 'ics: escaped text is read');
+  check(byId['tz-event'].start.dateTime === '2030-06-10T07:00:00.000Z' && byId['tz-event'].summary === 'Facial with Mei', 'ics: TZID times and folded lines are read');
+  check(byId['floating-event'].start.dateTime === '2030-06-10T09:00:00.000Z', "ics: floating times are in the salon's timezone");
+  check(!byId['cancelled-event'], 'ics: cancelled events are skipped');
+  check(byId['all-day'].start.date === '2030-06-11', 'ics: all-day events are kept as dates');
+  check(byId['new-york-event'].start.dateTime === '2030-06-10T13:00:00.000Z', 'ics: other TZIDs are honoured');
+  check(byId['windows-zone-event'].start.dateTime === '2030-06-10T04:00:00.000Z', "ics: unknown TZIDs are read in the salon's timezone");
+  testChatServerIcs(fs.readFileSync(file, 'utf8'));
+
+  const provider = createCalendarProvider({ provider: 'file', filePath: file });
+  await testProvider('ics', provider, 'utc-event');
+  check(!(await provider.deleteBlock('block-abc')), 'ics: a block is only deleted by its full UID');
+  const text = fs.readFileSync(file, 'utf8');
+  check(text.includes('UID:tz-event') && text.includes('UID:block-abcdef') && text.trim().endsWith('END:VCALENDAR'), 'ics: other events are left untouched');
+}
+
+/**
+ * The chat server's /api/availability reads the same CALENDAR_FILE with its own
+ * parser (chat-server/src/lib/ics.ts); both must see the same times on any host
+ */
+function testChatServerIcs(text) {
+  const chatServer = path.join(__dirname, '../../../chat-server');
+  let ts;
+  try {
+    ts = require(require.resolve('typescript', { paths: [chatServer] }));
+  } catch {
+    console.log('⏭️ ics: chat-server dependencies not installed, skipping the comparison');
+    return;
+  }
+
+  const source = path.join(chatServer, 'src/lib/ics.ts');
+  const { outputText } = ts.transpileModule(fs.readFileSync(source, 'utf8'), {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2019 }
+  });
+  const chatIcs = new Module(source);
+  chatIcs._compile(outputText, source);
+
+  const times = events => JSON.stringify(events.map(event => [event.id, event.start, event.end]));
+  const hostZone = process.env.TZ;
+  try {
+    for (const zone of ['UTC', 'America/Los_Angeles', 'Asia/Singapore']) {
+      process.env.TZ = zone;
+      check(times(chatIcs.exports.parseIcs(text, 'Asia/Singapore')) === times(parseIcs(text)), `ics: the chat server reads the same times with the host in ${zone}`);
+    }
+  } finally {
+    if (hostZone === undefined) delete process.env.TZ;
+    else process.env.TZ = hostZone;
+  }
+}
+
+async function testFactory() {
+  console.log('\n📋 Factory');
+  let error = null;
+  try {
+    createCalendarProvider({ provider: 'outlook' });
+  } catch (e) {
+    error = e;
+  }
+  check(error && error.message.includes('Unknown calendar provider'), 'unknown providers are rejected');
+
+  const google = createCalendarProvider({ provider: 'google', serviceAccountJson: '' });
+  const failed = await google.listBusy(dayStart, dayEnd).catch(e => e);
+  check(failed instanceof Error && failed.message === 'Google service account not configured', 'google needs a service account');
+
+  // A stand-in for the Google client that returns two pages
+  const pages = {
+    first: { items: [{ id: 'page-1' }], nextPageToken: 'second' },
+    second: { items: [{ id: 'page-2' }] }
+  };
+  const paged = createCalendarProvider({ provider: 'google' });
+  paged.client = { calendarId: 'salon', calendar: { events: { list: async ({ pageToken }) => ({ data: pages[pageToken || 'first'] }) } } };
+  const events = await paged.listBusy(dayStart, dayEnd);
+  check(events.map(event => event.id).join() === 'page-1,page-2', 'google: every page of events is read');
+}
+
+async function testTools() {
+  console.log('\n📋 Tools read the configured provider');
+  const provider = new MemoryCalendarProvider({
+    events: [{ id: 'booking', summary: 'Booked', start: at('10:00'), end: at('12:00') }]
+  });
+  setCalendarProvider(provider);
+  await provider.createBlock({ start: at('15:00'), end: at('19:00'), summary: 'Closed early' });
+
+  const { createGetAvailableSlotsTool } = require('../../src/tools/getAvailableSlots');
+  const result = JSON.parse(await createGetAvailableSlotsTool({ memory: {} }, 'session-a')._call({ date: '2030-06-10' }));
+  check(result.success && result.availableSlots.includes('12:00 PM') && result.availableSlots.includes('2:00 PM'), 'free times are offered');
+  check(!result.availableSlots.includes('10:00 AM') && !result.availableSlots.includes('11:00 AM'), 'booked times are not offered');
+  check(['3:00 PM', '4:00 PM', '5:00 PM', '6:00 PM'].every(slot => !result.availableSlots.includes(slot)), 'blocked times are not offered');
+  setCalendarProvider(null);
+}
+
+async function runTests() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-provider-'));
+  businessCalendar.reset();
+  try {
+    await testMemoryAndJson(tmpDir);
+    await testIcs(tmpDir);
+    await testFactory();
+    await testTools();
+  } catch (error) {
+    fail(error);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  finish('calendar provider');
+}
+
+runTests();
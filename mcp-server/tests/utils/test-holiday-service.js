@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the holiday service
+ * Runs offline: the remote source is a local HTTP stub
+ */
+
+const holidayService = require('../../src/services/holidayService');
+const memoryService = require('../../src/services/memoryService');
+const { createManageHolidaysTool } = require('../../src/tools/manageHolidays');
+const { check, fail, finish, startStubApi } = require('../helpers');
+
+console.log('🧪 Testing Holiday Service');
+console.log('==========================\n');
+
+function startStubSource(payload) {
+  return startStubApi((request, res) => {
+    if (payload === null) {
+      res.statusCode = 503;
+      return 'unavailable';
+    }
+    return payload;
+  });
+}
+
+async function testBundledData() {
+  console.log('📋 Bundled dataset');
+
+  const nationalDay = await holidayService.checkDate('2025-08-09');
+  check(nationalDay.isHoliday && nationalDay.holiday === 'National Day' && nationalDay.source === 'bundled', 'National Day 2025 comes from the bundled data');
+  check(nationalDay.blockBooking, 'bookings are blocked on a public holiday');
+
+  const ordinary = await holidayService.checkDate('2025-08-12');
+  check(!ordinary.isHoliday && ordinary.known && !ordinary.blockBooking, 'an ordinary day in a covered year is known and bookable');
+
+  const uncovered = await holidayService.checkDate('2031-03-04');
+  check(!uncovered.known && !uncovered.blockBooking, 'an uncovered year is allowed outside strict mode');
+}
+
+async function testStrictMode() {
+  console.log('\n📋 Strict mode');
+  process.env.HOLIDAY_STRICT_MODE = 'true';
+
+  const uncovered = await holidayService.checkDate('2031-03-04');
+  check(uncovered.blockBooking && uncovered.message.includes('2031'), 'an uncovered year is refused in strict mode');
+  check(!(await holidayService.checkDate('2025-08-12')).blockBooking, 'covered dates are still bookable in strict mode');
+
+  delete process.env.HOLIDAY_STRICT_MODE;
+}
+
+async function testOverrides() {
+  console.log('\n📋 Admin overrides');
+  const context = { memory: { admin_mode: true } };
+  const tool = createManageHolidaysTool(context, 'admin-session');
+
+  const closed = JSON.parse(await tool._call({ action: 'close', date: '2025-08-12', reason: 'Staff retreat' }));
+  check(closed.success && (await holidayService.checkDate('2025-08-12')).blockBooking, 'an extra closure day blocks bookings');
+
+  const opened = JSON.parse(await tool._call({ action: 'open', date: '2025-08-09', reason: 'SG60 special' }));
+  check(opened.success && !(await holidayService.checkDate('2025-08-09')).blockBooking, 'opening on a public holiday allows bookings');
+
+  const stored = await memoryService.getMemoryByResourceName('system:holiday-overrides');
+  check(stored.closures['2025-08-12'] === 'Staff retreat' && stored.openDays['2025-08-09'] === 'SG60 special', 'overrides are persisted through the memory service');
+
+  holidayService.overridesLoaded = false;
+  await holidayService.ensureReady();
+  check(holidayService.lookup('2025-08-12').isHoliday, 'overrides are reloaded from storage');
+
+  const removed = JSON.parse(await tool._call({ action: 'remove', date: '2025-08-09' }));
+  check(removed.success && holidayService.lookup('2025-08-09').isHoliday, 'removing an override restores the holiday');
+
+  const invalid = JSON.parse(await tool._call({ action: 'close', date: 'next friday' }));
+  check(!invalid.success && invalid.error === 'Invalid date', 'close requires a YYYY-MM-DD date');
+
+  check(context.memory.tool_usage.manageHolidays.length === 4, 'tool usage is tracked in memory');
+  await holidayService.removeOverride('2025-08-12');
+}
+
+async function testRemoteRefresh() {
+  console.log('\n📋 Remote refresh');
+
+  const failing = await startStubSource(null);
+  process.env.HOLIDAY_REMOTE_URL = `http://127.0.0.1:${failing.address().port}/holidays`;
+  const failed = await holidayService.refresh();
+  failing.close();
+  check(!failed.success && holidayService.lookup('2025-08-09').isHoliday, 'a failed refresh keeps the bundled holidays');
+
+  const source = await startStubSource({
+    success: true,
+    result: { records: [{ date: '2031-01-01', day: 'Wednesday', holiday: "New Year's Day" }] }
+  });
+  process.env.HOLIDAY_REMOTE_URL = `http://127.0.0.1:${source.address().port}/holidays`;
+  const refreshed = await holidayService.refresh();
+  source.close();
+  delete process.env.HOLIDAY_REMOTE_URL;
+
+  check(refreshed.success && refreshed.count === 1, 'refresh loads remote records');
+  const newYear = holidayService.lookup('2031-01-01');
+  check(newYear.isHoliday && newYear.source === 'remote', 'remote holidays are used');
+  check(holidayService.lookup('2031-03-04').known, 'remote data extends the covered years');
+}
+
+async function runTests() {
+  try {
+    await testBundledData();
+    await testStrictMode();
+    await testOverrides();
+    await testRemoteRefresh();
+  } catch (error) {
+    fail(error);
+  }
+
+  finish('holiday service');
+}
+
+runTests();
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test for phone number parsing and how lookups, contacts and bookings use it
+ * Runs offline against the fake SOHO API
+ */
+
+process.env.TZ = 'Asia/Singapore';
+
+const phone = require('../../src/lib/phone');
+const { createLookupUserTool, clearContactsCache } = require('../../src/tools/lookupUser');
+const { createSearchCustomersTool } = require('../../src/tools/searchCustomers');
+const { createCreateContactTool } = require('../../src/tools/createContact');
+const { createCreateAppointmentTool } = require('../../src/tools/createAppointment');
+const { check, fail, finish, createToolRunner, startFakeSoho } = require('../helpers');
+
+console.log('🧪 Testing Phone Numbers');
+console.log('========================\n');
+
+// Alice Tan is +6591234567 in the fixtures; these contacts share her last 8 digits or each other's number
+const extraContacts = [
+  { resourceName: 'people/c3001', name: 'Siti Rahman', mobile: '+60 19-123 4567' },
+  { resourceName: 'people/c3002', name: 'Dewi Lestari', mobile: '0812 3456 7890' },
+  { resourceName: 'people/c3003', name: 'Mei Chen', mobile: '+6587776666' },
+  { resourceName: 'people/c3004', name: 'Lily Chen', mobile: '8777 6666' }
+];
+
+const runTool = createToolRunner('phone-session');
+const run = (create, inputs, context) => runTool(create, inputs, { context });
+
+function testParsing() {
+  console.log('📋 Parsing');
+  const e164 = input => phone.normalizePhone(input);
+  check(['91234567', '9123 4567', '+65 9123-4567', '6591234567', '0065 9123 4567'].every(input => e164(input) === '+6591234567'), 'Singapore numbers are read with or without the country code');
+  check(e164('+60 12-345 6789') === '+60123456789' && e164('60123456789') === '+60123456789' && e164('+60 012 345 6789') === '+60123456789', 'Malaysian numbers keep their country code');
+  check(e164('+44 7911 123456') === '+447911123456' && e164('+1 (415) 555-2671') === '+14155552671', 'numbers from further away are read too');
+  check(e164('+7 912 345 6789') === '+79123456789', 'other countries are checked against their numbering plans too');
+
+  const local = phone.parsePhone('012-345 6789');
+  check(!local.valid && local.error.includes('country code'), 'a foreign number without its country code is refused');
+  check(!phone.parsePhone('+65 1234 5678').valid && !phone.parsePhone('1234').valid && !phone.parsePhone('abc').valid, 'invalid numbers are refused');
+  check(!phone.parsePhone('+60 11-9123 4567').valid && !phone.parsePhone('+44 7700 900123').valid, "numbers outside a country's numbering plan are refused");
+
+  process.env.DEFAULT_PHONE_REGION = 'MY';
+  check(e164('012-345 6789') === '+60123456789', 'the default region is configurable');
+  delete process.env.DEFAULT_PHONE_REGION;
+
+  check(phone.samePhone('91234567', '+65 9123 4567') && !phone.samePhone('+60 19-123 4567', '+6591234567'), 'numbers ending in the same digits are not the same phone');
+}
+
+async function testLookups() {
+  console.log('\n📋 Lookups');
+  const alice = await run(createLookupUserTool, { phoneNumber: '9123 4567' });
+  check(alice.resourceName === 'people/c1001', 'a local number finds the Singapore contact');
+
+  const siti = await run(createLookupUserTool, { phoneNumber: '+60191234567' });
+  check(siti.resourceName === 'people/c3001', 'the Malaysian number with the same last digits finds the Malaysian contact');
+
+  const dewi = await run(createLookupUserTool, { phoneNumber: '+62 812-3456-7890' });
+  check(dewi.resourceName === 'people/c3002', 'a contact saved without a country code is still found');
+
+  const invalid = await run(createLookupUserTool, { phoneNumber: '012-345 6789' });
+  check(invalid.error === 'Invalid phone number' && invalid.message.includes('country code'), 'an invalid number asks for the country code');
+
+  const shared = await run(createLookupUserTool, { phoneNumber: '87776666' });
+  check(shared.ambiguous && !shared.candidates && !shared.resourceName, 'customers are asked for a name when several contacts share a number');
+
+  const admin = await run(createLookupUserTool, { phoneNumber: '87776666' }, { memory: { admin_mode: true } });
+  check(admin.ambiguous && admin.candidates.map(contact => contact.name).sort().join() === 'Lily Chen,Mei Chen', 'admins see the candidates');
+
+  const lily = await run(createLookupUserTool, { phoneNumber: '87776666', name: 'lily chen' });
+  check(lily.resourceName === 'people/c3004', 'the name picks the contact');
+
+  const search = await run(createSearchCustomersTool, { name: '+65 8777 6666' });
+  check(search.success && search.results.length === 2, 'customers can be searched by mobile number');
+}
+
+async function testContactsAndBookings(fake) {
+  console.log('\n📋 Contacts and bookings');
+  const context = { memory: {}, setUserInfo() {} };
+  const created = await run(createCreateContactTool, { first: 'Nur', last: 'Aisyah', mobile: '+60 12-345 6789' }, context);
+  check(typeof created === 'string' && created.includes('Mobile:+60123456789') && fake.contacts.some(contact => contact.mobile === '+60123456789'), 'new contacts are saved in E.164');
+
+  const refused = await run(createCreateContactTool, { first: 'Nur', mobile: '012-345 6789' }, context);
+  check(refused.success === false && refused.error === 'Invalid phone number' && fake.contacts.filter(contact => contact.name.startsWith('Nur')).length === 1, 'an invalid number is not saved');
+
+  const booking = await run(createCreateAppointmentTool, { name: 'Nur Aisyah', mobile: '012-345 6789', resourceName: 'people/c9999', serviceIds: ['service:threading-brow'], datetime: '20300610T1400' });
+  check(booking.success === false && booking.error === 'Invalid mobile number', 'bookings check the mobile number');
+}
+
+async function runTests() {
+  const fake = await startFakeSoho();
+  fake.contacts.push(...extraContacts.map(contact => ({ cancelCount: 0, ...contact })));
+  clearContactsCache();
+
+  try {
+    testParsing();
+    await testLookups();
+    await testContactsAndBookings(fake);
+  } catch (error) {
+    fail(error);
+  } finally {
+    clearContactsCache();
+    await fake.stop();
+  }
+
+  finish('phone number');
+}
+
+runTests();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Test for staff and room aware scheduling
+ * Runs offline: calendar events are built in memory
+ */
+
+const businessCalendar = require('../../src/services/businessCalendar');
+const resourceService = require('../../src/services/resourceService');
+const { rankCandidateSlots, getSearchableDays } = require('../../src/tools/getAvailableSlots');
+const { createGetStaffAvailabilityTool } = require('../../src/tools/getStaffAvailability');
+const { check, fail, finish } = require('../helpers');
+
+console.log('🧪 Testing Staff and Room Scheduling');
+console.log('====================================\n');
+
+const RESOURCES = {
+  staff: [
+    { id: 'staff:jenny', name: 'Jenny', skills: ['Lashes'] },
+    { id: 'staff:mei', name: 'Mei Ling', skills: ['*'], days: ['tuesday', 'wednesday', 'thursday'] },
+    { id: 'staff:amy', name: 'Amy', skills: ['Facial'], active: false }
+  ],
+  rooms: [
+    { id: 'room:bed-1', name: 'Bed 1', categories: ['Lashes', 'Facial'] },
+    { id: 'room:bed-2', name: 'Bed 2' }
+  ]
+};
+
+// Calendar event in business time
+function event(date, from, to, extra = {}) {
+  return {
+    start: { dateTime: businessCalendar.atTime(date, from).toISOString() },
+    end: { dateTime: businessCalendar.atTime(date, to).toISOString() },
+    ...extra
+  };
+}
+
+// 2026-09-03 is a Thursday: Jenny and Mei both work
+const DATE = '2026-09-03';
+const range = (from, to) => ({ start: businessCalendar.atTime(DATE, from), end: businessCalendar.atTime(DATE, to) });
+
+function testSingleResourceMode() {
+  console.log('📋 No resources configured');
+  resourceService.configure({ staff: [], rooms: [] });
+
+  check(!resourceService.isEnabled(), 'scheduling is off without staff or rooms');
+  const busy = resourceService.findAssignment({ ...range('14:00', '15:00'), events: [event(DATE, '14:30', '15:30')] });
+  check(!busy.available && busy.staff === null, 'any overlapping event blocks the slot');
+}
+
+function testLookup() {
+  console.log('\n📋 Staff lookup and event matching');
+  resourceService.configure(RESOURCES);
+
+  check(resourceService.findStaff('jenny')?.id === 'staff:jenny', 'staff are found by name, case-insensitively');
+  check(resourceService.findStaff('Mei')?.id === 'staff:mei', 'staff are found by first name');
+  check(resourceService.findStaff('staff:mei')?.name === 'Mei Ling', 'staff are found by ID');
+  check(resourceService.findStaff('Amy') === null, 'inactive staff are ignored');
+
+  const tagged = resourceService.getEventResources(event(DATE, '10:00', '11:00', { extendedProperties: { private: { staffId: 'staff:mei', roomId: 'room:bed-2' } } }));
+  check(tagged.staffId === 'staff:mei' && tagged.roomId === 'room:bed-2', 'tagged events use their staff and room IDs');
+
+  const named = resourceService.getEventResources(event(DATE, '10:00', '11:00', { summary: 'Lash lift - Jenny' }));
+  check(named.staffId === 'staff:jenny' && named.roomId === null, 'a staff name in the title identifies the staff member');
+}
+
+function testAssignment() {
+  console.log('\n📋 Assignment');
+  resourceService.configure(RESOURCES);
+  const jennyBusy = event(DATE, '14:00', '15:00', { extendedProperties: { private: { staffId: 'staff:jenny', roomId: 'room:bed-1' } } });
+
+  const parallel = resourceService.findAssignment({ ...range('14:00', '15:00'), events: [jennyBusy], categories: ['Lashes'] });
+  check(parallel.available && parallel.staff.id === 'staff:mei' && parallel.room.id === 'room:bed-2', 'another qualified staff member and room can take an overlapping slot');
+
+  const withJenny = resourceService.findAssignment({ ...range('14:00', '15:00'), events: [jennyBusy], categories: ['Lashes'], staffId: 'Jenny' });
+  check(!withJenny.available && withJenny.reason.includes('Jenny'), 'a requested staff member who is booked is not offered');
+
+  const facial = resourceService.findAssignment({ ...range('16:00', '17:00'), events: [], categories: ['Facial'], staffId: 'jenny' });
+  check(!facial.available && facial.reason === "Jenny doesn't do Facial", 'staff are only assigned services they are skilled in');
+
+  const unassigned = event(DATE, '14:00', '15:00', { summary: 'Walk-in' });
+  const crowded = resourceService.findAssignment({ ...range('14:00', '15:00'), events: [jennyBusy, unassigned], categories: ['Lashes'] });
+  check(!crowded.available, 'events with no known staff take up one of the free staff');
+
+  const friday = resourceService.findAssignment({
+    start: businessCalendar.atTime('2026-09-04', '14:00'),
+    end: businessCalendar.atTime('2026-09-04', '15:00'),
+    events: [jennyBusy],
+    categories: ['Lashes'],
+    staffId: 'Mei'
+  });
+  check(!friday.available && friday.reason.includes("doesn't work on fridays"), 'working days are respected');
+}
+
+async function testSlots() {
+  console.log('\n📋 Slots and tools');
+  resourceService.configure(RESOURCES);
+  const { days } = await getSearchableDays(DATE, DATE);
+  const now = new Date('2026-09-01T00:00:00+08:00');
+  const events = [
+    event(DATE, '10:00', '19:00', { summary: 'Jenny - training' }),
+    event(DATE, '10:00', '12:00', { summary: 'Mei Ling - facial' })
+  ];
+
+  const anyone = await rankCandidateSlots({ days, events, duration: 60, now, resourceRequirement: { categories: ['Lashes'], staffId: null } });
+  check(anyone[0]?.start === '12:00 PM' && anyone[0].staff === 'Mei Ling' && anyone[0].room === 'Bed 1', 'slots come with the staff member and room that would take them');
+
+  const jenny = await rankCandidateSlots({ days, events, duration: 60, now, resourceRequirement: { categories: ['Lashes'], staffId: 'staff:jenny' } });
+  check(jenny.length === 0, 'no slots are offered when the requested staff member is booked all day');
+
+  const tool = createGetStaffAvailabilityTool({ memory: {} }, 'staff-session');
+  resourceService.configure({ staff: [], rooms: [] });
+  const off = JSON.parse(await tool._call({ datetime: '2026-09-03T15:00:00+08:00' }));
+  check(!off.success && off.error === 'Staff scheduling not configured', 'who-is-free needs staff to be configured');
+}
+
+async function runTests() {
+  businessCalendar.reset();
+  try {
+    testSingleResourceMode();
+    testLookup();
+    testAssignment();
+    await testSlots();
+  } catch (error) {
+    fail(error);
+  } finally {
+    resourceService.reset();
+  }
+
+  finish('staff and room scheduling');
+}
+
+runTests();
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the SOHO GraphQL client
+ * Runs offline against a local stand-in for the SOHO API
+ */
+
+const { check, fail, finish, startStubApi } = require('../helpers');
+
+console.log('🧪 Testing SOHO Client');
+console.log('======================\n');
+
+// Each test queues the responses it wants; requests are recorded
+let replies = [];
+let requests = [];
+
+async function respond({ headers, ...body }, res) {
+  requests.push({ headers, body });
+  const reply = replies.shift() || { status: 200, body: { data: { ok: true } } };
+  await new Promise(resolve => setTimeout(resolve, reply.delay || 0));
+  res.statusCode = reply.status;
+  return reply.body;
+}
+
+function reset(client, queued = []) {
+  client.resetCircuit();
+  replies = queued;
+  requests = [];
+}
+
+async function captureError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testRequests(client) {
+  console.log('📋 Requests');
+  reset(client, [{ status: 200, body: { data: { person: { id: 'people/c1' } } } }]);
+
+  const data = await client.request('query($id: String!) { person(id: $id) { id } }', { id: 'people/c1' });
+  check(data.person.id === 'people/c1', 'returns the data object');
+  check(requests[0].body.variables.id === 'people/c1', 'sends values as variables');
+  check(requests[0].headers.authorization === 'test-token' && requests[0].headers['x-api-key'] === 'test-key', 'sends the auth token and API key');
+
+  const { fetchAppointmentsFromSoho } = require('../../src/tools/getCustomerAppointments');
+  reset(client, [{ status: 200, body: { data: { person: { id: 'x', cancelCount: 0, appointments: [] } } } }]);
+  await fetchAppointmentsFromSoho('people/c1") { id } contacts { mobile');
+  check(!requests[0].body.query.includes('contacts') && requests[0].body.variables.id.includes('contacts'), 'tools pass customer IDs as variables, not query text');
+}
+
+async function testRetries(client) {
+  console.log('\n📋 Retries');
+  reset(client, [{ status: 503, body: {} }, { status: 502, body: {} }, { status: 200, body: { data: { services: [] } } }]);
+  const data = await client.request('query { services { id } }');
+  check(Array.isArray(data.services) && requests.length === 3, 'queries are retried on 5xx until they succeed');
+
+  reset(client, [{ status: 503, body: {} }]);
+  const mutation = await captureError(client.request('mutation($id: String!) { cancelAppointment(id: $id) { id } }', { id: 'a1' }));
+  check(mutation instanceof client.SohoUnavailableError && requests.length === 1, 'mutations are not resent after SOHO may have processed them');
+
+  reset(client, [{ status: 429, body: {} }]);
+  await client.request('mutation($id: String!) { cancelAppointment(id: $id) { id } }', { id: 'a1' });
+  check(requests.length === 2, 'mutations are resent when SOHO turned them away with 429');
+
+  reset(client, [{ status: 200, body: { data: {} }, delay: 300 }, { status: 200, body: { data: {} }, delay: 300 }, { status: 200, body: { data: {} }, delay: 300 }]);
+  const timeout = await captureError(client.request('query { services { id } }', {}, { timeoutMs: 50 }));
+  check(timeout instanceof client.SohoUnavailableError && /timed out/.test(timeout.message), 'slow responses time out as unavailable');
+}
+
+async function testErrors(client) {
+  console.log('\n📋 Error types');
+  const cases = [
+    [{ status: 401, body: {} }, client.SohoAuthError, 'HTTP 401 is an auth error'],
+    [{ status: 200, body: { errors: [{ message: 'Appointment a9 not found' }] } }, client.SohoNotFoundError, 'a not-found GraphQL error'],
+    [{ status: 200, body: { errors: [{ message: 'x', extensions: { code: 'NOT_FOUND' } }] } }, client.SohoNotFoundError, 'error codes in extensions are used'],
+    [{ status: 200, body: { errors: [{ message: 'Appointment overlaps an existing booking' }] } }, client.SohoConflictError, 'a clashing booking is a conflict'],
+    [{ status: 200, body: { errors: [{ message: 'Bad input', extensions: { code: 'BAD_USER_INPUT' } }] } }, client.SohoValidationError, 'rejected input is a validation error'],
+    [{ status: 500, body: {} }, client.SohoUnavailableError, 'HTTP 500 is unavailable']
+  ];
+
+  for (const [reply, ErrorClass, message] of cases) {
+    reset(client, [reply, reply, reply]);
+    const error = await captureError(client.request('query { services { id } }', {}, { retries: 0 }));
+    check(error instanceof ErrorClass && error instanceof client.SohoError, message);
+  }
+
+  reset(client, [{ status: 401, body: {} }]);
+  await captureError(client.request('query { services { id } }'));
+  check(requests.length === 1, 'auth errors are not retried');
+
+  const token = process.env.SOHO_AUTH_TOKEN;
+  delete process.env.SOHO_AUTH_TOKEN;
+  reset(client);
+  const missing = await captureError(client.request('query { services { id } }'));
+  process.env.SOHO_AUTH_TOKEN = token;
+  check(missing instanceof client.SohoAuthError && requests.length === 0, 'a missing token fails without calling SOHO');
+}
+
+async function testCircuitBreaker(client) {
+  console.log('\n📋 Circuit breaker');
+  reset(client, [{ status: 503, body: {} }, { status: 503, body: {} }, { status: 503, body: {} }]);
+  for (let i = 0; i < 3; i++) {
+    await captureError(client.request('query { services { id } }', {}, { retries: 0 }));
+  }
+  check(client.getCircuitState().open, 'the circuit opens after repeated failures');
+
+  const fastFail = await captureError(client.request('query { services { id } }'));
+  check(fastFail instanceof client.SohoUnavailableError && requests.length === 3, 'calls fail fast while the circuit is open');
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+  replies = [{ status: 200, body: { data: { services: [] } } }];
+  await client.request('query { services { id } }');
+  check(!client.getCircuitState().open && client.getCircuitState().failures === 0, 'a successful call after the cooldown closes the circuit');
+}
+
+function testRedaction(client) {
+  console.log('\n📋 Log redaction');
+  const redacted = client.redact({ name: 'Alice Tan', mobile: '+6591234567', start: '20300610T1400', notes: 'email alice@example.com', items: [{ email: 'a@b.co' }] });
+  check(!JSON.stringify(redacted).includes('Alice') && !JSON.stringify(redacted).includes('91234567'), 'names and phone numbers are masked');
+  check(!JSON.stringify(redacted).includes('example.com') && !JSON.stringify(redacted).includes('a@b.co'), 'email addresses are masked');
+  check(redacted.start === '20300610T1400', 'other values are left alone');
+}
+
+async function testRequestLog(client) {
+  console.log('\n📋 Logged search requests');
+  reset(client);
+  const lines = [];
+  const log = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await client.request('query Search($query: String, $phoneNumber: String) { contacts(query: $query, phoneNumber: $phoneNumber) { resourceName } }',
+      { query: 'Alice Tan', phoneNumber: '9123', limit: 5 });
+    await client.request('query Person($id: String!, $resourceName: String) { person(id: $id, resourceName: $resourceName) { name } }',
+      { id: 'people/c123456', resourceName: 'people/c123456' });
+  } finally {
+    console.log = log;
+  }
+
+  const logged = lines.join('\n');
+  check(requests.length === 2 && requests[0].body.variables.query === 'Alice Tan', 'SOHO still receives the real search terms');
+  check(!logged.includes('Alice') && !logged.includes('9123'), 'logged search requests contain no name or phone fragment');
+  check(!logged.includes('c123456'), 'logged requests contain no contact resource name');
+  check(logged.includes('"limit":5'), 'other variables are still logged');
+}
+
+async function runTests() {
+  const server = await startStubApi(respond);
+  process.env.SOHO_API_URL = `http://127.0.0.1:${server.address().port}/graphql`;
+  process.env.SOHO_AUTH_TOKEN = 'test-token';
+  process.env.SOHO_API_KEY = 'test-key';
+  process.env.SOHO_RETRY_DELAY_MS = '1';
+  process.env.SOHO_BREAKER_THRESHOLD = '3';
+  process.env.SOHO_BREAKER_COOLDOWN_MS = '200';
+
+  const client = require('../../src/lib/soho-client');
+
+  try {
+    await testRequests(client);
+    await testRetries(client);
+    await testErrors(client);
+    await testCircuitBreaker(client);
+    testRedaction(client);
+    await testRequestLog(client);
+  } catch (error) {
+    fail(error);
+  } finally {
+    client.resetCircuit();
+    server.close();
+  }
+
+  finish('SOHO client');
+}
+
+runTests();